@@ -0,0 +1,67 @@
+// Загрузка локального корпуса законодательства в таблицы legislation_codes и legislation_articles.
+// Использование: node src/database/loadLegislation.js [путь к JSON файлу]
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pool, transaction } = require('./connection');
+const logger = require('../utils/logger');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, '../../data/legislation/codes.json');
+
+const loadLegislation = async (corpusPath = process.env.LEGISLATION_CORPUS_PATH || DEFAULT_CORPUS_PATH) => {
+  const codes = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+
+  let articleCount = 0;
+  let editionCount = 0;
+
+  await transaction(async (client) => {
+    for (const code of codes) {
+      await client.query(`
+        INSERT INTO legislation_codes (code, name, is_complete, loaded_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (code) DO UPDATE
+        SET name = EXCLUDED.name, is_complete = EXCLUDED.is_complete, loaded_at = NOW()
+      `, [code.code, code.name, !!code.complete]);
+
+      for (const article of code.articles || []) {
+        await client.query(`
+          INSERT INTO legislation_articles (code, article, title)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (code, article) DO UPDATE
+          SET title = EXCLUDED.title
+        `, [code.code, article.article, article.title]);
+        articleCount++;
+
+        // Редакции статьи перезаписываются целиком
+        await client.query(`
+          DELETE FROM legislation_article_editions WHERE code = $1 AND article = $2
+        `, [code.code, article.article]);
+
+        for (const edition of article.editions || []) {
+          await client.query(`
+            INSERT INTO legislation_article_editions (code, article, valid_from, amended_by, summary)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [code.code, article.article, edition.validFrom, edition.amendedBy, edition.summary]);
+          editionCount++;
+        }
+      }
+    }
+  });
+
+  logger.info('Legislation corpus loaded:', { corpusPath, codes: codes.length, articles: articleCount, editions: editionCount });
+  return { codes: codes.length, articles: articleCount, editions: editionCount };
+};
+
+if (require.main === module) {
+  loadLegislation(process.argv[2])
+    .then(() => pool.end())
+    .catch((error) => {
+      logger.error('Failed to load legislation corpus:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadLegislation
+};
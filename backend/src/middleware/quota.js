@@ -0,0 +1,38 @@
+const logger = require('../utils/logger');
+const { checkQuota } = require('../services/quotaService');
+
+// Ответ на превышение квоты тарифа (402 или 429 с Retry-After до начала следующего периода)
+const sendQuotaError = (res, error) => {
+  if (error.statusCode === 429) {
+    const retryAfter = Math.max(1, Math.ceil((new Date(error.quota.resetsAt) - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  return res.status(error.statusCode).json({
+    error: error.message,
+    quota: error.quota
+  });
+};
+
+// Middleware для проверки, что по каждой метрике осталась хотя бы единица квоты
+// (до загрузки файлов и создания запроса)
+const requireQuota = (metrics) => {
+  return async (req, res, next) => {
+    try {
+      await checkQuota(req.user.id, Object.fromEntries(metrics.map(metric => [metric, 1])));
+      next();
+    } catch (error) {
+      if (error.quota) {
+        return sendQuotaError(res, error);
+      }
+
+      logger.error('Quota middleware error:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  };
+};
+
+module.exports = {
+  sendQuotaError,
+  requireQuota
+};
@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { ARTICLE_STATUSES, generateArticle, getArticle, updateArticle, setArticleStatus } = require('../services/seoArticleService');
+
+const router = express.Router();
+
+// Редактирование SEO-статей доступно модераторам и админам
+router.use(requireRole(['admin', 'moderator']));
+
+const idValidator = param('id').isUUID().withMessage('id must be a UUID');
+
+const EDITABLE_FIELDS = ['title', 'slug', 'metaDescription', 'keywords', 'bodyHtml', 'faq'];
+
+// Статьи без текста, последние изменённые первыми. status: draft, review, published
+router.get('/', [
+  queryParam('status').optional().isIn(ARTICLE_STATUSES).withMessage(`status must be one of: ${ARTICLE_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status = null } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT
+        a.id, a.query_id, a.response_id, r.version as response_version, a.title, a.slug, a.meta_description,
+        a.keywords, a.status, a.published_at, a.created_at, a.updated_at, u.email as updated_by_email
+      FROM seo_articles a
+      JOIN responses r ON a.response_id = r.id
+      LEFT JOIN users u ON a.updated_by = u.id
+      WHERE $1::text IS NULL OR a.status = $1
+      ORDER BY a.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total FROM seo_articles WHERE $1::text IS NULL OR status = $1
+    `, [status]);
+
+    res.json({
+      articles: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching SEO articles:', error);
+    res.status(500).json({ error: 'Failed to fetch SEO articles' });
+  }
+});
+
+router.get('/:id', [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const article = await getArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    logger.error('Error fetching SEO article:', error);
+    res.status(500).json({ error: 'Failed to fetch SEO article' });
+  }
+});
+
+// Генерация статьи по версии ответа (текущей, если version не указана) без учёта квоты пользователя.
+// Неопубликованная статья этой версии генерируется заново и возвращается в черновик
+router.post('/', [
+  body('queryId').isUUID().withMessage('queryId must be a UUID'),
+  body('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const version = req.body.version ? parseInt(req.body.version) : null;
+    const response = await query(`
+      SELECT r.id FROM responses r
+      WHERE r.query_id = $1 AND (r.version = $2 OR ($2::int IS NULL AND r.is_current = true))
+    `, [req.body.queryId, version]);
+
+    if (response.rows.length === 0) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    const article = await generateArticle(response.rows[0].id, { userId: req.user.id });
+
+    res.status(201).json(article);
+  } catch (error) {
+    logger.error('Error generating SEO article:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to generate SEO article' });
+  }
+});
+
+// Правка статьи: переданные поля заменяют прежние; bodyHtml очищается от небезопасной разметки
+router.put('/:id', [
+  idValidator,
+  body('title').optional().isString().trim().isLength({ min: 5, max: 200 }).withMessage('title must be between 5 and 200 characters'),
+  body('slug').optional().isString().trim().isLength({ min: 3, max: 80 }).withMessage('slug must be between 3 and 80 characters'),
+  body('metaDescription').optional().isString().trim().isLength({ max: 300 }).withMessage('metaDescription must be at most 300 characters'),
+  body('keywords').optional().isArray({ max: 10 }).withMessage('keywords must be an array of at most 10 items'),
+  body('keywords.*').isString().withMessage('keywords must be strings'),
+  body('bodyHtml').optional().isString().isLength({ min: 1, max: 100000 }).withMessage('bodyHtml must be between 1 and 100000 characters'),
+  body('faq').optional().isArray({ max: 10 }).withMessage('faq must be an array of at most 10 items'),
+  body('faq.*.question').isString().trim().isLength({ min: 5, max: 300 }).withMessage('faq question must be between 5 and 300 characters'),
+  body('faq.*.answer').isString().trim().isLength({ min: 5, max: 2000 }).withMessage('faq answer must be between 5 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const article = await updateArticle(req.params.id, changes, req.user.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(article);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Article with this slug already exists' });
+    }
+
+    logger.error('Error updating SEO article:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update SEO article' });
+  }
+});
+
+// Передача статьи на проверку (review) или возврат в черновик (draft).
+// Опубликованной статья становится при публикации ответа: POST /api/responses/:queryId/publish
+router.post('/:id/status', [
+  idValidator,
+  body('status').isIn(['draft', 'review']).withMessage('status must be one of: draft, review')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const article = await setArticleStatus(req.params.id, req.body.status, req.user.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    logger.info('SEO article status updated:', { articleId: article.id, status: article.status, userId: req.user.id });
+
+    res.json(article);
+  } catch (error) {
+    logger.error('Error updating SEO article status:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update SEO article status' });
+  }
+});
+
+module.exports = router;
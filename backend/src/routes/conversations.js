@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { submitTextQuery } = require('../services/queryService');
+const { buildTitle } = require('../services/conversationService');
+const { requireQuota, sendQuotaError } = require('../middleware/quota');
+const { parseAsOfDate } = require('../services/lawVersionService');
+const { ANSWER_LANGUAGES } = require('../services/answerLanguageService');
+
+const router = express.Router();
+
+// Получить диалоги пользователя
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT
+        c.id,
+        c.title,
+        c.created_at,
+        c.updated_at,
+        COUNT(q.id) as query_count,
+        MAX(q.created_at) as last_query_at
+      FROM conversations c
+      LEFT JOIN queries q ON q.conversation_id = c.id
+      WHERE c.user_id = $1
+      GROUP BY c.id
+      ORDER BY c.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM conversations
+      WHERE user_id = $1
+    `, [req.user.id]);
+
+    res.json({
+      conversations: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Создать пустой диалог
+router.post('/', [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(`
+      INSERT INTO conversations (user_id, title)
+      VALUES ($1, $2)
+      RETURNING id, title, created_at, updated_at
+    `, [req.user.id, buildTitle(req.body.title)]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+// Получить диалог со всеми ходами
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await query(`
+      SELECT id, title, created_at, updated_at
+      FROM conversations
+      WHERE id = $1 AND user_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (conversation.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const queries = await query(`
+      SELECT
+        q.id,
+        q.text,
+        q.audio_path,
+        q.files_path,
+        q.status,
+        q.created_at,
+        r.id as response_id,
+        r.version as response_version,
+        r.ai_response,
+        r.rating
+      FROM queries q
+      LEFT JOIN responses r ON q.id = r.query_id AND r.is_current = true
+      WHERE q.conversation_id = $1
+      ORDER BY q.created_at ASC
+    `, [req.params.id]);
+
+    res.json({
+      ...conversation.rows[0],
+      queries: queries.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Продолжить диалог уточняющим вопросом
+router.post('/:id/messages', requireQuota(['queries']), [
+  body('text').trim().isLength({ min: 2, max: 5000 }).withMessage('Text must be between 2 and 5000 characters'),
+  body('asOfDate').optional().custom(value => parseAsOfDate(value)),
+  body('language').optional().isIn(Object.keys(ANSWER_LANGUAGES)).withMessage(`language must be one of: ${Object.keys(ANSWER_LANGUAGES).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { queryId, conversationId } = await submitTextQuery({
+      io: req.app.get('io'),
+      userId: req.user.id,
+      text: req.body.text,
+      conversationId: req.params.id,
+      asOfDate: req.body.asOfDate ? parseAsOfDate(req.body.asOfDate) : null,
+      language: req.body.language
+    });
+
+    res.json({
+      message: 'Query submitted successfully',
+      queryId,
+      conversationId
+    });
+  } catch (error) {
+    if (error.quota) {
+      return sendQuotaError(res, error);
+    }
+
+    logger.error('Error continuing conversation:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to continue conversation' });
+  }
+});
+
+// Переименовать диалог
+router.put('/:id', [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(`
+      UPDATE conversations
+      SET title = $1
+      WHERE id = $2 AND user_id = $3
+      RETURNING id, title, created_at, updated_at
+    `, [req.body.title, req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error renaming conversation:', error);
+    res.status(500).json({ error: 'Failed to rename conversation' });
+  }
+});
+
+// Удалить диалог вместе со всеми запросами
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await transaction(async (client) => {
+      const deleteResult = await client.query(`
+        DELETE FROM conversations
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+      `, [req.params.id, req.user.id]);
+
+      if (deleteResult.rows.length > 0) {
+        await client.query(`
+          INSERT INTO activity_logs (user_id, action, details)
+          VALUES ($1, 'delete_conversation', $2)
+        `, [req.user.id, JSON.stringify({ conversationId: req.params.id })]);
+      }
+
+      return deleteResult.rows[0];
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+module.exports = router;
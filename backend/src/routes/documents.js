@@ -0,0 +1,250 @@
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { uploadToS3, getFromS3, deleteFromS3 } = require('../services/fileService');
+const {
+  DOCUMENT_TEMPLATES,
+  listDocumentTemplates,
+  validateFields,
+  findMissingFields,
+  formatDraft,
+  createDraft,
+  buildDocument
+} = require('../services/documentDraftService');
+
+const router = express.Router();
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const findDraft = async (draftId, userId) => {
+  const result = await query(`
+    SELECT * FROM document_drafts WHERE id = $1 AND user_id = $2
+  `, [draftId, userId]);
+
+  return result.rows[0] || null;
+};
+
+// Шаблоны документов с описанием полей
+router.get('/templates', (req, res) => {
+  res.json({ templates: listDocumentTemplates() });
+});
+
+// Документы пользователя, при queryId - только по этому запросу
+router.get('/', [
+  queryParam('queryId').optional().isUUID().withMessage('queryId must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, queryId } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE user_id = $1';
+    const params = [req.user.id];
+
+    if (queryId) {
+      whereClause += ' AND query_id = $2';
+      params.push(queryId);
+    }
+
+    const result = await query(`
+      SELECT * FROM document_drafts
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total FROM document_drafts ${whereClause}
+    `, params);
+
+    res.json({
+      documents: result.rows.map(formatDraft),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching documents:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+// Новый документ по запросу: поля предзаполняются по вопросу и текущей версии ответа
+router.post('/', [
+  body('queryId').isUUID().withMessage('queryId must be a UUID'),
+  body('template').isIn(Object.keys(DOCUMENT_TEMPLATES)).withMessage(`template must be one of: ${Object.keys(DOCUMENT_TEMPLATES).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = await createDraft({
+      userId: req.user.id,
+      queryId: req.body.queryId,
+      templateId: req.body.template
+    });
+
+    res.status(201).json(draft);
+  } catch (error) {
+    logger.error('Error creating document draft:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create document' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.id);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(formatDraft(draft));
+  } catch (error) {
+    logger.error('Error fetching document:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// Изменение полей: переданные значения заменяют прежние, null очищает поле.
+// Собранный ранее DOCX остаётся доступен, но документ снова считается черновиком
+router.put('/:id', [
+  body('fields').isObject().withMessage('fields must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = await findDraft(req.params.id, req.user.id);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { values, errors: fieldErrors } = validateFields(DOCUMENT_TEMPLATES[draft.template], req.body.fields);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ errors: fieldErrors });
+    }
+
+    const result = await query(`
+      UPDATE document_drafts
+      SET fields = fields || $1, status = 'draft'
+      WHERE id = $2
+      RETURNING *
+    `, [values, draft.id]);
+
+    res.json(formatDraft(result.rows[0]));
+  } catch (error) {
+    logger.error('Error updating document:', error);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+// Сборка DOCX. Файл сохраняется в S3 рядом с файлами запроса
+router.post('/:id/render', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.id);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const missingFields = findMissingFields(DOCUMENT_TEMPLATES[draft.template], draft.fields);
+    if (missingFields.length > 0) {
+      return res.status(400).json({ error: 'Required fields are not filled', missingFields });
+    }
+
+    const { buffer, filename } = await buildDocument(draft.template, draft.fields);
+    const s3Key = `documents/${draft.query_id}/${Date.now()}_${draft.template}.docx`;
+    await uploadToS3(buffer, s3Key);
+
+    const rendered = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE document_drafts
+        SET status = 'rendered', s3_key = $1, filename = $2, rendered_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [s3Key, filename, draft.id]);
+
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'render_document', $2)
+      `, [req.user.id, JSON.stringify({ documentId: draft.id, queryId: draft.query_id, template: draft.template })]);
+
+      return result.rows[0];
+    });
+
+    // Предыдущая сборка больше не нужна
+    if (draft.s3_key) {
+      deleteFromS3(draft.s3_key).catch(error => logger.error('Error deleting previous document version:', error));
+    }
+
+    logger.info('Document rendered:', { documentId: draft.id, template: draft.template, size: buffer.length });
+
+    res.json(formatDraft(rendered));
+  } catch (error) {
+    logger.error('Error rendering document:', error);
+    res.status(500).json({ error: 'Failed to render document' });
+  }
+});
+
+// Скачать последний собранный DOCX
+router.get('/:id/download', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.id);
+
+    if (!draft || !draft.s3_key) {
+      return res.status(404).json({ error: 'Rendered document not found' });
+    }
+
+    const fileBuffer = await getFromS3(draft.s3_key);
+
+    res.setHeader('Content-Type', DOCX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${draft.template}.docx"; filename*=UTF-8''${encodeURIComponent(draft.filename)}`);
+    res.setHeader('Content-Length', fileBuffer.length);
+
+    res.send(fileBuffer);
+  } catch (error) {
+    logger.error('Error downloading document:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.user.id);
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (draft.s3_key) {
+      await deleteFromS3(draft.s3_key);
+    }
+
+    await query(`
+      DELETE FROM document_drafts WHERE id = $1
+    `, [draft.id]);
+
+    logger.info('Document deleted:', { documentId: draft.id, userId: req.user.id });
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting document:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { describeSla } = require('../services/lawyerReviewService');
+
+const router = express.Router();
+
+// Очередь проверки ответов юристом доступна модераторам и админам
+router.use(requireRole(['admin', 'moderator']));
+
+const STATUS_FILTERS = {
+  active: "lr.status <> 'resolved'",
+  open: "lr.status = 'open'",
+  'in-progress': "lr.status = 'in-progress'",
+  resolved: "lr.status = 'resolved'",
+  all: 'true'
+};
+
+// Очередь задач, первыми - с ближайшим сроком по SLA.
+// status: active (по умолчанию), open, in-progress, resolved, all; overdue=true - только просроченные
+router.get('/', [
+  queryParam('status').optional().isIn(Object.keys(STATUS_FILTERS)).withMessage(`status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`),
+  queryParam('overdue').optional().isBoolean().withMessage('overdue must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status = 'active', overdue } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = `WHERE ${STATUS_FILTERS[status]}`;
+    if (overdue === 'true') {
+      whereClause += ' AND COALESCE(lr.resolved_at, NOW()) > lr.due_at';
+    }
+
+    const result = await query(`
+      SELECT
+        lr.*,
+        q.text as query_text,
+        q.legal_domain,
+        u.email as user_email,
+        r.version as response_version,
+        r.ai_response
+      FROM lawyer_reviews lr
+      JOIN queries q ON lr.query_id = q.id
+      LEFT JOIN users u ON lr.user_id = u.id
+      LEFT JOIN responses r ON lr.response_id = r.id
+      ${whereClause}
+      ORDER BY lr.due_at ASC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM lawyer_reviews lr
+      ${whereClause}
+    `);
+
+    // Сводка по незакрытым задачам для счётчиков очереди
+    const summary = await query(`
+      SELECT
+        COUNT(CASE WHEN status = 'open' THEN 1 END) as open,
+        COUNT(CASE WHEN status = 'in-progress' THEN 1 END) as in_progress,
+        COUNT(CASE WHEN due_at < NOW() THEN 1 END) as overdue
+      FROM lawyer_reviews
+      WHERE status <> 'resolved'
+    `);
+
+    const now = new Date();
+
+    res.json({
+      reviews: result.rows.map(review => ({ ...review, sla: describeSla(review, now) })),
+      summary: {
+        open: parseInt(summary.rows[0].open),
+        inProgress: parseInt(summary.rows[0].in_progress),
+        overdue: parseInt(summary.rows[0].overdue)
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching lawyer reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch lawyer reviews' });
+  }
+});
+
+// Взять задачу в работу
+router.post('/:id/assign', async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE lawyer_reviews
+      SET status = 'in-progress', assigned_to = $1
+      WHERE id = $2 AND status <> 'resolved'
+      RETURNING *
+    `, [req.user.id, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active review not found' });
+    }
+
+    logger.info('Lawyer review assigned:', { reviewId: req.params.id, userId: req.user.id });
+
+    res.json({ ...result.rows[0], sla: describeSla(result.rows[0]) });
+  } catch (error) {
+    logger.error('Error assigning lawyer review:', error);
+    res.status(500).json({ error: 'Failed to assign lawyer review' });
+  }
+});
+
+// Закрыть задачу с заключением юриста (оно показывается пользователю вместе с ответом)
+router.post('/:id/resolve', [
+  body('resolution').trim().isLength({ min: 1, max: 5000 }).withMessage('Resolution must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resolved = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE lawyer_reviews
+        SET
+          status = 'resolved',
+          resolution = $1,
+          assigned_to = COALESCE(assigned_to, $2),
+          resolved_at = NOW()
+        WHERE id = $3 AND status <> 'resolved'
+        RETURNING *
+      `, [req.body.resolution, req.user.id, req.params.id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'resolve_lawyer_review', $2)
+      `, [req.user.id, JSON.stringify({ reviewId: req.params.id, queryId: result.rows[0].query_id })]);
+
+      return result.rows[0];
+    });
+
+    if (!resolved) {
+      return res.status(404).json({ error: 'Active review not found' });
+    }
+
+    const sla = describeSla(resolved);
+    logger.info('Lawyer review resolved:', { reviewId: resolved.id, userId: req.user.id, overdue: sla.overdue });
+
+    res.json({ ...resolved, sla });
+  } catch (error) {
+    logger.error('Error resolving lawyer review:', error);
+    res.status(500).json({ error: 'Failed to resolve lawyer review' });
+  }
+});
+
+module.exports = router;
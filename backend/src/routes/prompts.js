@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const {
+  DEFAULT_TEMPLATES,
+  isKnownTemplate,
+  extractVariables,
+  validateTemplate,
+  renderPrompt,
+  builtInTemplate,
+  invalidateCache
+} = require('../services/promptService');
+
+const router = express.Router();
+
+// Управление шаблонами промтов доступно только админам
+router.use(requireRole(['admin']));
+
+// Проверка, что шаблон с таким назначением существует
+router.param('name', (req, res, next, name) => {
+  if (!isKnownTemplate(name)) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+  }
+  next();
+});
+
+const logPromptAction = (client, userId, action, details) => client.query(`
+  INSERT INTO activity_logs (user_id, action, details)
+  VALUES ($1, $2, $3)
+`, [userId, action, JSON.stringify(details)]);
+
+// Список шаблонов с активными версиями
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        name,
+        COUNT(*) as version_count,
+        MAX(version) as latest_version,
+        COALESCE(
+          json_agg(json_build_object('version', version, 'trafficWeight', traffic_weight) ORDER BY version)
+            FILTER (WHERE traffic_weight > 0),
+          '[]'
+        ) as active_versions
+      FROM prompt_templates
+      GROUP BY name
+    `);
+
+    const byName = new Map(result.rows.map(row => [row.name, row]));
+
+    const templates = Object.keys(DEFAULT_TEMPLATES).map(name => {
+      const row = byName.get(name);
+      const { parent = null } = DEFAULT_TEMPLATES[name];
+      const hasActive = row && row.active_versions.length > 0;
+      return {
+        name,
+        parent,
+        variables: DEFAULT_TEMPLATES[name].variables,
+        versionCount: row ? parseInt(row.version_count) : 0,
+        latestVersion: row ? row.latest_version : 0,
+        // Без активных версий используется родительский шаблон, а если его нет - встроенный (версия 0)
+        inheritsParent: !hasActive && parent !== null,
+        activeVersions: hasActive
+          ? row.active_versions
+          : (parent ? [] : [{ version: 0, trafficWeight: 100 }])
+      };
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    logger.error('Error fetching prompt templates:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+// Все версии шаблона
+router.get('/:name', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        pt.id,
+        pt.version,
+        pt.system_message,
+        pt.content,
+        pt.variables,
+        pt.description,
+        pt.traffic_weight,
+        pt.created_at,
+        u.email as created_by_email
+      FROM prompt_templates pt
+      LEFT JOIN users u ON pt.created_by = u.id
+      WHERE pt.name = $1
+      ORDER BY pt.version DESC
+    `, [req.params.name]);
+
+    const builtIn = builtInTemplate(req.params.name);
+    const hasActive = result.rows.some(row => row.traffic_weight > 0);
+
+    res.json({
+      name: req.params.name,
+      variables: DEFAULT_TEMPLATES[req.params.name].variables,
+      versions: result.rows,
+      builtIn: {
+        version: 0,
+        system_message: builtIn.systemMessage,
+        content: builtIn.content,
+        traffic_weight: hasActive ? 0 : 100
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching prompt template:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt template' });
+  }
+});
+
+// Создать новую версию шаблона (по умолчанию неактивную)
+router.post('/:name', [
+  body('content').isString().trim().isLength({ min: 10, max: 20000 }).withMessage('Content must be between 10 and 20000 characters'),
+  body('systemMessage').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('System message must be between 1 and 5000 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('activate').optional().isBoolean().withMessage('Activate must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const { content, systemMessage, description, activate } = req.body;
+
+    const templateErrors = validateTemplate(name, content, systemMessage);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: templateErrors });
+    }
+
+    const created = await transaction(async (client) => {
+      // Блокируем назначение, чтобы параллельные запросы не получили одинаковый номер версии
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_templates:${name}`]);
+
+      const next = await client.query(`
+        SELECT COALESCE(MAX(version), 0) + 1 as version
+        FROM prompt_templates
+        WHERE name = $1
+      `, [name]);
+
+      if (activate) {
+        await client.query(`
+          UPDATE prompt_templates SET traffic_weight = 0 WHERE name = $1
+        `, [name]);
+      }
+
+      const insert = await client.query(`
+        INSERT INTO prompt_templates (name, version, system_message, content, variables, description, traffic_weight, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, name, version, system_message, content, variables, description, traffic_weight, created_at
+      `, [
+        name,
+        next.rows[0].version,
+        systemMessage,
+        content,
+        extractVariables(content, systemMessage),
+        description || null,
+        activate ? 100 : 0,
+        req.user.id
+      ]);
+
+      await logPromptAction(client, req.user.id, 'create_prompt_version', {
+        name,
+        version: insert.rows[0].version,
+        activated: !!activate
+      });
+
+      return insert.rows[0];
+    });
+
+    invalidateCache(name);
+    logger.info('Prompt template version created:', { name, version: created.version, adminId: req.user.id });
+
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Error creating prompt template version:', error);
+    res.status(500).json({ error: 'Failed to create prompt template version' });
+  }
+});
+
+// Предпросмотр: подстановка переменных в сохранённую версию или в присланный черновик
+router.post('/:name/preview', [
+  body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer'),
+  body('content').optional().isString(),
+  body('systemMessage').optional().isString(),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const { version, content, systemMessage, variables = {} } = req.body;
+
+    let template = builtInTemplate(name);
+
+    if (version !== undefined && parseInt(version) > 0) {
+      const result = await query(`
+        SELECT version, system_message, content
+        FROM prompt_templates
+        WHERE name = $1 AND version = $2
+      `, [name, version]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Prompt template version not found' });
+      }
+
+      template = {
+        ...template,
+        version: result.rows[0].version,
+        systemMessage: result.rows[0].system_message,
+        content: result.rows[0].content
+      };
+    }
+
+    if (content !== undefined) {
+      template = { ...template, version: null, content };
+    }
+    if (systemMessage !== undefined) {
+      template = { ...template, version: null, systemMessage };
+    }
+
+    const rendered = renderPrompt(template, variables);
+    const used = extractVariables(template.content, template.systemMessage);
+
+    res.json({
+      version: template.version,
+      systemMessage: rendered.systemMessage,
+      prompt: rendered.prompt,
+      variables: used,
+      missingVariables: used.filter(variable => !Object.prototype.hasOwnProperty.call(variables, variable)),
+      errors: validateTemplate(name, template.content, template.systemMessage)
+    });
+  } catch (error) {
+    logger.error('Error previewing prompt template:', error);
+    res.status(500).json({ error: 'Failed to preview prompt template' });
+  }
+});
+
+// Откат: весь трафик на указанную версию (0 - встроенный шаблон)
+router.post('/:name/rollback', [
+  body('version').isInt({ min: 0 }).withMessage('Version must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const version = parseInt(req.body.version);
+
+    const found = await transaction(async (client) => {
+      if (version > 0) {
+        const exists = await client.query(`
+          SELECT id FROM prompt_templates WHERE name = $1 AND version = $2
+        `, [name, version]);
+
+        if (exists.rows.length === 0) {
+          return false;
+        }
+      }
+
+      await client.query(`
+        UPDATE prompt_templates
+        SET traffic_weight = CASE WHEN version = $2 THEN 100 ELSE 0 END
+        WHERE name = $1
+      `, [name, version]);
+
+      await logPromptAction(client, req.user.id, 'rollback_prompt_version', { name, version });
+
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+
+    invalidateCache(name);
+    logger.info('Prompt template rolled back:', { name, version, adminId: req.user.id });
+
+    res.json({ message: 'Prompt template rolled back successfully', name, version });
+  } catch (error) {
+    logger.error('Error rolling back prompt template:', error);
+    res.status(500).json({ error: 'Failed to roll back prompt template' });
+  }
+});
+
+// Распределение трафика между двумя версиями для сравнения оценок
+router.put('/:name/traffic', [
+  body('split').isArray({ min: 2, max: 2 }).withMessage('Split must contain exactly two versions'),
+  body('split.*.version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  body('split.*.weight').isInt({ min: 1, max: 99 }).withMessage('Weight must be between 1 and 99')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    const split = req.body.split.map(item => ({ version: parseInt(item.version), weight: parseInt(item.weight) }));
+
+    if (split[0].version === split[1].version) {
+      return res.status(400).json({ error: 'Split versions must be different' });
+    }
+    if (split[0].weight + split[1].weight !== 100) {
+      return res.status(400).json({ error: 'Split weights must sum to 100' });
+    }
+
+    const versions = split.map(item => item.version);
+
+    const found = await transaction(async (client) => {
+      const exists = await client.query(`
+        SELECT version FROM prompt_templates WHERE name = $1 AND version = ANY($2)
+      `, [name, versions]);
+
+      if (exists.rows.length !== versions.length) {
+        return false;
+      }
+
+      await client.query(`
+        UPDATE prompt_templates SET traffic_weight = 0 WHERE name = $1
+      `, [name]);
+
+      for (const item of split) {
+        await client.query(`
+          UPDATE prompt_templates SET traffic_weight = $3 WHERE name = $1 AND version = $2
+        `, [name, item.version, item.weight]);
+      }
+
+      await logPromptAction(client, req.user.id, 'split_prompt_traffic', { name, split });
+
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+
+    invalidateCache(name);
+    logger.info('Prompt template traffic split updated:', { name, split, adminId: req.user.id });
+
+    res.json({ message: 'Traffic split updated successfully', name, split });
+  } catch (error) {
+    logger.error('Error updating prompt traffic split:', error);
+    res.status(500).json({ error: 'Failed to update traffic split' });
+  }
+});
+
+// Где сохраняется версия шаблона, по которой сгенерирован результат, и есть ли у результата оценка
+const TEMPLATE_USAGE = {
+  'seo-article': { table: 'seo_articles', column: 'prompt_template_id', rating: 'NULL::int' },
+  'contract-review': { table: 'contract_reviews', column: 'prompt_template_id', rating: 'NULL::int' },
+  'document-draft': { table: 'document_drafts', column: 'prompt_template_id', rating: 'NULL::int' }
+};
+// Ответы всех отраслей пишутся в responses: ответы встроенной версии разделяются по имени шаблона,
+// по которому они сгенерированы (отрасль без своих версий использует шаблон legal-answer)
+const DEFAULT_USAGE = { table: 'responses', column: 'prompt_template_id', nameColumn: 'prompt_template_name', rating: 'r.rating' };
+
+// Сравнение версий по оценкам ответов
+router.get('/:name/stats', async (req, res) => {
+  try {
+    const { table, column, nameColumn, rating } = TEMPLATE_USAGE[req.params.name] || DEFAULT_USAGE;
+
+    const result = await query(`
+      SELECT
+        pt.version,
+        pt.traffic_weight,
+        COUNT(r.id) as response_count,
+        COUNT(${rating}) as rated_count,
+        ROUND(AVG(${rating}), 2) as average_rating,
+        COUNT(CASE WHEN ${rating} >= 4 THEN 1 END) as high_rated_count
+      FROM prompt_templates pt
+      LEFT JOIN ${table} r ON r.${column} = pt.id
+      WHERE pt.name = $1
+      GROUP BY pt.id
+      ORDER BY pt.version DESC
+    `, [req.params.name]);
+
+    // Результаты встроенного шаблона (версия 0) не привязаны к строке prompt_templates
+    const builtIn = await query(`
+      SELECT
+        COUNT(*) as response_count,
+        COUNT(${rating}) as rated_count,
+        ROUND(AVG(${rating}), 2) as average_rating,
+        COUNT(CASE WHEN ${rating} >= 4 THEN 1 END) as high_rated_count
+      FROM ${table} r
+      WHERE r.${column} IS NULL
+      ${nameColumn ? `AND r.${nameColumn} = $1` : ''}
+    `, nameColumn ? [req.params.name] : []);
+
+    res.json({
+      name: req.params.name,
+      versions: [
+        ...result.rows,
+        { version: 0, ...builtIn.rows[0] }
+      ]
+    });
+  } catch (error) {
+    logger.error('Error fetching prompt template stats:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt template statistics' });
+  }
+});
+
+// Изменить описание версии (текст версии неизменяем: для правок создаётся новая версия)
+router.put('/:name/versions/:version', [
+  body('description').trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query(`
+      UPDATE prompt_templates
+      SET description = $1
+      WHERE name = $2 AND version = $3
+      RETURNING id, name, version, description, traffic_weight
+    `, [req.body.description, req.params.name, parseInt(req.params.version)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error updating prompt template version:', error);
+    res.status(500).json({ error: 'Failed to update prompt template version' });
+  }
+});
+
+// Удалить неактивную версию
+router.delete('/:name/versions/:version', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseInt(req.params.version);
+
+    const result = await transaction(async (client) => {
+      const existing = await client.query(`
+        SELECT id, traffic_weight FROM prompt_templates WHERE name = $1 AND version = $2
+      `, [name, version]);
+
+      if (existing.rows.length === 0) {
+        return { status: 404 };
+      }
+      if (existing.rows[0].traffic_weight > 0) {
+        return { status: 409 };
+      }
+
+      await client.query('DELETE FROM prompt_templates WHERE id = $1', [existing.rows[0].id]);
+      await logPromptAction(client, req.user.id, 'delete_prompt_version', { name, version });
+
+      return { status: 200 };
+    });
+
+    if (result.status === 404) {
+      return res.status(404).json({ error: 'Prompt template version not found' });
+    }
+    if (result.status === 409) {
+      return res.status(409).json({ error: 'Active prompt template version cannot be deleted' });
+    }
+
+    res.json({ message: 'Prompt template version deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting prompt template version:', error);
+    res.status(500).json({ error: 'Failed to delete prompt template version' });
+  }
+});
+
+module.exports = router;
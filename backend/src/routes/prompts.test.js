@@ -0,0 +1,43 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../middleware/auth', () => ({ requireRole: () => (req, res, next) => next() }));
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../database/connection');
+const promptsRoutes = require('./prompts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/prompts', promptsRoutes);
+
+const emptyStats = { response_count: '0', rated_count: '0', average_rating: null, high_rated_count: '0' };
+
+beforeEach(() => {
+  query.mockReset();
+  query
+    .mockResolvedValueOnce({ rows: [] })
+    .mockResolvedValueOnce({ rows: [emptyStats] });
+});
+
+describe('GET /api/prompts/:name/stats', () => {
+  it('относит ответы встроенной версии к отрисованному шаблону, а не к отрасли запроса', async () => {
+    const response = await request(app).get('/api/prompts/legal-answer/stats');
+
+    expect(response.status).toBe(200);
+    const [builtInSql, builtInParams] = query.mock.calls[1];
+    expect(builtInSql).toContain('r.prompt_template_name = $1');
+    expect(builtInSql).not.toContain('legal_domain');
+    expect(builtInParams).toEqual(['legal-answer']);
+    expect(response.body.versions).toEqual([{ version: 0, ...emptyStats }]);
+  });
+
+  it('для SEO-статей относит к встроенной версии все статьи без версии шаблона', async () => {
+    await request(app).get('/api/prompts/seo-article/stats');
+
+    const [builtInSql, builtInParams] = query.mock.calls[1];
+    expect(builtInSql).toContain('FROM seo_articles r');
+    expect(builtInSql).not.toContain('prompt_template_name');
+    expect(builtInParams).toEqual([]);
+  });
+});
@@ -0,0 +1,171 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { param, query: queryParam, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const {
+  MAX_SITEMAP_URLS,
+  RSS_ITEMS,
+  listArticles,
+  listTags,
+  getArticleBySlug,
+  searchArticles,
+  listFeedArticles,
+  renderSitemap,
+  renderRss,
+  renderArticlePage,
+  renderNotFoundPage,
+  renderRobots
+} = require('../services/knowledgeBaseService');
+
+const router = express.Router();
+
+// Публичная база знаний: маршруты без авторизации.
+// sitemap.xml, rss.xml, robots.txt и страницы /articles/:slug отдаются через nginx с корня сайта
+
+// Семантический поиск расходует токены эмбеддингов, поэтому ограничен строже общего лимита
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: {
+    error: 'Too many search requests from this IP, please try again later.'
+  }
+});
+
+const CACHE_CONTROL = 'public, max-age=300';
+
+const slugValidator = param('slug').matches(/^[a-z0-9-]{1,100}$/).withMessage('slug must contain only latin letters, digits and hyphens');
+
+// Адрес сайта для абсолютных ссылок: PUBLIC_SITE_URL (обязателен в production, см. server.js)
+// или, при разработке, адрес, по которому пришёл запрос
+const siteUrl = (req) => (process.env.PUBLIC_SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Теги с опубликованными статьями
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await listTags();
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.json({ tags });
+  } catch (error) {
+    logger.error('Error fetching public tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Опубликованные статьи без текста, новые первыми. tag - название тега
+router.get('/articles', [
+  queryParam('tag').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('tag must be between 1 and 50 characters'),
+  queryParam('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, tag = null } = req.query;
+
+    const result = await listArticles({ tag, page: parseInt(page), limit: parseInt(limit) });
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching public articles:', error);
+    res.status(500).json({ error: 'Failed to fetch articles' });
+  }
+});
+
+// Поиск по опубликованным статьям. mode: text (по словам, по умолчанию) или semantic (по смыслу)
+router.get('/articles/search', searchLimiter, [
+  queryParam('q').isString().trim().isLength({ min: 2, max: 200 }).withMessage('q must be between 2 and 200 characters'),
+  queryParam('mode').optional().isIn(['text', 'semantic']).withMessage('mode must be one of: text, semantic')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, mode = 'text' } = req.query;
+    const articles = await searchArticles({ q, mode });
+
+    res.json({ query: q, mode, articles });
+  } catch (error) {
+    logger.error('Error searching public articles:', error);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+});
+
+router.get('/articles/:slug', [slugValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const article = await getArticleBySlug(req.params.slug);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.json(article);
+  } catch (error) {
+    logger.error('Error fetching public article:', error);
+    res.status(500).json({ error: 'Failed to fetch article' });
+  }
+});
+
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    // Главная и список статей тоже входят в карту сайта
+    const articles = await listFeedArticles(MAX_SITEMAP_URLS - 2);
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('application/xml').send(renderSitemap(articles, siteUrl(req)));
+  } catch (error) {
+    logger.error('Error generating sitemap:', error);
+    res.status(500).json({ error: 'Failed to generate sitemap' });
+  }
+});
+
+router.get('/rss.xml', async (req, res) => {
+  try {
+    const articles = await listFeedArticles(RSS_ITEMS);
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('application/rss+xml').send(renderRss(articles, siteUrl(req)));
+  } catch (error) {
+    logger.error('Error generating RSS feed:', error);
+    res.status(500).json({ error: 'Failed to generate RSS feed' });
+  }
+});
+
+router.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.type('text/plain').send(renderRobots(siteUrl(req)));
+});
+
+// Серверная отрисовка страницы статьи (nginx: /articles/:slug). Список статей - страница приложения
+router.get('/pages/articles', (req, res) => {
+  res.redirect(301, '/articles');
+});
+
+router.get('/pages/articles/:slug', async (req, res) => {
+  try {
+    const article = /^[a-z0-9-]{1,100}$/.test(req.params.slug) ? await getArticleBySlug(req.params.slug) : null;
+
+    if (!article) {
+      return res.status(404).type('html').send(renderNotFoundPage(siteUrl(req)));
+    }
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('html').send(renderArticlePage(article, siteUrl(req)));
+  } catch (error) {
+    logger.error('Error rendering article page:', error);
+    res.status(500).type('text/plain').send('Failed to render article');
+  }
+});
+
+module.exports = router;
@@ -5,11 +5,25 @@ const { query, transaction } = require('../database/connection');
 const { requireRole } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const { processQuery } = require('../services/aiService');
+const { streamToUser, completeQuery, submitTextQuery, refreshCachedQuery } = require('../services/queryService');
+const { resolveConversation } = require('../services/conversationService');
 const { uploadToS3, extractTextFromFile } = require('../services/fileService');
-const { transcribeAudio } = require('../services/audioService');
+const { indexQueryFiles, countPages } = require('../services/chunkService');
+const { transcribeAudio, getAudioDuration } = require('../services/audioService');
+const { consumeQuota, checkQuota } = require('../services/quotaService');
+const { requireQuota, sendQuotaError } = require('../middleware/quota');
+const { parseAsOfDate } = require('../services/lawVersionService');
+const { ANSWER_LANGUAGES } = require('../services/answerLanguageService');
+const { isRedactionEnabled, createRedactor } = require('../services/redactionService');
+const { reviewQueryContracts, formatContractReviewMarkdown } = require('../services/contractReviewService');
 
 const router = express.Router();
 
+// Режимы обработки загруженных файлов: ответ на вопрос или проверка договора
+const QUERY_MODES = ['qa', 'contract-review'];
+
+const LANGUAGE_ERROR = `language must be one of: ${Object.keys(ANSWER_LANGUAGES).join(', ')}`;
+
 // Настройка multer для загрузки файлов
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -32,7 +46,7 @@ const upload = multer({
 // Получить все запросы пользователя
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, tag } = req.query;
+    const { page = 1, limit = 10, status, tag, domain } = req.query;
     const offset = (page - 1) * limit;
     
     let whereClause = 'WHERE q.user_id = $1';
@@ -45,6 +59,12 @@ router.get('/', async (req, res) => {
       paramIndex++;
     }
 
+    if (domain) {
+      whereClause += ` AND q.legal_domain = $${paramIndex}`;
+      params.push(domain);
+      paramIndex++;
+    }
+
     if (tag) {
       whereClause += ` AND EXISTS (
         SELECT 1 FROM query_tags qt 
@@ -61,13 +81,18 @@ router.get('/', async (req, res) => {
         q.text,
         q.audio_path,
         q.files_path,
+        q.conversation_id,
         q.status,
+        q.legal_domain,
+        q.as_of_date,
+        q.answer_language,
         q.created_at,
         r.id as response_id,
+        r.version as response_version,
         r.rating,
         array_agg(DISTINCT t.name) as tags
       FROM queries q
-      LEFT JOIN responses r ON q.id = r.query_id
+      LEFT JOIN responses r ON q.id = r.query_id AND r.is_current = true
       LEFT JOIN query_tags qt ON q.id = qt.query_id
       LEFT JOIN tags t ON qt.tag_id = t.id
       ${whereClause}
@@ -107,14 +132,22 @@ router.get('/:id', async (req, res) => {
       SELECT 
         q.*,
         r.id as response_id,
+        r.version as response_version,
+        (SELECT COUNT(*) FROM responses rv WHERE rv.query_id = q.id)::int as response_versions,
         r.ai_response,
         r.rating,
         r.is_published,
-        r.seo_article,
+        (SELECT jsonb_build_object('id', a.id, 'slug', a.slug, 'status', a.status) FROM seo_articles a WHERE a.response_id = r.id) as seo_article,
+        r.citation_check,
         array_agg(DISTINCT t.name) as tags,
+        COALESCE(
+          jsonb_agg(DISTINCT jsonb_build_object('name', t.name, 'color', t.color, 'confidence', qt.confidence, 'source', qt.source))
+            FILTER (WHERE t.id IS NOT NULL),
+          '[]'
+        ) as tag_assignments,
         array_agg(DISTINCT pf.original_filename) as processed_files
       FROM queries q
-      LEFT JOIN responses r ON q.id = r.query_id
+      LEFT JOIN responses r ON q.id = r.query_id AND r.is_current = true
       LEFT JOIN query_tags qt ON q.id = qt.query_id
       LEFT JOIN tags t ON qt.tag_id = t.id
       LEFT JOIN processed_files pf ON q.id = pf.query_id
@@ -134,8 +167,12 @@ router.get('/:id', async (req, res) => {
 });
 
 // Создать новый запрос (текст)
-router.post('/text', [
-  body('text').trim().isLength({ min: 10, max: 5000 }).withMessage('Text must be between 10 and 5000 characters')
+router.post('/text', requireQuota(['queries']), [
+  body('text').trim().isLength({ min: 10, max: 5000 }).withMessage('Text must be between 10 and 5000 characters'),
+  body('conversationId').optional().isUUID().withMessage('conversationId must be a valid UUID'),
+  body('fresh').optional().isBoolean().withMessage('fresh must be a boolean'),
+  body('asOfDate').optional().custom(value => parseAsOfDate(value)),
+  body('language').optional().isIn(Object.keys(ANSWER_LANGUAGES)).withMessage(LANGUAGE_ERROR)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -143,109 +180,75 @@ router.post('/text', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { text } = req.body;
-    const io = req.app.get('io');
-
-    // Создаем запрос в базе данных
-    const queryResult = await transaction(async (client) => {
-      const queryInsert = await client.query(`
-        INSERT INTO queries (user_id, text, status)
-        VALUES ($1, $2, 'processing')
-        RETURNING id
-      `, [req.user.id, text]);
-
-      const queryId = queryInsert.rows[0].id;
-
-      // Логируем действие
-      await client.query(`
-        INSERT INTO activity_logs (user_id, action, details)
-        VALUES ($1, 'create_query', $2)
-      `, [req.user.id, JSON.stringify({ queryId, type: 'text' })]);
+    const { text, conversationId, fresh, asOfDate, language } = req.body;
 
-      return queryId;
+    const { queryId, conversationId: threadId } = await submitTextQuery({
+      io: req.app.get('io'),
+      userId: req.user.id,
+      text,
+      conversationId,
+      fresh: fresh === true || fresh === 'true',
+      asOfDate: asOfDate ? parseAsOfDate(asOfDate) : null,
+      language
     });
 
-    // Отправляем уведомление через Socket.IO
-    io.to(req.user.id).emit('query-status', {
-      queryId: queryResult,
-      status: 'processing',
-      message: 'Анализируем ваш запрос...'
-    });
-
-    // Обрабатываем запрос асинхронно
-    processQuery(queryResult, text, null, null, req.user.id)
-      .then(async (aiResponse) => {
-        // Сохраняем ответ
-        await transaction(async (client) => {
-          await client.query(`
-            UPDATE queries SET status = 'completed' WHERE id = $1
-          `, [queryResult]);
-
-          await client.query(`
-            INSERT INTO responses (query_id, ai_response)
-            VALUES ($1, $2)
-          `, [queryResult, aiResponse]);
-        });
-
-        // Отправляем результат
-        io.to(req.user.id).emit('query-completed', {
-          queryId: queryResult,
-          response: aiResponse
-        });
-      })
-      .catch(async (error) => {
-        logger.error('Error processing query:', error);
-        
-        await transaction(async (client) => {
-          await client.query(`
-            UPDATE queries SET status = 'failed' WHERE id = $1
-          `, [queryResult]);
-        });
-
-        io.to(req.user.id).emit('query-error', {
-          queryId: queryResult,
-          error: 'Ошибка при обработке запроса'
-        });
-      });
-
     res.json({ 
       message: 'Query submitted successfully',
-      queryId: queryResult
+      queryId,
+      conversationId: threadId
     });
   } catch (error) {
+    if (error.quota) {
+      return sendQuotaError(res, error);
+    }
+
     logger.error('Error creating text query:', error);
-    res.status(500).json({ error: 'Failed to create query' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create query' });
   }
 });
 
 // Создать новый запрос (голос)
-router.post('/voice', upload.single('audio'), async (req, res) => {
+router.post('/voice', requireQuota(['queries', 'audio_minutes']), upload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Audio file is required' });
     }
 
+    const { conversationId, language } = req.body;
+    if (language && !ANSWER_LANGUAGES[language]) {
+      return res.status(400).json({ error: LANGUAGE_ERROR });
+    }
+
+    const asOfDate = req.body.asOfDate ? parseAsOfDate(req.body.asOfDate) : null;
     const io = req.app.get('io');
 
+    // Длительность аудио в минутах для списания квоты
+    const audioMinutes = Math.max(1, Math.ceil((await getAudioDuration(req.file.buffer) || 0) / 60));
+    await checkQuota(req.user.id, { audio_minutes: audioMinutes });
+
     // Загружаем аудио в S3
     const audioPath = await uploadToS3(req.file.buffer, `audio/${Date.now()}_${req.file.originalname}`);
 
     // Создаем запрос в базе данных
-    const queryResult = await transaction(async (client) => {
+    const { queryId: queryResult, conversationId: threadId } = await transaction(async (client) => {
+      await consumeQuota(client, req.user.id, { queries: 1, audio_minutes: audioMinutes });
+
+      const threadId = await resolveConversation(client, req.user.id, conversationId, 'Голосовой запрос');
+
       const queryInsert = await client.query(`
-        INSERT INTO queries (user_id, text, audio_path, status)
-        VALUES ($1, 'Processing audio...', $2, 'processing')
+        INSERT INTO queries (user_id, conversation_id, text, audio_path, as_of_date, as_of_date_source, answer_language, answer_language_source, status)
+        VALUES ($1, $2, 'Processing audio...', $3, $4, $5, $6, $7, 'processing')
         RETURNING id
-      `, [req.user.id, audioPath]);
+      `, [req.user.id, threadId, audioPath, asOfDate, asOfDate ? 'user' : null, language || null, language ? 'user' : null]);
 
       const queryId = queryInsert.rows[0].id;
 
       await client.query(`
         INSERT INTO activity_logs (user_id, action, details)
         VALUES ($1, 'create_query', $2)
-      `, [req.user.id, JSON.stringify({ queryId, type: 'voice' })]);
+      `, [req.user.id, JSON.stringify({ queryId, conversationId: threadId, type: 'voice' })]);
 
-      return queryId;
+      return { queryId, conversationId: threadId };
     });
 
     // Отправляем уведомление
@@ -255,8 +258,8 @@ router.post('/voice', upload.single('audio'), async (req, res) => {
       message: 'Транскрибируем аудио...'
     });
 
-    // Транскрибируем аудио и обрабатываем запрос
-    transcribeAudio(audioPath)
+    // Транскрибируем аудио (на выбранном языке ответа, если он указан) и обрабатываем запрос
+    transcribeAudio(audioPath, { queryId: queryResult, userId: req.user.id }, language)
       .then(async (transcribedText) => {
         // Обновляем текст запроса
         await query(`
@@ -264,23 +267,21 @@ router.post('/voice', upload.single('audio'), async (req, res) => {
         `, [transcribedText, queryResult]);
 
         // Обрабатываем запрос
-        return processQuery(queryResult, transcribedText, audioPath, null, req.user.id);
-      })
-      .then(async (aiResponse) => {
-        await transaction(async (client) => {
-          await client.query(`
-            UPDATE queries SET status = 'completed' WHERE id = $1
-          `, [queryResult]);
-
-          await client.query(`
-            INSERT INTO responses (query_id, ai_response)
-            VALUES ($1, $2)
-          `, [queryResult, aiResponse]);
+        return processQuery(queryResult, transcribedText, audioPath, null, req.user.id, {
+          ...streamToUser(io, req.user.id, queryResult),
+          conversationId: threadId,
+          asOfDate,
+          language
         });
+      })
+      .then(async (result) => {
+        const saved = await completeQuery(queryResult, result);
 
         io.to(req.user.id).emit('query-completed', {
           queryId: queryResult,
-          response: aiResponse
+          conversationId: threadId,
+          response: result.aiResponse,
+          version: saved.version
         });
       })
       .catch(async (error) => {
@@ -300,89 +301,159 @@ router.post('/voice', upload.single('audio'), async (req, res) => {
 
     res.json({ 
       message: 'Voice query submitted successfully',
-      queryId: queryResult
+      queryId: queryResult,
+      conversationId: threadId
     });
   } catch (error) {
+    if (error.quota) {
+      return sendQuotaError(res, error);
+    }
+
     logger.error('Error creating voice query:', error);
-    res.status(500).json({ error: 'Failed to create voice query' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create voice query' });
   }
 });
 
 // Создать новый запрос (файлы)
-router.post('/files', upload.array('files', 5), async (req, res) => {
+router.post('/files', requireQuota(['queries', 'file_pages']), upload.array('files', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'At least one file is required' });
     }
 
-    const { text } = req.body;
+    const { text, conversationId, mode = 'qa', language } = req.body;
+    if (!QUERY_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${QUERY_MODES.join(', ')}` });
+    }
+
+    if (language && !ANSWER_LANGUAGES[language]) {
+      return res.status(400).json({ error: LANGUAGE_ERROR });
+    }
+
+    const asOfDate = req.body.asOfDate ? parseAsOfDate(req.body.asOfDate) : null;
     const io = req.app.get('io');
 
-    // Загружаем файлы в S3 и извлекаем текст
-    const filePaths = [];
+    // Извлекаем текст и считаем страницы до загрузки в S3, чтобы не загружать файлы сверх квоты
     const extractedTexts = [];
+    const pageCounts = [];
 
     for (const file of req.files) {
-      const filePath = await uploadToS3(file.buffer, `files/${Date.now()}_${file.originalname}`);
-      filePaths.push(filePath);
-      
       const extractedText = await extractTextFromFile(file.buffer, file.originalname);
       extractedTexts.push(extractedText);
+      pageCounts.push(countPages(extractedText));
+    }
+
+    const totalPages = pageCounts.reduce((sum, pages) => sum + pages, 0);
+    await checkQuota(req.user.id, { file_pages: totalPages });
+
+    // Загружаем файлы в S3
+    const filePaths = [];
+
+    for (const file of req.files) {
+      const filePath = await uploadToS3(file.buffer, `files/${Date.now()}_${file.originalname}`);
+      filePaths.push(filePath);
     }
 
     // Создаем запрос в базе данных
-    const queryResult = await transaction(async (client) => {
+    const { queryId: queryResult, conversationId: threadId, files } = await transaction(async (client) => {
+      await consumeQuota(client, req.user.id, { queries: 1, file_pages: totalPages });
+
+      const title = text || req.files.map(file => file.originalname).join(', ');
+      const threadId = await resolveConversation(client, req.user.id, conversationId, title);
+
       const queryInsert = await client.query(`
-        INSERT INTO queries (user_id, text, files_path, status)
-        VALUES ($1, $2, $3, 'processing')
+        INSERT INTO queries (user_id, conversation_id, text, files_path, as_of_date, as_of_date_source, answer_language, answer_language_source, mode, status)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'processing')
         RETURNING id
-      `, [req.user.id, text || 'Analyzing uploaded files...', filePaths]);
+      `, [req.user.id, threadId, text || 'Analyzing uploaded files...', filePaths, asOfDate, asOfDate ? 'user' : null, language || null, language ? 'user' : null, mode]);
 
       const queryId = queryInsert.rows[0].id;
 
-      // Сохраняем информацию о файлах
+      // Сохраняем информацию о файлах (статус completed выставляется после индексации фрагментов)
+      const files = [];
       for (let i = 0; i < req.files.length; i++) {
-        await client.query(`
-          INSERT INTO processed_files (query_id, original_filename, s3_path, file_type, extracted_text, processing_status)
-          VALUES ($1, $2, $3, $4, $5, 'completed')
-        `, [queryId, req.files[i].originalname, filePaths[i], req.files[i].mimetype, extractedTexts[i]]);
+        const fileInsert = await client.query(`
+          INSERT INTO processed_files (query_id, original_filename, s3_path, file_type, extracted_text, page_count, processing_status)
+          VALUES ($1, $2, $3, $4, $5, $6, 'processing')
+          RETURNING id
+        `, [queryId, req.files[i].originalname, filePaths[i], req.files[i].mimetype, extractedTexts[i], pageCounts[i]]);
+
+        files.push({ id: fileInsert.rows[0].id, text: extractedTexts[i], filename: req.files[i].originalname });
       }
 
       await client.query(`
         INSERT INTO activity_logs (user_id, action, details)
         VALUES ($1, 'create_query', $2)
-      `, [req.user.id, JSON.stringify({ queryId, type: 'files', fileCount: req.files.length })]);
+      `, [req.user.id, JSON.stringify({ queryId, conversationId: threadId, type: 'files', mode, fileCount: req.files.length })]);
 
-      return queryId;
+      return { queryId, conversationId: threadId, files };
     });
 
     // Отправляем уведомление
     io.to(req.user.id).emit('query-status', {
       queryId: queryResult,
       status: 'processing',
-      message: 'Анализируем документы...'
+      message: mode === 'contract-review' ? 'Проверяем договор...' : 'Анализируем документы...'
     });
 
-    // Обрабатываем запрос с извлеченным текстом
-    const combinedText = extractedTexts.join('\n\n');
-    const finalText = text ? `${text}\n\nДокументы:\n${combinedText}` : combinedText;
-
-    processQuery(queryResult, finalText, null, filePaths, req.user.id)
-      .then(async (aiResponse) => {
-        await transaction(async (client) => {
-          await client.query(`
-            UPDATE queries SET status = 'completed' WHERE id = $1
+    // Один обезличиватель на индексацию и ответ: метки персональных данных в фрагментах и промте совпадают
+    const redactor = isRedactionEnabled() ? createRedactor() : null;
+
+    // Проверка договора: вместо ответа на вопрос - отчёт по пунктам с рисками и отсутствующими условиями
+    if (mode === 'contract-review') {
+      indexQueryFiles(queryResult, files, { userId: req.user.id, redactor })
+        .then(() => reviewQueryContracts(queryResult, files, {
+          request: text || null,
+          context: { queryId: queryResult, userId: req.user.id, redactor }
+        }))
+        .then((reports) => {
+          io.to(req.user.id).emit('query-completed', {
+            queryId: queryResult,
+            conversationId: threadId,
+            contractReview: reports
+          });
+        })
+        .catch(async (error) => {
+          logger.error('Error reviewing contract:', error);
+
+          await query(`
+            UPDATE queries SET status = 'failed' WHERE id = $1
           `, [queryResult]);
 
-          await client.query(`
-            INSERT INTO responses (query_id, ai_response)
-            VALUES ($1, $2)
-          `, [queryResult, aiResponse]);
+          io.to(req.user.id).emit('query-error', {
+            queryId: queryResult,
+            error: 'Ошибка при проверке договора'
+          });
         });
 
+      return res.json({
+        message: 'Contract review submitted successfully',
+        queryId: queryResult,
+        conversationId: threadId,
+        mode
+      });
+    }
+
+    // Текст документов в промт целиком не попадает: он разбивается на фрагменты,
+    // и в контекст модели подставляются только релевантные вопросу
+    const question = text || 'Проанализируй загруженные документы: кратко опиши их суть и укажи юридические риски';
+
+    indexQueryFiles(queryResult, files, { userId: req.user.id, redactor })
+      .then(() => processQuery(queryResult, question, null, filePaths, req.user.id, {
+        ...streamToUser(io, req.user.id, queryResult),
+        conversationId: threadId,
+        asOfDate,
+        language,
+        redactor
+      }))
+      .then(async (result) => {
+        const saved = await completeQuery(queryResult, result);
+
         io.to(req.user.id).emit('query-completed', {
           queryId: queryResult,
-          response: aiResponse
+          conversationId: threadId,
+          response: result.aiResponse,
+          version: saved.version
         });
       })
       .catch(async (error) => {
@@ -402,11 +473,92 @@ router.post('/files', upload.array('files', 5), async (req, res) => {
 
     res.json({ 
       message: 'Files query submitted successfully',
-      queryId: queryResult
+      queryId: queryResult,
+      conversationId: threadId,
+      mode
     });
   } catch (error) {
+    if (error.quota) {
+      return sendQuotaError(res, error);
+    }
+
     logger.error('Error creating files query:', error);
-    res.status(500).json({ error: 'Failed to create files query' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create files query' });
+  }
+});
+
+// Загрузка отчётов проверки договора для запроса владельца
+const loadContractReviews = async (queryId, userId) => {
+  const result = await query(`
+    SELECT cr.report, cr.created_at
+    FROM contract_reviews cr
+    JOIN queries q ON cr.query_id = q.id
+    WHERE cr.query_id = $1 AND q.user_id = $2
+    ORDER BY cr.created_at, cr.id
+  `, [queryId, userId]);
+
+  return result.rows.map(row => ({ ...row.report, createdAt: row.created_at }));
+};
+
+// Отчёт проверки договора
+router.get('/:id/contract-review', async (req, res) => {
+  try {
+    const reports = await loadContractReviews(req.params.id, req.user.id);
+
+    if (reports.length === 0) {
+      return res.status(404).json({ error: 'Contract review not found' });
+    }
+
+    res.json({ queryId: req.params.id, reports });
+  } catch (error) {
+    logger.error('Error fetching contract review:', error);
+    res.status(500).json({ error: 'Failed to fetch contract review' });
+  }
+});
+
+// Выгрузка отчёта проверки договора: format=json (по умолчанию) или md
+router.get('/:id/contract-review/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'md'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of: json, md' });
+    }
+
+    const reports = await loadContractReviews(req.params.id, req.user.id);
+
+    if (reports.length === 0) {
+      return res.status(404).json({ error: 'Contract review not found' });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="contract-review-${req.params.id}.${format}"`);
+
+    if (format === 'md') {
+      return res.type('text/markdown; charset=utf-8').send(formatContractReviewMarkdown(reports));
+    }
+
+    res.json({ queryId: req.params.id, reports });
+  } catch (error) {
+    logger.error('Error exporting contract review:', error);
+    res.status(500).json({ error: 'Failed to export contract review' });
+  }
+});
+
+// Сгенерировать новый ответ вместо ответа из семантического кэша
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    const result = await refreshCachedQuery({
+      io: req.app.get('io'),
+      userId: req.user.id,
+      queryId: req.params.id
+    });
+
+    res.json({
+      message: 'Query refresh started',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error refreshing cached query:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to refresh query' });
   }
 });
 
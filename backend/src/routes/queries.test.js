@@ -0,0 +1,73 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../services/aiService', () => ({ processQuery: jest.fn() }));
+jest.mock('../services/fileService', () => ({ uploadToS3: jest.fn(), extractTextFromFile: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { query, transaction } = require('../database/connection');
+const { processQuery } = require('../services/aiService');
+const queriesRoutes = require('./queries');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'u1', role: 'user' };
+  next();
+});
+app.set('io', { to: () => ({ emit: jest.fn() }) });
+app.use('/api/queries', queriesRoutes);
+
+// Тариф пользователя и счётчики: used - до создания запроса, consumed - после списания в транзакции
+const mockDatabase = ({ monthlyQueries, used, consumed = used + 1 }) => {
+  const plan = { code: 'basic', monthly_queries: monthlyQueries };
+  const answer = async (sql) => {
+    if (sql.includes('FROM users u')) return { rows: [plan] };
+    if (sql.includes('FROM usage_counters')) return { rows: [{ metric: 'queries', used }] };
+    if (sql.includes('INSERT INTO usage_counters')) return { rows: [{ used: consumed }] };
+    return { rows: [] };
+  };
+
+  query.mockImplementation(answer);
+  transaction.mockImplementation(async (callback) => callback({ query: jest.fn(answer) }));
+};
+
+const submit = () => request(app).post('/api/queries/text').send({ text: 'Меня уволили без предупреждения, что делать?' });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/queries/text: квоты тарифа', () => {
+  it('отвечает 402, если запросы не входят в тариф', async () => {
+    mockDatabase({ monthlyQueries: 0, used: 0 });
+
+    const response = await submit();
+
+    expect(response.status).toBe(402);
+    expect(response.headers['retry-after']).toBeUndefined();
+    expect(response.body.quota).toMatchObject({ metric: 'queries', plan: 'basic', limit: 0 });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('отвечает 429 с Retry-After до начала следующего периода, если лимит исчерпан', async () => {
+    mockDatabase({ monthlyQueries: 10, used: 10 });
+
+    const response = await submit();
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.body.quota).toMatchObject({ metric: 'queries', limit: 10, used: 10, remaining: 0 });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('отвечает 429, если лимит исчерпан параллельным запросом после предварительной проверки', async () => {
+    mockDatabase({ monthlyQueries: 10, used: 9, consumed: 11 });
+
+    const response = await submit();
+
+    expect(response.status).toBe(429);
+    expect(response.body.quota).toMatchObject({ used: 10, requested: 1 });
+    expect(processQuery).not.toHaveBeenCalled();
+  });
+});
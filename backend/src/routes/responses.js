@@ -3,25 +3,45 @@ const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../database/connection');
 const { requireRole } = require('../middleware/auth');
 const logger = require('../utils/logger');
-const { generateSEOArticle } = require('../services/aiService');
+const { sendN8nWebhook } = require('../services/aiService');
+const { generateArticle, findResponseArticle, publishResponseArticle, formatPublishedArticle } = require('../services/seoArticleService');
+const { tryConsumeQuota } = require('../services/quotaService');
+const { regenerateResponse } = require('../services/queryService');
+const { requireQuota, sendQuotaError } = require('../middleware/quota');
+const { openLawyerReview, getReviewSettings, describeSla } = require('../services/lawyerReviewService');
 
 const router = express.Router();
 
-// Получить ответ по ID запроса
+// Условие выбора версии ответа: указанная номером в параметре param или текущая, если номер не передан
+const versionCondition = (param) => `(r.version = $${param} OR ($${param}::int IS NULL AND r.is_current = true))`;
+
+// Получить ответ по ID запроса (текущую версию или ?version=N) и состояние проверки юристом
 router.get('/:queryId', async (req, res) => {
   try {
     const { queryId } = req.params;
     const userId = req.user.id;
+    const version = parseInt(req.query.version) || null;
 
     const result = await query(`
       SELECT 
         r.*,
+        (SELECT COUNT(*) FROM responses rv WHERE rv.query_id = r.query_id)::int as version_count,
         q.text as query_text,
-        q.status as query_status
+        q.status as query_status,
+        lr.status as lawyer_review_status,
+        lr.due_at as lawyer_review_due_at,
+        lr.resolution as lawyer_review_resolution
       FROM responses r
       JOIN queries q ON r.query_id = q.id
-      WHERE r.query_id = $1 AND q.user_id = $2
-    `, [queryId, userId]);
+      LEFT JOIN LATERAL (
+        SELECT status, due_at, resolution
+        FROM lawyer_reviews
+        WHERE query_id = r.query_id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lr ON true
+      WHERE r.query_id = $1 AND q.user_id = $2 AND ${versionCondition(3)}
+    `, [queryId, userId, version]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Response not found' });
@@ -34,9 +54,124 @@ router.get('/:queryId', async (req, res) => {
   }
 });
 
-// Оценить ответ
+// Все версии ответа на запрос, от первой к последней
+router.get('/:queryId/versions', async (req, res) => {
+  try {
+    const { queryId } = req.params;
+
+    const result = await query(`
+      SELECT 
+        r.id,
+        r.version,
+        r.is_current,
+        r.is_published,
+        r.rating,
+        r.regeneration_guidance,
+        r.ai_response,
+        r.validation_errors,
+        r.citation_check,
+        r.cached_from_response_id,
+        r.created_at
+      FROM responses r
+      JOIN queries q ON r.query_id = q.id
+      WHERE r.query_id = $1 AND q.user_id = $2
+      ORDER BY r.version
+    `, [queryId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    res.json({ queryId, versions: result.rows });
+  } catch (error) {
+    logger.error('Error fetching response versions:', error);
+    res.status(500).json({ error: 'Failed to fetch response versions' });
+  }
+});
+
+// Выбрать текущую версию ответа
+router.put('/:queryId/versions/:version/current', async (req, res) => {
+  try {
+    const { queryId } = req.params;
+    const version = parseInt(req.params.version);
+    const userId = req.user.id;
+
+    const selected = await transaction(async (client) => {
+      const target = await client.query(`
+        SELECT r.id
+        FROM responses r
+        JOIN queries q ON r.query_id = q.id
+        WHERE r.query_id = $1 AND r.version = $2 AND q.user_id = $3
+      `, [queryId, version, userId]);
+
+      if (target.rows.length === 0) {
+        return null;
+      }
+
+      // Сначала снимаем отметку с прежней версии: текущей может быть только одна
+      await client.query(`
+        UPDATE responses SET is_current = false WHERE query_id = $1 AND is_current = true
+      `, [queryId]);
+
+      await client.query(`
+        UPDATE responses SET is_current = true WHERE id = $1
+      `, [target.rows[0].id]);
+
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'select_response_version', $2)
+      `, [userId, JSON.stringify({ queryId, version })]);
+
+      return target.rows[0];
+    });
+
+    if (!selected) {
+      return res.status(404).json({ error: 'Response version not found' });
+    }
+
+    res.json({ message: 'Response version selected', queryId, version, responseId: selected.id });
+  } catch (error) {
+    logger.error('Error selecting response version:', error);
+    res.status(500).json({ error: 'Failed to select response version' });
+  }
+});
+
+// Сгенерировать новую версию ответа, при желании с пожеланиями пользователя.
+// Прежние версии сохраняются, новая становится текущей
+router.post('/:queryId/regenerate', requireQuota(['queries']), [
+  body('guidance').optional().trim().isLength({ max: 1000 }).withMessage('Guidance too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await regenerateResponse({
+      io: req.app.get('io'),
+      userId: req.user.id,
+      queryId: req.params.queryId,
+      guidance: req.body.guidance || null
+    });
+
+    res.json({
+      message: 'Response regeneration started',
+      ...result
+    });
+  } catch (error) {
+    if (error.quota) {
+      return sendQuotaError(res, error);
+    }
+
+    logger.error('Error regenerating response:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to regenerate response' });
+  }
+});
+
+// Оценить ответ (текущую версию или указанную в version)
 router.post('/:queryId/rate', [
-  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -46,6 +181,7 @@ router.post('/:queryId/rate', [
 
     const { queryId } = req.params;
     const { rating } = req.body;
+    const version = req.body.version ? parseInt(req.body.version) : null;
     const userId = req.user.id;
 
     // Проверяем, что пользователь является владельцем запроса
@@ -57,88 +193,308 @@ router.post('/:queryId/rate', [
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    // Обновляем рейтинг
-    await transaction(async (client) => {
-      await client.query(`
-        UPDATE responses 
-        SET rating = $1 
-        WHERE query_id = $2
-      `, [rating, queryId]);
+    // Обновляем рейтинг версии ответа
+    const rated = await transaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE responses r
+        SET rating = $2 
+        WHERE r.query_id = $1 AND ${versionCondition(3)}
+        RETURNING r.id, r.version, EXISTS (SELECT 1 FROM seo_articles a WHERE a.response_id = r.id) as has_article
+      `, [queryId, rating, version]);
+
+      if (updated.rows.length === 0) {
+        return null;
+      }
+
+      const response = updated.rows[0];
 
       // Логируем оценку
       await client.query(`
         INSERT INTO activity_logs (user_id, action, details)
         VALUES ($1, 'rate_response', $2)
-      `, [userId, JSON.stringify({ queryId, rating })]);
-
-      // Если рейтинг высокий (4-5), генерируем SEO статью
-      if (rating >= 4) {
-        const responseResult = await client.query(`
-          SELECT ai_response FROM responses WHERE query_id = $1
-        `, [queryId]);
-
-        if (responseResult.rows.length > 0) {
-          const aiResponse = responseResult.rows[0].ai_response;
-          
-          // Генерируем SEO статью асинхронно
-          generateSEOArticle(queryId, aiResponse)
-            .then(async (seoArticle) => {
-              await query(`
-                UPDATE responses 
-                SET seo_article = $1 
-                WHERE query_id = $2
-              `, [seoArticle, queryId]);
-              
-              logger.info('SEO article generated for high-rated response:', { queryId, rating });
+      `, [userId, JSON.stringify({ queryId, version: response.version, rating })]);
+
+      // Если рейтинг высокий (4-5), генерируем SEO статью по этой версии ответа
+      if (rating >= 4 && !response.has_article) {
+        // SEO-статья генерируется один раз на версию и только в пределах квоты тарифа пользователя
+        const withinQuota = await tryConsumeQuota(client, userId, { seo_articles: 1 });
+
+        if (withinQuota) {
+          // Генерируем SEO статью асинхронно: она сохраняется черновиком для редакторов
+          generateArticle(response.id, { userId })
+            .then(() => {
+              logger.info('SEO article generated for high-rated response:', { queryId, version: response.version, rating });
             })
             .catch(error => {
               logger.error('Error generating SEO article:', error);
             });
         }
       }
+
+      return response;
     });
 
-    logger.info('Response rated successfully:', { queryId, rating, userId });
+    if (!rated) {
+      return res.status(404).json({ error: 'Response version not found' });
+    }
+
+    logger.info('Response rated successfully:', { queryId, version: rated.version, rating, userId });
 
-    res.json({ message: 'Response rated successfully' });
+    res.json({ message: 'Response rated successfully', version: rated.version });
   } catch (error) {
     logger.error('Error rating response:', error);
     res.status(500).json({ error: 'Failed to rate response' });
   }
 });
 
-// Публикация ответа (только для админов/модераторов)
-router.post('/:queryId/publish', requireRole(['admin', 'moderator']), async (req, res) => {
+// Публикация ответа (только для админов/модераторов).
+// Публикуется одна версия ответа на запрос: указанная в version или текущая;
+// публикация другой версии снимает с публикации прежнюю. SEO-статья версии публикуется вместе с ответом
+// и отправляется в n8n; статья-черновик должна быть сначала передана на проверку
+router.post('/:queryId/publish', requireRole(['admin', 'moderator']), [
+  body('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { queryId } = req.params;
     const { isPublished } = req.body;
+    const version = req.body.version ? parseInt(req.body.version) : null;
 
-    const result = await query(`
-      UPDATE responses 
-      SET is_published = $1 
-      WHERE query_id = $2
-      RETURNING id
-    `, [isPublished, queryId]);
+    const check = await query(`
+      SELECT r.id, r.version, r.injection_suspected, r.injection_review
+      FROM responses r
+      WHERE r.query_id = $1 AND ${versionCondition(2)}
+    `, [queryId, version]);
 
-    if (result.rows.length === 0) {
+    const target = check.rows[0];
+    if (!target) {
       return res.status(404).json({ error: 'Response not found' });
     }
 
-    // Логируем публикацию
-    await query(`
-      INSERT INTO activity_logs (user_id, action, details)
-      VALUES ($1, 'publish_response', $2)
-    `, [req.user.id, JSON.stringify({ queryId, isPublished })]);
+    // Ответ по документам с признаками prompt injection публикуется только после проверки модератором
+    if (isPublished && target.injection_suspected && (!target.injection_review || target.injection_review.verdict !== 'false-positive')) {
+      return res.status(409).json({ error: 'Response with suspected prompt injection must be reviewed before publishing' });
+    }
 
-    logger.info('Response publication status updated:', { queryId, isPublished, userId: req.user.id });
+    const article = isPublished ? await findResponseArticle(target.id) : null;
+    if (article && article.status === 'draft') {
+      return res.status(409).json({ error: 'SEO article must be moved to review before publishing' });
+    }
+
+    const publishedArticle = await transaction(async (client) => {
+      // Сначала снимаем с публикации все версии: опубликованной может быть только одна
+      await client.query(`
+        UPDATE responses SET is_published = false WHERE query_id = $1 AND is_published = true
+      `, [queryId]);
 
-    res.json({ message: `Response ${isPublished ? 'published' : 'unpublished'} successfully` });
+      if (isPublished) {
+        await client.query(`
+          UPDATE responses SET is_published = true WHERE id = $1
+        `, [target.id]);
+      }
+
+      const published = await publishResponseArticle(client, { queryId, responseId: target.id, isPublished });
+
+      // Логируем публикацию
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'publish_response', $2)
+      `, [req.user.id, JSON.stringify({ queryId, version: target.version, isPublished, articleId: published ? published.id : null })]);
+
+      return published;
+    });
+
+    if (publishedArticle) {
+      sendN8nWebhook('publish-article', formatPublishedArticle(publishedArticle));
+    }
+
+    logger.info('Response publication status updated:', { queryId, version: target.version, isPublished, userId: req.user.id });
+
+    res.json({
+      message: `Response ${isPublished ? 'published' : 'unpublished'} successfully`,
+      version: target.version,
+      article: publishedArticle ? { id: publishedArticle.id, slug: publishedArticle.slug, status: publishedArticle.status } : null
+    });
   } catch (error) {
     logger.error('Error updating response publication status:', error);
     res.status(500).json({ error: 'Failed to update response publication status' });
   }
 });
 
+// Ответы, исправленные после проверки схемы (только для админов/модераторов)
+router.get('/moderation/repaired', requireRole(['admin', 'moderator']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, invalidOnly } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = invalidOnly === 'true'
+      ? "WHERE r.validation_errors IS NOT NULL AND (r.validation_errors->>'valid')::boolean = false"
+      : 'WHERE r.validation_errors IS NOT NULL';
+
+    const result = await query(`
+      SELECT 
+        r.id,
+        r.query_id,
+        r.version,
+        q.text as query_text,
+        r.ai_response,
+        r.validation_errors,
+        r.rating,
+        r.created_at
+      FROM responses r
+      JOIN queries q ON r.query_id = q.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM responses r
+      ${whereClause}
+    `);
+
+    res.json({
+      responses: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching repaired responses:', error);
+    res.status(500).json({ error: 'Failed to fetch repaired responses' });
+  }
+});
+
+// Ответы, при генерации которых в документах найдены признаки prompt injection (только для админов/модераторов).
+// status: pending - ещё не проверены, reviewed - проверены, all - все
+router.get('/moderation/injections', requireRole(['admin', 'moderator']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE r.injection_suspected = true';
+    if (status === 'pending') {
+      whereClause += ' AND r.injection_review IS NULL';
+    } else if (status === 'reviewed') {
+      whereClause += ' AND r.injection_review IS NOT NULL';
+    }
+
+    const result = await query(`
+      SELECT 
+        r.id,
+        r.query_id,
+        r.version,
+        q.text as query_text,
+        q.user_id,
+        r.ai_response,
+        r.injection_check,
+        r.injection_review,
+        r.is_published,
+        r.created_at
+      FROM responses r
+      JOIN queries q ON r.query_id = q.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM responses r
+      ${whereClause}
+    `);
+
+    res.json({
+      responses: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].total),
+        pages: Math.ceil(countResult.rows[0].total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching responses with suspected injection:', error);
+    res.status(500).json({ error: 'Failed to fetch responses with suspected injection' });
+  }
+});
+
+// Решение модератора по подозрению на prompt injection.
+// Подтверждённая атака снимает ответ с публикации
+router.post('/:queryId/injection-review', requireRole(['admin', 'moderator']), [
+  body('verdict').isIn(['confirmed', 'false-positive']).withMessage('verdict must be confirmed or false-positive'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { queryId } = req.params;
+    const { verdict, note } = req.body;
+
+    const review = {
+      verdict,
+      note: note || null,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date().toISOString()
+    };
+
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE responses
+        SET
+          injection_review = $1,
+          is_published = CASE WHEN $2 THEN false ELSE is_published END,
+          updated_at = NOW()
+        WHERE query_id = $3 AND injection_suspected = true
+        RETURNING id, is_published
+      `, [review, verdict === 'confirmed', queryId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      // Снятый с публикации ответ уводит с публикации и свою SEO-статью
+      if (verdict === 'confirmed') {
+        await publishResponseArticle(client, { queryId, responseId: null, isPublished: false });
+      }
+
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'review_prompt_injection', $2)
+      `, [req.user.id, JSON.stringify({ queryId, verdict })]);
+
+      // Решение относится к документам запроса, поэтому применяется ко всем версиям ответа
+      return { isPublished: result.rows.some(row => row.is_published) };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Response with suspected injection not found' });
+    }
+
+    logger.info('Prompt injection reviewed:', { queryId, verdict, userId: req.user.id });
+
+    res.json({
+      message: 'Review saved successfully',
+      review,
+      isPublished: updated.isPublished
+    });
+  } catch (error) {
+    logger.error('Error saving prompt injection review:', error);
+    res.status(500).json({ error: 'Failed to save prompt injection review' });
+  }
+});
+
 // Получить статистику ответов
 router.get('/stats/overview', async (req, res) => {
   try {
@@ -237,7 +593,7 @@ router.get('/:queryId/similar', async (req, res) => {
       SELECT r.embedding, q.text
       FROM responses r
       JOIN queries q ON r.query_id = q.id
-      WHERE r.query_id = $1 AND q.user_id = $2
+      WHERE r.query_id = $1 AND q.user_id = $2 AND r.is_current = true
     `, [queryId, userId]);
 
     if (currentResponse.rows.length === 0) {
@@ -260,6 +616,7 @@ router.get('/:queryId/similar', async (req, res) => {
       FROM responses r
       JOIN queries q ON r.query_id = q.id
       WHERE r.query_id != $2 
+        AND r.is_current = true
         AND r.embedding IS NOT NULL
         AND 1 - (r.embedding <=> $1) > 0.7
       ORDER BY r.embedding <=> $1
@@ -296,20 +653,35 @@ router.post('/:queryId/request-consultation', [
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    // Логируем запрос на консультацию
-    await query(`
-      INSERT INTO activity_logs (user_id, action, details)
-      VALUES ($1, 'request_consultation', $2)
-    `, [userId, JSON.stringify({ queryId, message })]);
+    // Запрос попадает в очередь проверки юристом (или дополняет уже открытую задачу по этому запросу)
+    const review = await transaction(async (client) => {
+      const current = await client.query(`
+        SELECT id FROM responses WHERE query_id = $1 AND is_current = true
+      `, [queryId]);
+
+      const created = await openLawyerReview(client, {
+        queryId,
+        responseId: current.rows.length > 0 ? current.rows[0].id : null,
+        reason: 'consultation',
+        message: message || null
+      });
 
-    // Здесь можно добавить логику отправки уведомления юристу
-    // Например, через Telegram бота или email
+      // Логируем запрос на консультацию
+      await client.query(`
+        INSERT INTO activity_logs (user_id, action, details)
+        VALUES ($1, 'request_consultation', $2)
+      `, [userId, JSON.stringify({ queryId, message, reviewId: created.id })]);
+
+      return created;
+    });
 
-    logger.info('Consultation requested:', { queryId, userId, message });
+    logger.info('Consultation requested:', { queryId, userId, reviewId: review.id });
 
     res.json({ 
       message: 'Consultation request submitted successfully',
-      estimatedResponseTime: '24 hours'
+      reviewId: review.id,
+      estimatedResponseTime: `${getReviewSettings().slaHours} hours`,
+      sla: describeSla(review)
     });
   } catch (error) {
     logger.error('Error requesting consultation:', error);
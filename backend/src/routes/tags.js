@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query, transaction } = require('../database/connection');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { normalizeKeywords, updateTagCentroid, startRetagJob } = require('../services/tagService');
+
+const router = express.Router();
+
+// Поля тега без центроида
+const TAG_COLUMNS = `
+  t.id, t.name, t.description, t.color, t.keywords, t.examples, t.is_active,
+  t.centroid IS NOT NULL as has_centroid, t.centroid_updated_at, t.created_at, t.updated_at
+`;
+
+const tagValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 2, max: 50 }).withMessage('name must be between 2 and 50 characters'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('description must be at most 500 characters'),
+  body('color').optional().matches(/^#[0-9A-Fa-f]{6}$/).withMessage('color must be a hex color like #3B82F6'),
+  body('keywords').optional().isArray({ max: 50 }).withMessage('keywords must be an array of at most 50 items'),
+  body('keywords.*').isString().trim().isLength({ min: 2, max: 50 }).withMessage('keywords must be between 2 and 50 characters'),
+  body('examples').optional().isArray({ max: 20 }).withMessage('examples must be an array of at most 20 items'),
+  body('examples.*').isString().trim().isLength({ min: 10, max: 1000 }).withMessage('examples must be between 10 and 1000 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const findTag = async (tagId) => {
+  const result = await query(`SELECT ${TAG_COLUMNS} FROM tags t WHERE t.id = $1`, [tagId]);
+  return result.rows[0] || null;
+};
+
+// Центроид пересчитывается сразу; если это не удалось, он будет рассчитан при следующей разметке
+const refreshCentroid = async (tag) => {
+  try {
+    await updateTagCentroid(tag);
+  } catch (error) {
+    logger.error('Error updating tag centroid:', { tagId: tag.id, error: error.message });
+  }
+};
+
+const logTagAction = (client, userId, action, details) => client.query(`
+  INSERT INTO activity_logs (user_id, action, details)
+  VALUES ($1, $2, $3)
+`, [userId, action, JSON.stringify(details)]);
+
+// Все теги с числом размеченных запросов
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT ${TAG_COLUMNS}, COUNT(qt.query_id)::int as query_count
+      FROM tags t
+      LEFT JOIN query_tags qt ON qt.tag_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+
+    res.json({ tags: result.rows });
+  } catch (error) {
+    logger.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Создание тега. keywords - начала слов («увольн»), examples - примеры вопросов для центроида
+router.post('/', requireRole(['admin']), tagValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description = null, color, keywords = [], examples = [], isActive = true } = req.body;
+
+    const tag = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO tags (name, description, color, keywords, examples, is_active)
+        VALUES ($1, $2, COALESCE($3, '#3B82F6'), $4, $5, $6)
+        RETURNING id
+      `, [name, description, color, normalizeKeywords(keywords), examples, isActive]);
+
+      await logTagAction(client, req.user.id, 'create_tag', { tagId: result.rows[0].id, name });
+
+      return { id: result.rows[0].id, name, description, examples };
+    });
+
+    await refreshCentroid(tag);
+
+    logger.info('Tag created:', { tagId: tag.id, name });
+
+    res.status(201).json(await findTag(tag.id));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Tag with this name already exists' });
+    }
+
+    logger.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Изменение тега: переданные поля заменяют прежние (keywords и examples - целиком)
+router.put('/:id', requireRole(['admin']), [
+  param('id').isUUID().withMessage('id must be a UUID'),
+  ...tagValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findTag(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { name, description, color, keywords, examples, isActive } = req.body;
+
+    const updated = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE tags
+        SET
+          name = COALESCE($1, name),
+          description = CASE WHEN $2 THEN $3 ELSE description END,
+          color = COALESCE($4, color),
+          keywords = COALESCE($5, keywords),
+          examples = COALESCE($6, examples),
+          is_active = COALESCE($7, is_active)
+        WHERE id = $8
+        RETURNING id, name, description, examples
+      `, [
+        name,
+        description !== undefined,
+        description === undefined ? null : description,
+        color,
+        keywords ? normalizeKeywords(keywords) : null,
+        examples || null,
+        isActive === undefined ? null : isActive,
+        existing.id
+      ]);
+
+      await logTagAction(client, req.user.id, 'update_tag', { tagId: existing.id, fields: Object.keys(req.body) });
+
+      return result.rows[0];
+    });
+
+    // Центроид зависит только от названия, описания и примеров
+    if (name !== undefined || description !== undefined || examples !== undefined) {
+      await refreshCentroid(updated);
+    }
+
+    res.json(await findTag(existing.id));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Tag with this name already exists' });
+    }
+
+    logger.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Удаление тега вместе с его разметкой запросов
+router.delete('/:id', requireRole(['admin']), [
+  param('id').isUUID().withMessage('id must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const deleted = await transaction(async (client) => {
+      const result = await client.query('DELETE FROM tags WHERE id = $1 RETURNING id, name', [req.params.id]);
+
+      if (result.rows.length > 0) {
+        await logTagAction(client, req.user.id, 'delete_tag', { tagId: result.rows[0].id, name: result.rows[0].name });
+      }
+
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    logger.info('Tag deleted:', { tagId: deleted.id, name: deleted.name });
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+// Повторная разметка сохранённых запросов за период (since, until); onlyUntagged - только запросы без тегов
+router.post('/retag', requireRole(['admin']), [
+  body('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  body('until').optional().isISO8601().withMessage('until must be an ISO 8601 date'),
+  body('onlyUntagged').optional().isBoolean().withMessage('onlyUntagged must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await startRetagJob({
+      userId: req.user.id,
+      since: req.body.since || null,
+      until: req.body.until || null,
+      onlyUntagged: req.body.onlyUntagged === true || req.body.onlyUntagged === 'true'
+    });
+
+    res.status(202).json(job);
+  } catch (error) {
+    logger.error('Error starting re-tag job:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to start re-tag job' });
+  }
+});
+
+// Последние задания повторной разметки
+router.get('/retag/jobs', requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT * FROM tag_jobs ORDER BY created_at DESC LIMIT 20
+    `);
+
+    res.json({ jobs: result.rows });
+  } catch (error) {
+    logger.error('Error fetching re-tag jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch re-tag jobs' });
+  }
+});
+
+router.get('/retag/jobs/:id', requireRole(['admin']), [
+  param('id').isUUID().withMessage('id must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await query('SELECT * FROM tag_jobs WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Re-tag job not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error fetching re-tag job:', error);
+    res.status(500).json({ error: 'Failed to fetch re-tag job' });
+  }
+});
+
+module.exports = router;
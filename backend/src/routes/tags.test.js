@@ -0,0 +1,88 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../middleware/auth', () => ({ requireRole: () => (req, res, next) => next() }));
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../database/connection');
+const tagsRoutes = require('./tags');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: 'admin-1', role: 'admin' };
+  next();
+});
+app.use('/api/tags', tagsRoutes);
+
+const job = { id: 'job-1', status: 'running', total: 2 };
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const callsWith = (fragment) => query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+// Задание выполняется после ответа маршрута: ждём, пока оно дойдёт до нужного запроса
+const waitForCall = async (fragment) => {
+  for (let attempt = 0; attempt < 20 && callsWith(fragment).length === 0; attempt++) {
+    await flush();
+  }
+  return callsWith(fragment);
+};
+
+// Задание без запросов для разметки: пустая первая пачка
+const mockJobQueries = ({ insertError = null } = {}) => {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('COUNT(*) as total')) return { rows: [{ total: '2' }] };
+    if (sql.includes('INSERT INTO tag_jobs')) {
+      if (insertError) throw insertError;
+      return { rows: [{ ...job, options: params[0] }] };
+    }
+    return { rows: [] };
+  });
+};
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+describe('POST /api/tags/retag', () => {
+  it('запускает задание за период и завершает его в фоне', async () => {
+    mockJobQueries();
+
+    const response = await request(app).post('/api/tags/retag').send({ since: '2026-01-01', onlyUntagged: true });
+    const completed = await waitForCall("UPDATE tag_jobs SET status = 'completed'");
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject(job);
+    expect(callsWith('COUNT(*) as total')[0][1]).toEqual(['2026-01-01', null, true]);
+    expect(callsWith('INSERT INTO tag_jobs')[0][1]).toEqual([{ since: '2026-01-01', until: null, onlyUntagged: true }, 2, 'admin-1']);
+    expect(callsWith("error = 'Interrupted'")).toHaveLength(1);
+    expect(completed[0][1]).toEqual(['job-1']);
+  });
+
+  it('отвечает 409, пока выполняется другое задание', async () => {
+    mockJobQueries({ insertError: Object.assign(new Error('duplicate key'), { code: '23505' }) });
+
+    const response = await request(app).post('/api/tags/retag').send({});
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('A re-tag job is already running');
+  });
+
+  it('проверяет даты периода', async () => {
+    const response = await request(app).post('/api/tags/retag').send({ since: 'вчера' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].msg).toBe('since must be an ISO 8601 date');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/tags/retag/jobs/:id', () => {
+  it('отвечает 404 для неизвестного задания', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    const response = await request(app).get('/api/tags/retag/jobs/5f0c6a3e-8b2d-4c1a-9e7f-2d3b4a5c6d7e');
+
+    expect(response.status).toBe(404);
+  });
+});
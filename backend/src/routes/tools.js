@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { DEADLINE_RULES, calculateDeadline, describeCalendarYear } = require('../services/deadlineService');
+const { COURTS, CLAIM_TYPES, EXEMPTIONS, calculateCourtFee } = require('../services/courtFeeService');
+const { scheduleDictionaryLoad, checkText, applyCorrections } = require('../services/spellService');
+
+const router = express.Router();
+
+// Правила расчёта сроков
+router.get('/deadlines/rules', (req, res) => {
+  res.json({
+    rules: Object.entries(DEADLINE_RULES).map(([id, { pattern, unless, ...rule }]) => ({ id, ...rule }))
+  });
+});
+
+// Расчёт срока по правилу (rule) или по произвольному периоду (amount, unit, counting) от даты события
+router.post('/deadlines', [
+  body('eventDate').isISO8601({ strict: true }).withMessage('eventDate must be a date in YYYY-MM-DD format'),
+  body('rule').optional().isIn(Object.keys(DEADLINE_RULES)).withMessage(`rule must be one of: ${Object.keys(DEADLINE_RULES).join(', ')}`),
+  body('amount').optional().isInt({ min: 1, max: 3650 }).withMessage('amount must be between 1 and 3650'),
+  body('unit').optional().isIn(['days', 'months', 'years']).withMessage('unit must be one of: days, months, years'),
+  body('counting').optional().isIn(['calendar', 'business']).withMessage('counting must be one of: calendar, business')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { rule, amount, unit, counting = 'calendar' } = req.body;
+    if (!rule && !(amount && unit)) {
+      return res.status(400).json({ error: 'Either rule or amount and unit are required' });
+    }
+
+    const eventDate = req.body.eventDate.slice(0, 10);
+
+    const deadline = calculateDeadline({
+      ruleId: rule || null,
+      period: rule ? null : { amount: parseInt(amount), unit, counting },
+      eventDate
+    });
+
+    res.json(deadline);
+  } catch (error) {
+    logger.error('Error calculating deadline:', error);
+    res.status(500).json({ error: 'Failed to calculate deadline' });
+  }
+});
+
+// Производственный календарь на год
+router.get('/calendar/:year', [
+  param('year').isInt({ min: 1992, max: 2100 }).withMessage('year must be between 1992 and 2100')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  res.json(describeCalendarYear(parseInt(req.params.year)));
+});
+
+// Суды, виды обращений и льготы для калькулятора госпошлины
+router.get('/court-fee/options', (req, res) => {
+  res.json({
+    courts: Object.entries(COURTS).map(([id, title]) => ({ id, title })),
+    claimTypes: Object.entries(CLAIM_TYPES).map(([id, title]) => ({ id, title })),
+    exemptions: Object.entries(EXEMPTIONS).map(([id, exemption]) => ({ id, ...exemption }))
+  });
+});
+
+// Расчёт госпошлины: amount обязателен для имущественных исков и судебного приказа
+router.post('/court-fee', [
+  body('court').optional().isIn(Object.keys(COURTS)).withMessage(`court must be one of: ${Object.keys(COURTS).join(', ')}`),
+  body('claimType').optional().isIn(Object.keys(CLAIM_TYPES)).withMessage(`claimType must be one of: ${Object.keys(CLAIM_TYPES).join(', ')}`),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+  body('applicant').optional().isIn(['individual', 'organization']).withMessage('applicant must be one of: individual, organization'),
+  body('exemption').optional({ nullable: true }).isIn(Object.keys(EXEMPTIONS)).withMessage(`exemption must be one of: ${Object.keys(EXEMPTIONS).join(', ')}`)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { court, claimType, amount, applicant, exemption } = req.body;
+
+    res.json(calculateCourtFee({
+      court,
+      claimType,
+      amount: amount === undefined ? null : parseFloat(amount),
+      applicant,
+      exemption: exemption || null
+    }));
+  } catch (error) {
+    logger.error('Error calculating court fee:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to calculate court fee' });
+  }
+});
+
+// Проверка орфографии: ошибки с позициями (offset, length) и вариантами замены, текст не изменяется
+router.post('/spellcheck', [
+  body('text').isString().isLength({ min: 1, max: 5000 }).withMessage('text must be between 1 and 5000 characters')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!scheduleDictionaryLoad()) {
+      res.set('Retry-After', '10');
+      return res.status(503).json({ error: 'Spelling dictionary is loading, try again in a few seconds' });
+    }
+
+    res.json(checkText(req.body.text));
+  } catch (error) {
+    logger.error('Error checking spelling:', error);
+    res.status(500).json({ error: 'Failed to check spelling' });
+  }
+});
+
+// Применение исправлений, принятых пользователем: { offset, length, replacement, word }
+router.post('/spellcheck/apply', [
+  body('text').isString().isLength({ min: 1, max: 5000 }).withMessage('text must be between 1 and 5000 characters'),
+  body('corrections').isArray({ max: 100 }).withMessage('corrections must be an array of at most 100 items'),
+  body('corrections.*.offset').isInt({ min: 0 }).toInt().withMessage('offset must be a non-negative integer'),
+  body('corrections.*.length').isInt({ min: 0 }).toInt().withMessage('length must be a non-negative integer'),
+  body('corrections.*.replacement').isString().isLength({ max: 100 }).withMessage('replacement must be a string of at most 100 characters'),
+  body('corrections.*.word').optional().isString().withMessage('word must be a string')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json({ text: applyCorrections(req.body.text, req.body.corrections) });
+  } catch (error) {
+    logger.error('Error applying spelling corrections:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to apply corrections' });
+  }
+});
+
+module.exports = router;
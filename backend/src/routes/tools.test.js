@@ -0,0 +1,49 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../services/spellService', () => ({
+  ...jest.requireActual('../services/spellService'),
+  scheduleDictionaryLoad: jest.fn(),
+  checkText: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { scheduleDictionaryLoad, checkText } = require('../services/spellService');
+const toolsRoutes = require('./tools');
+
+const app = express();
+app.use(express.json());
+app.use('/api/tools', toolsRoutes);
+
+describe('POST /api/tools/spellcheck', () => {
+  it('отвечает 503, пока словарь загружается', async () => {
+    scheduleDictionaryLoad.mockReturnValue(false);
+
+    const response = await request(app).post('/api/tools/spellcheck').send({ text: 'Меня уволели' });
+
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('10');
+    expect(checkText).not.toHaveBeenCalled();
+  });
+
+  it('проверяет текст после загрузки словаря', async () => {
+    scheduleDictionaryLoad.mockReturnValue(true);
+    checkText.mockReturnValue({ text: 'Меня уволели', suggestions: [] });
+
+    const response = await request(app).post('/api/tools/spellcheck').send({ text: 'Меня уволели' });
+
+    expect(response.status).toBe(200);
+    expect(checkText).toHaveBeenCalledWith('Меня уволели');
+  });
+
+  it('применяет исправления без загрузки словаря', async () => {
+    scheduleDictionaryLoad.mockClear();
+
+    const response = await request(app).post('/api/tools/spellcheck/apply').send({
+      text: 'Меня уволели',
+      corrections: [{ offset: 5, length: 7, word: 'уволели', replacement: 'уволили' }]
+    });
+
+    expect(response.body).toEqual({ text: 'Меня уволили' });
+    expect(scheduleDictionaryLoad).not.toHaveBeenCalled();
+  });
+});
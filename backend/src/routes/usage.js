@@ -0,0 +1,69 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { REPORT_GROUPS, getUsageReport, getQueryUsage, getRedactionReport } = require('../services/usageService');
+
+const router = express.Router();
+
+// Отчёты по расходам доступны только админам
+router.use(requireRole(['admin']));
+
+// Сводный отчёт по расходам: по дням, пользователям, модальностям, назначениям или моделям
+router.get('/report', [
+  queryParam('groupBy').optional().isIn(Object.keys(REPORT_GROUPS)).withMessage(`groupBy must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}`),
+  queryParam('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  queryParam('userId').optional().isUUID().withMessage('userId must be a UUID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupBy = 'day', from, to, userId, feature } = req.query;
+
+    const report = await getUsageReport({ groupBy, from, to, userId, feature });
+
+    res.json({ ...report, from: from || null, to: to || null });
+  } catch (error) {
+    logger.error('Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+});
+
+// Обезличенные персональные данные по видам за период
+router.get('/redactions', [
+  queryParam('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to } = req.query;
+
+    const report = await getRedactionReport({ from, to });
+
+    res.json({ ...report, from: from || null, to: to || null });
+  } catch (error) {
+    logger.error('Error building redaction report:', error);
+    res.status(500).json({ error: 'Failed to build redaction report' });
+  }
+});
+
+// Расход по одному запросу
+router.get('/queries/:queryId', async (req, res) => {
+  try {
+    const usage = await getQueryUsage(req.params.queryId);
+    res.json(usage);
+  } catch (error) {
+    logger.error('Error fetching query usage:', error);
+    res.status(500).json({ error: 'Failed to fetch query usage' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../database/connection');
 const { requireRole } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { getUsageSummary } = require('../services/quotaService');
+const { ANSWER_LANGUAGES, LANGUAGE_PREFERENCES } = require('../services/answerLanguageService');
 
 const router = express.Router();
 
@@ -16,6 +18,8 @@ router.get('/profile', async (req, res) => {
         first_name,
         last_name,
         role,
+        plan,
+        preferred_language,
         created_at,
         updated_at
       FROM users 
@@ -33,10 +37,20 @@ router.get('/profile', async (req, res) => {
   }
 });
 
-// Обновить профиль пользователя
+// Языки ответов для настройки профиля (auto - язык вопроса)
+router.get('/languages', (req, res) => {
+  res.json({
+    languages: Object.entries(ANSWER_LANGUAGES).map(([code, { name }]) => ({ code, name })),
+    preferences: LANGUAGE_PREFERENCES
+  });
+});
+
+// Обновить профиль пользователя.
+// preferredLanguage - язык ответов по умолчанию, auto - отвечать на языке вопроса
 router.put('/profile', [
   body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
-  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters')
+  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
+  body('preferredLanguage').optional().isIn(LANGUAGE_PREFERENCES).withMessage(`preferredLanguage must be one of: ${LANGUAGE_PREFERENCES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -44,7 +58,7 @@ router.put('/profile', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName } = req.body;
+    const { firstName, lastName, preferredLanguage } = req.body;
     const userId = req.user.id;
 
     const result = await transaction(async (client) => {
@@ -53,16 +67,17 @@ router.put('/profile', [
         SET 
           first_name = COALESCE($1, first_name),
           last_name = COALESCE($2, last_name),
+          preferred_language = COALESCE($3, preferred_language),
           updated_at = NOW()
-        WHERE id = $3
-        RETURNING id, email, first_name, last_name, role, updated_at
-      `, [firstName, lastName, userId]);
+        WHERE id = $4
+        RETURNING id, email, first_name, last_name, role, preferred_language, updated_at
+      `, [firstName, lastName, preferredLanguage, userId]);
 
       // Логируем обновление профиля
       await client.query(`
         INSERT INTO activity_logs (user_id, action, details)
         VALUES ($1, 'update_profile', $2)
-      `, [userId, JSON.stringify({ firstName, lastName })]);
+      `, [userId, JSON.stringify({ firstName, lastName, preferredLanguage })]);
 
       return updateResult.rows[0];
     });
@@ -93,7 +108,7 @@ router.get('/stats', async (req, res) => {
         COUNT(CASE WHEN q.files_path IS NOT NULL AND array_length(q.files_path, 1) > 0 THEN 1 END) as file_queries
       FROM users u
       LEFT JOIN queries q ON u.id = q.user_id
-      LEFT JOIN responses r ON q.id = r.query_id
+      LEFT JOIN responses r ON q.id = r.query_id AND r.is_current = true
       WHERE u.id = $1
     `, [userId]);
 
@@ -104,6 +119,40 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Тариф и остаток квот за текущий месяц
+router.get('/usage', async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user.id);
+    res.json(usage);
+  } catch (error) {
+    logger.error('Error fetching user usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Доступные тарифы
+router.get('/plans', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        code,
+        name,
+        price_rub,
+        monthly_queries,
+        monthly_file_pages,
+        monthly_audio_minutes,
+        monthly_seo_articles
+      FROM plans
+      ORDER BY price_rub ASC
+    `);
+
+    res.json({ plans: result.rows });
+  } catch (error) {
+    logger.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+});
+
 // Получить активность пользователя
 router.get('/activity', async (req, res) => {
   try {
@@ -173,6 +222,7 @@ router.get('/', requireRole(['admin']), async (req, res) => {
         first_name,
         last_name,
         role,
+        plan,
         is_active,
         created_at,
         updated_at
@@ -207,7 +257,8 @@ router.get('/', requireRole(['admin']), async (req, res) => {
 // Обновить пользователя (только для админов)
 router.put('/:userId', requireRole(['admin']), [
   body('role').optional().isIn(['user', 'moderator', 'admin']).withMessage('Invalid role'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('plan').optional().isIn(['free', 'pro', 'business']).withMessage('Invalid plan')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -216,7 +267,7 @@ router.put('/:userId', requireRole(['admin']), [
     }
 
     const { userId } = req.params;
-    const { role, isActive } = req.body;
+    const { role, isActive, plan } = req.body;
 
     const result = await transaction(async (client) => {
       const updateResult = await client.query(`
@@ -224,18 +275,19 @@ router.put('/:userId', requireRole(['admin']), [
         SET 
           role = COALESCE($1, role),
           is_active = COALESCE($2, is_active),
+          plan = COALESCE($3, plan),
           updated_at = NOW()
-        WHERE id = $3
-        RETURNING id, email, first_name, last_name, role, is_active, updated_at
-      `, [role, isActive, userId]);
+        WHERE id = $4
+        RETURNING id, email, first_name, last_name, role, plan, is_active, updated_at
+      `, [role, isActive, plan, userId]);
 
       // Логируем обновление пользователя
       await client.query(`
         INSERT INTO activity_logs (user_id, action, details)
         VALUES ($1, 'update_user', $2)
-      `, [req.user.id, JSON.stringify({ targetUserId: userId, role, isActive })]);
+      `, [req.user.id, JSON.stringify({ targetUserId: userId, role, isActive, plan })]);
 
-      return updateResult.rows[0];
+      return updateResult;
     });
 
     if (result.rows.length === 0) {
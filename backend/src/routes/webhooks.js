@@ -1,4 +1,5 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const logger = require('../utils/logger');
 
@@ -67,12 +68,31 @@ router.post('/high-rated-response', async (req, res) => {
   }
 });
 
-// Webhook для публикации статей
-router.post('/publish-article', async (req, res) => {
+// Webhook для публикации статей: статья передаётся идентификатором SEO-статьи и должна быть опубликована
+router.post('/publish-article', [
+  body('articleId').isUUID().withMessage('articleId must be a UUID')
+], async (req, res) => {
   try {
-    const { queryId, seoArticle } = req.body;
-
-    logger.info('N8N webhook received - publish article:', { queryId });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { articleId } = req.body;
+
+    const result = await query(`
+      SELECT id, query_id, slug, status FROM seo_articles WHERE id = $1
+    `, [articleId]);
+
+    const article = result.rows[0];
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    if (article.status !== 'published') {
+      return res.status(409).json({ error: 'Article is not published' });
+    }
+
+    logger.info('N8N webhook received - publish article:', { articleId: article.id, queryId: article.query_id, slug: article.slug });
 
     // Здесь можно добавить логику для автоматизации
     // Например, публикация в CMS, отправка в социальные сети и т.д.
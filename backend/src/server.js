@@ -9,19 +9,39 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const db = require('./database/connection');
-const authMiddleware = require('./middleware/auth');
+const { authMiddleware } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 
 // Routes
 const authRoutes = require('./routes/auth');
-// const queryRoutes = require('./routes/queries');
-// const responseRoutes = require('./routes/responses');
-// const fileRoutes = require('./routes/files');
-// const userRoutes = require('./routes/users');
-// const webhookRoutes = require('./routes/webhooks');
+const queryRoutes = require('./routes/queries');
+const responseRoutes = require('./routes/responses');
+const fileRoutes = require('./routes/files');
+const userRoutes = require('./routes/users');
+const webhookRoutes = require('./routes/webhooks');
+const conversationRoutes = require('./routes/conversations');
+const promptRoutes = require('./routes/prompts');
+const usageRoutes = require('./routes/usage');
+const lawyerReviewRoutes = require('./routes/lawyerReviews');
+const documentRoutes = require('./routes/documents');
+const toolRoutes = require('./routes/tools');
+const tagRoutes = require('./routes/tags');
+const articleRoutes = require('./routes/articles');
+const publicRoutes = require('./routes/public');
+
+// Публичные ссылки (canonical, sitemap.xml, RSS) кэшируются, поэтому в production адрес сайта
+// задаётся явно, а не берётся из заголовка Host запроса
+if (process.env.NODE_ENV === 'production' && !process.env.PUBLIC_SITE_URL) {
+  logger.error('PUBLIC_SITE_URL must be set in production');
+  process.exit(1);
+}
 
 const app = express();
 const server = createServer(app);
+
+// Адрес клиента для лимитов запросов и логов берётся из X-Forwarded-For, выставленного прокси (nginx).
+// TRUST_PROXY - число прокси перед сервером; без него все посетители за nginx делят один лимит
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 0);
 const io = new Server(server, {
   cors: {
     origin: process.env.CORS_ORIGIN || "http://localhost:3000",
@@ -69,11 +89,20 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
-// app.use('/api/queries', authMiddleware, queryRoutes);
-// app.use('/api/responses', authMiddleware, responseRoutes);
-// app.use('/api/files', authMiddleware, fileRoutes);
-// app.use('/api/users', authMiddleware, userRoutes);
-// app.use('/api/webhooks', webhookRoutes);
+app.use('/api/queries', authMiddleware, queryRoutes);
+app.use('/api/responses', authMiddleware, responseRoutes);
+app.use('/api/files', authMiddleware, fileRoutes);
+app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/conversations', authMiddleware, conversationRoutes);
+app.use('/api/prompts', authMiddleware, promptRoutes);
+app.use('/api/usage', authMiddleware, usageRoutes);
+app.use('/api/lawyer-reviews', authMiddleware, lawyerReviewRoutes);
+app.use('/api/documents', authMiddleware, documentRoutes);
+app.use('/api/tools', authMiddleware, toolRoutes);
+app.use('/api/tags', authMiddleware, tagRoutes);
+app.use('/api/articles', authMiddleware, articleRoutes);
+app.use('/api/public', publicRoutes);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -1,55 +1,87 @@
-const OpenAI = require('openai');
 const { query } = require('../database/connection');
 const logger = require('../utils/logger');
-const { getEmbedding } = require('./embeddingService');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Промт для юридических запросов
-const LEGAL_PROMPT = `Ты профессиональный юрист РФ с многолетним опытом работы. 
-Твоя задача - анализировать документы пользователя и отвечать на его юридические вопросы.
-
-ПРАВИЛА ОТВЕТА:
-1. Всегда ссылайся на конкретные статьи законов РФ
-2. Приводи примеры из судебной практики
-3. Давай практические рекомендации
-4. В конце обязательно добавь: "ВАЖНО: Это не юридическая консультация. Для получения квалифицированной помощи обратитесь к юристу."
-
-СТРУКТУРА ОТВЕТА:
-{
-  "text": "Основной ответ на вопрос",
-  "laws": [
-    {
-      "article": "Статья 123 ГК РФ",
-      "description": "Описание статьи"
-    }
-  ],
-  "practice": [
-    {
-      "case": "Постановление Пленума ВС РФ №123",
-      "description": "Описание практики"
-    }
-  ],
-  "recommendations": [
-    "Практическая рекомендация 1",
-    "Практическая рекомендация 2"
-  ],
-  "confidence": 0.95
-}
+const llm = require('./llm');
+const { getEmbedding, toSqlVector } = require('./embeddingService');
+const { parsePartialJSON } = require('../utils/partialJson');
+const { validateAIResponse, normalizeAIResponse, buildRepairMessage } = require('./responseValidator');
+const { verifyCitations } = require('./citationService');
+const { getConversationHistory } = require('./conversationService');
+const { retrieveRelevantChunks, formatChunksForPrompt, resolveSources } = require('./chunkService');
+const { selectTemplate, renderPrompt, legalAnswerTemplateName } = require('./promptService');
+const { findCachedAnswer } = require('./answerCacheService');
+const { classifyLegalDomain, getDomainPromptVariables, getDomainAnnotations } = require('./legalDomainService');
+const { resolveAsOfDate, getAsOfDatePromptVariables, buildLawVersionInfo } = require('./lawVersionService');
+const { isRedactionEnabled, createRedactor } = require('./redactionService');
+const { summarizeInjectionCheck } = require('./injectionService');
+const { assessConfidence } = require('./lawyerReviewService');
+const { calculateDeadlinesForQuestion, formatDeadlinesForPrompt } = require('./deadlineService');
+const { calculateCourtFeeForQuestion, formatCourtFeeForPrompt } = require('./courtFeeService');
+const { DEFAULT_ANSWER_LANGUAGE, resolveAnswerLanguage, localizeSystemMessage, formatLanguageInstruction } = require('./answerLanguageService');
+const { tagQuery } = require('./tagService');
+
+// Сколько раз просить модель исправить ответ, не прошедший проверку схемы
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Обработка запроса через AI.
+// options.onDelta({ delta, partial }) включает стриминг: partial - уже разобранная часть JSON ответа;
+// options.conversationId добавляет в контекст предыдущие ходы диалога;
+// options.allowCache разрешает вернуть сохранённый ответ на почти такой же вопрос без обращения к модели;
+// options.asOfDate - указанная пользователем дата событий (иначе определяется по тексту вопроса);
+// options.language - указанный пользователем язык ответа (иначе из профиля или по тексту вопроса);
+// options.redactor - обезличиватель запроса, если он уже использовался (например, при индексации файлов);
+// options.regeneration - { previousAnswer, guidance } при повторной генерации ответа
+const processQuery = async (queryId, text, audioPath = null, filePaths = null, userId, options = {}) => {
+  try {
+    logger.info('Processing AI query:', { queryId, textLength: text.length });
 
-Вопрос пользователя: {question}
+    // Запрос и пользователь, на которых записывается расход токенов всех вызовов модели.
+    // Общий обезличиватель даёт одинаковые метки персональных данных во всех вызовах по запросу
+    const redactor = isRedactionEnabled() ? (options.redactor || createRedactor()) : null;
+    const usageContext = { queryId, userId, redactor };
 
-Документы пользователя: {documents}`;
+    // Отрасль права определяет шаблон промта, основные кодексы и предупреждения в ответе
+    const { domain, source: domainSource } = await classifyLegalDomain(text, usageContext);
+    logger.info('Legal domain detected:', { queryId, domain, source: domainSource });
 
-// Обработка запроса через AI
-const processQuery = async (queryId, text, audioPath = null, filePaths = null, userId) => {
-  try {
-    logger.info('Processing AI query:', { queryId, textLength: text.length });
+    // Дата, на которую применяется закон
+    const lawDate = resolveAsOfDate(options.asOfDate, text);
+
+    // Язык ответа: ссылки на законы при этом остаются на русском
+    const answerLanguage = await resolveAnswerLanguage({ language: options.language, userId, text });
+
+    // Сроки, о которых спрашивает вопрос, рассчитываются по правилам и производственному календарю, а не моделью
+    const deadlines = calculateDeadlinesForQuestion(text);
+
+    // Госпошлина по упомянутой в вопросе цене иска - по шкалам НК РФ
+    const courtFee = calculateCourtFeeForQuestion(text, domain);
+
+    // Эмбеддинг вопроса: по нему ищутся кэшированные ответы и похожие случаи
+    const questionEmbedding = await getEmbedding(text, usageContext);
+
+    await query(`
+      UPDATE queries
+      SET embedding = $1, legal_domain = $2, as_of_date = $3, as_of_date_source = $4, answer_language = $5, answer_language_source = $6
+      WHERE id = $7
+    `, [toSqlVector(questionEmbedding), domain, lawDate.asOfDate, lawDate.source, answerLanguage.language, answerLanguage.source, queryId]);
+
+    // Ответ о сроках зависит от дат вопроса и текущей даты, а о пошлине - от цены иска, поэтому из кэша не берётся
+    if (options.allowCache && deadlines.length === 0 && !courtFee) {
+      const cached = await findCachedAnswer({
+        embedding: questionEmbedding,
+        queryId,
+        userId,
+        domain,
+        asOfDate: lawDate.asOfDate,
+        language: answerLanguage.language
+      });
+      if (cached) {
+        logger.info('Serving cached answer:', { queryId, cachedFrom: cached.queryId, similarity: cached.similarity });
+        return buildCachedResult(cached, redactor);
+      }
+    }
 
     // Поиск похожих запросов для контекста
-    const similarQueries = await findSimilarQueries(text);
+    const similarQueries = await findSimilarQueries(questionEmbedding);
     
     // Формируем контекст из похожих запросов
     let context = '';
@@ -57,59 +89,110 @@ const processQuery = async (queryId, text, audioPath = null, filePaths = null, u
       context = '\n\nПохожие случаи:\n' + similarQueries.map(q => q.text).join('\n');
     }
 
-    // Формируем промт
-    const prompt = LEGAL_PROMPT
-      .replace('{question}', text)
-      .replace('{documents}', filePaths ? `Загружены документы: ${filePaths.join(', ')}` : 'Документы не загружены')
-      + context;
-
-    // Вызываем OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: 'Ты профессиональный юрист РФ. Отвечай только на русском языке в формате JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000,
-      response_format: { type: "json_object" }
+    const { onDelta, conversationId } = options;
+
+    // Наиболее релевантные вопросу фрагменты документов запроса (и всего диалога)
+    const chunks = await retrieveRelevantChunks({ queryId, conversationId, question: text, context: usageContext });
+
+    let documents = 'Документы не загружены';
+    if (chunks.length > 0) {
+      documents = formatChunksForPrompt(chunks);
+    } else if (filePaths) {
+      documents = 'Текст документов извлечь не удалось';
+    }
+
+    // Формируем промт по версии шаблона отрасли, выбранной для этого запроса
+    const template = await selectTemplate(legalAnswerTemplateName(domain), queryId);
+    const rendered = renderPrompt(template, {
+      question: text,
+      documents,
+      ...getDomainPromptVariables(domain),
+      ...getAsOfDatePromptVariables(lawDate.asOfDate)
     });
+    const prompt = rendered.prompt + context + formatDeadlinesForPrompt(deadlines) + formatCourtFeeForPrompt(courtFee) +
+      formatLanguageInstruction(answerLanguage.language) +
+      (options.regeneration ? buildRegenerationNote(options.regeneration) : '');
 
-    const responseText = completion.choices[0].message.content;
-    let aiResponse;
+    // Предыдущие вопросы и ответы диалога, урезанные по бюджету токенов
+    const history = conversationId ? await getConversationHistory(conversationId, queryId) : [];
 
-    try {
-      aiResponse = JSON.parse(responseText);
-    } catch (parseError) {
-      logger.error('Failed to parse AI response:', parseError);
-      // Fallback response
-      aiResponse = {
-        text: responseText,
-        laws: [],
-        practice: [],
-        recommendations: [],
-        confidence: 0.7
-      };
+    const messages = [
+      {
+        role: 'system',
+        content: localizeSystemMessage(rendered.systemMessage, answerLanguage.language)
+      },
+      ...history,
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+
+    // Вызываем LLM в JSON-режиме (потоково, если передан onDelta)
+    const complete = onDelta ? llm.chatJSONStream : llm.chatJSON;
+    const completion = await complete({
+      feature: 'legal-answer',
+      context: usageContext,
+      messages,
+      // При повторной генерации ответ должен заметно отличаться от предыдущего
+      temperature: options.regeneration ? 0.5 : 0.3,
+      maxTokens: 2000,
+      onDelta: onDelta && ((delta, content) => {
+        onDelta({ delta, partial: parsePartialJSON(content) });
+      })
+    });
+
+    // Проверяем ответ по схеме и при необходимости просим модель исправить его
+    const repaired = await validateAndRepair(usageContext, messages, completion.content);
+    const { validationErrors } = repaired;
+
+    // Сверяем ссылки на статьи с локальным корпусом законодательства и редакциями на дату событий
+    const verified = await verifyCitations(repaired.aiResponse, { asOfDate: lawDate.asOfDate });
+    const { citationCheck } = verified;
+
+    // Были ли среди переданных модели фрагментов похожие на инструкции
+    const injectionCheck = summarizeInjectionCheck(chunks);
+    if (injectionCheck && injectionCheck.suspected) {
+      logger.warn('Answer generated from documents with suspected prompt injection:', { queryId, segments: injectionCheck.segments.length });
     }
 
-    // Получаем эмбеддинг для семантического поиска
-    const embedding = await getEmbedding(text + ' ' + aiResponse.text);
+    // Привязываем утверждения ответа к файлам, страницам и абзацам
+    // и добавляем обязательные предупреждения отрасли
+    const aiResponse = {
+      ...resolveSources(verified.aiResponse, chunks),
+      ...getDomainAnnotations(domain)
+    };
 
-    // Сохраняем эмбеддинг в базу данных
-    await query(`
-      UPDATE responses 
-      SET embedding = $1 
-      WHERE query_id = $2
-    `, [embedding, queryId]);
+    // Редакция закона на дату событий и предупреждение о его изменениях с тех пор
+    const lawVersion = buildLawVersionInfo(lawDate, aiResponse.laws);
+    if (lawVersion) {
+      aiResponse.lawVersion = lawVersion;
+    }
+
+    if (deadlines.length > 0) {
+      aiResponse.deadlines = deadlines;
+    }
+
+    if (courtFee) {
+      aiResponse.courtFee = courtFee;
+    }
+
+    if (answerLanguage.language !== DEFAULT_ANSWER_LANGUAGE) {
+      aiResponse.language = answerLanguage.language;
+    }
 
-    // Автоматически определяем теги
-    await autoTagQuery(queryId, text, aiResponse);
+    // Ответ с низкой уверенностью модели помечается для проверки юристом (задача создаётся при сохранении)
+    const lawyerReview = assessConfidence(aiResponse);
+    if (lawyerReview) {
+      aiResponse.lawyerReview = lawyerReview;
+      logger.info('Answer needs lawyer review:', { queryId, confidence: lawyerReview.confidence });
+    }
+
+    // Получаем эмбеддинг для семантического поиска (сохраняется вместе с ответом)
+    const embedding = await getEmbedding(text + ' ' + aiResponse.text, usageContext);
+
+    // Размечаем запрос тегами по сходству с центроидами тегов
+    await tagQuery(queryId, { text, answer: aiResponse.text, embedding }, usageContext);
 
     // Отправляем webhook в n8n для автоматизации
     await sendN8nWebhook('new-response', {
@@ -120,8 +203,17 @@ const processQuery = async (queryId, text, audioPath = null, filePaths = null, u
       hasAudio: !!audioPath
     });
 
-    logger.info('AI query processed successfully:', { queryId });
-    return aiResponse;
+    logger.info('AI query processed successfully:', { queryId, domain, language: answerLanguage.language, promptTemplate: template.name, promptVersion: template.version });
+    return {
+      aiResponse,
+      validationErrors,
+      citationCheck,
+      promptTemplateId: template.id,
+      promptTemplateName: template.name,
+      embedding,
+      redactionStats: redactor ? redactor.getStats() : null,
+      injectionCheck
+    };
 
   } catch (error) {
     logger.error('Error processing AI query:', error);
@@ -129,114 +221,146 @@ const processQuery = async (queryId, text, audioPath = null, filePaths = null, u
   }
 };
 
-// Поиск похожих запросов
-const findSimilarQueries = async (text, threshold = 0.8) => {
-  try {
-    const embedding = await getEmbedding(text);
-    
-    const result = await query(`
-      SELECT 
-        q.text,
-        1 - (r.embedding <=> $1) as similarity
-      FROM responses r
-      JOIN queries q ON r.query_id = q.id
-      WHERE 1 - (r.embedding <=> $1) > $2
-      ORDER BY r.embedding <=> $1
-      LIMIT 5
-    `, [embedding, threshold]);
+// Пояснение к промту при повторной генерации: чем не устроил предыдущий вариант ответа
+const buildRegenerationNote = ({ previousAnswer, guidance }) => {
+  let note = '\n\nПОВТОРНАЯ ГЕНЕРАЦИЯ: предыдущий вариант ответа пользователя не устроил, подготовь новый.';
+  if (previousAnswer) {
+    note += `\nПредыдущий вариант:\n${previousAnswer.slice(0, 3000)}`;
+  }
+  if (guidance) {
+    note += `\nПожелания пользователя к новому варианту: ${guidance}`;
+  }
+  return note;
+};
 
-    return result.rows;
+// Результат обработки из кэша: ответ помечается ссылкой на исходный запрос.
+// Отметка о проверке юристом относится к исходному ответу и в копию не переносится,
+// иначе каждое попадание в кэш открывало бы новую задачу проверки
+const buildCachedResult = (cached, redactor) => {
+  const { lawyerReview, ...aiResponse } = cached.aiResponse;
+
+  return {
+    aiResponse: {
+      ...aiResponse,
+      cachedFrom: {
+        queryId: cached.queryId,
+        responseId: cached.responseId,
+        similarity: cached.similarity,
+        createdAt: cached.createdAt
+      }
+    },
+    validationErrors: null,
+    citationCheck: cached.citationCheck,
+    promptTemplateId: cached.promptTemplateId,
+    promptTemplateName: cached.promptTemplateName,
+    cachedFromResponseId: cached.responseId,
+    embedding: null,
+    redactionStats: redactor ? redactor.getStats() : null
+  };
+};
+
+const parseJSON = (text) => {
+  try {
+    return JSON.parse(text);
   } catch (error) {
-    logger.error('Error finding similar queries:', error);
-    return [];
+    return undefined;
   }
 };
 
-// Автоматическое определение тегов
-const autoTagQuery = async (queryId, text, aiResponse) => {
-  try {
-    const tagKeywords = {
-      'Наследство': ['наследство', 'наследник', 'завещание', 'наследование'],
-      'ДТП': ['дтп', 'авария', 'страховка', 'осаго', 'каско'],
-      'Трудовые споры': ['трудовой', 'увольнение', 'отпуск', 'зарплата', 'работодатель'],
-      'Недвижимость': ['недвижимость', 'квартира', 'дом', 'земля', 'регистрация'],
-      'Семейное право': ['брак', 'развод', 'алименты', 'дети', 'семья'],
-      'Уголовное право': ['уголовный', 'преступление', 'наказание', 'суд'],
-      'Гражданское право': ['договор', 'обязательство', 'иск', 'сделка'],
-      'Административное право': ['административный', 'штраф', 'госорган', 'жалоба']
-    };
+// Проверка ответа по схеме с повторными запросами к модели.
+// Если ответ так и не стал валидным, он нормализуется, а все ошибки и исправления
+// возвращаются в validationErrors (null, если ответ был корректным с первого раза)
+const validateAndRepair = async (context, messages, responseText) => {
+  const { queryId } = context;
+  const maxAttempts = parseInt(process.env.AI_RESPONSE_REPAIR_ATTEMPTS) || MAX_REPAIR_ATTEMPTS;
+
+  let content = responseText;
+  let parsed = parseJSON(content);
+  let errors = parsed === undefined
+    ? [{ path: '$', message: 'Response is not valid JSON' }]
+    : validateAIResponse(parsed);
+
+  if (errors.length === 0) {
+    return { aiResponse: parsed, validationErrors: null };
+  }
 
-    const textLower = (text + ' ' + aiResponse.text).toLowerCase();
-    const matchedTags = [];
+  const initialErrors = errors;
+  const conversation = [...messages];
+  let attempts = 0;
 
-    for (const [tagName, keywords] of Object.entries(tagKeywords)) {
-      if (keywords.some(keyword => textLower.includes(keyword))) {
-        matchedTags.push(tagName);
-      }
-    }
+  while (errors.length > 0 && attempts < maxAttempts) {
+    attempts++;
+    logger.warn('AI response failed schema validation, requesting repair:', { queryId, attempts, errors });
 
-    // Добавляем теги к запросу
-    for (const tagName of matchedTags) {
-      await query(`
-        INSERT INTO query_tags (query_id, tag_id)
-        SELECT $1, id FROM tags WHERE name = $2
-        ON CONFLICT DO NOTHING
-      `, [queryId, tagName]);
+    conversation.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairMessage(errors) }
+    );
+
+    try {
+      const completion = await llm.chatJSON({
+        feature: 'legal-answer-repair',
+        context,
+        messages: conversation,
+        temperature: 0,
+        maxTokens: 2000
+      });
+      content = completion.content;
+    } catch (error) {
+      logger.error('AI response repair request failed:', error);
+      break;
     }
 
-    logger.info('Auto-tagged query:', { queryId, tags: matchedTags });
-  } catch (error) {
-    logger.error('Error auto-tagging query:', error);
+    const repaired = parseJSON(content);
+    if (repaired !== undefined) {
+      parsed = repaired;
+      errors = validateAIResponse(parsed);
+    } else {
+      errors = [{ path: '$', message: 'Response is not valid JSON' }];
+    }
   }
-};
 
-// Генерация SEO статьи
-const generateSEOArticle = async (queryId, aiResponse) => {
-  try {
-    const seoPrompt = `Создай SEO-оптимизированную статью на основе юридического ответа. 
-    
-    Структура:
-    1. Заголовок H1 (включай ключевые слова)
-    2. Введение (2-3 предложения)
-    3. Основные разделы с подзаголовками H2, H3
-    4. Заключение
-    5. FAQ (вопросы-ответы)
-    
-    Используй HTML разметку. Длина статьи: 1500-2000 слов.
-    
-    Ответ юриста: ${JSON.stringify(aiResponse)}`;
-
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
-      messages: [
-        {
-          role: 'system',
-          content: 'Ты SEO-копирайтер. Создавай качественные статьи для юридического сайта.'
-        },
-        {
-          role: 'user',
-          content: seoPrompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 3000
-    });
+  let aiResponse = parsed;
+  let normalized = [];
 
-    const seoArticle = completion.choices[0].message.content;
+  if (errors.length > 0) {
+    const result = normalizeAIResponse(parsed, content);
+    aiResponse = result.response;
+    normalized = result.fixes;
+  }
 
-    // Сохраняем SEO статью
-    await query(`
-      UPDATE responses 
-      SET seo_article = $1 
-      WHERE query_id = $2
-    `, [seoArticle, queryId]);
+  return {
+    aiResponse,
+    validationErrors: {
+      errors: initialErrors,
+      attempts,
+      remainingErrors: errors,
+      normalized,
+      repairedBy: normalized.length > 0 ? 'normalization' : 'reprompt',
+      valid: validateAIResponse(aiResponse).length === 0
+    }
+  };
+};
 
-    logger.info('SEO article generated:', { queryId });
-    return seoArticle;
+// Поиск похожих запросов
+const findSimilarQueries = async (embedding, threshold = 0.8) => {
+  try {
+    const result = await query(`
+      SELECT 
+        q.text,
+        1 - (r.embedding <=> $1) as similarity
+      FROM responses r
+      JOIN queries q ON r.query_id = q.id
+      WHERE r.is_current = true
+        AND 1 - (r.embedding <=> $1) > $2
+      ORDER BY r.embedding <=> $1
+      LIMIT 5
+    `, [toSqlVector(embedding), threshold]);
 
+    return result.rows;
   } catch (error) {
-    logger.error('Error generating SEO article:', error);
-    throw error;
+    logger.error('Error finding similar queries:', error);
+    return [];
   }
 };
 
@@ -271,49 +395,9 @@ const sendN8nWebhook = async (event, data) => {
   }
 };
 
-// Исправление текста через Яндекс.Спеллер
-const correctText = async (text) => {
-  try {
-    const yandexApiKey = process.env.YANDEX_SPELLER_API_KEY;
-    if (!yandexApiKey) {
-      return text; // Возвращаем исходный текст если API ключ не настроен
-    }
-
-    const response = await fetch('https://speller.yandex.net/services/spellservice.json/checkText', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `text=${encodeURIComponent(text)}&lang=ru&options=512`
-    });
-
-    if (!response.ok) {
-      throw new Error(`Yandex Speller API failed: ${response.status}`);
-    }
-
-    const corrections = await response.json();
-    let correctedText = text;
-
-    // Применяем исправления в обратном порядке
-    for (let i = corrections.length - 1; i >= 0; i--) {
-      const correction = corrections[i];
-      const word = correction.word;
-      const suggestion = correction.s[0]; // Берем первое предложение
-
-      correctedText = correctedText.replace(new RegExp(word, 'g'), suggestion);
-    }
-
-    return correctedText;
-  } catch (error) {
-    logger.error('Error correcting text:', error);
-    return text; // Возвращаем исходный текст при ошибке
-  }
-};
-
 module.exports = {
   processQuery,
   findSimilarQueries,
-  generateSEOArticle,
-  correctText
+  sendN8nWebhook
 };
 
@@ -0,0 +1,100 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { toSqlVector } = require('./embeddingService');
+const { getActiveTemplateIds, legalAnswerTemplateName } = require('./promptService');
+const { DEFAULT_ANSWER_LANGUAGE } = require('./answerLanguageService');
+
+// Параметры семантического кэша ответов (по умолчанию кэш выключен)
+const DEFAULT_SIMILARITY_THRESHOLD = 0.95;
+const DEFAULT_MIN_RATING = 4;
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+const isCacheEnabled = () => process.env.SEMANTIC_CACHE_ENABLED === 'true';
+
+const getCacheSettings = () => ({
+  threshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || DEFAULT_SIMILARITY_THRESHOLD,
+  minRating: parseInt(process.env.SEMANTIC_CACHE_MIN_RATING) || DEFAULT_MIN_RATING,
+  maxAgeDays: parseInt(process.env.SEMANTIC_CACHE_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS
+});
+
+// Поиск готового ответа на почти такой же вопрос.
+// Источником может быть только свежий, высоко оценённый и прошедший проверку схемы ответ
+// на текстовый вопрос, сгенерированный одной из активных сейчас версий промта.
+// Чужие ответы используются, только если они опубликованы: в неопубликованных могут быть личные данные.
+// Вопрос-источник должен относиться к той же отрасли права и дате событий: от них зависят промт и предупреждения,
+// и ответ на него должен быть на том же языке.
+// Из нескольких версий ответа на один вопрос берётся лучше оценённая
+const findCachedAnswer = async ({ embedding, queryId, userId, domain, asOfDate = null, language = DEFAULT_ANSWER_LANGUAGE }) => {
+  try {
+    const { threshold, minRating, maxAgeDays } = getCacheSettings();
+    const activeTemplates = await getActiveTemplateIds(legalAnswerTemplateName(domain));
+
+    const result = await query(`
+      SELECT
+        r.id as response_id,
+        r.query_id,
+        r.ai_response,
+        r.citation_check,
+        r.prompt_template_id,
+        r.prompt_template_name,
+        r.rating,
+        r.created_at,
+        1 - (q.embedding <=> $1) as similarity
+      FROM queries q
+      JOIN responses r ON r.query_id = q.id
+      WHERE q.id != $2
+        AND q.status = 'completed'
+        AND q.audio_path IS NULL
+        AND q.files_path IS NULL
+        AND q.embedding IS NOT NULL
+        AND r.cached_from_response_id IS NULL
+        AND r.rating >= $4
+        AND r.created_at >= NOW() - make_interval(days => $5)
+        AND (r.validation_errors IS NULL OR (r.validation_errors->>'valid')::boolean = true)
+        AND (q.user_id = $3 OR r.is_published = true)
+        AND (r.prompt_template_id = ANY($6::uuid[]) OR (r.prompt_template_id IS NULL AND $7))
+        AND 1 - (q.embedding <=> $1) >= $8
+        AND q.legal_domain = $9
+        AND q.as_of_date IS NOT DISTINCT FROM $10::date
+        AND COALESCE(q.answer_language, 'ru') = $11
+      ORDER BY q.embedding <=> $1, r.rating DESC, r.version DESC
+      LIMIT 1
+    `, [
+      toSqlVector(embedding),
+      queryId,
+      userId,
+      minRating,
+      maxAgeDays,
+      activeTemplates.ids,
+      activeTemplates.builtIn,
+      threshold,
+      domain,
+      asOfDate,
+      language
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      responseId: row.response_id,
+      queryId: row.query_id,
+      aiResponse: row.ai_response,
+      citationCheck: row.citation_check,
+      promptTemplateId: row.prompt_template_id,
+      promptTemplateName: row.prompt_template_name,
+      similarity: parseFloat(row.similarity),
+      createdAt: row.created_at
+    };
+  } catch (error) {
+    logger.error('Error looking up semantic cache:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  isCacheEnabled,
+  findCachedAnswer
+};
@@ -0,0 +1,75 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('./promptService', () => ({
+  ...jest.requireActual('./promptService'),
+  getActiveTemplateIds: jest.fn()
+}));
+
+const { query } = require('../database/connection');
+const { getActiveTemplateIds } = require('./promptService');
+const { findCachedAnswer } = require('./answerCacheService');
+
+const lookup = (overrides = {}) => findCachedAnswer({
+  embedding: [0.1, 0.2],
+  queryId: 'q-new',
+  userId: 'u1',
+  domain: 'labour',
+  ...overrides
+});
+
+beforeEach(() => {
+  query.mockReset();
+  getActiveTemplateIds.mockResolvedValue({ ids: ['t-2'], builtIn: false });
+});
+
+describe('findCachedAnswer', () => {
+  it('ищет только среди ответов той же отрасли, даты событий, языка и активных версий промта', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    expect(await lookup({ asOfDate: '2023-05-01', language: 'en' })).toBeNull();
+
+    expect(getActiveTemplateIds).toHaveBeenCalledWith('legal-answer.labour');
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('r.cached_from_response_id IS NULL');
+    expect(sql).toContain('(q.user_id = $3 OR r.is_published = true)');
+    expect(params.slice(1)).toEqual(['q-new', 'u1', 4, 30, ['t-2'], false, 0.95, 'labour', '2023-05-01', 'en']);
+  });
+
+  it('по умолчанию ищет ответы на русском на действующую редакцию закона', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await lookup();
+
+    const params = query.mock.calls[0][1];
+    expect(params.slice(-2)).toEqual([null, 'ru']);
+  });
+
+  it('возвращает найденный ответ с версией и именем шаблона', async () => {
+    query.mockResolvedValue({
+      rows: [{
+        response_id: 'r1',
+        query_id: 'q-old',
+        ai_response: { text: 'Ответ' },
+        citation_check: null,
+        prompt_template_id: 't-2',
+        prompt_template_name: 'legal-answer',
+        similarity: '0.97',
+        created_at: '2026-10-01T00:00:00.000Z'
+      }]
+    });
+
+    expect(await lookup()).toMatchObject({
+      responseId: 'r1',
+      queryId: 'q-old',
+      promptTemplateId: 't-2',
+      promptTemplateName: 'legal-answer',
+      similarity: 0.97
+    });
+  });
+
+  it('не мешает генерации ответа при ошибке базы', async () => {
+    query.mockRejectedValue(new Error('connection refused'));
+
+    expect(await lookup()).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Язык ответа: указывается в запросе, берётся из профиля пользователя или определяется по тексту вопроса.
+// Ответ переводится, но ссылки на законы и судебную практику остаются на русском - в оригинальных названиях
+
+const DEFAULT_ANSWER_LANGUAGE = 'ru';
+
+// name - название языка для интерфейса, prompt - в предложном падеже для промта
+const ANSWER_LANGUAGES = {
+  ru: { name: 'Русский', prompt: 'русском' },
+  en: { name: 'English', prompt: 'английском' },
+  uz: { name: 'Oʻzbekcha', prompt: 'узбекском' },
+  tg: { name: 'Тоҷикӣ', prompt: 'таджикском' },
+  kk: { name: 'Қазақша', prompt: 'казахском' }
+};
+
+// Значения настройки в профиле: auto - язык вопроса
+const LANGUAGE_PREFERENCES = ['auto', ...Object.keys(ANSWER_LANGUAGES)];
+
+// Буквы, которых нет в других языках списка
+const LETTER_MARKERS = {
+  tg: /[ӣӯҷ]/g,
+  kk: /[әңөұүһі]/g,
+  uz: /[ў]/g
+};
+
+// Частые слова: различают языки, когда в тексте нет особых букв
+const WORD_MARKERS = {
+  en: ['the', 'and', 'is', 'are', 'my', 'i', 'how', 'what', 'can', 'do', 'to', 'of', 'for', 'with', 'not', 'have', 'me'],
+  uz: ['va', 'uchun', 'qanday', 'menga', 'men', 'meni', 'bilan', 'kerak', 'nima', 'ishdan', 'ish', 'emas', 'bu', 'qilish', 'учун', 'мен', 'менга', 'қандай', 'билан', 'керак', 'нима', 'эмас', 'иш'],
+  tg: ['ман', 'барои', 'чӣ', 'чи', 'аст', 'нест', 'кор', 'ба', 'мо', 'шумо', 'кардан', 'мехоҳам'],
+  kk: ['мен', 'үшін', 'қалай', 'жоқ', 'бар', 'маған', 'жұмыс', 'керек', 'және']
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Язык текста вопроса или null, если его не удалось определить
+const detectLanguage = (text) => {
+  const source = (text || '').toLowerCase();
+  const cyrillic = countMatches(source, /[а-яёәғқңөұүһіӣӯҳҷў]/g);
+  const latin = countMatches(source, /[a-z]/g);
+
+  if (cyrillic + latin < 3) {
+    return null;
+  }
+
+  const words = source.split(/[^a-zа-яёәғқңөұүһіӣӯҳҷўʻ'’]+/).filter(Boolean);
+  const wordScore = (language) => words.filter(word => WORD_MARKERS[language].includes(word)).length;
+
+  if (latin > cyrillic) {
+    const uzbek = wordScore('uz') + countMatches(source, /[og][ʻ'’]/g) * 2;
+    return uzbek > wordScore('en') ? 'uz' : 'en';
+  }
+
+  const [best, score] = Object.entries(LETTER_MARKERS)
+    .map(([language, pattern]) => [language, countMatches(source, pattern) * 2 + wordScore(language)])
+    .sort((a, b) => b[1] - a[1])[0];
+
+  // ғ, қ и ҳ есть во всех трёх языках: без других признаков текст считается узбекским
+  const sharedLetters = /[ғқҳ]/.test(source);
+  if (score === 0) {
+    return sharedLetters ? 'uz' : 'ru';
+  }
+
+  // Одно похожее слово в русском тексте («мен», «бар») язык не меняет
+  return score > 1 || sharedLetters ? best : 'ru';
+};
+
+const getPreferredLanguage = async (userId) => {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    const result = await query('SELECT preferred_language FROM users WHERE id = $1', [userId]);
+    const preference = result.rows[0] && result.rows[0].preferred_language;
+    return preference && preference !== 'auto' ? preference : null;
+  } catch (error) {
+    logger.error('Error fetching preferred language:', error);
+    return null;
+  }
+};
+
+// Язык ответа и его происхождение: user - указан в запросе, profile - из профиля, detected - определён по тексту вопроса
+const resolveAnswerLanguage = async ({ language = null, userId = null, text = '' }) => {
+  if (language) {
+    return { language, source: 'user' };
+  }
+
+  const preferred = await getPreferredLanguage(userId);
+  if (preferred) {
+    return { language: preferred, source: 'profile' };
+  }
+
+  const detected = detectLanguage(text);
+  return detected
+    ? { language: detected, source: 'detected' }
+    : { language: DEFAULT_ANSWER_LANGUAGE, source: null };
+};
+
+// Системное сообщение шаблона требует ответа на русском: для другого языка требование заменяется
+const localizeSystemMessage = (systemMessage, language) => {
+  if (language === DEFAULT_ANSWER_LANGUAGE) {
+    return systemMessage;
+  }
+
+  const instruction = `Отвечай на ${ANSWER_LANGUAGES[language].prompt} языке`;
+  return /Отвечай только на русском языке/.test(systemMessage)
+    ? systemMessage.replace(/Отвечай только на русском языке/, instruction)
+    : `${systemMessage} ${instruction}.`;
+};
+
+// Блок промта о языке ответа (для русского не нужен)
+const formatLanguageInstruction = (language) => {
+  if (language === DEFAULT_ANSWER_LANGUAGE) {
+    return '';
+  }
+
+  const { prompt } = ANSWER_LANGUAGES[language];
+  return `\n\nЯЗЫК ОТВЕТА: поля "text", "description" и "recommendations" пиши на ${prompt} языке простыми словами. ` +
+    'Названия законов, статей и судебных актов в полях "article" и "case" оставляй на русском в оригинальном виде ' +
+    `(например, "Статья 81 ТК РФ"), а в тексте ответа приводи оригинальное русское название рядом с пояснением на ${prompt} языке. ` +
+    'Обязательную фразу "ВАЖНО: Это не юридическая консультация..." оставь на русском и добавь её перевод.';
+};
+
+module.exports = {
+  DEFAULT_ANSWER_LANGUAGE,
+  ANSWER_LANGUAGES,
+  LANGUAGE_PREFERENCES,
+  detectLanguage,
+  resolveAnswerLanguage,
+  localizeSystemMessage,
+  formatLanguageInstruction
+};
@@ -1,28 +1,24 @@
-const OpenAI = require('openai');
 const { getFromS3 } = require('./fileService');
 const logger = require('../utils/logger');
+const llm = require('./llm');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Транскрибация аудио через OpenAI Whisper
-const transcribeAudio = async (audioPath) => {
+// Транскрибация аудио через провайдера LLM (по умолчанию OpenAI Whisper).
+// context - { queryId, userId } для учёта расхода, language - язык речи (ISO 639-1)
+const transcribeAudio = async (audioPath, context = {}, language = 'ru') => {
   try {
     logger.info('Starting audio transcription:', { audioPath });
 
     // Получаем аудио файл из S3
     const audioBuffer = await getFromS3(audioPath);
 
-    // Создаем временный файл для OpenAI API
-    const tempFile = new File([audioBuffer], 'audio.wav', { type: 'audio/wav' });
-
     // Отправляем на транскрибацию
-    const transcription = await openai.audio.transcriptions.create({
-      file: tempFile,
-      model: 'whisper-1',
-      language: 'ru',
-      response_format: 'text'
+    const transcription = await llm.transcribe({
+      buffer: audioBuffer,
+      filename: 'audio.wav',
+      mimeType: 'audio/wav',
+      language,
+      feature: 'transcription',
+      context
     });
 
     const transcribedText = transcription.text;
@@ -39,23 +35,24 @@ const transcribeAudio = async (audioPath) => {
 };
 
 // Транскрибация аудио с временными метками
-const transcribeAudioWithTimestamps = async (audioPath) => {
+const transcribeAudioWithTimestamps = async (audioPath, context = {}) => {
   try {
     logger.info('Starting audio transcription with timestamps:', { audioPath });
 
     const audioBuffer = await getFromS3(audioPath);
-    const tempFile = new File([audioBuffer], 'audio.wav', { type: 'audio/wav' });
 
-    const transcription = await openai.audio.transcriptions.create({
-      file: tempFile,
-      model: 'whisper-1',
+    const transcription = await llm.transcribe({
+      buffer: audioBuffer,
+      filename: 'audio.wav',
+      mimeType: 'audio/wav',
       language: 'ru',
-      response_format: 'verbose_json',
-      timestamp_granularities: ['word']
+      verbose: true,
+      feature: 'transcription',
+      context
     });
 
     logger.info('Audio transcription with timestamps completed:', { audioPath });
-    return transcription;
+    return transcription.raw;
   } catch (error) {
     logger.error('Error transcribing audio with timestamps:', error);
     throw new Error('Failed to transcribe audio with timestamps');
@@ -0,0 +1,324 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { getEmbedding, getEmbeddings, toSqlVector } = require('./embeddingService');
+const { scanForInjection, fenceDocument, fenceDocuments } = require('./injectionService');
+const { estimateTokens } = require('../utils/tokens');
+
+// Граница страниц в извлечённом тексте PDF (по ней фрагменты получают номер страницы)
+const PAGE_BREAK = '\f';
+
+// Условный размер страницы для документов без разбивки на страницы (DOCX, изображения)
+const CHARS_PER_PAGE = 3000;
+
+// Размер фрагмента документа и перекрытие частей длинного абзаца (в символах)
+const CHUNK_MAX_CHARS = 1500;
+const CHUNK_OVERLAP_CHARS = 200;
+// Сколько фрагментов отправлять в API эмбеддингов за один вызов
+const EMBEDDING_BATCH_SIZE = 64;
+// Максимум фрагментов и бюджет токенов на документы в промте
+const MAX_PROMPT_CHUNKS = 8;
+const DEFAULT_DOCUMENT_TOKEN_BUDGET = 6000;
+
+// Метка фрагмента в промте, по которой модель ссылается на источник
+const CHUNK_LABEL_PREFIX = 'Д';
+
+// Количество страниц документа: для PDF - по маркерам страниц, для остальных - по объёму текста
+const countPages = (text) => {
+  const pageBreaks = (text || '').split(PAGE_BREAK).length - 1;
+  if (pageBreaks > 0) {
+    return pageBreaks;
+  }
+  return Math.max(1, Math.ceil((text || '').length / CHARS_PER_PAGE));
+};
+
+// Разбиение длинного абзаца по границам предложений, а если их нет - по длине
+const splitLongParagraph = (paragraph, maxChars, overlap) => {
+  const sentences = paragraph.match(/[^.!?;]+[.!?;]*\s*/g) || [paragraph];
+  const parts = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = current.slice(-overlap);
+    }
+
+    if (sentence.length > maxChars) {
+      for (let i = 0; i < sentence.length; i += maxChars - overlap) {
+        parts.push(sentence.slice(i, i + maxChars).trim());
+      }
+      current = '';
+    } else {
+      current += sentence;
+    }
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts.filter(Boolean);
+};
+
+// Разбиение текста документа на фрагменты с сохранением номера страницы и диапазона абзацев.
+// Страницы разделены PAGE_BREAK (есть только у PDF), абзацы - пустыми строками (в PDF их расставляет renderPDFPage в fileService)
+const chunkDocument = (text, { maxChars = CHUNK_MAX_CHARS, overlap = CHUNK_OVERLAP_CHARS } = {}) => {
+  const chunks = [];
+  const pages = (text || '').split(PAGE_BREAK);
+  const hasPages = pages.length > 1;
+
+  const pushChunk = (content, page, paragraphStart, paragraphEnd) => {
+    chunks.push({
+      index: chunks.length,
+      content,
+      page: hasPages ? page : null,
+      paragraphStart,
+      paragraphEnd
+    });
+  };
+
+  pages.forEach((pageText, pageIndex) => {
+    const page = pageIndex + 1;
+    const paragraphs = pageText
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean);
+
+    let buffer = [];
+    let bufferLength = 0;
+    let bufferStart = 1;
+
+    const flush = () => {
+      if (buffer.length === 0) return;
+      pushChunk(buffer.join('\n\n'), page, bufferStart, bufferStart + buffer.length - 1);
+      buffer = [];
+      bufferLength = 0;
+    };
+
+    paragraphs.forEach((paragraph, paragraphIndex) => {
+      const number = paragraphIndex + 1;
+
+      if (paragraph.length > maxChars) {
+        flush();
+        splitLongParagraph(paragraph, maxChars, overlap)
+          .forEach(part => pushChunk(part, page, number, number));
+        return;
+      }
+
+      if (bufferLength + paragraph.length > maxChars) {
+        flush();
+      }
+
+      if (buffer.length === 0) {
+        bufferStart = number;
+      }
+      buffer.push(paragraph);
+      bufferLength += paragraph.length + 2;
+    });
+
+    flush();
+  });
+
+  return chunks;
+};
+
+// Разбиение текста файла на фрагменты, получение эмбеддингов и сохранение в document_chunks.
+// context - { userId, redactor } для вызовов модели
+const indexDocument = async (fileId, queryId, text, context = {}) => {
+  const chunks = chunkDocument(text);
+
+  if (chunks.length === 0) {
+    logger.warn('Document has no text to index:', { fileId });
+    return 0;
+  }
+
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const embeddings = await getEmbeddings(batch.map(chunk => chunk.content), { ...context, queryId });
+
+    for (let j = 0; j < batch.length; j++) {
+      const chunk = batch[j];
+
+      // Места, похожие на инструкции для модели, помечаются при индексации
+      const injectionFlags = scanForInjection(chunk.content);
+      if (injectionFlags.length > 0) {
+        logger.warn('Possible prompt injection in document:', { fileId, chunk: chunk.index, patterns: injectionFlags.map(flag => flag.pattern) });
+      }
+
+      await query(`
+        INSERT INTO document_chunks (
+          file_id, query_id, chunk_index, content, page, paragraph_start, paragraph_end, token_count, embedding, injection_flags
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        fileId,
+        queryId,
+        chunk.index,
+        chunk.content,
+        chunk.page,
+        chunk.paragraphStart,
+        chunk.paragraphEnd,
+        estimateTokens(chunk.content),
+        toSqlVector(embeddings[j]),
+        injectionFlags.length > 0 ? JSON.stringify(injectionFlags) : null
+      ]);
+    }
+  }
+
+  logger.info('Document indexed:', { fileId, chunks: chunks.length });
+  return chunks.length;
+};
+
+// Индексация всех файлов запроса. Статус processed_files отражает результат индексации
+const indexQueryFiles = async (queryId, files, context = {}) => {
+  for (const file of files) {
+    try {
+      await indexDocument(file.id, queryId, file.text, context);
+      await query(`
+        UPDATE processed_files SET processing_status = 'completed' WHERE id = $1
+      `, [file.id]);
+    } catch (error) {
+      logger.error('Error indexing document:', { fileId: file.id, error: error.message });
+      await query(`
+        UPDATE processed_files SET processing_status = 'failed' WHERE id = $1
+      `, [file.id]);
+    }
+  }
+};
+
+// Поиск наиболее релевантных вопросу фрагментов документов запроса.
+// С conversationId учитываются документы всех запросов диалога, чтобы уточняющие вопросы
+// могли опираться на ранее загруженные файлы
+const retrieveRelevantChunks = async ({ queryId, conversationId = null, question, limit = MAX_PROMPT_CHUNKS, tokenBudget, context = {} }) => {
+  const budget = tokenBudget || parseInt(process.env.DOCUMENT_CONTEXT_TOKENS) || DEFAULT_DOCUMENT_TOKEN_BUDGET;
+
+  try {
+    const scope = conversationId
+      ? { condition: 'dc.query_id IN (SELECT id FROM queries WHERE conversation_id = $1)', param: conversationId }
+      : { condition: 'dc.query_id = $1', param: queryId };
+
+    const exists = await query(`
+      SELECT 1 FROM document_chunks dc WHERE ${scope.condition} LIMIT 1
+    `, [scope.param]);
+
+    if (exists.rows.length === 0) {
+      return [];
+    }
+
+    const embedding = await getEmbedding(question, { ...context, queryId });
+
+    const result = await query(`
+      SELECT
+        dc.id,
+        dc.file_id,
+        pf.original_filename as filename,
+        dc.chunk_index,
+        dc.content,
+        dc.page,
+        dc.paragraph_start,
+        dc.paragraph_end,
+        dc.token_count,
+        dc.injection_flags,
+        1 - (dc.embedding <=> $2) as similarity
+      FROM document_chunks dc
+      JOIN processed_files pf ON pf.id = dc.file_id
+      WHERE ${scope.condition}
+      ORDER BY dc.embedding <=> $2
+      LIMIT $3
+    `, [scope.param, toSqlVector(embedding), limit]);
+
+    const selected = [];
+    let used = 0;
+
+    for (const row of result.rows) {
+      if (used + row.token_count > budget) {
+        continue;
+      }
+      used += row.token_count;
+      selected.push(row);
+    }
+
+    // В промте фрагменты идут в порядке документа, а не релевантности
+    selected.sort((a, b) => a.filename.localeCompare(b.filename) || a.chunk_index - b.chunk_index);
+
+    return selected.map((row, index) => ({
+      label: `${CHUNK_LABEL_PREFIX}${index + 1}`,
+      chunkId: row.id,
+      fileId: row.file_id,
+      filename: row.filename,
+      page: row.page,
+      paragraphStart: row.paragraph_start,
+      paragraphEnd: row.paragraph_end,
+      content: row.content,
+      injectionFlags: row.injection_flags,
+      similarity: parseFloat(row.similarity)
+    }));
+  } catch (error) {
+    logger.error('Error retrieving document chunks:', error);
+    return [];
+  }
+};
+
+// Описание положения фрагмента в документе: "договор.pdf, стр. 3, абз. 2–4"
+const describeLocation = (chunk) => {
+  const parts = [chunk.filename];
+  if (chunk.page) {
+    parts.push(`стр. ${chunk.page}`);
+  }
+  parts.push(chunk.paragraphStart === chunk.paragraphEnd
+    ? `абз. ${chunk.paragraphStart}`
+    : `абз. ${chunk.paragraphStart}–${chunk.paragraphEnd}`);
+  return parts.join(', ');
+};
+
+// Фрагменты документов для подстановки в промт: ограждённый блок недоверенных данных
+const formatChunksForPrompt = (chunks) => fenceDocuments(chunks.map(chunk => fenceDocument({
+  label: chunk.label,
+  location: describeLocation(chunk),
+  content: chunk.content,
+  suspicious: Array.isArray(chunk.injectionFlags) && chunk.injectionFlags.length > 0
+})));
+
+// Замена меток фрагментов в sources ответа на ссылки на файл, страницу и абзацы.
+// Ссылки на несуществующие метки отбрасываются
+const resolveSources = (aiResponse, chunks) => {
+  if (!Array.isArray(aiResponse.sources)) {
+    return aiResponse;
+  }
+
+  const byLabel = new Map(chunks.map(chunk => [chunk.label, chunk]));
+
+  const sources = aiResponse.sources
+    .map(source => {
+      const label = String(source.chunk || '').replace(/[[\]\s]/g, '');
+      const chunk = byLabel.get(label);
+      if (!chunk) {
+        return null;
+      }
+
+      return {
+        statement: source.statement,
+        chunk: label,
+        fileId: chunk.fileId,
+        filename: chunk.filename,
+        page: chunk.page,
+        paragraphStart: chunk.paragraphStart,
+        paragraphEnd: chunk.paragraphEnd,
+        location: describeLocation(chunk)
+      };
+    })
+    .filter(Boolean);
+
+  return { ...aiResponse, sources };
+};
+
+module.exports = {
+  PAGE_BREAK,
+  countPages,
+  chunkDocument,
+  indexDocument,
+  indexQueryFiles,
+  retrieveRelevantChunks,
+  formatChunksForPrompt,
+  resolveSources
+};
@@ -0,0 +1,223 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Статусы проверки ссылки на норму
+const CITATION_STATUS = {
+  VERIFIED: 'verified',
+  UNKNOWN: 'unknown',
+  NOT_FOUND: 'not-found'
+};
+
+// Снижение уверенности ответа за каждую непроверенную ссылку
+const CONFIDENCE_PENALTY = {
+  [CITATION_STATUS.UNKNOWN]: 0.05,
+  [CITATION_STATUS.NOT_FOUND]: 0.15
+};
+
+// Полные названия кодексов и законов -> сокращение, используемое в корпусе.
+// Порядок важен: процессуальные кодексы проверяются раньше материальных
+const CODE_NAME_PATTERNS = [
+  { code: 'ГПК', pattern: /гражданск[а-яё]*\s+процессуальн[а-яё]*\s+кодекс/i },
+  { code: 'АПК', pattern: /арбитражн[а-яё]*\s+процессуальн[а-яё]*\s+кодекс/i },
+  { code: 'УПК', pattern: /уголовно-процессуальн[а-яё]*\s+кодекс/i },
+  { code: 'УИК', pattern: /уголовно-исполнительн[а-яё]*\s+кодекс/i },
+  { code: 'КАС', pattern: /кодекс[а-яё]*\s+административного\s+судопроизводства/i },
+  { code: 'КоАП', pattern: /кодекс[а-яё]*\s+(?:российской\s+федерации\s+)?об\s+административных\s+правонарушениях/i },
+  { code: 'ГК', pattern: /гражданск[а-яё]*\s+кодекс/i },
+  { code: 'УК', pattern: /уголовн[а-яё]*\s+кодекс/i },
+  { code: 'ТК', pattern: /трудов[а-яё]*\s+кодекс/i },
+  { code: 'СК', pattern: /семейн[а-яё]*\s+кодекс/i },
+  { code: 'НК', pattern: /налогов[а-яё]*\s+кодекс/i },
+  { code: 'ЖК', pattern: /жилищн[а-яё]*\s+кодекс/i },
+  { code: 'ЗК', pattern: /земельн[а-яё]*\s+кодекс/i },
+  { code: 'ЗоЗПП', pattern: /о\s+защите\s+прав\s+потребителей/i }
+];
+
+// Сокращения кодексов (регистр важен: «ГК», но «КоАП»)
+const CODE_ABBREVIATIONS = ['КоАП', 'ЗоЗПП', 'ГПК', 'АПК', 'УПК', 'УИК', 'КАС', 'ГрК', 'ГК', 'УК', 'ТК', 'СК', 'НК', 'ЖК', 'ЗК', 'БК', 'ВК', 'ЛК'];
+const ABBREVIATION_PATTERN = new RegExp(`(?<![А-Яа-яЁё])(${CODE_ABBREVIATIONS.join('|')})(?![А-Яа-яЁё])`);
+
+// «Статья 123», «ст. 12.8», «статьи 1152, 1153 и 1154»
+const ARTICLE_PATTERN = /(?:стать[а-яё]*|ст\.)\s*(\d+(?:\.\d+)*(?:\s*(?:,|и)\s*\d+(?:\.\d+)*)*)/i;
+
+// Разбор ссылки на норму: код и номера статей. Возвращает null, если разобрать не удалось
+const parseCitation = (citation) => {
+  if (typeof citation !== 'string') {
+    return null;
+  }
+
+  const articleMatch = citation.match(ARTICLE_PATTERN);
+  if (!articleMatch) {
+    return null;
+  }
+
+  const articles = articleMatch[1].split(/\s*(?:,|и)\s*/).filter(Boolean);
+
+  let code = null;
+  const abbreviationMatch = citation.match(ABBREVIATION_PATTERN);
+  if (abbreviationMatch) {
+    code = abbreviationMatch[1];
+  } else {
+    const named = CODE_NAME_PATTERNS.find(({ pattern }) => pattern.test(citation));
+    code = named ? named.code : null;
+  }
+
+  return code ? { code, articles } : null;
+};
+
+// Сводный статус ссылки: худший из статусов её статей
+const aggregateStatus = (statuses) => {
+  if (statuses.includes(CITATION_STATUS.NOT_FOUND)) return CITATION_STATUS.NOT_FOUND;
+  if (statuses.includes(CITATION_STATUS.UNKNOWN)) return CITATION_STATUS.UNKNOWN;
+  return CITATION_STATUS.VERIFIED;
+};
+
+// Загрузка из корпуса сведений о нужных кодексах и статьях
+const loadCorpus = async (parsedCitations) => {
+  const codes = [...new Set(parsedCitations.map(p => p.code))];
+  const keys = parsedCitations.flatMap(p => p.articles.map(article => `${p.code}:${article}`));
+
+  if (codes.length === 0) {
+    return { codes: new Map(), articles: new Map(), editions: new Map() };
+  }
+
+  const codesResult = await query(`
+    SELECT code, is_complete
+    FROM legislation_codes
+    WHERE code = ANY($1)
+  `, [codes]);
+
+  const articlesResult = await query(`
+    SELECT code, article, title
+    FROM legislation_articles
+    WHERE code || ':' || article = ANY($1)
+  `, [keys]);
+
+  const editionsResult = await query(`
+    SELECT code, article, to_char(valid_from, 'YYYY-MM-DD') as valid_from, amended_by, summary
+    FROM legislation_article_editions
+    WHERE code || ':' || article = ANY($1)
+    ORDER BY valid_from
+  `, [keys]);
+
+  const editions = new Map();
+  for (const row of editionsResult.rows) {
+    const key = `${row.code}:${row.article}`;
+    if (!editions.has(key)) {
+      editions.set(key, []);
+    }
+    editions.get(key).push({ validFrom: row.valid_from, amendedBy: row.amended_by, summary: row.summary });
+  }
+
+  return {
+    codes: new Map(codesResult.rows.map(row => [row.code, row])),
+    articles: new Map(articlesResult.rows.map(row => [`${row.code}:${row.article}`, row])),
+    editions
+  };
+};
+
+// Редакция статьи на дату: последнее изменение не позже asOfDate (null - первоначальная редакция)
+// и изменения, внесённые после неё
+const describeEditions = (editions, asOfDate) => {
+  const applied = editions.filter(edition => edition.validFrom <= asOfDate);
+
+  return {
+    editionsTracked: true,
+    edition: applied.length > 0 ? applied[applied.length - 1] : null,
+    amendedSince: editions.filter(edition => edition.validFrom > asOfDate)
+  };
+};
+
+// Проверка ссылок на статьи из ответа AI.
+// Каждой записи laws добавляется поле verification, уверенность ответа снижается за непроверенные ссылки.
+// С options.asOfDate у найденных статей отмечается редакция на эту дату и более поздние изменения
+const verifyCitations = async (aiResponse, options = {}) => {
+  const { asOfDate = null } = options;
+  const laws = Array.isArray(aiResponse.laws) ? aiResponse.laws : [];
+  if (laws.length === 0) {
+    return { aiResponse, citationCheck: null };
+  }
+
+  try {
+    const parsed = laws.map(law => parseCitation(law.article));
+    const corpus = await loadCorpus(parsed.filter(Boolean));
+
+    const checkedLaws = laws.map((law, index) => {
+      const citation = parsed[index];
+
+      if (!citation) {
+        return {
+          ...law,
+          verification: { status: CITATION_STATUS.UNKNOWN, code: null, articles: [], reason: 'unparsed' }
+        };
+      }
+
+      const codeInfo = corpus.codes.get(citation.code);
+      const articles = citation.articles.map(article => {
+        const key = `${citation.code}:${article}`;
+        const found = corpus.articles.get(key);
+        if (found) {
+          const verifiedArticle = { article, status: CITATION_STATUS.VERIFIED, title: found.title };
+          if (asOfDate) {
+            const editions = corpus.editions.get(key);
+            Object.assign(verifiedArticle, editions ? describeEditions(editions, asOfDate) : { editionsTracked: false });
+          }
+          return verifiedArticle;
+        }
+        // «Не найдено» ставим только для кодексов, загруженных в корпус полностью
+        return {
+          article,
+          status: codeInfo && codeInfo.is_complete ? CITATION_STATUS.NOT_FOUND : CITATION_STATUS.UNKNOWN
+        };
+      });
+
+      return {
+        ...law,
+        verification: {
+          status: aggregateStatus(articles.map(a => a.status)),
+          code: citation.code,
+          articles
+        }
+      };
+    });
+
+    const summary = {
+      verified: 0,
+      unknown: 0,
+      notFound: 0
+    };
+    let penalty = 0;
+
+    for (const law of checkedLaws) {
+      const { status } = law.verification;
+      if (status === CITATION_STATUS.VERIFIED) summary.verified++;
+      if (status === CITATION_STATUS.UNKNOWN) summary.unknown++;
+      if (status === CITATION_STATUS.NOT_FOUND) summary.notFound++;
+      penalty += CONFIDENCE_PENALTY[status] || 0;
+    }
+
+    const originalConfidence = typeof aiResponse.confidence === 'number' ? aiResponse.confidence : 0;
+    const confidence = Math.max(0, Math.round((originalConfidence - penalty) * 100) / 100);
+
+    return {
+      aiResponse: { ...aiResponse, laws: checkedLaws, confidence },
+      citationCheck: {
+        ...summary,
+        total: checkedLaws.length,
+        originalConfidence,
+        confidencePenalty: Math.round(penalty * 100) / 100,
+        asOfDate,
+        checkedAt: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    logger.error('Error verifying citations:', error);
+    return { aiResponse, citationCheck: null };
+  }
+};
+
+module.exports = {
+  CITATION_STATUS,
+  parseCitation,
+  verifyCitations
+};
@@ -0,0 +1,373 @@
+const { transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const { selectTemplate, renderPrompt } = require('./promptService');
+const { scanForInjection, fenceDocument, fenceDocuments } = require('./injectionService');
+const { chunkDocument } = require('./chunkService');
+const { estimateTokens } = require('../utils/tokens');
+
+// Проверка договора: разбиение на пункты, определение их типов, риски и отсутствующие условия.
+// Типы пунктов сначала определяются по ключевым словам, модель уточняет их и оценивает риски
+
+// Типы пунктов договора. keywords - основы слов (в заголовке пункта весят больше, чем в тексте)
+const CLAUSE_TYPES = {
+  subject: { name: 'Предмет договора', keywords: ['предмет', 'обязуется передать', 'обязуется выполнить', 'обязуется оказать'] },
+  price: { name: 'Цена и порядок расчётов', keywords: ['цена', 'стоимост', 'оплат', 'расчет', 'вознагражден', 'аванс', 'предоплат'] },
+  term: { name: 'Сроки исполнения', keywords: ['срок исполнения', 'сроки выполнения', 'срок поставки', 'срок оказания', 'сроки', 'график'] },
+  acceptance: { name: 'Приёмка и передача', keywords: ['приемк', 'прием', 'акт сдачи', 'передач', 'поставк'] },
+  warranty: { name: 'Гарантии и качество', keywords: ['гаранти', 'качеств', 'недостат'] },
+  liability: { name: 'Ответственность сторон', keywords: ['ответственност', 'убытк', 'возмещени'] },
+  penalty: { name: 'Неустойка', keywords: ['неустойк', 'штраф', 'пени', 'пеня'] },
+  termination: { name: 'Изменение и расторжение', keywords: ['расторж', 'односторонн', 'отказ от исполнения', 'прекращени', 'срок действия'] },
+  jurisdiction: { name: 'Разрешение споров', keywords: ['спор', 'подсудн', 'арбитраж', 'суд', 'претензионн'] },
+  confidentiality: { name: 'Конфиденциальность', keywords: ['конфиденциальн', 'коммерческ тайн', 'коммерческую тайну'] },
+  'force-majeure': { name: 'Обстоятельства непреодолимой силы', keywords: ['форс-мажор', 'непреодолим'] },
+  parties: { name: 'Стороны и реквизиты', keywords: ['реквизит', 'подписи сторон', 'адреса сторон', 'огрн', 'банковские'] },
+  other: { name: 'Прочие условия', keywords: [] }
+};
+
+// Условия, без которых договор незаключён или заметно хуже защищает сторону.
+// Если пункта такого типа нет, отсутствие отмечается в отчёте без обращения к модели
+const REQUIRED_CLAUSES = {
+  subject: {
+    severity: 'high',
+    issue: 'Не найден предмет договора. Это существенное условие (п. 1 ст. 432 ГК РФ): без него договор может быть признан незаключённым.',
+    suggestion: 'Опишите предмет: наименование, количество и характеристики товара, работ или услуг.'
+  },
+  price: {
+    severity: 'medium',
+    issue: 'Не согласованы цена и порядок оплаты: цена будет определяться по п. 3 ст. 424 ГК РФ, сроки оплаты - по общим правилам ст. 314 ГК РФ.',
+    suggestion: 'Укажите цену (или порядок её определения), сроки и порядок оплаты.'
+  },
+  liability: {
+    severity: 'medium',
+    issue: 'Ответственность сторон не установлена: применяются только общие нормы (ст. 393, 395 ГК РФ), убытки придётся доказывать.',
+    suggestion: 'Добавьте раздел об ответственности: неустойку за просрочку и ненадлежащее исполнение, порядок возмещения убытков.'
+  },
+  termination: {
+    severity: 'medium',
+    issue: 'Не определены основания и порядок расторжения: расторгнуть договор можно только по ст. 450-451 ГК РФ, в том числе через суд.',
+    suggestion: 'Укажите основания одностороннего отказа от договора, срок уведомления и порядок расчётов при расторжении.'
+  },
+  jurisdiction: {
+    severity: 'low',
+    issue: 'Не определён порядок разрешения споров: действуют общие правила подсудности и обязательный претензионный срок 30 дней (ч. 5 ст. 4 АПК РФ).',
+    suggestion: 'Укажите срок ответа на претензию и суд, в котором рассматриваются споры.'
+  }
+};
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Метка пункта в промте, по которой модель ссылается на него
+const CLAUSE_LABEL_PREFIX = 'П';
+
+// Сколько символов пункта передавать модели и бюджет токенов на один вызов
+const CLAUSE_MAX_CHARS = 3000;
+const DEFAULT_BATCH_TOKEN_BUDGET = 6000;
+
+// Заголовок раздела верхнего уровня: «1. ПРЕДМЕТ ДОГОВОРА», «Статья 3. Цена», «§ 4 Ответственность».
+// Подпункты вида «1.1.» заголовками не считаются и остаются в тексте раздела
+const CLAUSE_HEADING = /^(?:(?:статья|раздел|глава|§)\s*(\d{1,2})\.?|(\d{1,2})\.)\s+(\S.{0,119})$/i;
+
+// Тип пункта по ключевым словам заголовка и текста
+const classifyClause = (title, text) => {
+  const heading = (title || '').toLowerCase().replace(/ё/g, 'е');
+  const body = (text || '').toLowerCase().replace(/ё/g, 'е');
+
+  let best = { type: 'other', score: 0 };
+  for (const [type, definition] of Object.entries(CLAUSE_TYPES)) {
+    const score = definition.keywords.reduce((sum, keyword) =>
+      sum + (heading.includes(keyword) ? 3 : 0) + (body.includes(keyword) ? 1 : 0), 0);
+    if (score > best.score) {
+      best = { type, score };
+    }
+  }
+
+  return best.type;
+};
+
+// Разбиение договора на пункты по заголовкам разделов верхнего уровня.
+// Текст до первого заголовка - преамбула со сторонами договора.
+// Если заголовков почти нет, пунктами считаются абзацы
+const segmentClauses = (text) => {
+  const sections = [];
+  let current = { number: null, title: 'Преамбула', preamble: true, lines: [], page: 1 };
+  let page = 1;
+
+  const hasPages = (text || '').includes('\f');
+
+  for (const rawLine of (text || '').split('\n')) {
+    const pageBreaks = rawLine.split('\f').length - 1;
+    page += pageBreaks;
+    const line = rawLine.replace(/\f/g, '').trim();
+
+    const heading = line.match(CLAUSE_HEADING);
+    if (heading) {
+      sections.push(current);
+      current = { number: heading[1] || heading[2], title: heading[3].trim(), lines: [], page };
+      continue;
+    }
+
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  let clauses = sections
+    .map(section => ({ ...section, text: section.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+    .filter(section => section.text || section.number);
+
+  if (clauses.filter(clause => clause.number).length < 2) {
+    clauses = chunkDocument(text).map(chunk => ({
+      number: null,
+      title: chunk.content.split('\n')[0].slice(0, 80),
+      text: chunk.content,
+      page: chunk.page || 1
+    }));
+  }
+
+  return clauses.map((clause, index) => {
+    const type = clause.preamble ? 'parties' : classifyClause(clause.title, clause.text);
+    return {
+      id: `${CLAUSE_LABEL_PREFIX}${index + 1}`,
+      number: clause.number,
+      title: clause.title,
+      text: clause.text,
+      page: hasPages ? clause.page : null,
+      type,
+      typeName: CLAUSE_TYPES[type].name,
+      typeSource: 'keywords',
+      risks: []
+    };
+  });
+};
+
+// Место пункта в документе для промта и отчёта
+const describeClauseLocation = (clause) => [
+  clause.number ? `раздел ${clause.number}` : null,
+  clause.title,
+  clause.page ? `стр. ${clause.page}` : null
+].filter(Boolean).join(', ');
+
+// Пункты, разложенные по вызовам модели в пределах бюджета токенов
+const batchClauses = (clauses, tokenBudget) => {
+  const batches = [];
+  let batch = [];
+  let used = 0;
+
+  for (const clause of clauses) {
+    const tokens = estimateTokens(clause.text.slice(0, CLAUSE_MAX_CHARS));
+    if (batch.length > 0 && used + tokens > tokenBudget) {
+      batches.push(batch);
+      batch = [];
+      used = 0;
+    }
+    batch.push(clause);
+    used += tokens;
+  }
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+};
+
+const normalizeRisk = (risk) => {
+  if (!risk || typeof risk.issue !== 'string' || !risk.issue.trim()) {
+    return null;
+  }
+
+  return {
+    severity: SEVERITIES.includes(risk.severity) ? risk.severity : 'medium',
+    issue: risk.issue.trim(),
+    suggestion: typeof risk.suggestion === 'string' && risk.suggestion.trim() ? risk.suggestion.trim() : null
+  };
+};
+
+// Анализ части пунктов моделью. withMissing - модель видит весь договор и может отметить отсутствующие условия
+const analyzeBatch = async ({ template, clauses, request, withMissing, context }) => {
+  const fenced = clauses.map(clause => fenceDocument({
+    label: clause.id,
+    location: `${describeClauseLocation(clause)}; предварительный тип: ${clause.type}`,
+    content: clause.text.slice(0, CLAUSE_MAX_CHARS),
+    suspicious: scanForInjection(clause.text).length > 0
+  }));
+
+  const rendered = renderPrompt(template, {
+    clauses: fenceDocuments(fenced),
+    clause_types: Object.entries(CLAUSE_TYPES).map(([type, definition]) => `${type} (${definition.name})`).join(', '),
+    missing_instruction: withMissing
+      ? 'В "missing" перечисли важные для такого договора условия, которых в нём нет'
+      : 'Передана только часть договора: "missing" оставь пустым массивом',
+    request: request || 'не указан, оцени риски для обеих сторон'
+  });
+
+  const completion = await llm.chatJSON({
+    feature: 'contract-review',
+    context,
+    messages: [
+      { role: 'system', content: rendered.systemMessage },
+      { role: 'user', content: rendered.prompt }
+    ],
+    temperature: 0.2,
+    maxTokens: 3000
+  });
+
+  return JSON.parse(completion.content);
+};
+
+// Отсутствующие условия: сначала по правилам, затем дополнения модели по другим типам
+const collectMissing = (clauses, modelMissing = []) => {
+  const present = new Set(clauses.map(clause => clause.type));
+
+  const missing = Object.entries(REQUIRED_CLAUSES)
+    .filter(([type]) => !present.has(type))
+    .map(([type, definition]) => ({ type, typeName: CLAUSE_TYPES[type].name, ...definition, source: 'rules' }));
+
+  for (const item of modelMissing) {
+    const risk = normalizeRisk(item);
+    const type = item && CLAUSE_TYPES[item.type] ? item.type : 'other';
+    if (!risk || present.has(type) || missing.some(existing => existing.type === type && type !== 'other')) {
+      continue;
+    }
+    missing.push({ type, typeName: CLAUSE_TYPES[type].name, ...risk, source: 'model' });
+  }
+
+  return missing;
+};
+
+const countRisks = (clauses, missing) => {
+  const counts = { high: 0, medium: 0, low: 0 };
+  for (const risk of [...clauses.flatMap(clause => clause.risks), ...missing]) {
+    counts[risk.severity]++;
+  }
+  return counts;
+};
+
+// Отчёт по одному договору. При ошибке модели отчёт строится только по правилам (analyzedBy: rules)
+const reviewContract = async ({ queryId, file, request, context = {} }) => {
+  const clauses = segmentClauses(file.text);
+  const template = await selectTemplate('contract-review', queryId);
+  const budget = parseInt(process.env.CONTRACT_REVIEW_BATCH_TOKENS) || DEFAULT_BATCH_TOKEN_BUDGET;
+  const batches = batchClauses(clauses, budget);
+
+  const summaries = [];
+  let modelMissing = [];
+  let analyzedBy = 'model';
+
+  try {
+    for (const batch of batches) {
+      const analysis = await analyzeBatch({ template, clauses: batch, request, withMissing: batches.length === 1, context });
+
+      if (typeof analysis.summary === 'string' && analysis.summary.trim()) {
+        summaries.push(analysis.summary.trim());
+      }
+
+      for (const item of Array.isArray(analysis.clauses) ? analysis.clauses : []) {
+        const clause = batch.find(candidate => item && candidate.id === item.id);
+        if (!clause) continue;
+
+        if (CLAUSE_TYPES[item.type] && item.type !== clause.type) {
+          clause.type = item.type;
+          clause.typeName = CLAUSE_TYPES[item.type].name;
+          clause.typeSource = 'model';
+        }
+        clause.risks.push(...(Array.isArray(item.risks) ? item.risks : []).map(normalizeRisk).filter(Boolean));
+      }
+
+      if (Array.isArray(analysis.missing)) {
+        modelMissing = modelMissing.concat(analysis.missing);
+      }
+    }
+  } catch (error) {
+    logger.error('Error analyzing contract with model, using rules only:', { queryId, fileId: file.id, error: error.message });
+    analyzedBy = 'rules';
+  }
+
+  const missing = collectMissing(clauses, modelMissing);
+
+  return {
+    fileId: file.id,
+    filename: file.filename,
+    summary: summaries.join(' ') || null,
+    clauses,
+    missing,
+    riskCounts: countRisks(clauses, missing),
+    analyzedBy,
+    promptTemplateId: template.id
+  };
+};
+
+// Проверка всех договоров запроса и сохранение отчётов; запрос отмечается выполненным.
+// request - текст запроса пользователя (например, за какую сторону проверять договор);
+// context - { queryId, userId, redactor } для вызовов модели
+const reviewQueryContracts = async (queryId, files, { request = null, context = {} } = {}) => {
+  const reports = [];
+  for (const file of files) {
+    reports.push(await reviewContract({ queryId, file, request, context }));
+  }
+
+  await transaction(async (client) => {
+    for (const report of reports) {
+      const { promptTemplateId, ...stored } = report;
+      await client.query(`
+        INSERT INTO contract_reviews (query_id, file_id, report, risk_counts, prompt_template_id)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [queryId, report.fileId, stored, report.riskCounts, promptTemplateId]);
+    }
+
+    await client.query(`
+      UPDATE queries SET status = 'completed', redaction_stats = $2 WHERE id = $1
+    `, [queryId, context.redactor ? context.redactor.getStats() : null]);
+  });
+
+  logger.info('Contract review completed:', { queryId, files: reports.length });
+  return reports;
+};
+
+const SEVERITY_LABELS = { high: 'высокий', medium: 'средний', low: 'низкий' };
+
+// Отчёт в Markdown для выгрузки
+const formatContractReviewMarkdown = (reports) => reports.map((report) => {
+  const lines = [`# Проверка договора: ${report.filename || 'документ'}`, ''];
+
+  if (report.summary) {
+    lines.push(report.summary, '');
+  }
+  lines.push(`Риски: высокий - ${report.riskCounts.high}, средний - ${report.riskCounts.medium}, низкий - ${report.riskCounts.low}`, '');
+
+  if (report.missing.length > 0) {
+    lines.push('## Отсутствующие условия', '');
+    for (const item of report.missing) {
+      lines.push(`- **${item.typeName}** (риск: ${SEVERITY_LABELS[item.severity]}). ${item.issue}`);
+      if (item.suggestion) lines.push(`  Предлагаемая редакция: ${item.suggestion}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Пункты договора', '');
+  for (const clause of report.clauses) {
+    lines.push(`### ${clause.id}. ${describeClauseLocation(clause)} — ${clause.typeName}`, '');
+    if (clause.risks.length === 0) {
+      lines.push('Рисков не найдено.', '');
+      continue;
+    }
+    for (const risk of clause.risks) {
+      lines.push(`- Риск: ${SEVERITY_LABELS[risk.severity]}. ${risk.issue}`);
+      if (risk.suggestion) lines.push(`  Предлагаемая редакция: ${risk.suggestion}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('ВАЖНО: Это не юридическая консультация. Для получения квалифицированной помощи обратитесь к юристу.');
+  return lines.join('\n');
+}).join('\n\n---\n\n');
+
+module.exports = {
+  CLAUSE_TYPES,
+  REQUIRED_CLAUSES,
+  classifyClause,
+  segmentClauses,
+  reviewContract,
+  reviewQueryContracts,
+  formatContractReviewMarkdown
+};
@@ -0,0 +1,94 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { estimateTokens } = require('../utils/tokens');
+
+// Бюджет токенов на историю диалога, передаваемую модели
+const DEFAULT_HISTORY_TOKEN_BUDGET = 3000;
+// Максимум предыдущих ходов, которые вообще рассматриваются
+const MAX_HISTORY_TURNS = 20;
+
+const TITLE_MAX_LENGTH = 100;
+
+// Заголовок диалога по первому вопросу
+const buildTitle = (text) => {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  return normalized.length > TITLE_MAX_LENGTH
+    ? normalized.substring(0, TITLE_MAX_LENGTH - 1) + '…'
+    : normalized || 'Новый диалог';
+};
+
+// Получение диалога для нового запроса внутри транзакции:
+// без conversationId создаётся новый диалог, иначе проверяется, что он принадлежит пользователю
+const resolveConversation = async (client, userId, conversationId, text) => {
+  if (!conversationId) {
+    const insert = await client.query(`
+      INSERT INTO conversations (user_id, title)
+      VALUES ($1, $2)
+      RETURNING id
+    `, [userId, buildTitle(text)]);
+
+    return insert.rows[0].id;
+  }
+
+  const update = await client.query(`
+    UPDATE conversations SET updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING id
+  `, [conversationId, userId]);
+
+  if (update.rows.length === 0) {
+    const error = new Error('Conversation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return update.rows[0].id;
+};
+
+// История диалога до указанного запроса в формате сообщений чата.
+// Берутся самые свежие ходы, пока они укладываются в бюджет токенов
+const getConversationHistory = async (conversationId, beforeQueryId, tokenBudget) => {
+  const budget = tokenBudget || parseInt(process.env.CONVERSATION_HISTORY_TOKENS) || DEFAULT_HISTORY_TOKEN_BUDGET;
+
+  try {
+    const result = await query(`
+      SELECT
+        q.text as question,
+        r.ai_response->>'text' as answer
+      FROM queries q
+      JOIN responses r ON r.query_id = q.id AND r.is_current = true
+      WHERE q.conversation_id = $1
+        AND q.id != $2
+        AND q.status = 'completed'
+        AND q.created_at <= (SELECT created_at FROM queries WHERE id = $2)
+      ORDER BY q.created_at DESC
+      LIMIT $3
+    `, [conversationId, beforeQueryId, MAX_HISTORY_TURNS]);
+
+    const turns = [];
+    let used = 0;
+
+    for (const row of result.rows) {
+      const tokens = estimateTokens(row.question) + estimateTokens(row.answer);
+      if (used + tokens > budget) {
+        break;
+      }
+      used += tokens;
+      turns.unshift(row);
+    }
+
+    return turns.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer || '' }
+    ]);
+  } catch (error) {
+    logger.error('Error loading conversation history:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  buildTitle,
+  resolveConversation,
+  getConversationHistory
+};
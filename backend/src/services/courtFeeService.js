@@ -0,0 +1,252 @@
+// Расчёт государственной пошлины за обращение в суд по НК РФ (в редакции, действующей с 08.09.2024):
+// ст. 333.19 - суды общей юрисдикции, ст. 333.21 - арбитражные суды, ст. 333.36 - льготы
+
+const FEE_SCHEDULE_VALID_FROM = '2024-09-08';
+
+// Шкалы для исков имущественного характера: до upTo рублей пошлина = base + rate * (цена иска - from)
+const PROPERTY_SCALES = {
+  general: {
+    law: 'пп. 1 п. 1 ст. 333.19 НК РФ',
+    brackets: [
+      { from: 0, upTo: 100000, base: 4000, rate: 0 },
+      { from: 100000, upTo: 300000, base: 4000, rate: 0.03 },
+      { from: 300000, upTo: 500000, base: 10000, rate: 0.025 },
+      { from: 500000, upTo: 1000000, base: 15000, rate: 0.02 },
+      { from: 1000000, upTo: 3000000, base: 25000, rate: 0.01 },
+      { from: 3000000, upTo: 8000000, base: 45000, rate: 0.007 },
+      { from: 8000000, upTo: 24000000, base: 80000, rate: 0.0035 },
+      { from: 24000000, upTo: 50000000, base: 136000, rate: 0.003 },
+      { from: 50000000, upTo: 100000000, base: 214000, rate: 0.002 },
+      { from: 100000000, upTo: Infinity, base: 314000, rate: 0.0015 }
+    ],
+    max: 900000
+  },
+  arbitration: {
+    law: 'пп. 1 п. 1 ст. 333.21 НК РФ',
+    brackets: [
+      { from: 0, upTo: 100000, base: 10000, rate: 0 },
+      { from: 100000, upTo: 1000000, base: 10000, rate: 0.05 },
+      { from: 1000000, upTo: 10000000, base: 55000, rate: 0.03 },
+      { from: 10000000, upTo: 50000000, base: 325000, rate: 0.01 },
+      { from: 50000000, upTo: Infinity, base: 725000, rate: 0.005 }
+    ],
+    max: 10000000
+  }
+};
+
+// Фиксированные пошлины по виду обращения и заявителю (individual - физическое лицо, organization - организация)
+const FIXED_FEES = {
+  general: {
+    'non-property': { individual: 3000, organization: 20000, law: 'пп. 3 п. 1 ст. 333.19 НК РФ' },
+    divorce: { individual: 5000, organization: null, law: 'пп. 5 п. 1 ст. 333.19 НК РФ' },
+    appeal: { individual: 3000, organization: 15000, law: 'пп. 9 п. 1 ст. 333.19 НК РФ' },
+    cassation: { individual: 5000, organization: 20000, law: 'пп. 10 п. 1 ст. 333.19 НК РФ' }
+  },
+  arbitration: {
+    'non-property': { individual: 50000, organization: 50000, law: 'пп. 4 п. 1 ст. 333.21 НК РФ' },
+    appeal: { individual: 30000, organization: 30000, law: 'пп. 12 п. 1 ст. 333.21 НК РФ' },
+    cassation: { individual: 50000, organization: 50000, law: 'пп. 12 п. 1 ст. 333.21 НК РФ' }
+  }
+};
+
+const COURT_ORDER_LAW = {
+  general: 'пп. 2 п. 1 ст. 333.19 НК РФ',
+  arbitration: 'пп. 2 п. 1 ст. 333.21 НК РФ'
+};
+
+const COURTS = {
+  general: 'суд общей юрисдикции',
+  arbitration: 'арбитражный суд'
+};
+
+const CLAIM_TYPES = {
+  property: 'исковое заявление имущественного характера',
+  'non-property': 'исковое заявление неимущественного характера',
+  'court-order': 'заявление о выдаче судебного приказа',
+  divorce: 'исковое заявление о расторжении брака',
+  appeal: 'апелляционная жалоба',
+  cassation: 'кассационная жалоба'
+};
+
+// Льготы в судах общей юрисдикции. limit - освобождение действует при цене иска до этой суммы,
+// при большей цене пошлина уменьшается на пошлину с суммы limit (п. 3 ст. 333.36 НК РФ)
+const EXEMPTIONS = {
+  labour: { title: 'Иски работников по трудовым спорам', law: 'пп. 1 п. 1 ст. 333.36 НК РФ', limit: null },
+  alimony: { title: 'Иски о взыскании алиментов', law: 'пп. 2 п. 1 ст. 333.36 НК РФ', limit: null },
+  health: { title: 'Иски о возмещении вреда здоровью', law: 'пп. 3 п. 1 ст. 333.36 НК РФ', limit: null },
+  disability: { title: 'Инвалиды I и II групп', law: 'пп. 2 п. 2, п. 3 ст. 333.36 НК РФ', limit: 1000000 },
+  veteran: { title: 'Ветераны боевых действий и Великой Отечественной войны', law: 'пп. 3 п. 2, п. 3 ст. 333.36 НК РФ', limit: 1000000 },
+  consumer: { title: 'Иски о защите прав потребителей', law: 'пп. 4 п. 2, п. 3 ст. 333.36 НК РФ', limit: 1000000 }
+};
+
+// Пошлина исчисляется в полных рублях (п. 6 ст. 52 НК РФ)
+const roundRubles = (value) => Math.round(value);
+
+const propertyFee = (court, amount) => {
+  const scale = PROPERTY_SCALES[court];
+  const bracket = scale.brackets.find(item => amount <= item.upTo);
+  return roundRubles(Math.min(bracket.base + bracket.rate * (amount - bracket.from), scale.max));
+};
+
+const moneyFormat = new Intl.NumberFormat('ru-RU', { maximumFractionDigits: 2 });
+const formatRubles = (value) => `${moneyFormat.format(value)} руб.`;
+
+// Ошибка параметров расчёта со statusCode 400
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Пошлина по виду обращения: { fee, baseFee, law, exemption, calculation }.
+// amount - цена иска (для property и court-order), applicant - individual или organization
+const calculateCourtFee = ({ court = 'general', claimType = 'property', amount = null, applicant = 'individual', exemption = null }) => {
+  if (!COURTS[court]) throw invalid(`court must be one of: ${Object.keys(COURTS).join(', ')}`);
+  if (!CLAIM_TYPES[claimType]) throw invalid(`claimType must be one of: ${Object.keys(CLAIM_TYPES).join(', ')}`);
+  if (exemption && !EXEMPTIONS[exemption]) throw invalid(`exemption must be one of: ${Object.keys(EXEMPTIONS).join(', ')}`);
+  if (exemption && court !== 'general') throw invalid('Exemptions are supported only for courts of general jurisdiction');
+
+  const byAmount = claimType === 'property' || claimType === 'court-order';
+  if (byAmount && !(Number.isFinite(amount) && amount > 0)) {
+    throw invalid('amount must be a positive number for property claims and court orders');
+  }
+
+  let baseFee;
+  let law;
+  let calculation;
+
+  if (byAmount) {
+    baseFee = propertyFee(court, amount);
+    law = PROPERTY_SCALES[court].law;
+    calculation = `Цена иска ${formatRubles(amount)}: пошлина ${formatRubles(baseFee)}`;
+
+    if (claimType === 'court-order') {
+      baseFee = roundRubles(baseFee / 2);
+      law = `${COURT_ORDER_LAW[court]}, ${law}`;
+      calculation += `, для судебного приказа - 50%: ${formatRubles(baseFee)}`;
+    }
+  } else {
+    const fixed = FIXED_FEES[court][claimType];
+    if (!fixed || fixed[applicant] === null || fixed[applicant] === undefined) {
+      throw invalid(`Fee for ${claimType} in ${court} court is not defined for ${applicant}`);
+    }
+    baseFee = fixed[applicant];
+    law = fixed.law;
+    calculation = `Фиксированная пошлина: ${formatRubles(baseFee)}`;
+  }
+
+  let fee = baseFee;
+  let exemptionInfo = null;
+
+  if (exemption) {
+    const definition = EXEMPTIONS[exemption];
+    if (definition.limit && byAmount && amount > definition.limit) {
+      const limitFee = propertyFee(court, definition.limit);
+      fee = claimType === 'court-order' ? roundRubles((propertyFee(court, amount) - limitFee) / 2) : baseFee - limitFee;
+      calculation += `; льгота действует до ${formatRubles(definition.limit)}, к уплате - пошлина за вычетом ${formatRubles(claimType === 'court-order' ? limitFee / 2 : limitFee)}: ${formatRubles(fee)}`;
+    } else {
+      fee = 0;
+      calculation += '; истец освобождён от уплаты';
+    }
+    exemptionInfo = { id: exemption, title: definition.title, law: definition.law };
+  }
+
+  return {
+    court,
+    claimType,
+    applicant,
+    amount: byAmount ? amount : null,
+    fee,
+    baseFee,
+    law,
+    exemption: exemptionInfo,
+    calculation,
+    validFrom: FEE_SCHEDULE_VALID_FROM
+  };
+};
+
+const normalize = (text) => (text || '').toLowerCase().replace(/ё/g, 'е');
+
+// Признаки обращения в суд в вопросе: без них упомянутые суммы не считаются ценой иска
+const CLAIM_CONTEXT = /иск|в суд|взыск|пошлин|судебн\S* приказ/;
+
+const MULTIPLIERS = { тыс: 1000, тысяч: 1000, млн: 1000000, миллион: 1000000 };
+
+// Суммы в рублях из текста: «250 000 руб.», «1,5 млн рублей», «300 тыс. ₽»
+const extractAmounts = (text) => {
+  const amounts = [];
+  const pattern = /(?<![\d.,])(\d{1,3}(?:[  ]\d{3})+|\d+)(?:[.,](\d{1,2}))?\s*(тыс(?:яч)?[а-я]*\.?|млн\.?|миллион[а-я]*)?\s*(?:руб|₽|р\.)/g;
+
+  for (const match of normalize(text).matchAll(pattern)) {
+    let value = Number(`${match[1].replace(/[  ]/g, '')}.${match[2] || 0}`);
+    if (match[3]) {
+      const unit = Object.keys(MULTIPLIERS).find(key => match[3].startsWith(key));
+      value *= MULTIPLIERS[unit];
+    }
+    if (value > 0) {
+      amounts.push(value);
+    }
+  }
+
+  return amounts;
+};
+
+// Льгота по тексту вопроса и отрасли права
+const detectExemption = (source, domain) => {
+  if (/алимент/.test(source)) return 'alimony';
+  if (/вред\S* здоровь|увечь/.test(source)) return 'health';
+  if (domain === 'labour' || /зарплат|заработн\S* плат|работодател|уволь|уволи/.test(source)) return 'labour';
+  if (domain === 'consumer' || /потребител/.test(source)) return 'consumer';
+  return null;
+};
+
+// Госпошлина для вопроса, в котором упомянута цена иска. Берётся наибольшая из упомянутых сумм;
+// заявитель считается физическим лицом, суд - общей юрисдикции, если не упомянут арбитраж
+const calculateCourtFeeForQuestion = (text, domain = null) => {
+  const source = normalize(text);
+  if (!CLAIM_CONTEXT.test(source)) {
+    return null;
+  }
+
+  const amounts = extractAmounts(text);
+  if (amounts.length === 0) {
+    return null;
+  }
+
+  const court = /арбитраж/.test(source) ? 'arbitration' : 'general';
+  const claimType = /судебн\S* приказ/.test(source) ? 'court-order' : 'property';
+
+  return calculateCourtFee({
+    court,
+    claimType,
+    amount: Math.max(...amounts),
+    exemption: court === 'general' ? detectExemption(source, domain) : null
+  });
+};
+
+const sentence = (text) => (/[.!?]$/.test(text) ? text : `${text}.`);
+
+// Блок расчёта госпошлины для промта
+const formatCourtFeeForPrompt = (courtFee) => {
+  if (!courtFee) {
+    return '';
+  }
+
+  const exemption = courtFee.exemption
+    ? ` Применена льгота: ${courtFee.exemption.title} (${courtFee.exemption.law}); если она к пользователю не относится, пошлина - ${formatRubles(courtFee.baseFee)}`
+    : '';
+
+  return '\n\nРАСЧЁТ ГОСПОШЛИНЫ (выполнен программно по НК РФ в редакции с 08.09.2024; приведи эту сумму в ответе без пересчёта):\n' +
+    `- ${CLAIM_TYPES[courtFee.claimType]}, ${COURTS[courtFee.court]}, цена иска ${formatRubles(courtFee.amount)} (наибольшая сумма из вопроса): ` +
+    `${formatRubles(courtFee.fee)} (${courtFee.law}). ${sentence(courtFee.calculation)}${exemption}`;
+};
+
+module.exports = {
+  COURTS,
+  CLAIM_TYPES,
+  EXEMPTIONS,
+  calculateCourtFee,
+  extractAmounts,
+  calculateCourtFeeForQuestion,
+  formatCourtFeeForPrompt
+};
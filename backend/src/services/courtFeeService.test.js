@@ -0,0 +1,84 @@
+const {
+  calculateCourtFee,
+  extractAmounts,
+  calculateCourtFeeForQuestion,
+  formatCourtFeeForPrompt
+} = require('./courtFeeService');
+
+describe('calculateCourtFee', () => {
+  it('считает пошлину по шкале для исков имущественного характера', () => {
+    expect(calculateCourtFee({ amount: 50000 }).fee).toBe(4000);
+    expect(calculateCourtFee({ amount: 250000 }).fee).toBe(8500);
+    expect(calculateCourtFee({ amount: 2000000 }).fee).toBe(35000);
+    expect(calculateCourtFee({ court: 'arbitration', amount: 500000 }).fee).toBe(30000);
+  });
+
+  it('ограничивает пошлину максимумом шкалы', () => {
+    expect(calculateCourtFee({ amount: 1000000000 }).fee).toBe(900000);
+  });
+
+  it('берёт половину пошлины за судебный приказ', () => {
+    const result = calculateCourtFee({ claimType: 'court-order', amount: 250000 });
+
+    expect(result.fee).toBe(4250);
+    expect(result.law).toContain('пп. 2 п. 1 ст. 333.19 НК РФ');
+  });
+
+  it('возвращает фиксированную пошлину по заявителю', () => {
+    expect(calculateCourtFee({ claimType: 'non-property' }).fee).toBe(3000);
+    expect(calculateCourtFee({ claimType: 'non-property', applicant: 'organization' }).fee).toBe(20000);
+    expect(calculateCourtFee({ claimType: 'divorce', amount: 100 }).amount).toBeNull();
+  });
+
+  it('освобождает от пошлины по льготе и уменьшает её сверх лимита льготы', () => {
+    expect(calculateCourtFee({ amount: 300000, exemption: 'labour' })).toMatchObject({ fee: 0, baseFee: 10000 });
+    expect(calculateCourtFee({ amount: 1500000, exemption: 'consumer' })).toMatchObject({ fee: 5000, baseFee: 30000 });
+  });
+
+  it('отклоняет неверные параметры с кодом 400', () => {
+    expect(() => calculateCourtFee({ court: 'supreme', amount: 1000 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => calculateCourtFee({ amount: 0 })).toThrow('amount must be a positive number');
+    expect(() => calculateCourtFee({ court: 'arbitration', amount: 1000, exemption: 'labour' })).toThrow('Exemptions');
+    expect(() => calculateCourtFee({ claimType: 'divorce', applicant: 'organization' })).toThrow('not defined');
+  });
+});
+
+describe('extractAmounts', () => {
+  it('находит суммы с разрядами, дробной частью и множителями', () => {
+    expect(extractAmounts('Долг 1,5 млн рублей, неустойка 250 000 руб. и 300 тыс. ₽')).toEqual([1500000, 250000, 300000]);
+    expect(extractAmounts('Заплатил 12 500,50 руб.')).toEqual([12500.5]);
+  });
+
+  it('не считает суммой числа без указания рублей', () => {
+    expect(extractAmounts('Договор № 15 от 2024 года на 3 месяца')).toEqual([]);
+  });
+});
+
+describe('calculateCourtFeeForQuestion', () => {
+  it('считает пошлину по наибольшей сумме в вопросе об иске', () => {
+    const result = calculateCourtFeeForQuestion('Хочу подать иск о взыскании долга 200 000 руб. и процентов 20 000 руб.');
+
+    expect(result).toMatchObject({ court: 'general', claimType: 'property', amount: 200000, fee: 7000, exemption: null });
+  });
+
+  it('определяет арбитраж, судебный приказ и льготу по тексту и отрасли', () => {
+    expect(calculateCourtFeeForQuestion('Иск в арбитражный суд на 500 000 руб.')).toMatchObject({ court: 'arbitration', fee: 30000 });
+    expect(calculateCourtFeeForQuestion('Заявление на судебный приказ о взыскании 100 000 руб.')).toMatchObject({ claimType: 'court-order', fee: 2000 });
+    expect(calculateCourtFeeForQuestion('Иск о взыскании 150 000 руб.', 'labour').exemption.id).toBe('labour');
+  });
+
+  it('не считает пошлину без обращения в суд или без суммы', () => {
+    expect(calculateCourtFeeForQuestion('Купил телефон за 50 000 руб., он сломался')).toBeNull();
+    expect(calculateCourtFeeForQuestion('Как подать иск о разделе имущества?')).toBeNull();
+  });
+});
+
+describe('formatCourtFeeForPrompt', () => {
+  it('описывает расчёт и льготу для промта', () => {
+    const text = formatCourtFeeForPrompt(calculateCourtFee({ amount: 300000, exemption: 'labour' }));
+
+    expect(text).toContain('РАСЧЁТ ГОСПОШЛИНЫ');
+    expect(text).toContain('Применена льгота: Иски работников по трудовым спорам');
+    expect(formatCourtFeeForPrompt(null)).toBe('');
+  });
+});
@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { MONTHS, toISODate, isValidCalendarDate } = require('./lawVersionService');
+
+// Расчёт сроков без модели: исковая давность, обжалование, трудовые споры, требования потребителей.
+// Рабочие дни определяются по производственному календарю из локального файла
+
+const DEFAULT_CALENDAR_PATH = path.join(__dirname, '../../data/calendar/production-calendar.json');
+
+// Нерабочие праздничные дни по ст. 112 ТК РФ (месяц-день) - для лет, которых нет в календаре.
+// Переносы выходных для таких лет неизвестны, поэтому расчёт помечается как приблизительный
+const STATUTORY_HOLIDAYS = ['01-01', '01-02', '01-03', '01-04', '01-05', '01-06', '01-08', '02-23', '03-08', '05-01', '05-09', '06-12', '11-04'];
+
+// Сколько правил рассчитывать для одного вопроса
+const MAX_RULES_PER_QUESTION = 3;
+
+// Сроки: amount и unit (days, months, years); counting: calendar - календарные дни, business - рабочие.
+// event - от какого события отсчитывается срок; pattern и unless - признаки правила в тексте вопроса
+const DEADLINE_RULES = {
+  'limitation-general': {
+    title: 'Общий срок исковой давности',
+    law: 'ст. 196, 200 ГК РФ',
+    amount: 3,
+    unit: 'years',
+    counting: 'calendar',
+    event: 'день, когда лицо узнало или должно было узнать о нарушении своего права',
+    pattern: /давност/
+  },
+  'appeal-civil': {
+    title: 'Апелляционная жалоба на решение суда общей юрисдикции',
+    law: 'ст. 321 ГПК РФ',
+    amount: 1,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день принятия решения в окончательной форме',
+    pattern: /апелляц|обжал\S* решени/,
+    unless: /арбитраж|частн\S* жалоб/
+  },
+  'private-appeal-civil': {
+    title: 'Частная жалоба на определение суда',
+    law: 'ст. 332 ГПК РФ',
+    amount: 15,
+    unit: 'days',
+    counting: 'business',
+    event: 'день вынесения определения',
+    pattern: /частн\S* жалоб/
+  },
+  'cassation-civil': {
+    title: 'Кассационная жалоба по гражданскому делу',
+    law: 'ст. 376.1 ГПК РФ',
+    amount: 3,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день вступления в силу обжалуемого акта',
+    pattern: /кассац/,
+    unless: /арбитраж/
+  },
+  'court-order-objection': {
+    title: 'Возражения относительно исполнения судебного приказа',
+    law: 'ст. 128, 129 ГПК РФ',
+    amount: 10,
+    unit: 'days',
+    counting: 'business',
+    event: 'день получения копии судебного приказа',
+    pattern: /судебн\S* приказ|отмен\S* приказ/
+  },
+  'appeal-arbitration': {
+    title: 'Апелляционная жалоба на решение арбитражного суда',
+    law: 'ст. 259 АПК РФ',
+    amount: 1,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день принятия решения (изготовления в полном объёме)',
+    pattern: /(?:апелляц|обжал)[\s\S]*арбитраж|арбитраж[\s\S]*(?:апелляц|обжал)/
+  },
+  'cassation-arbitration': {
+    title: 'Кассационная жалоба в арбитражном процессе',
+    law: 'ст. 276 АПК РФ',
+    amount: 2,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день вступления в силу обжалуемого акта',
+    pattern: /кассац[\s\S]*арбитраж|арбитраж[\s\S]*кассац/
+  },
+  'pretrial-arbitration': {
+    title: 'Досудебный претензионный порядок перед иском в арбитражный суд',
+    law: 'ч. 5 ст. 4 АПК РФ',
+    amount: 30,
+    unit: 'days',
+    counting: 'calendar',
+    event: 'день направления претензии',
+    pattern: /претензионн|досудебн\S* (?:порядок|урегулирован)/,
+    unless: /потребител/
+  },
+  'labour-dismissal': {
+    title: 'Обращение в суд по спору об увольнении',
+    law: 'ч. 1 ст. 392 ТК РФ',
+    amount: 1,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день вручения копии приказа об увольнении либо выдачи трудовой книжки или сведений о трудовой деятельности',
+    pattern: /уволи|уволь|увольнен/
+  },
+  'labour-wages': {
+    title: 'Обращение в суд о взыскании невыплаченной зарплаты',
+    law: 'ч. 2 ст. 392 ТК РФ',
+    amount: 1,
+    unit: 'years',
+    counting: 'calendar',
+    event: 'установленный срок выплаты',
+    pattern: /зарплат|заработн\S* плат|невыплат\S* (?:зарплат|заработ|расчет|отпускн)|оплат\S* труда/
+  },
+  'labour-general': {
+    title: 'Обращение в суд по индивидуальному трудовому спору',
+    law: 'ч. 1 ст. 392 ТК РФ',
+    amount: 3,
+    unit: 'months',
+    counting: 'calendar',
+    event: 'день, когда работник узнал или должен был узнать о нарушении своего права',
+    pattern: /трудов\S* спор|работодател/,
+    unless: /уволи|уволь|увольнен|зарплат|заработн\S* плат/
+  },
+  'consumer-refund': {
+    title: 'Срок возврата денег продавцом по требованию потребителя',
+    law: 'ст. 22 Закона «О защите прав потребителей»',
+    amount: 10,
+    unit: 'days',
+    counting: 'calendar',
+    event: 'день предъявления требования',
+    pattern: /(?:вернуть|возврат\S*|верн\S*) (?:мне )?(?:деньг|денежн|средств|стоимост)/
+  },
+  'consumer-replacement': {
+    title: 'Срок замены товара с недостатками',
+    law: 'ст. 21 Закона «О защите прав потребителей»',
+    amount: 7,
+    unit: 'days',
+    counting: 'calendar',
+    event: 'день предъявления требования (при дополнительной проверке качества - 20 дней)',
+    pattern: /замен\S* (?:товар|телефон|на аналогичн)|обмен\S* (?:товар|на аналогичн)/
+  },
+  'consumer-repair': {
+    title: 'Максимальный срок гарантийного ремонта',
+    law: 'ст. 20 Закона «О защите прав потребителей»',
+    amount: 45,
+    unit: 'days',
+    counting: 'calendar',
+    event: 'день передачи товара в ремонт',
+    pattern: /ремонт/
+  },
+  'consumer-return': {
+    title: 'Обмен или возврат товара надлежащего качества',
+    law: 'ст. 25 Закона «О защите прав потребителей»',
+    amount: 14,
+    unit: 'days',
+    counting: 'calendar',
+    event: 'день покупки (сам день покупки не считается)',
+    pattern: /надлежащ\S* качеств|не подош|не подходит|не понравил/
+  }
+};
+
+// Признаки вопроса о сроке
+const DEADLINE_QUESTION = /срок|успе(?:ю|ваю|ть|ем|ете)|давност|до какого (?:числа|дня)|пропуст|пропущ|опоздал|когда (?:можно|нужно|надо|последний день)/;
+
+let calendar = null;
+
+// Производственный календарь: будни, объявленные нерабочими, и выходные, объявленные рабочими, по годам
+const loadCalendar = () => {
+  if (calendar) {
+    return calendar;
+  }
+
+  const calendarPath = process.env.PRODUCTION_CALENDAR_PATH || DEFAULT_CALENDAR_PATH;
+  calendar = { nonWorkingDays: new Set(), workingDays: new Set(), years: new Set() };
+
+  try {
+    const data = JSON.parse(fs.readFileSync(calendarPath, 'utf8'));
+    for (const [year, days] of Object.entries(data.years || {})) {
+      calendar.years.add(Number(year));
+      (days.nonWorkingDays || []).forEach(date => calendar.nonWorkingDays.add(date));
+      (days.workingDays || []).forEach(date => calendar.workingDays.add(date));
+    }
+    logger.info('Production calendar loaded:', { calendarPath, years: [...calendar.years] });
+  } catch (error) {
+    logger.error('Error loading production calendar, using statutory holidays only:', { calendarPath, error: error.message });
+  }
+
+  return calendar;
+};
+
+// Даты - строки YYYY-MM-DD, арифметика в UTC
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatISO = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const result = parseDate(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return formatISO(result);
+};
+
+// Тот же день через months месяцев; если такого дня нет - последний день месяца (п. 3 ст. 192 ГК РФ)
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return formatISO(target);
+};
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / 86400000);
+
+const isWorkingDay = (date) => {
+  const { nonWorkingDays, workingDays } = loadCalendar();
+  if (workingDays.has(date)) return true;
+  if (nonWorkingDays.has(date)) return false;
+
+  const weekday = parseDate(date).getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+
+  return loadCalendar().years.has(Number(date.slice(0, 4))) || !STATUTORY_HOLIDAYS.includes(date.slice(5));
+};
+
+const nextWorkingDay = (date) => {
+  let current = date;
+  while (!isWorkingDay(current)) {
+    current = addDays(current, 1);
+  }
+  return current;
+};
+
+// Окончание срока по ст. 191-193 ГК РФ и ст. 107, 108 ГПК РФ: течение начинается на следующий день после события,
+// в срок в рабочих днях нерабочие дни не включаются, а если последний день срока нерабочий,
+// срок истекает в ближайший следующий рабочий день
+const calculatePeriod = ({ eventDate, amount, unit, counting = 'calendar' }) => {
+  let nominalEndDate;
+
+  if (unit === 'days' && counting === 'business') {
+    nominalEndDate = eventDate;
+    for (let left = amount; left > 0;) {
+      nominalEndDate = addDays(nominalEndDate, 1);
+      if (isWorkingDay(nominalEndDate)) left--;
+    }
+  } else if (unit === 'days') {
+    nominalEndDate = addDays(eventDate, amount);
+  } else {
+    nominalEndDate = addMonths(eventDate, unit === 'years' ? amount * 12 : amount);
+  }
+
+  const endDate = nextWorkingDay(nominalEndDate);
+  const startDate = addDays(eventDate, 1);
+
+  // Рабочие дни важны для всего срока в рабочих днях, для остальных - только для его окончания
+  const checkedFrom = counting === 'business' ? startDate : nominalEndDate;
+  const years = [];
+  for (let year = Number(checkedFrom.slice(0, 4)); year <= Number(endDate.slice(0, 4)); year++) {
+    years.push(year);
+  }
+
+  return {
+    startDate,
+    endDate,
+    nominalEndDate,
+    shifted: endDate !== nominalEndDate,
+    // Для лет без производственного календаря переносы выходных не учтены
+    approximate: !years.every(year => loadCalendar().years.has(year))
+  };
+};
+
+const plural = (count, one, few, many) => {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+  if (mod10 === 1 && mod100 !== 11) return one;
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 10 || mod100 >= 20)) return few;
+  return many;
+};
+
+const formatPeriod = ({ amount, unit, counting }) => {
+  if (unit === 'years') return `${amount} ${plural(amount, 'год', 'года', 'лет')}`;
+  if (unit === 'months') return `${amount} ${plural(amount, 'месяц', 'месяца', 'месяцев')}`;
+  return counting === 'business'
+    ? `${amount} ${plural(amount, 'рабочий день', 'рабочих дня', 'рабочих дней')}`
+    : `${amount} ${plural(amount, 'день', 'дня', 'дней')}`;
+};
+
+const formatDate = (date) => date.split('-').reverse().join('.');
+
+const today = () => formatISO(new Date());
+
+// Срок по правилу или по произвольному периоду ({ amount, unit, counting }) от даты события
+const calculateDeadline = ({ ruleId = null, period = null, eventDate, now = today() }) => {
+  const rule = ruleId ? DEADLINE_RULES[ruleId] : null;
+  const { amount, unit, counting } = rule || period;
+  const result = calculatePeriod({ eventDate, amount, unit, counting });
+  const daysLeft = daysBetween(now, result.endDate);
+
+  return {
+    rule: ruleId,
+    title: rule ? rule.title : null,
+    law: rule ? rule.law : null,
+    event: rule ? rule.event : null,
+    period: { amount, unit, counting, description: formatPeriod({ amount, unit, counting }) },
+    eventDate,
+    ...result,
+    daysLeft,
+    expired: daysLeft < 0
+  };
+};
+
+const normalize = (text) => (text || '').toLowerCase().replace(/ё/g, 'е');
+
+// Правила сроков, о которых спрашивает вопрос
+const detectDeadlineRules = (text) => {
+  const source = normalize(text);
+  if (!DEADLINE_QUESTION.test(source)) {
+    return [];
+  }
+
+  return Object.entries(DEADLINE_RULES)
+    .filter(([, rule]) => rule.pattern.test(source) && !(rule.unless && rule.unless.test(source)))
+    .map(([id]) => id)
+    .slice(0, MAX_RULES_PER_QUESTION);
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+// Точные даты из текста: «12.03.2025», «12 марта 2025 г.»
+const extractEventDates = (text) => {
+  const source = normalize(text);
+  const dates = [];
+
+  for (const match of source.matchAll(/(?<!\d)(\d{1,2})\.(\d{1,2})\.(\d{4})(?!\d)/g)) {
+    if (isValidCalendarDate(+match[3], +match[2], +match[1])) {
+      dates.push(toISODate(+match[3], +match[2], +match[1]));
+    }
+  }
+
+  for (const match of source.matchAll(new RegExp(`(?<!\\d)(\\d{1,2})\\s+(${MONTH_PATTERN})[а-я]*\\s+(\\d{4})(?!\\d)`, 'g'))) {
+    if (isValidCalendarDate(+match[3], MONTHS[match[2]], +match[1])) {
+      dates.push(toISODate(+match[3], MONTHS[match[2]], +match[1]));
+    }
+  }
+
+  return dates;
+};
+
+// Сроки для вопроса: правила по тексту, дата события - последняя из упомянутых прошедших дат.
+// Без даты события правило возвращается без расчёта (endDate: null)
+const calculateDeadlinesForQuestion = (text, now = today()) => {
+  const ruleIds = detectDeadlineRules(text);
+  if (ruleIds.length === 0) {
+    return [];
+  }
+
+  const eventDate = extractEventDates(text)
+    .filter(date => date <= now)
+    .sort()
+    .pop() || null;
+
+  return ruleIds.map((ruleId) => {
+    if (eventDate) {
+      return calculateDeadline({ ruleId, eventDate, now });
+    }
+
+    const rule = DEADLINE_RULES[ruleId];
+    return {
+      rule: ruleId,
+      title: rule.title,
+      law: rule.law,
+      event: rule.event,
+      period: { amount: rule.amount, unit: rule.unit, counting: rule.counting, description: formatPeriod(rule) },
+      eventDate: null,
+      endDate: null
+    };
+  });
+};
+
+const describeDeadline = (deadline, now) => {
+  const head = `- ${deadline.title} (${deadline.law}): ${deadline.period.description}, отсчёт - ${deadline.event}.`;
+  if (!deadline.endDate) {
+    return `${head} Дата события в вопросе не указана: назови это правило и попроси пользователя уточнить дату.`;
+  }
+
+  const shifted = deadline.shifted ? ` (перенесено с нерабочего ${formatDate(deadline.nominalEndDate)})` : '';
+  const status = deadline.expired
+    ? `срок истёк ${-deadline.daysLeft} ${plural(-deadline.daysLeft, 'день', 'дня', 'дней')} назад`
+    : `осталось ${deadline.daysLeft} ${plural(deadline.daysLeft, 'день', 'дня', 'дней')}`;
+
+  return `${head} Дата события: ${formatDate(deadline.eventDate)}, последний день срока: ${formatDate(deadline.endDate)}${shifted}; ` +
+    `на ${formatDate(now)} ${status}.${deadline.approximate ? ' Производственный календарь на этот год не загружен, переносы выходных не учтены.' : ''}`;
+};
+
+// Блок рассчитанных сроков для промта
+const formatDeadlinesForPrompt = (deadlines, now = today()) => {
+  if (deadlines.length === 0) {
+    return '';
+  }
+
+  return '\n\nРАСЧЁТ СРОКОВ (выполнен программно по производственному календарю; приведи эти даты в ответе без пересчёта ' +
+    'и упомяни основания для восстановления пропущенного срока, если он истёк):\n' +
+    deadlines.map(deadline => describeDeadline(deadline, now)).join('\n');
+};
+
+// Календарь года: нерабочие будни, рабочие выходные и число рабочих дней
+const describeCalendarYear = (year) => {
+  const nonWorkingDays = [];
+  const workingDays = [];
+  let workingDayCount = 0;
+
+  for (let date = toISODate(year, 1, 1); date.startsWith(String(year)); date = addDays(date, 1)) {
+    const weekday = parseDate(date).getUTCDay();
+    const weekend = weekday === 0 || weekday === 6;
+    const working = isWorkingDay(date);
+
+    if (working) workingDayCount++;
+    if (!weekend && !working) nonWorkingDays.push(date);
+    if (weekend && working) workingDays.push(date);
+  }
+
+  return {
+    year,
+    fromCalendar: loadCalendar().years.has(year),
+    nonWorkingDays,
+    workingDays,
+    workingDayCount
+  };
+};
+
+module.exports = {
+  DEADLINE_RULES,
+  isWorkingDay,
+  calculateDeadline,
+  detectDeadlineRules,
+  extractEventDates,
+  calculateDeadlinesForQuestion,
+  formatDeadlinesForPrompt,
+  describeCalendarYear
+};
@@ -0,0 +1,115 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  isWorkingDay,
+  calculateDeadline,
+  detectDeadlineRules,
+  extractEventDates,
+  calculateDeadlinesForQuestion,
+  formatDeadlinesForPrompt,
+  describeCalendarYear
+} = require('./deadlineService');
+
+describe('isWorkingDay', () => {
+  it('учитывает праздники и переносы производственного календаря', () => {
+    expect(isWorkingDay('2025-01-08')).toBe(false);
+    expect(isWorkingDay('2025-05-02')).toBe(false);
+    expect(isWorkingDay('2025-11-01')).toBe(true);
+    expect(isWorkingDay('2025-11-05')).toBe(true);
+    expect(isWorkingDay('2025-11-08')).toBe(false);
+  });
+
+  it('для лет без календаря использует праздники по ст. 112 ТК РФ', () => {
+    expect(isWorkingDay('2027-11-04')).toBe(false);
+    expect(isWorkingDay('2027-11-05')).toBe(true);
+  });
+});
+
+describe('calculateDeadline', () => {
+  it('переносит окончание срока с нерабочего дня на следующий рабочий', () => {
+    const deadline = calculateDeadline({ ruleId: 'labour-dismissal', eventDate: '2025-04-08', now: '2025-04-10' });
+
+    expect(deadline.startDate).toBe('2025-04-09');
+    expect(deadline.nominalEndDate).toBe('2025-05-08');
+    expect(deadline.endDate).toBe('2025-05-12');
+    expect(deadline.shifted).toBe(true);
+    expect(deadline.approximate).toBe(false);
+    expect(deadline.daysLeft).toBe(32);
+    expect(deadline.expired).toBe(false);
+    expect(deadline.period.description).toBe('1 месяц');
+  });
+
+  it('берёт последний день месяца, если такого числа в нём нет', () => {
+    const deadline = calculateDeadline({ period: { amount: 1, unit: 'months' }, eventDate: '2025-01-31', now: '2025-02-01' });
+
+    expect(deadline.endDate).toBe('2025-02-28');
+    expect(deadline.shifted).toBe(false);
+    expect(deadline.rule).toBeNull();
+  });
+
+  it('не включает нерабочие дни в срок в рабочих днях', () => {
+    const deadline = calculateDeadline({ ruleId: 'court-order-objection', eventDate: '2025-12-26', now: '2025-12-26' });
+
+    expect(deadline.endDate).toBe('2026-01-21');
+    expect(deadline.period.description).toBe('10 рабочих дней');
+    expect(deadline.approximate).toBe(false);
+  });
+
+  it('помечает истёкший срок и приблизительный расчёт для лет без календаря', () => {
+    expect(calculateDeadline({ ruleId: 'labour-dismissal', eventDate: '2025-03-03', now: '2025-04-10' }))
+      .toMatchObject({ endDate: '2025-04-03', daysLeft: -7, expired: true });
+
+    expect(calculateDeadline({ ruleId: 'limitation-general', eventDate: '2025-03-10', now: '2025-04-10' }))
+      .toMatchObject({ endDate: '2028-03-10', approximate: true });
+  });
+});
+
+describe('detectDeadlineRules', () => {
+  it('находит правила только в вопросах о сроках', () => {
+    expect(detectDeadlineRules('Какой срок подачи апелляционной жалобы?')).toEqual(['appeal-civil']);
+    expect(detectDeadlineRules('Успею ли обжаловать решение арбитражного суда?')).toEqual(['appeal-arbitration']);
+    expect(detectDeadlineRules('Меня уволили, что делать?')).toEqual([]);
+  });
+
+  it('не применяет правило при исключающем признаке', () => {
+    expect(detectDeadlineRules('Какой срок обращения в суд, если работодатель не выплатил зарплату?')).toEqual(['labour-wages']);
+  });
+});
+
+describe('extractEventDates', () => {
+  it('находит даты в цифровом и словесном виде', () => {
+    expect(extractEventDates('Решение вынесено 12 марта 2025 года, копию получил 15.03.2025'))
+      .toEqual(['2025-03-15', '2025-03-12']);
+  });
+
+  it('пропускает несуществующие даты', () => {
+    expect(extractEventDates('31.02.2025 и 30 февраля 2025')).toEqual([]);
+  });
+});
+
+describe('calculateDeadlinesForQuestion', () => {
+  it('считает срок от последней прошедшей даты вопроса', () => {
+    const [deadline] = calculateDeadlinesForQuestion('Меня уволили 03.03.2025, успею ли подать в суд? Встреча 01.06.2025', '2025-04-10');
+
+    expect(deadline.rule).toBe('labour-dismissal');
+    expect(deadline.eventDate).toBe('2025-03-03');
+  });
+
+  it('без даты события возвращает правило без расчёта', () => {
+    const [deadline] = calculateDeadlinesForQuestion('Какой срок исковой давности по долгу?', '2025-04-10');
+
+    expect(deadline).toMatchObject({ rule: 'limitation-general', eventDate: null, endDate: null });
+    expect(formatDeadlinesForPrompt([deadline], '2025-04-10')).toContain('попроси пользователя уточнить дату');
+  });
+});
+
+describe('describeCalendarYear', () => {
+  it('считает рабочие дни года по календарю', () => {
+    const year = describeCalendarYear(2025);
+
+    expect(year.fromCalendar).toBe(true);
+    expect(year.workingDays).toEqual(['2025-11-01']);
+    expect(year.nonWorkingDays).toContain('2025-06-13');
+    expect(year.workingDayCount).toBe(247);
+  });
+});
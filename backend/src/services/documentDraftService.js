@@ -0,0 +1,398 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const { selectTemplate, renderPrompt } = require('./promptService');
+const { isRedactionEnabled, createRedactor } = require('./redactionService');
+const { createDocx } = require('./docxService');
+
+// Составление документов по шаблонам: претензии, иски, жалобы, заявления работодателю.
+// Модель заполняет поля по вопросу и ответу, пользователь дополняет недостающие, сервер собирает DOCX
+
+// Типы полей: text - строка, multiline - абзацы (для требований и приложений - по одному на строку),
+// date - YYYY-MM-DD, money - сумма в рублях, number - целое число, email, phone
+const FIELD_LIMITS = { text: 300, multiline: 5000 };
+
+// Блоки документа для docxService
+
+const header = (...lines) => ({ text: lines.filter(Boolean).join('\n'), align: 'right', spacingAfter: 6 });
+
+const title = (text, subtitle) => ({
+  text: subtitle ? `${text}\n${subtitle}` : text,
+  align: 'center',
+  bold: true,
+  spacingAfter: 12
+});
+
+const paragraph = (text) => ({ text, align: 'both', indent: true, spacingAfter: 6 });
+
+const withoutPeriod = (text) => text.replace(/[.\s]+$/, '');
+
+const splitLines = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean);
+
+const paragraphs = (text) => splitLines(text).map(paragraph);
+
+// Нумерованный список из строк; нумерация, проставленная пользователем или моделью, заменяется
+const numbered = (text) => splitLines(text)
+  .map((line, index) => paragraph(`${index + 1}. ${line.replace(/^(?:\d+[.)]|[-•*])\s*/, '')}`));
+
+const signature = (date, name) => ({
+  text: `${date}${' '.repeat(20)}______________ / ${name}`,
+  align: 'left',
+  spacingAfter: 0
+});
+
+const field = (key, label, type, options = {}) => ({ key, label, type, required: false, hint: null, ...options });
+
+// Дата документа есть во всех шаблонах и по умолчанию - сегодня
+const DOCUMENT_DATE = field('document_date', 'Дата документа', 'date', { required: true, defaultValue: 'today' });
+
+const DOCUMENT_TEMPLATES = {
+  'claim-letter': {
+    title: 'Досудебная претензия',
+    description: 'Требование к продавцу, исполнителю или контрагенту до обращения в суд',
+    fields: [
+      field('recipient_name', 'Кому (организация или ФИО)', 'text', { required: true }),
+      field('recipient_address', 'Адрес получателя', 'text', { required: true }),
+      field('sender_name', 'ФИО заявителя', 'text', { required: true }),
+      field('sender_address', 'Адрес заявителя', 'text', { required: true }),
+      field('sender_phone', 'Телефон заявителя', 'phone'),
+      field('sender_email', 'Эл. почта заявителя', 'email'),
+      field('basis', 'Основание отношений', 'text', { required: true, hint: 'Например: договор № 15 от 01.03.2024, кассовый чек от 10.05.2024' }),
+      field('circumstances', 'Обстоятельства нарушения', 'multiline', { required: true }),
+      field('legal_basis', 'Правовое обоснование', 'multiline', { hint: 'Статьи законов, на которых основаны требования' }),
+      field('demands', 'Требования', 'multiline', { required: true, hint: 'По одному требованию на строку' }),
+      field('amount', 'Сумма требований, руб.', 'money'),
+      field('response_days', 'Срок ответа, дней', 'number', { required: true, defaultValue: 10 }),
+      DOCUMENT_DATE
+    ],
+    build: (v) => [
+      header(`Кому: ${v.recipient_name}`, v.recipient_address),
+      header(`От: ${v.sender_name}`, v.sender_address, v.sender_phone && `Тел.: ${v.sender_phone}`, v.sender_email && `Эл. почта: ${v.sender_email}`),
+      title('ПРЕТЕНЗИЯ'),
+      paragraph(`Основание: ${withoutPeriod(v.basis)}.`),
+      ...paragraphs(v.circumstances),
+      ...paragraphs(v.legal_basis),
+      paragraph('На основании изложенного требую:'),
+      ...numbered(v.demands),
+      v.amount && paragraph(`Общая сумма требований: ${v.amount}`),
+      paragraph(`Прошу рассмотреть претензию и дать ответ в течение ${v.response_days} дней с момента её получения. ` +
+        'В случае отказа или отсутствия ответа я буду вынужден(а) обратиться в суд, где помимо указанных требований ' +
+        'заявлю о взыскании неустойки, компенсации морального вреда и судебных расходов.'),
+      signature(v.document_date, v.sender_name)
+    ]
+  },
+  lawsuit: {
+    title: 'Исковое заявление',
+    description: 'Иск в суд общей юрисдикции по имущественному или иному спору',
+    fields: [
+      field('court_name', 'Суд', 'text', { required: true, hint: 'Например: Пресненский районный суд г. Москвы' }),
+      field('court_address', 'Адрес суда', 'text'),
+      field('plaintiff_name', 'Истец (ФИО)', 'text', { required: true }),
+      field('plaintiff_address', 'Адрес истца', 'text', { required: true }),
+      field('plaintiff_phone', 'Телефон истца', 'phone'),
+      field('defendant_name', 'Ответчик', 'text', { required: true }),
+      field('defendant_address', 'Адрес ответчика', 'text', { required: true }),
+      field('claim_amount', 'Цена иска, руб.', 'money'),
+      field('subject', 'Предмет иска', 'text', { required: true, hint: 'Например: о взыскании задолженности по договору займа' }),
+      field('circumstances', 'Обстоятельства дела', 'multiline', { required: true }),
+      field('pretrial', 'Досудебное урегулирование', 'multiline', { hint: 'Когда направлена претензия и каков ответ' }),
+      field('legal_basis', 'Правовое обоснование', 'multiline', { required: true }),
+      field('demands', 'Исковые требования', 'multiline', { required: true, hint: 'По одному требованию на строку' }),
+      field('attachments', 'Приложения', 'multiline', { hint: 'По одному документу на строку' }),
+      DOCUMENT_DATE
+    ],
+    build: (v) => [
+      header(`В ${v.court_name}`, v.court_address),
+      header(`Истец: ${v.plaintiff_name}`, `Адрес: ${v.plaintiff_address}`, v.plaintiff_phone && `Тел.: ${v.plaintiff_phone}`),
+      header(`Ответчик: ${v.defendant_name}`, `Адрес: ${v.defendant_address}`),
+      v.claim_amount && header(`Цена иска: ${v.claim_amount}`),
+      title('ИСКОВОЕ ЗАЯВЛЕНИЕ', v.subject),
+      ...paragraphs(v.circumstances),
+      ...paragraphs(v.pretrial),
+      ...paragraphs(v.legal_basis),
+      paragraph('На основании изложенного, руководствуясь ст. 131, 132 ГПК РФ, прошу:'),
+      ...numbered(v.demands),
+      ...(v.attachments ? [paragraph('Приложения:'), ...numbered(v.attachments)] : []),
+      signature(v.document_date, v.plaintiff_name)
+    ]
+  },
+  'consumer-complaint': {
+    title: 'Жалоба в Роспотребнадзор',
+    description: 'Жалоба на нарушение прав потребителя продавцом или исполнителем',
+    fields: [
+      field('authority_name', 'Орган', 'text', { required: true, hint: 'Например: Управление Роспотребнадзора по г. Москве' }),
+      field('authority_address', 'Адрес органа', 'text'),
+      field('applicant_name', 'ФИО заявителя', 'text', { required: true }),
+      field('applicant_address', 'Адрес заявителя', 'text', { required: true }),
+      field('applicant_phone', 'Телефон заявителя', 'phone'),
+      field('applicant_email', 'Эл. почта заявителя', 'email'),
+      field('seller_name', 'Продавец или исполнитель', 'text', { required: true }),
+      field('seller_address', 'Адрес продавца', 'text'),
+      field('purchase_date', 'Дата покупки или договора', 'date'),
+      field('circumstances', 'Обстоятельства', 'multiline', { required: true }),
+      field('violations', 'Нарушенные нормы', 'multiline', { required: true, hint: 'Например: ст. 18, 22 Закона «О защите прав потребителей»' }),
+      field('demands', 'Просьбы к органу', 'multiline', { required: true, hint: 'По одной на строку' }),
+      DOCUMENT_DATE
+    ],
+    build: (v) => [
+      header(`В ${v.authority_name}`, v.authority_address),
+      header(`От: ${v.applicant_name}`, v.applicant_address, v.applicant_phone && `Тел.: ${v.applicant_phone}`, v.applicant_email && `Эл. почта: ${v.applicant_email}`),
+      title('ЖАЛОБА', 'на нарушение прав потребителя'),
+      paragraph(`Продавец (исполнитель): ${v.seller_name}${v.seller_address ? `, адрес: ${withoutPeriod(v.seller_address)}` : ''}.` +
+        (v.purchase_date ? ` Дата покупки (заключения договора): ${v.purchase_date}.` : '')),
+      ...paragraphs(v.circumstances),
+      ...paragraphs(v.violations),
+      paragraph('На основании изложенного прошу:'),
+      ...numbered(v.demands),
+      signature(v.document_date, v.applicant_name)
+    ]
+  },
+  'employer-notice': {
+    title: 'Заявление работодателю',
+    description: 'Заявление или уведомление работодателю: выплаты, отпуск, увольнение, приостановление работы',
+    fields: [
+      field('employer_name', 'Работодатель', 'text', { required: true }),
+      field('head_position', 'Должность руководителя', 'text', { required: true, defaultValue: 'Генеральному директору' }),
+      field('head_name', 'ФИО руководителя', 'text', { required: true, hint: 'В дательном падеже: Иванову И. И.' }),
+      field('employee_name', 'ФИО работника', 'text', { required: true, hint: 'В родительном падеже: Петровой А. С.' }),
+      field('employee_position', 'Должность работника', 'text', { required: true }),
+      field('subject', 'О чём заявление', 'text', { required: true, hint: 'Например: о выплате задолженности по заработной плате' }),
+      field('circumstances', 'Обстоятельства', 'multiline', { required: true }),
+      field('legal_basis', 'Правовое обоснование', 'multiline'),
+      field('demands', 'Просьбы', 'multiline', { required: true, hint: 'По одной на строку' }),
+      DOCUMENT_DATE
+    ],
+    build: (v) => [
+      header(`${v.head_position} ${v.employer_name}`, v.head_name),
+      header(`от ${v.employee_position}`, v.employee_name),
+      title('ЗАЯВЛЕНИЕ', v.subject),
+      ...paragraphs(v.circumstances),
+      ...paragraphs(v.legal_basis),
+      paragraph('Прошу:'),
+      ...numbered(v.demands),
+      signature(v.document_date, v.employee_name)
+    ]
+  }
+};
+
+// Проверка и приведение значения поля. Возвращает { value } или { error }
+const normalizeFieldValue = (definition, raw) => {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+    return { value: null };
+  }
+
+  switch (definition.type) {
+    case 'text':
+    case 'multiline': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: 'must be a string' };
+      }
+      const value = String(raw).trim();
+      const limit = FIELD_LIMITS[definition.type];
+      return value.length > limit ? { error: `must be at most ${limit} characters` } : { value };
+    }
+    case 'date': {
+      const match = String(raw).trim().match(/^(?:(\d{4})-(\d{2})-(\d{2})|(\d{2})\.(\d{2})\.(\d{4}))$/);
+      if (!match) {
+        return { error: 'must be a date in YYYY-MM-DD format' };
+      }
+      const [year, month, day] = match[1] ? [match[1], match[2], match[3]] : [match[6], match[5], match[4]];
+      const date = new Date(Date.UTC(+year, +month - 1, +day));
+      if (date.getUTCMonth() !== +month - 1 || date.getUTCDate() !== +day) {
+        return { error: 'must be a valid date' };
+      }
+      return { value: `${year}-${month}-${day}` };
+    }
+    case 'money': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/[\s ]|руб\.?|₽/g, '').replace(',', '.'));
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: 'must be a non-negative amount' };
+      }
+      return { value: Math.round(value * 100) / 100 };
+    }
+    case 'number': {
+      const value = Number(raw);
+      return Number.isInteger(value) && value > 0 ? { value } : { error: 'must be a positive integer' };
+    }
+    case 'email': {
+      const value = String(raw).trim();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? { value } : { error: 'must be a valid email' };
+    }
+    case 'phone': {
+      const value = String(raw).trim();
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15 ? { value } : { error: 'must be a valid phone number' };
+    }
+    default:
+      return { error: 'has unknown type' };
+  }
+};
+
+// Проверка значений полей шаблона. Неизвестные поля отбрасываются;
+// ошибки возвращаются в формате express-validator ({ path, msg })
+const validateFields = (template, input = {}) => {
+  const values = {};
+  const errors = [];
+
+  for (const definition of template.fields) {
+    if (!Object.prototype.hasOwnProperty.call(input, definition.key)) continue;
+
+    const result = normalizeFieldValue(definition, input[definition.key]);
+    if (result.error) {
+      errors.push({ path: `fields.${definition.key}`, msg: `${definition.key} ${result.error}` });
+    } else {
+      values[definition.key] = result.value;
+    }
+  }
+
+  return { values, errors };
+};
+
+// Обязательные поля без значения
+const findMissingFields = (template, values) => template.fields
+  .filter(definition => definition.required && (values[definition.key] === null || values[definition.key] === undefined))
+  .map(definition => definition.key);
+
+const defaultValues = (template, now = new Date()) => Object.fromEntries(template.fields
+  .filter(definition => definition.defaultValue !== undefined)
+  .map(definition => [definition.key, definition.defaultValue === 'today' ? now.toISOString().slice(0, 10) : definition.defaultValue]));
+
+const moneyFormat = new Intl.NumberFormat('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Значение поля в тексте документа
+const formatFieldValue = (definition, value) => {
+  if (value === null || value === undefined) return null;
+
+  switch (definition.type) {
+    case 'date':
+      return value.split('-').reverse().join('.');
+    case 'money':
+      return `${moneyFormat.format(value)} руб.`;
+    default:
+      return String(value);
+  }
+};
+
+// Шаблоны для выбора в интерфейсе
+const listDocumentTemplates = () => Object.entries(DOCUMENT_TEMPLATES).map(([id, template]) => ({
+  id,
+  title: template.title,
+  description: template.description,
+  fields: template.fields
+}));
+
+const describeFields = (template) => template.fields
+  .map(definition => `- ${definition.key} (${definition.label}; тип ${definition.type}${definition.required ? '; обязательное' : ''})` +
+    (definition.hint ? `: ${definition.hint}` : ''))
+  .join('\n');
+
+// Предзаполнение полей моделью по вопросу и ответу. Значения, не прошедшие проверку типа, отбрасываются
+const prefillFields = async ({ templateId, question, answer, context = {} }) => {
+  const template = DOCUMENT_TEMPLATES[templateId];
+  const promptTemplate = await selectTemplate('document-draft', context.queryId);
+
+  const rendered = renderPrompt(promptTemplate, {
+    document_title: template.title,
+    fields: describeFields(template),
+    question,
+    answer: answer || 'ответа нет'
+  });
+
+  const completion = await llm.chatJSON({
+    feature: 'document-draft',
+    context,
+    messages: [
+      { role: 'system', content: rendered.systemMessage },
+      { role: 'user', content: rendered.prompt }
+    ],
+    temperature: 0.2,
+    maxTokens: 2000
+  });
+
+  const parsed = JSON.parse(completion.content);
+  const suggested = parsed && typeof parsed.fields === 'object' && parsed.fields !== null ? parsed.fields : {};
+  const { values } = validateFields(template, suggested);
+
+  const prefilled = Object.entries(values).filter(([, value]) => value !== null).map(([key]) => key);
+  return { values, prefilled, promptTemplateId: promptTemplate.id };
+};
+
+// Черновик в ответе API: значения полей и список незаполненных обязательных
+const formatDraft = (row) => {
+  const template = DOCUMENT_TEMPLATES[row.template];
+  return {
+    ...row,
+    title: template.title,
+    missingFields: findMissingFields(template, row.fields)
+  };
+};
+
+// Новый черновик документа по запросу пользователя. Если модель недоступна, поля остаются пустыми
+const createDraft = async ({ userId, queryId, templateId }) => {
+  const template = DOCUMENT_TEMPLATES[templateId];
+
+  const source = await query(`
+    SELECT q.text, r.ai_response
+    FROM queries q
+    LEFT JOIN responses r ON r.query_id = q.id AND r.is_current = true
+    WHERE q.id = $1 AND q.user_id = $2
+  `, [queryId, userId]);
+
+  if (source.rows.length === 0) {
+    const error = new Error('Query not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const { text, ai_response: aiResponse } = source.rows[0];
+  const answer = aiResponse
+    ? [aiResponse.text, ...(aiResponse.recommendations || [])].filter(Boolean).join('\n')
+    : null;
+
+  let prefill = { values: {}, prefilled: [], promptTemplateId: null };
+  try {
+    prefill = await prefillFields({
+      templateId,
+      question: text,
+      answer,
+      context: { queryId, userId, redactor: isRedactionEnabled() ? createRedactor() : null }
+    });
+  } catch (error) {
+    logger.error('Error prefilling document fields, leaving them empty:', { queryId, templateId, error: error.message });
+  }
+
+  const fields = { ...defaultValues(template), ...Object.fromEntries(Object.entries(prefill.values).filter(([, value]) => value !== null)) };
+
+  const result = await query(`
+    INSERT INTO document_drafts (query_id, user_id, template, fields, prefilled_fields, prompt_template_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [queryId, userId, templateId, fields, prefill.prefilled, prefill.promptTemplateId]);
+
+  logger.info('Document draft created:', { draftId: result.rows[0].id, queryId, templateId, prefilled: prefill.prefilled.length });
+  return formatDraft(result.rows[0]);
+};
+
+// DOCX по заполненному черновику: { buffer, filename }
+const buildDocument = async (templateId, values) => {
+  const template = DOCUMENT_TEMPLATES[templateId];
+  const formatted = Object.fromEntries(template.fields.map(definition =>
+    [definition.key, formatFieldValue(definition, values[definition.key])]));
+
+  const buffer = await createDocx(template.build(formatted).filter(Boolean), { title: template.title });
+  return { buffer, filename: `${template.title} ${formatted.document_date}.docx` };
+};
+
+module.exports = {
+  DOCUMENT_TEMPLATES,
+  listDocumentTemplates,
+  validateFields,
+  findMissingFields,
+  prefillFields,
+  formatDraft,
+  createDraft,
+  buildDocument
+};
@@ -0,0 +1,93 @@
+const JSZip = require('jszip');
+
+// Сборка DOCX из списка абзацев без шаблона Word.
+// Абзац: { text, align: left|center|right|both, bold, indent (красная строка), spacingAfter (пт) }.
+// Переводы строк внутри text становятся разрывами строки в том же абзаце
+
+const FONT = 'Times New Roman';
+const FONT_SIZE_HALF_POINTS = 24; // 12 пт
+const FIRST_LINE_INDENT_TWIPS = 709; // 1,25 см
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Управляющие символы недопустимы в XML и ломают открытие файла в Word
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const renderRun = (text, bold) => {
+  const properties = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+  const lines = String(text).split('\n');
+  return lines
+    .map((line, index) => `<w:r>${properties}${index > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+    .join('');
+};
+
+const renderParagraph = ({ text = '', align = 'both', bold = false, indent = false, spacingAfter = 0 }) => {
+  const properties = [
+    `<w:jc w:val="${align}"/>`,
+    `<w:spacing w:after="${spacingAfter * 20}"/>`,
+    indent ? `<w:ind w:firstLine="${FIRST_LINE_INDENT_TWIPS}"/>` : ''
+  ].join('');
+
+  return `<w:p><w:pPr>${properties}</w:pPr>${text ? renderRun(text, bold) : ''}</w:p>`;
+};
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${FONT}" w:hAnsi="${FONT}" w:cs="${FONT}" w:eastAsia="${FONT}"/><w:sz w:val="${FONT_SIZE_HALF_POINTS}"/><w:szCs w:val="${FONT_SIZE_HALF_POINTS}"/><w:lang w:val="ru-RU"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+</w:styles>`;
+
+const renderCoreProperties = (title) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title || '')}</dc:title>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+// Поля страницы: 3 см слева, 1,5 см справа, 2 см сверху и снизу (А4)
+const SECTION = '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="850" w:bottom="1134" w:left="1701" w:header="709" w:footer="709" w:gutter="0"/></w:sectPr>';
+
+// DOCX-файл (Buffer) из абзацев
+const createDocx = async (paragraphs, { title } = {}) => {
+  const body = paragraphs.map(renderParagraph).join('');
+  const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}${SECTION}</w:body></w:document>`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES);
+  zip.file('_rels/.rels', ROOT_RELS);
+  zip.file('docProps/core.xml', renderCoreProperties(title));
+  zip.file('word/document.xml', document);
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS);
+  zip.file('word/styles.xml', STYLES);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  createDocx
+};
@@ -1,23 +1,16 @@
-const OpenAI = require('openai');
 const logger = require('../utils/logger');
+const llm = require('./llm');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Получение эмбеддинга для текста
-const getEmbedding = async (text) => {
+// Получение эмбеддинга для текста.
+// context - { queryId, userId } для учёта расхода токенов
+const getEmbedding = async (text, context = {}) => {
   try {
     // Ограничиваем длину текста для API
     const truncatedText = text.length > 8000 ? text.substring(0, 8000) : text;
 
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: truncatedText,
-      encoding_format: 'float'
-    });
+    const response = await llm.embed({ input: truncatedText, feature: 'embedding', context });
 
-    return response.data[0].embedding;
+    return response.embeddings[0];
   } catch (error) {
     logger.error('Error getting embedding:', error);
     throw new Error('Failed to get embedding');
@@ -25,25 +18,24 @@ const getEmbedding = async (text) => {
 };
 
 // Получение эмбеддингов для массива текстов
-const getEmbeddings = async (texts) => {
+const getEmbeddings = async (texts, context = {}) => {
   try {
     const truncatedTexts = texts.map(text => 
       text.length > 8000 ? text.substring(0, 8000) : text
     );
 
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-ada-002',
-      input: truncatedTexts,
-      encoding_format: 'float'
-    });
+    const response = await llm.embed({ input: truncatedTexts, feature: 'embedding', context });
 
-    return response.data.map(item => item.embedding);
+    return response.embeddings;
   } catch (error) {
     logger.error('Error getting embeddings:', error);
     throw new Error('Failed to get embeddings');
   }
 };
 
+// Представление вектора для pgvector ('[0.1,0.2,...]'): массив JS драйвер pg передал бы как массив Postgres
+const toSqlVector = (embedding) => JSON.stringify(embedding);
+
 // Вычисление косинусного сходства между двумя векторами
 const cosineSimilarity = (vectorA, vectorB) => {
   if (vectorA.length !== vectorB.length) {
@@ -154,6 +146,7 @@ const createClusterCentroid = (embeddings) => {
 module.exports = {
   getEmbedding,
   getEmbeddings,
+  toSqlVector,
   cosineSimilarity,
   findSimilarDocuments,
   clusterDocuments,
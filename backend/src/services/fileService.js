@@ -4,6 +4,7 @@ const mammoth = require('mammoth');
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const logger = require('../utils/logger');
+const { PAGE_BREAK } = require('./chunkService');
 
 // Настройка AWS S3
 const s3 = new AWS.S3({
@@ -90,10 +91,48 @@ const extractTextFromFile = async (buffer, filename) => {
   }
 };
 
+// Во сколько раз интервал между строками должен превышать размер шрифта, чтобы начался новый абзац
+const PARAGRAPH_GAP_RATIO = 1.5;
+
+// Рендер страницы PDF в текст с маркером конца страницы.
+// Строки разделяются переводом строки, абзацы - пустой строкой (по ним нумеруются абзацы фрагментов):
+// новый абзац начинается после увеличенного интервала или со строки с отступом от левого поля
+const renderPDFPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let leftMargin;
+  let text = '';
+  for (const item of textContent.items) {
+    const [, , , scaleY, x, y] = item.transform;
+
+    if (lastY === undefined) {
+      text += item.str;
+      leftMargin = x;
+    } else if (y === lastY) {
+      text += item.str;
+    } else {
+      const fontSize = Math.abs(scaleY) || item.height || 1;
+      const spaced = Math.abs(lastY - y) > fontSize * PARAGRAPH_GAP_RATIO;
+      const indented = x - leftMargin > fontSize;
+
+      text += (spaced || indented ? '\n\n' : '\n') + item.str;
+      leftMargin = Math.min(leftMargin, x);
+    }
+
+    lastY = y;
+  }
+
+  return text + PAGE_BREAK;
+};
+
 // Извлечение текста из PDF
 const extractTextFromPDF = async (buffer) => {
   try {
-    const data = await pdfParse(buffer);
+    const data = await pdfParse(buffer, { pagerender: renderPDFPage });
     return data.text;
   } catch (error) {
     logger.error('Error extracting text from PDF:', error);
@@ -0,0 +1,328 @@
+const { query } = require('../database/connection');
+const { getEmbedding, toSqlVector } = require('./embeddingService');
+
+// Публичная база знаний: опубликованные SEO-статьи по ответам, прошедшим модерацию.
+// Статья видна без авторизации, пока опубликованы и она сама, и версия ответа, к которой она относится
+
+const SITE_NAME = 'LegalAI';
+
+const MAX_SITEMAP_URLS = 50000;
+const RSS_ITEMS = 50;
+const SEARCH_LIMIT = 20;
+
+// Ниже этого сходства результаты семантического поиска не показываются
+const SEMANTIC_MIN_SIMILARITY = 0.3;
+
+const PUBLISHED = `a.status = 'published' AND r.is_published = true`;
+
+// Поля статьи в списках и результатах поиска; теги - по разметке исходного запроса
+const SUMMARY_COLUMNS = `
+  a.slug, a.title, a.meta_description, a.keywords, a.published_at, a.updated_at,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('name', t.name, 'color', t.color) ORDER BY t.name)
+    FROM query_tags qt
+    JOIN tags t ON qt.tag_id = t.id
+    WHERE qt.query_id = a.query_id AND t.is_active = true
+  ), '[]') as tags
+`;
+
+const listArticles = async ({ tag = null, page = 1, limit = 20 }) => {
+  const offset = (page - 1) * limit;
+  const tagCondition = `($1::text IS NULL OR EXISTS (
+    SELECT 1 FROM query_tags qt JOIN tags t ON qt.tag_id = t.id
+    WHERE qt.query_id = a.query_id AND t.name = $1
+  ))`;
+
+  const result = await query(`
+    SELECT ${SUMMARY_COLUMNS}
+    FROM seo_articles a
+    JOIN responses r ON a.response_id = r.id
+    WHERE ${PUBLISHED} AND ${tagCondition}
+    ORDER BY a.published_at DESC
+    LIMIT $2 OFFSET $3
+  `, [tag, limit, offset]);
+
+  const countResult = await query(`
+    SELECT COUNT(*) as total
+    FROM seo_articles a
+    JOIN responses r ON a.response_id = r.id
+    WHERE ${PUBLISHED} AND ${tagCondition}
+  `, [tag]);
+
+  return {
+    articles: result.rows,
+    pagination: {
+      page,
+      limit,
+      total: parseInt(countResult.rows[0].total),
+      pages: Math.ceil(countResult.rows[0].total / limit)
+    }
+  };
+};
+
+// Активные теги, у которых есть опубликованные статьи
+const listTags = async () => {
+  const result = await query(`
+    SELECT t.name, t.description, t.color, COUNT(a.id)::int as article_count
+    FROM tags t
+    JOIN query_tags qt ON qt.tag_id = t.id
+    JOIN seo_articles a ON a.query_id = qt.query_id
+    JOIN responses r ON a.response_id = r.id
+    WHERE t.is_active = true AND ${PUBLISHED}
+    GROUP BY t.id
+    ORDER BY article_count DESC, t.name
+  `);
+
+  return result.rows;
+};
+
+const getArticleBySlug = async (slug) => {
+  const result = await query(`
+    SELECT ${SUMMARY_COLUMNS}, a.outline, a.faq, a.body_html, a.json_ld
+    FROM seo_articles a
+    JOIN responses r ON a.response_id = r.id
+    WHERE a.slug = $1 AND ${PUBLISHED}
+  `, [slug]);
+
+  return result.rows[0] || null;
+};
+
+// Поиск статей. text - полнотекстовый по заголовку, описанию и тексту (синтаксис веб-поиска:
+// "точная фраза", -исключение, or); semantic - по сходству вопроса с эмбеддингами опубликованных ответов.
+// score - ранг ts_rank или косинусное сходство
+const searchArticles = async ({ q, mode = 'text', limit = SEARCH_LIMIT }) => {
+  if (mode === 'semantic') {
+    const embedding = await getEmbedding(q, {});
+    const result = await query(`
+      SELECT ${SUMMARY_COLUMNS}, 1 - (r.embedding <=> $1) as score
+      FROM seo_articles a
+      JOIN responses r ON a.response_id = r.id
+      WHERE ${PUBLISHED} AND r.embedding IS NOT NULL AND 1 - (r.embedding <=> $1) >= $2
+      ORDER BY r.embedding <=> $1
+      LIMIT $3
+    `, [toSqlVector(embedding), SEMANTIC_MIN_SIMILARITY, limit]);
+
+    return result.rows;
+  }
+
+  const result = await query(`
+    SELECT ${SUMMARY_COLUMNS}, ts_rank(a.search_vector, search) as score
+    FROM seo_articles a
+    JOIN responses r ON a.response_id = r.id,
+      websearch_to_tsquery('russian', $1) search
+    WHERE ${PUBLISHED} AND a.search_vector @@ search
+    ORDER BY score DESC, a.published_at DESC
+    LIMIT $2
+  `, [q, limit]);
+
+  return result.rows;
+};
+
+// Опубликованные статьи для карты сайта и RSS, новые первыми
+const listFeedArticles = async (limit) => {
+  const result = await query(`
+    SELECT a.slug, a.title, a.meta_description, a.keywords, a.published_at, a.updated_at
+    FROM seo_articles a
+    JOIN responses r ON a.response_id = r.id
+    WHERE ${PUBLISHED}
+    ORDER BY a.published_at DESC
+    LIMIT $1
+  `, [limit]);
+
+  return result.rows;
+};
+
+// Управляющие символы недопустимы в XML 1.0
+const escapeXml = (text) => String(text == null ? '' : text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeHtml = (text) => escapeXml(text).replace(/&apos;/g, '&#39;');
+
+const pageUrl = (siteUrl, slug) => `${siteUrl}/articles/${slug}`;
+
+// Карта сайта: главная, список статей и все опубликованные статьи. siteUrl - адрес сайта без / в конце
+const renderSitemap = (articles, siteUrl) => {
+  const urls = [
+    { loc: `${siteUrl}/`, changefreq: 'weekly' },
+    { loc: `${siteUrl}/articles`, changefreq: 'daily', lastmod: articles[0] && articles[0].updated_at },
+    ...articles.map(article => ({ loc: pageUrl(siteUrl, article.slug), lastmod: article.updated_at }))
+  ];
+
+  const entries = urls.map(({ loc, lastmod, changefreq }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod ? `    <lastmod>${new Date(lastmod).toISOString()}</lastmod>` : null,
+    changefreq ? `    <changefreq>${changefreq}</changefreq>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+// RSS 2.0 с последними опубликованными статьями
+const renderRss = (articles, siteUrl) => {
+  const items = articles.map(article => [
+    '    <item>',
+    `      <title>${escapeXml(article.title)}</title>`,
+    `      <link>${escapeXml(pageUrl(siteUrl, article.slug))}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(pageUrl(siteUrl, article.slug))}</guid>`,
+    article.meta_description ? `      <description>${escapeXml(article.meta_description)}</description>` : null,
+    ...article.keywords.map(keyword => `      <category>${escapeXml(keyword)}</category>`),
+    `      <pubDate>${new Date(article.published_at).toUTCString()}</pubDate>`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${SITE_NAME} - база знаний</title>`,
+    `    <link>${escapeXml(`${siteUrl}/articles`)}</link>`,
+    `    <atom:link href="${escapeXml(`${siteUrl}/rss.xml`)}" rel="self" type="application/rss+xml"/>`,
+    '    <description>Ответы на юридические вопросы, проверенные модераторами</description>',
+    '    <language>ru</language>',
+    articles[0] ? `    <lastBuildDate>${new Date(articles[0].published_at).toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const PAGE_STYLE = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1f2937; line-height: 1.6; }
+  header, main, footer { max-width: 760px; margin: 0 auto; padding: 16px 20px; }
+  header a { color: #2563eb; font-weight: 600; text-decoration: none; }
+  h1 { font-size: 2rem; line-height: 1.25; margin: 16px 0 8px; }
+  a { color: #2563eb; }
+  .meta { color: #6b7280; font-size: 0.9rem; }
+  .tag { display: inline-block; margin-right: 6px; padding: 2px 8px; border-radius: 9999px; background: #eff6ff; font-size: 0.8rem; }
+  nav.toc { background: #f9fafb; border-radius: 8px; padding: 12px 20px; margin: 16px 0; }
+  nav.toc li.level-3 { margin-left: 16px; }
+  table { border-collapse: collapse; } td, th { border: 1px solid #e5e7eb; padding: 4px 8px; }
+  blockquote { border-left: 4px solid #e5e7eb; margin-left: 0; padding-left: 16px; color: #4b5563; }
+  .cta { margin: 32px 0; padding: 16px 20px; border-radius: 8px; background: #eff6ff; }
+  footer { color: #6b7280; font-size: 0.85rem; }
+`;
+
+const renderLayout = ({ title, head = '', content, siteUrl }) => `<!doctype html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${head}
+<link rel="alternate" type="application/rss+xml" title="${SITE_NAME} - база знаний" href="${escapeHtml(`${siteUrl}/rss.xml`)}">
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<header><a href="/">${SITE_NAME}</a> · <a href="/articles">База знаний</a></header>
+<main>
+${content}
+</main>
+<footer>Материалы базы знаний носят справочный характер и не заменяют консультацию юриста.</footer>
+</body>
+</html>
+`;
+
+// Страница статьи для поисковых роботов и прямых переходов: полная разметка без JavaScript.
+// body_html очищен при сохранении статьи; JSON-LD экранируется, чтобы не закрыть тег script
+const renderArticlePage = (article, siteUrl) => {
+  const url = pageUrl(siteUrl, article.slug);
+  const description = article.meta_description || '';
+  const jsonLd = article.json_ld
+    ? `<script type="application/ld+json">${JSON.stringify(article.json_ld).replace(/</g, '\\u003c')}</script>`
+    : '';
+
+  const head = [
+    description ? `<meta name="description" content="${escapeHtml(description)}">` : '',
+    article.keywords.length > 0 ? `<meta name="keywords" content="${escapeHtml(article.keywords.join(', '))}">` : '',
+    `<link rel="canonical" href="${escapeHtml(url)}">`,
+    '<meta property="og:type" content="article">',
+    `<meta property="og:title" content="${escapeHtml(article.title)}">`,
+    description ? `<meta property="og:description" content="${escapeHtml(description)}">` : '',
+    `<meta property="og:url" content="${escapeHtml(url)}">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    `<meta property="article:published_time" content="${new Date(article.published_at).toISOString()}">`,
+    jsonLd
+  ].filter(Boolean).join('\n');
+
+  const tags = article.tags.length > 0
+    ? `<p>${article.tags.map(tag => `<a class="tag" href="/articles?tag=${encodeURIComponent(tag.name)}">${escapeHtml(tag.name)}</a>`).join('')}</p>`
+    : '';
+
+  const outline = article.outline.length > 1
+    ? `<nav class="toc"><strong>Содержание</strong><ul>${article.outline
+      .map(heading => `<li class="level-${heading.level}"><a href="#${escapeHtml(heading.anchor)}">${escapeHtml(heading.title)}</a></li>`)
+      .join('')}</ul></nav>`
+    : '';
+
+  const faq = article.faq.length > 0
+    ? `<section><h2 id="faq">Частые вопросы</h2>${article.faq
+      .map(item => `<h3>${escapeHtml(item.question)}</h3><p>${escapeHtml(item.answer)}</p>`)
+      .join('')}</section>`
+    : '';
+
+  const published = formatDate(article.published_at);
+  const updated = formatDate(article.updated_at);
+
+  const content = `<article>
+<h1>${escapeHtml(article.title)}</h1>
+<p class="meta">Опубликовано ${published}${updated !== published ? ` · обновлено ${updated}` : ''}</p>
+${tags}
+${outline}
+${article.body_html}
+${faq}
+</article>
+<div class="cta">Не нашли ответ на свой вопрос? <a href="/register">Задайте его AI-юристу</a></div>`;
+
+  return renderLayout({ title: `${article.title} - ${SITE_NAME}`, head, content, siteUrl });
+};
+
+const renderNotFoundPage = (siteUrl) => renderLayout({
+  title: `Статья не найдена - ${SITE_NAME}`,
+  head: '<meta name="robots" content="noindex">',
+  content: '<h1>Статья не найдена</h1><p>Статья снята с публикации или её адрес изменился. <a href="/articles">Все статьи базы знаний</a></p>',
+  siteUrl
+});
+
+// Закрытые разделы приложения и API не индексируются
+const renderRobots = (siteUrl) => [
+  'User-agent: *',
+  'Disallow: /api/',
+  'Disallow: /dashboard',
+  'Disallow: /chat',
+  'Disallow: /profile',
+  'Disallow: /admin',
+  '',
+  `Sitemap: ${siteUrl}/sitemap.xml`,
+  ''
+].join('\n');
+
+module.exports = {
+  MAX_SITEMAP_URLS,
+  RSS_ITEMS,
+  listArticles,
+  listTags,
+  getArticleBySlug,
+  searchArticles,
+  listFeedArticles,
+  renderSitemap,
+  renderRss,
+  renderArticlePage,
+  renderNotFoundPage,
+  renderRobots
+};
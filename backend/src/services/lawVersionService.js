@@ -0,0 +1,168 @@
+// Дата, на которую применяется закон: указывается пользователем или определяется по тексту вопроса.
+// От неё зависят редакции норм в промте, метаданные ссылок и предупреждение об изменениях закона
+
+// Раньше этой даты ответы по законодательству РФ не даются
+const MIN_AS_OF_DATE = '1992-01-01';
+
+const MONTHS = {
+  январ: 1, феврал: 2, март: 3, апрел: 4, ма: 5, июн: 6,
+  июл: 7, август: 8, сентябр: 9, октябр: 10, ноябр: 11, декабр: 12
+};
+
+// Формы названия месяца: «январь», «в январе», «января»; «март», «в марте»; «май», «мая», «в мае»
+const MONTH_FORM = /^(?:(январ|феврал|апрел|июн|июл|сентябр|октябр|ноябр|декабр)[ьяе]|(март|август)[ае]?|(ма)[йяе])$/;
+
+// Номер месяца по слову или null, если слово не название месяца
+const monthOf = (word) => {
+  const match = word && word.match(MONTH_FORM);
+  return match ? MONTHS[match[1] || match[2] || match[3]] : null;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toISODate = (year, month = 1, day = 1) => `${year}-${pad(month)}-${pad(day)}`;
+
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+const isValidCalendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Проверка даты, переданной пользователем: ISO дата не в будущем и не раньше MIN_AS_OF_DATE.
+// Возвращает дату в виде YYYY-MM-DD или бросает ошибку с statusCode 400
+const parseAsOfDate = (value, now = new Date()) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match || !isValidCalendarDate(+match[1], +match[2], +match[3])) {
+    const error = new Error('asOfDate must be a date in YYYY-MM-DD format');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const date = toISODate(match[1], match[2], match[3]);
+  if (date > today(now) || date < MIN_AS_OF_DATE) {
+    const error = new Error(`asOfDate must be between ${MIN_AS_OF_DATE} and today`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return date;
+};
+
+// Даты событий, упомянутые в тексте: «12.03.2021», «в марте 2021 года», «в 2019 г.».
+// Если указан только год или месяц, берётся его начало: так изменения закона за этот период не будут пропущены
+const extractDates = (text) => {
+  const dates = [];
+  const source = (text || '').toLowerCase().replace(/ё/g, 'е');
+
+  for (const match of source.matchAll(/(?<!\d)(\d{1,2})\.(\d{1,2})\.(\d{4})(?!\d)/g)) {
+    const [day, month, year] = [+match[1], +match[2], +match[3]];
+    if (isValidCalendarDate(year, month, day)) {
+      dates.push(toISODate(year, month, day));
+    }
+  }
+
+  for (const match of source.matchAll(/(?:(?<![а-я])([а-я]+)\s+)?(?<!\d)((?:19|20)\d{2})\s*(?:год|г\.|г(?![а-я]))/g)) {
+    dates.push(toISODate(+match[2], monthOf(match[1]) || 1));
+  }
+
+  return dates;
+};
+
+// Дата событий по тексту вопроса: самая ранняя из упомянутых прошедших дат.
+// Даты текущего года не учитываются - для них применяется действующая редакция
+const inferAsOfDate = (text, now = new Date()) => {
+  const yearStart = toISODate(now.getUTCFullYear());
+
+  const dates = extractDates(text)
+    .filter(date => date >= MIN_AS_OF_DATE && date < yearStart)
+    .sort();
+
+  return dates.length > 0 ? dates[0] : null;
+};
+
+// Дата, на которую применяется закон, и её происхождение: user, inferred или null (действующая редакция)
+const resolveAsOfDate = (asOfDate, text) => {
+  if (asOfDate) {
+    return { asOfDate, source: 'user' };
+  }
+
+  const inferred = inferAsOfDate(text);
+  return inferred
+    ? { asOfDate: inferred, source: 'inferred' }
+    : { asOfDate: null, source: null };
+};
+
+const formatDate = (date) => date.split('-').reverse().join('.');
+
+// Переменные шаблона промта для даты событий
+const getAsOfDatePromptVariables = (asOfDate) => ({
+  as_of_date: asOfDate
+    ? `${formatDate(asOfDate)}. Применяй редакции законов, действовавшие на эту дату; если норма с тех пор менялась, укажи, какая редакция применяется и что изменилось`
+    : 'не указана, применяй действующую редакцию законов'
+});
+
+// Сведения о редакции закона для ответа и предупреждение, если с даты событий нормы менялись.
+// laws - ссылки ответа с результатами verifyCitations (verification.articles[].amendedSince)
+const buildLawVersionInfo = ({ asOfDate, source }, laws = []) => {
+  if (!asOfDate) {
+    return null;
+  }
+
+  const amendments = [];
+  let untracked = 0;
+
+  for (const law of laws) {
+    const verification = law.verification;
+    if (!verification || !verification.code) {
+      untracked++;
+      continue;
+    }
+
+    for (const article of verification.articles) {
+      if (!article.editionsTracked) {
+        untracked++;
+        continue;
+      }
+      for (const edition of article.amendedSince || []) {
+        amendments.push({
+          citation: `ст. ${article.article} ${verification.code}`,
+          validFrom: edition.validFrom,
+          amendedBy: edition.amendedBy,
+          summary: edition.summary
+        });
+      }
+    }
+  }
+
+  let warning = null;
+  if (amendments.length > 0) {
+    const list = amendments
+      .map(item => `${item.citation} (с ${formatDate(item.validFrom)}, ${item.amendedBy})`)
+      .join('; ');
+    warning = `ВНИМАНИЕ: после ${formatDate(asOfDate)} закон менялся: ${list}. ` +
+      'К событиям применяется редакция, действовавшая на их дату, если закон прямо не говорит об обратной силе изменений.';
+  } else if (untracked > 0 && asOfDate < toISODate(new Date().getUTCFullYear())) {
+    warning = `Ответ касается событий на ${formatDate(asOfDate)}. История изменений проверена не для всех упомянутых норм — ` +
+      'сверьте их с редакцией, действовавшей на эту дату.';
+  }
+
+  return {
+    asOfDate,
+    source,
+    amendments,
+    warning
+  };
+};
+
+module.exports = {
+  MIN_AS_OF_DATE,
+  MONTHS,
+  toISODate,
+  isValidCalendarDate,
+  parseAsOfDate,
+  inferAsOfDate,
+  resolveAsOfDate,
+  getAsOfDatePromptVariables,
+  buildLawVersionInfo
+};
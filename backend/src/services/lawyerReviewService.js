@@ -0,0 +1,77 @@
+// Передача ответов на проверку юристу.
+// Ответ с уверенностью модели ниже порога помечается как требующий проверки, и для него создаётся задача;
+// задачи также создаются при запросе консультации. Срок проверки задаётся SLA в часах
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+const DEFAULT_SLA_HOURS = 24;
+
+const parseSetting = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Порог 0 отключает автоматическую передачу юристу
+const getReviewSettings = () => ({
+  threshold: parseSetting(process.env.ESCALATION_CONFIDENCE_THRESHOLD, DEFAULT_CONFIDENCE_THRESHOLD),
+  slaHours: parseSetting(process.env.LAWYER_REVIEW_SLA_HOURS, DEFAULT_SLA_HOURS)
+});
+
+// Отметка для ответа, если уверенность модели ниже порога, иначе null
+const assessConfidence = (aiResponse) => {
+  const { threshold, slaHours } = getReviewSettings();
+  const confidence = Number(aiResponse && aiResponse.confidence);
+
+  if (!Number.isFinite(confidence) || confidence >= threshold) {
+    return null;
+  }
+
+  return {
+    status: 'needs-lawyer-review',
+    confidence,
+    threshold,
+    slaHours
+  };
+};
+
+// Создание задачи проверки в транзакции client. Если для запроса уже есть незакрытая задача,
+// она дополняется: новой версией ответа, уверенностью или запросом консультации
+const openLawyerReview = async (client, { queryId, responseId = null, reason, confidence = null, message = null }) => {
+  const { slaHours } = getReviewSettings();
+  const consultation = reason === 'consultation';
+
+  const result = await client.query(`
+    INSERT INTO lawyer_reviews (
+      query_id, response_id, user_id, reason, confidence, consultation_requested_at, consultation_message, due_at
+    )
+    SELECT $1, $2, q.user_id, $3, $4, CASE WHEN $5 THEN NOW() END, $6, NOW() + $7 * INTERVAL '1 hour'
+    FROM queries q
+    WHERE q.id = $1
+    ON CONFLICT (query_id) WHERE status <> 'resolved' DO UPDATE SET
+      response_id = COALESCE(EXCLUDED.response_id, lawyer_reviews.response_id),
+      confidence = COALESCE(EXCLUDED.confidence, lawyer_reviews.confidence),
+      consultation_requested_at = COALESCE(lawyer_reviews.consultation_requested_at, EXCLUDED.consultation_requested_at),
+      consultation_message = COALESCE(EXCLUDED.consultation_message, lawyer_reviews.consultation_message)
+    RETURNING *
+  `, [queryId, responseId, reason, confidence, consultation, message, slaHours]);
+
+  return result.rows[0];
+};
+
+// Состояние SLA задачи: срок, остаток в минутах и просрочка (для закрытых - на момент закрытия)
+const describeSla = (review, now = new Date()) => {
+  const dueAt = new Date(review.due_at);
+  const finishedAt = review.resolved_at ? new Date(review.resolved_at) : now;
+
+  return {
+    dueAt: dueAt.toISOString(),
+    remainingMinutes: review.resolved_at ? null : Math.round((dueAt - now) / 60000),
+    overdue: finishedAt > dueAt
+  };
+};
+
+module.exports = {
+  getReviewSettings,
+  assessConfidence,
+  openLawyerReview,
+  describeSla
+};
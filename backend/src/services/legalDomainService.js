@@ -0,0 +1,192 @@
+const logger = require('../utils/logger');
+const llm = require('./llm');
+
+// Отрасли права: основные кодексы, указания для модели и обязательные предупреждения в ответе.
+// keywords - основы слов для быстрой классификации без обращения к модели: совпадают с началом слова,
+// а ключевые слова до трёх букв (иск, гаи, тсж) - только со словом целиком
+const LEGAL_DOMAINS = {
+  family: {
+    name: 'Семейное право',
+    codes: ['СК РФ', 'ГК РФ'],
+    keywords: ['брак', 'развод', 'алимент', 'супруг', 'опек', 'усынов', 'отцовств', 'материнств', 'раздел имуществ', 'место жительства ребенка'],
+    guidance: 'Учитывай приоритет интересов несовершеннолетних детей, сроки по разделу совместно нажитого имущества (ст. 38 СК РФ) и досудебные способы урегулирования (соглашение об уплате алиментов, брачный договор).',
+    notices: []
+  },
+  inheritance: {
+    name: 'Наследственное право',
+    codes: ['ГК РФ (часть третья)'],
+    keywords: ['наследств', 'наследник', 'наследодател', 'завещани', 'обязательная доля'],
+    guidance: 'Обязательно укажи срок принятия наследства (шесть месяцев, ст. 1154 ГК РФ), способы принятия (ст. 1153 ГК РФ) и порядок восстановления пропущенного срока (ст. 1155 ГК РФ).',
+    notices: []
+  },
+  labour: {
+    name: 'Трудовое право',
+    codes: ['ТК РФ'],
+    keywords: ['работодател', 'увольн', 'уволи', 'трудов', 'зарплат', 'заработн', 'отпуск', 'больничн', 'сокращени', 'испытательн'],
+    guidance: 'Укажи сроки обращения в суд по трудовым спорам (ст. 392 ТК РФ) и возможность обратиться в государственную инспекцию труда.',
+    notices: []
+  },
+  housing: {
+    name: 'Жилищное право',
+    codes: ['ЖК РФ', 'ГК РФ'],
+    keywords: ['квартир', 'жиль', 'жилищ', 'коммунальн', 'управляющ', 'найм', 'наним', 'арендодател', 'выселени', 'прописк', 'капремонт', 'тсж'],
+    guidance: 'Различай право собственности, социальный и коммерческий наём; укажи, куда обращаться: управляющая компания, жилищная инспекция, суд.',
+    notices: []
+  },
+  administrative: {
+    name: 'Административное право',
+    codes: ['КоАП РФ'],
+    keywords: ['штраф', 'гибдд', 'гаи', 'лишени прав', 'лишить прав', 'протокол', 'административн', 'опьянени', 'парковк', 'камер', 'госпошлин'],
+    guidance: 'Укажи срок обжалования постановления по делу об административном правонарушении (10 суток, ст. 30.3 КоАП РФ) и срок давности привлечения к ответственности (ст. 4.5 КоАП РФ).',
+    notices: []
+  },
+  criminal: {
+    name: 'Уголовное право',
+    codes: ['УК РФ', 'УПК РФ'],
+    keywords: ['уголовн', 'преступлен', 'задержани', 'обыск', 'следовател', 'дознавател', 'подозрева', 'обвиня', 'арест', 'кража', 'мошенничеств', 'побои', 'допрос'],
+    guidance: 'Разъясни права подозреваемого и обвиняемого (ст. 46, 47 УПК РФ), право на защитника и право не свидетельствовать против себя (ст. 51 Конституции РФ). Не давай советов, которые могут ухудшить положение человека в уголовном процессе.',
+    notices: [
+      'СРОЧНО: по уголовным делам как можно скорее обратитесь к адвокату-защитнику. Не давайте объяснений и показаний без защитника — вы вправе отказаться от дачи показаний против себя (ст. 51 Конституции РФ). Если адвоката нет, защитник должен быть предоставлен следователем, в том числе бесплатно (ст. 50, 51 УПК РФ).'
+    ]
+  },
+  consumer: {
+    name: 'Защита прав потребителей',
+    codes: ['Закон РФ "О защите прав потребителей"', 'ГК РФ'],
+    keywords: ['магазин', 'товар', 'потребител', 'гаранти', 'продав', 'покупк', 'возврат денег', 'некачественн', 'исполнитель услуг', 'маркетплейс'],
+    guidance: 'Опиши претензионный порядок, сроки удовлетворения требований потребителя (ст. 20–22 Закона о защите прав потребителей) и штраф 50% от присуждённой суммы (п. 6 ст. 13).',
+    notices: []
+  },
+  tax: {
+    name: 'Налоговое право',
+    codes: ['НК РФ'],
+    keywords: ['налог', 'ндфл', 'вычет', 'фнс', 'декларац', 'самозанят', 'ип на усн'],
+    guidance: 'Укажи сроки подачи деклараций и уплаты налога, порядок досудебного обжалования решений налогового органа (ст. 138, 139 НК РФ).',
+    notices: []
+  },
+  civil: {
+    name: 'Гражданское право',
+    codes: ['ГК РФ', 'ГПК РФ'],
+    keywords: ['договор', 'долг', 'займ', 'заем', 'расписк', 'неустойк', 'иск', 'исков', 'иском', 'ущерб', 'возмещени', 'осаго', 'каско'],
+    guidance: 'Учитывай общий срок исковой давности (три года, ст. 196 ГК РФ) и необходимость досудебной претензии, если она обязательна.',
+    notices: []
+  }
+};
+
+// Отрасль по умолчанию, если классификация не удалась
+const DEFAULT_DOMAIN = 'civil';
+
+// Минимальный отрыв ключевых слов лидирующей отрасли, при котором модель не вызывается
+const KEYWORD_MARGIN = 2;
+
+const isKnownDomain = (domain) => Object.prototype.hasOwnProperty.call(LEGAL_DOMAINS, domain);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ключевое слово как начало слова: «иск» не находится в «риск» и «поиск»
+const keywordPattern = (keyword) => new RegExp(
+  `(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}${keyword.length <= 3 ? '(?![\\p{L}\\p{N}])' : ''}`,
+  'u'
+);
+
+const KEYWORD_PATTERNS = Object.fromEntries(
+  Object.entries(LEGAL_DOMAINS).map(([domain, definition]) => [domain, definition.keywords.map(keywordPattern)])
+);
+
+// Быстрая классификация по ключевым словам: отрасли, отсортированные по числу совпадений
+const scoreByKeywords = (text) => {
+  const normalized = (text || '').toLowerCase().replace(/ё/g, 'е');
+
+  return Object.entries(KEYWORD_PATTERNS)
+    .map(([domain, patterns]) => ({
+      domain,
+      score: patterns.filter(pattern => pattern.test(normalized)).length
+    }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Классификация моделью для неоднозначных вопросов
+const classifyWithModel = async (text, context) => {
+  const list = Object.entries(LEGAL_DOMAINS)
+    .map(([domain, definition]) => `- ${domain}: ${definition.name}`)
+    .join('\n');
+
+  const completion = await llm.chatJSON({
+    feature: 'legal-domain',
+    context,
+    messages: [
+      {
+        role: 'system',
+        content: 'Ты классификатор юридических вопросов. Отвечай только JSON.'
+      },
+      {
+        role: 'user',
+        content: `Определи отрасль права, к которой относится вопрос. Допустимые значения:\n${list}\n\n` +
+          'Верни JSON: {"domain": "код отрасли", "confidence": число от 0 до 1}\n\n' +
+          `Вопрос: ${text.slice(0, 2000)}`
+      }
+    ],
+    temperature: 0,
+    maxTokens: 50
+  });
+
+  const parsed = JSON.parse(completion.content);
+  if (!isKnownDomain(parsed.domain)) {
+    throw new Error(`Unknown legal domain from classifier: ${parsed.domain}`);
+  }
+
+  return parsed.domain;
+};
+
+// Определение отрасли права вопроса: сначала по ключевым словам, при неоднозначности - моделью.
+// Возвращает { domain, source }, где source - keywords, model или default
+const classifyLegalDomain = async (text, context = {}) => {
+  const scores = scoreByKeywords(text);
+  const [best, second] = scores;
+
+  if (best && best.score - (second ? second.score : 0) >= KEYWORD_MARGIN) {
+    return { domain: best.domain, source: 'keywords' };
+  }
+
+  try {
+    const domain = await classifyWithModel(text, context);
+    return { domain, source: 'model' };
+  } catch (error) {
+    logger.error('Error classifying legal domain:', error);
+  }
+
+  return best
+    ? { domain: best.domain, source: 'keywords' }
+    : { domain: DEFAULT_DOMAIN, source: 'default' };
+};
+
+// Переменные шаблона промта для отрасли
+const getDomainPromptVariables = (domain) => {
+  const definition = LEGAL_DOMAINS[domain] || LEGAL_DOMAINS[DEFAULT_DOMAIN];
+
+  return {
+    domain: definition.name,
+    domain_guidance: definition.guidance,
+    codes: definition.codes.join(', ')
+  };
+};
+
+// Отрасль и её обязательные предупреждения для сохранения в ответе
+const getDomainAnnotations = (domain) => {
+  const definition = LEGAL_DOMAINS[domain] || LEGAL_DOMAINS[DEFAULT_DOMAIN];
+
+  return {
+    legalDomain: { code: domain, name: definition.name },
+    notices: definition.notices
+  };
+};
+
+module.exports = {
+  LEGAL_DOMAINS,
+  DEFAULT_DOMAIN,
+  isKnownDomain,
+  scoreByKeywords,
+  classifyLegalDomain,
+  getDomainPromptVariables,
+  getDomainAnnotations
+};
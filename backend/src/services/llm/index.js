@@ -0,0 +1,101 @@
+const logger = require('../../utils/logger');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createStubProvider } = require('./stubProvider');
+const { recordUsage } = require('../usageService');
+const { isRedactionEnabled, createRedactor } = require('../redactionService');
+
+// Реестр доступных провайдеров LLM.
+// Каждый провайдер реализует chat, chatJSON, chatStream, chatJSONStream, embed и transcribe.
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  stub: createStubProvider
+};
+
+let provider = null;
+
+// Получение текущего провайдера (выбирается переменной LLM_PROVIDER)
+const getProvider = () => {
+  if (provider) {
+    return provider;
+  }
+
+  const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  provider = factory();
+  logger.info('LLM provider initialized:', { provider: provider.name });
+  return provider;
+};
+
+// Подмена провайдера (для тестов и скриптов)
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Обезличивание входа вызова: сообщения чата или тексты для эмбеддингов
+const redactParams = (params, redactor) => {
+  const redacted = { ...params };
+
+  if (params.messages) {
+    redacted.messages = redactor.redactMessages(params.messages);
+  }
+  if (params.input !== undefined) {
+    redacted.input = redactor.redactInput(params.input);
+  }
+  // Потоковые фрагменты отдаются вызывающему коду уже с исходными значениями
+  if (params.onDelta) {
+    redacted.onDelta = (delta, content) => params.onDelta(redactor.restore(delta), redactor.restore(content));
+  }
+
+  return redacted;
+};
+
+// Вызов метода провайдера с учётом расхода токенов.
+// params.feature - назначение вызова, params.context - { queryId, userId, redactor }, к которым относится расход.
+// Персональные данные во входе заменяются метками обезличивателя запроса (context.redactor, иначе - отдельного
+// для вызова), а в ответе модели восстанавливаются; params.restoreRedacted: false оставляет метки в ответе
+const tracked = (operation, method) => async (params = {}) => {
+  const current = getProvider();
+  const redactor = isRedactionEnabled() ? ((params.context && params.context.redactor) || createRedactor()) : null;
+
+  const result = redactor
+    ? await current[method](redactParams(params, redactor))
+    : await current[method](params);
+
+  if (redactor && typeof result.content === 'string' && params.restoreRedacted !== false) {
+    result.content = redactor.restore(result.content, { json: method.startsWith('chatJSON') });
+  }
+
+  recordUsage({
+    provider: current.name,
+    operation,
+    feature: params.feature,
+    model: result.model,
+    usage: result.usage,
+    context: params.context
+  });
+
+  return result;
+};
+
+const chat = tracked('chat', 'chat');
+const chatJSON = tracked('chat', 'chatJSON');
+const chatStream = tracked('chat', 'chatStream');
+const chatJSONStream = tracked('chat', 'chatJSONStream');
+const embed = tracked('embedding', 'embed');
+const transcribe = tracked('transcription', 'transcribe');
+
+module.exports = {
+  getProvider,
+  setProvider,
+  chat,
+  chatJSON,
+  chatStream,
+  chatJSONStream,
+  embed,
+  transcribe
+};
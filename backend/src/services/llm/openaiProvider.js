@@ -0,0 +1,163 @@
+const OpenAI = require('openai');
+const logger = require('../../utils/logger');
+
+// Провайдер для OpenAI и совместимых с ним HTTP API (Azure-прокси, vLLM, LM Studio и т.п.)
+const createOpenAIProvider = (options = {}) => {
+  const client = new OpenAI({
+    apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+    baseURL: options.baseURL || process.env.OPENAI_BASE_URL || undefined,
+  });
+
+  const models = {
+    chat: options.chatModel || process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+    embedding: options.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-ada-002',
+    transcription: options.transcriptionModel || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1'
+  };
+
+  // Обычный chat completion
+  const chat = async ({ messages, model, temperature = 0.3, maxTokens = 2000, responseFormat } = {}) => {
+    try {
+      const completion = await client.chat.completions.create({
+        model: model || models.chat,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      });
+
+      return {
+        content: completion.choices[0].message.content,
+        model: completion.model,
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens || 0,
+          completionTokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      logger.error('OpenAI chat completion failed:', error);
+      throw new Error('OpenAI chat completion failed');
+    }
+  };
+
+  // Chat completion в JSON-режиме
+  const chatJSON = async (params = {}) => {
+    return chat({ ...params, responseFormat: { type: 'json_object' } });
+  };
+
+  // Потоковый chat completion: onDelta вызывается для каждого фрагмента ответа
+  const chatStream = async ({ messages, model, temperature = 0.3, maxTokens = 2000, responseFormat, onDelta } = {}) => {
+    try {
+      const stream = await client.chat.completions.create({
+        model: model || models.chat,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      });
+
+      let content = '';
+      let usedModel = model || models.chat;
+      let usage = null;
+
+      for await (const chunk of stream) {
+        usedModel = chunk.model || usedModel;
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          if (onDelta) {
+            onDelta(delta, content);
+          }
+        }
+      }
+
+      return {
+        content,
+        model: usedModel,
+        usage: {
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0
+        }
+      };
+    } catch (error) {
+      logger.error('OpenAI streaming chat completion failed:', error);
+      throw new Error('OpenAI streaming chat completion failed');
+    }
+  };
+
+  // Потоковый chat completion в JSON-режиме
+  const chatJSONStream = async (params = {}) => {
+    return chatStream({ ...params, responseFormat: { type: 'json_object' } });
+  };
+
+  // Эмбеддинги для строки или массива строк
+  const embed = async ({ input, model } = {}) => {
+    try {
+      const response = await client.embeddings.create({
+        model: model || models.embedding,
+        input,
+        encoding_format: 'float'
+      });
+
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        model: response.model,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: 0
+        }
+      };
+    } catch (error) {
+      logger.error('OpenAI embeddings request failed:', error);
+      throw new Error('OpenAI embeddings request failed');
+    }
+  };
+
+  // Транскрибация аудио. Ответ всегда запрашивается в verbose_json: только в нём есть длительность аудио,
+  // по которой считается стоимость; verbose добавляет временные метки слов
+  const transcribe = async ({ buffer, filename = 'audio.wav', mimeType = 'audio/wav', language = 'ru', model, verbose = false } = {}) => {
+    try {
+      const file = new File([buffer], filename, { type: mimeType });
+
+      const transcription = await client.audio.transcriptions.create({
+        file,
+        model: model || models.transcription,
+        language,
+        response_format: 'verbose_json',
+        ...(verbose ? { timestamp_granularities: ['word'] } : {})
+      });
+
+      return {
+        text: transcription.text,
+        raw: transcription,
+        model: model || models.transcription,
+        usage: {
+          audioSeconds: transcription.duration || null
+        }
+      };
+    } catch (error) {
+      logger.error('OpenAI transcription failed:', error);
+      throw new Error('OpenAI transcription failed');
+    }
+  };
+
+  return {
+    name: 'openai',
+    models,
+    chat,
+    chatJSON,
+    chatStream,
+    chatJSONStream,
+    embed,
+    transcribe
+  };
+};
+
+module.exports = {
+  createOpenAIProvider
+};
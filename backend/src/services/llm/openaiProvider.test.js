@@ -0,0 +1,51 @@
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../database/connection', () => ({ query: jest.fn().mockResolvedValue({ rows: [] }) }));
+
+// API транскрибации возвращает длительность только в verbose_json
+const mockCreateTranscription = jest.fn(async (params) => (
+  params.response_format === 'verbose_json'
+    ? { text: 'Меня уволили без предупреждения', duration: 90 }
+    : { text: 'Меня уволили без предупреждения' }
+));
+
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({
+  audio: { transcriptions: { create: mockCreateTranscription } }
+})));
+
+const { query } = require('../../database/connection');
+const llm = require('./index');
+const { createOpenAIProvider } = require('./openaiProvider');
+
+beforeEach(() => {
+  mockCreateTranscription.mockClear();
+  query.mockClear();
+  llm.setProvider(createOpenAIProvider({ apiKey: 'test' }));
+});
+
+describe('transcribe', () => {
+  it('записывает длительность и стоимость транскрибации без временных меток', async () => {
+    const result = await llm.transcribe({
+      buffer: Buffer.from('audio'),
+      feature: 'transcription',
+      context: { queryId: '00000000-0000-0000-0000-000000000001', userId: '00000000-0000-0000-0000-000000000002' }
+    });
+
+    expect(result.text).toBe('Меня уволили без предупреждения');
+    expect(mockCreateTranscription.mock.calls[0][0]).not.toHaveProperty('timestamp_granularities');
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO llm_usage');
+    expect(params[3]).toBe('transcription');
+    expect(params[8]).toBe(90);
+    expect(params[9]).toBeCloseTo(0.009);
+  });
+
+  it('запрашивает временные метки слов для подробной транскрибации', async () => {
+    await llm.transcribe({ buffer: Buffer.from('audio'), verbose: true, feature: 'transcription' });
+
+    expect(mockCreateTranscription.mock.calls[0][0]).toMatchObject({
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word']
+    });
+  });
+});
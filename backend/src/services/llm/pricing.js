@@ -0,0 +1,85 @@
+const logger = require('../../utils/logger');
+
+// Цены моделей в USD: input/output - за 1M токенов, perMinute - за минуту аудио.
+// Переопределяются переменной LLM_PRICING (JSON того же вида)
+const DEFAULT_PRICING = {
+  'gpt-4-turbo-preview': { input: 10, output: 30 },
+  'gpt-4-0125-preview': { input: 10, output: 30 },
+  'gpt-4-1106-preview': { input: 10, output: 30 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-ada-002': { input: 0.1 },
+  'text-embedding-3-small': { input: 0.02 },
+  'text-embedding-3-large': { input: 0.13 },
+  'whisper-1': { perMinute: 0.006 },
+  // Локальная заглушка ничего не стоит
+  'stub-chat': { input: 0, output: 0 },
+  'stub-embedding': { input: 0 },
+  'stub-transcription': { perMinute: 0 }
+};
+
+let pricing = null;
+const warnedModels = new Set();
+
+const getPricing = () => {
+  if (pricing) {
+    return pricing;
+  }
+
+  pricing = { ...DEFAULT_PRICING };
+
+  if (process.env.LLM_PRICING) {
+    try {
+      Object.assign(pricing, JSON.parse(process.env.LLM_PRICING));
+    } catch (error) {
+      logger.error('Invalid LLM_PRICING, using default prices:', error.message);
+    }
+  }
+
+  return pricing;
+};
+
+// Цена модели: точное совпадение или самый длинный префикс
+// (API возвращает датированные имена вида gpt-4o-2024-08-06)
+const findModelPrice = (model) => {
+  const prices = getPricing();
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+};
+
+// Стоимость вызова в USD. null - цена модели неизвестна
+const calculateCost = (model, usage = {}) => {
+  const price = findModelPrice(model);
+
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      logger.warn('No pricing configured for model, cost not calculated:', { model });
+    }
+    return null;
+  }
+
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+  const audioSeconds = usage.audioSeconds || 0;
+
+  const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6
+    + (audioSeconds / 60) * (price.perMinute || 0);
+
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = {
+  DEFAULT_PRICING,
+  findModelPrice,
+  calculateCost
+};
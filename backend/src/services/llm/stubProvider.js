@@ -0,0 +1,271 @@
+// Детерминированный локальный провайдер: не ходит в сеть и не требует API ключей.
+// Используется для разработки и тестирования всего пайплайна обработки запросов.
+const { estimateTokens } = require('../../utils/tokens');
+
+const EMBEDDING_DIMENSION = 1536;
+const STREAM_CHUNK_SIZE = 24;
+
+// FNV-1a хеш строки (32 бита)
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+
+const lastUserMessage = (messages = []) => {
+  const userMessages = messages.filter(m => m.role === 'user');
+  return userMessages.length > 0 ? String(userMessages[userMessages.length - 1].content) : '';
+};
+
+const promptTokens = (messages = []) =>
+  messages.reduce((sum, m) => sum + estimateTokens(String(m.content)), 0);
+
+// Имитация стриминга: отдаём готовый ответ фрагментами фиксированной длины
+const streamContent = async (result, onDelta) => {
+  let content = '';
+  for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+    const delta = result.content.slice(i, i + STREAM_CHUNK_SIZE);
+    content += delta;
+    if (onDelta) {
+      onDelta(delta, content);
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return result;
+};
+
+const STUB_LAWS = [
+  { article: 'Статья 196 ГК РФ', description: 'Общий срок исковой давности составляет три года' },
+  { article: 'Статья 1152 ГК РФ', description: 'Принятие наследства' },
+  { article: 'Статья 81 ТК РФ', description: 'Расторжение трудового договора по инициативе работодателя' },
+  { article: 'Статья 18 Закона РФ "О защите прав потребителей"', description: 'Права потребителя при обнаружении в товаре недостатков' },
+  { article: 'Статья 12.8 КоАП РФ', description: 'Управление транспортным средством водителем, находящимся в состоянии опьянения' }
+];
+
+const STUB_PRACTICE = [
+  { case: 'Постановление Пленума ВС РФ от 29.09.2015 № 43', description: 'О применении норм об исковой давности' },
+  { case: 'Постановление Пленума ВС РФ от 29.05.2012 № 9', description: 'О судебной практике по делам о наследовании' },
+  { case: 'Постановление Пленума ВС РФ от 17.03.2004 № 2', description: 'О применении судами Трудового кодекса РФ' }
+];
+
+// Ответ-заглушка в формате юридической консультации
+const legalAnswer = (messages) => {
+  // Вопрос ищем в последнем сообщении с промтом (при исправлении ответа последним идёт сообщение об ошибках)
+  const prompts = messages.filter(m => m.role === 'user').map(m => String(m.content));
+  const questionMatch = prompts.reverse().map(p => p.match(/Вопрос пользователя:\s*(.+)/)).find(Boolean);
+  const question = questionMatch ? questionMatch[1] : lastUserMessage(messages);
+  const seed = hashString(question);
+
+  // Ссылки на первые фрагменты документов, если они есть в промте
+  const chunkLabels = [...new Set([...prompts.join('\n').matchAll(/<document id="(Д\d+)"/g)].map(match => match[1]))].slice(0, 2);
+
+  return {
+    text: `Тестовый ответ (stub-провайдер) на вопрос: «${question.slice(0, 200)}». ` +
+      'ВАЖНО: Это не юридическая консультация. Для получения квалифицированной помощи обратитесь к юристу.',
+    laws: [STUB_LAWS[seed % STUB_LAWS.length]],
+    practice: [STUB_PRACTICE[seed % STUB_PRACTICE.length]],
+    recommendations: [
+      'Соберите документы, подтверждающие ваши доводы',
+      'Обратитесь к юристу для оценки перспектив дела'
+    ],
+    sources: chunkLabels.map(label => ({
+      statement: `Положение документа из фрагмента ${label}`,
+      chunk: label
+    })),
+    confidence: 0.5 + (seed % 50) / 100
+  };
+};
+
+// Классификация отрасли права: детерминированный выбор из перечисленных в промте отраслей
+const legalDomain = (messages) => {
+  const prompt = lastUserMessage(messages);
+  const domains = [...prompt.matchAll(/^- ([a-z]+):/gm)].map(match => match[1]);
+  const questionMatch = prompt.match(/Вопрос:\s*([\s\S]+)$/);
+  const seed = hashString(questionMatch ? questionMatch[1] : prompt);
+
+  return {
+    domain: domains.length > 0 ? domains[seed % domains.length] : 'civil',
+    confidence: 0.5
+  };
+};
+
+// Проверка договора: риск в первом пункте каждой части договора, тип пункта не меняется
+const contractReview = (messages) => {
+  const prompt = lastUserMessage(messages);
+  const clauseIds = [...prompt.matchAll(/<document id="(П\d+)"/g)].map(match => match[1]);
+
+  return {
+    summary: `Тестовая проверка договора (stub-провайдер): проверено пунктов - ${clauseIds.length}.`,
+    clauses: clauseIds.slice(0, 1).map(id => ({
+      id,
+      risks: [{
+        severity: 'medium',
+        issue: 'Формулировка пункта допускает неоднозначное толкование',
+        suggestion: 'Уточните права и обязанности сторон в этом пункте'
+      }]
+    })),
+    missing: []
+  };
+};
+
+// Заполняются только многострочные поля: остальные остаются пользователю, как при нехватке сведений
+const documentDraft = (messages) => {
+  const prompt = lastUserMessage(messages);
+  const questionMatch = prompt.match(/Вопрос пользователя:\n([^\n]*)/);
+  const multiline = [...prompt.matchAll(/^- ([a-z_]+) \([^;]+; тип multiline/gm)].map(match => match[1]);
+
+  return {
+    fields: Object.fromEntries(multiline.map(key =>
+      [key, `Тестовый текст (stub-провайдер): ${questionMatch ? questionMatch[1].slice(0, 200) : ''}`]))
+  };
+};
+
+// Подтверждение тегов: подходящими считаются кандидаты со сходством не ниже 0.5, уверенность равна сходству
+const tagConfirmation = (messages) => {
+  const prompt = lastUserMessage(messages);
+  const candidates = [...prompt.matchAll(/^- (.+?): .*\(сходство ([\d.]+)\)$/gm)]
+    .map(match => ({ name: match[1], confidence: parseFloat(match[2]) }));
+
+  return {
+    tags: candidates.filter(candidate => candidate.confidence >= 0.5)
+  };
+};
+
+// SEO-статья: один раздел с пересказом вопроса и FAQ из одного пункта
+const seoArticle = (messages) => {
+  const prompt = lastUserMessage(messages);
+  const questionMatch = prompt.match(/Вопрос пользователя:\s*(.+)/);
+  const question = questionMatch ? questionMatch[1].slice(0, 200) : 'юридический вопрос';
+
+  return {
+    title: `Тестовая статья (stub-провайдер): ${question.slice(0, 60)}`,
+    metaDescription: `Разбор типовой ситуации: ${question.slice(0, 120)}`,
+    keywords: ['юридическая консультация'],
+    intro: `Тестовое введение (stub-провайдер) к вопросу «${question}».`,
+    sections: [
+      { heading: 'Что говорит закон', level: 2, paragraphs: ['Тестовый абзац со ссылкой на закон из ответа юриста.'], items: [] },
+      { heading: 'Что делать', level: 3, paragraphs: [], items: ['Соберите документы', 'Обратитесь к юристу'] }
+    ],
+    conclusion: 'Тестовое заключение (stub-провайдер).',
+    faq: [{ question: 'Нужен ли юрист?', answer: 'Для оценки перспектив дела лучше обратиться к юристу.' }]
+  };
+};
+
+// Ответчики для JSON-режима по назначению вызова (feature)
+const JSON_RESPONDERS = {
+  'legal-answer': legalAnswer,
+  'legal-answer-repair': legalAnswer,
+  'legal-domain': legalDomain,
+  'contract-review': contractReview,
+  'document-draft': documentDraft,
+  'tag-confirmation': tagConfirmation,
+  'seo-article': seoArticle
+};
+
+// Детерминированный эмбеддинг: хешированный мешок слов, нормированный к единичной длине.
+// Похожие тексты получают близкие векторы, что достаточно для семантического поиска в разработке.
+const stubEmbedding = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSION).fill(0);
+  for (const token of tokenize(text)) {
+    const hash = hashString(token);
+    vector[hash % EMBEDDING_DIMENSION] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(val => val / magnitude);
+};
+
+const createStubProvider = () => {
+  const models = {
+    chat: 'stub-chat',
+    embedding: 'stub-embedding',
+    transcription: 'stub-transcription'
+  };
+
+  const chat = async ({ messages = [] } = {}) => {
+    const question = lastUserMessage(messages);
+    const content = `Тестовый ответ (stub-провайдер): ${question.slice(0, 500)}`;
+
+    return {
+      content,
+      model: models.chat,
+      usage: {
+        promptTokens: promptTokens(messages),
+        completionTokens: estimateTokens(content)
+      }
+    };
+  };
+
+  const chatJSON = async ({ messages = [], feature } = {}) => {
+    const responder = JSON_RESPONDERS[feature] || legalAnswer;
+    const content = JSON.stringify(responder(messages));
+
+    return {
+      content,
+      model: models.chat,
+      usage: {
+        promptTokens: promptTokens(messages),
+        completionTokens: estimateTokens(content)
+      }
+    };
+  };
+
+  const chatStream = async (params = {}) => streamContent(await chat(params), params.onDelta);
+
+  const chatJSONStream = async (params = {}) => streamContent(await chatJSON(params), params.onDelta);
+
+  const embed = async ({ input } = {}) => {
+    const inputs = Array.isArray(input) ? input : [input];
+
+    return {
+      embeddings: inputs.map(text => stubEmbedding(String(text))),
+      model: models.embedding,
+      usage: {
+        promptTokens: inputs.reduce((sum, text) => sum + estimateTokens(String(text)), 0),
+        completionTokens: 0
+      }
+    };
+  };
+
+  const transcribe = async ({ buffer } = {}) => {
+    const size = buffer ? buffer.length : 0;
+    const text = `Тестовая транскрипция (stub-провайдер) аудиофайла размером ${size} байт`;
+
+    return {
+      text,
+      raw: { text },
+      model: models.transcription,
+      usage: {
+        // Та же оценка, что и в audioService.getAudioDuration
+        audioSeconds: Math.round(size / 16000)
+      }
+    };
+  };
+
+  return {
+    name: 'stub',
+    models,
+    chat,
+    chatJSON,
+    chatStream,
+    chatJSONStream,
+    embed,
+    transcribe
+  };
+};
+
+module.exports = {
+  createStubProvider,
+  JSON_RESPONDERS,
+  EMBEDDING_DIMENSION
+};
@@ -0,0 +1,380 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const { processQuery } = require('./aiService');
+const { resolveConversation } = require('./conversationService');
+const { consumeQuota } = require('./quotaService');
+const { isCacheEnabled } = require('./answerCacheService');
+const { toSqlVector } = require('./embeddingService');
+const { openLawyerReview } = require('./lawyerReviewService');
+const { mergeRedactionStats } = require('./redactionService');
+
+// Трансляция фрагментов ответа модели в комнату пользователя по мере генерации
+const streamToUser = (io, userId, queryId) => ({
+  onDelta: ({ delta, partial }) => {
+    io.to(userId).emit('query-delta', {
+      queryId,
+      delta,
+      partial
+    });
+  }
+});
+
+// Сохранение результата обработки: статус запроса и ответ AI.
+// Ответ сохраняется новой версией и становится текущей, предыдущие версии остаются.
+// guidance - пожелания пользователя, с которыми версия сгенерирована повторно.
+// replacesResponseId - версия, которую новый ответ заменяет (ответ из кэша при обновлении), удаляется в той же транзакции.
+// Для ответа, помеченного для проверки юристом, создаётся задача в очереди модераторов
+const completeQuery = async (queryId, {
+  aiResponse,
+  validationErrors,
+  citationCheck,
+  promptTemplateId = null,
+  promptTemplateName = null,
+  cachedFromResponseId = null,
+  embedding = null,
+  redactionStats = null,
+  injectionCheck = null,
+  guidance = null,
+  replacesResponseId = null
+}) => {
+  return transaction(async (client) => {
+    // Повторная генерация обезличивает вопрос заново, поэтому её статистика добавляется к прежней
+    const previous = await client.query(`
+      SELECT redaction_stats FROM queries WHERE id = $1 FOR UPDATE
+    `, [queryId]);
+
+    await client.query(`
+      UPDATE queries SET status = 'completed', redaction_stats = $2 WHERE id = $1
+    `, [queryId, mergeRedactionStats(previous.rows[0] && previous.rows[0].redaction_stats, redactionStats)]);
+
+    await client.query(`
+      UPDATE responses SET is_current = false WHERE query_id = $1 AND is_current = true
+    `, [queryId]);
+
+    if (replacesResponseId) {
+      await client.query('DELETE FROM responses WHERE id = $1 AND query_id = $2', [replacesResponseId, queryId]);
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO responses (
+        query_id, version, ai_response, validation_errors, citation_check, prompt_template_id, prompt_template_name,
+        cached_from_response_id, embedding, injection_check, injection_suspected, regeneration_guidance
+      )
+      VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM responses WHERE query_id = $1), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id, version
+    `, [
+      queryId,
+      aiResponse,
+      validationErrors,
+      citationCheck,
+      promptTemplateId,
+      promptTemplateName,
+      cachedFromResponseId,
+      embedding ? toSqlVector(embedding) : null,
+      injectionCheck,
+      !!(injectionCheck && injectionCheck.suspected),
+      guidance
+    ]);
+
+    if (aiResponse.lawyerReview) {
+      await openLawyerReview(client, {
+        queryId,
+        responseId: inserted.rows[0].id,
+        reason: 'low-confidence',
+        confidence: aiResponse.lawyerReview.confidence
+      });
+    }
+
+    return inserted.rows[0];
+  });
+};
+
+// Асинхронная обработка текстового запроса с уведомлениями через Socket.IO.
+// replacesResponseId передаётся в completeQuery: заменяемая версия удаляется только после сохранения нового ответа
+const runTextQuery = ({
+  io,
+  userId,
+  queryId,
+  text,
+  conversationId,
+  allowCache = false,
+  asOfDate = null,
+  language = null,
+  replacesResponseId = null
+}) => {
+  processQuery(queryId, text, null, null, userId, {
+    ...streamToUser(io, userId, queryId),
+    conversationId,
+    allowCache,
+    asOfDate,
+    language
+  })
+    .then(async (result) => {
+      // Сохраняем ответ
+      const saved = await completeQuery(queryId, { ...result, replacesResponseId });
+
+      // Отправляем результат
+      io.to(userId).emit('query-completed', {
+        queryId,
+        conversationId,
+        response: result.aiResponse,
+        version: saved.version,
+        cached: !!result.cachedFromResponseId
+      });
+    })
+    .catch(async (error) => {
+      logger.error('Error processing query:', error);
+
+      // При обновлении ответа из кэша прежняя версия остаётся, и запрос не считается проваленным
+      await query(`
+        UPDATE queries
+        SET status = CASE WHEN EXISTS (SELECT 1 FROM responses WHERE query_id = $1) THEN 'completed' ELSE 'failed' END
+        WHERE id = $1
+      `, [queryId]);
+
+      io.to(userId).emit('query-error', {
+        queryId,
+        error: 'Ошибка при обработке запроса'
+      });
+    });
+};
+
+// Создание текстового запроса и его асинхронная обработка.
+// Без conversationId запрос открывает новый диалог, иначе продолжает существующий.
+// fresh отключает семантический кэш; уточняющие вопросы из кэша не отвечаются, так как зависят от истории.
+// asOfDate - дата событий, на которую применяется закон (проверенная parseAsOfDate),
+// language - язык ответа (без него - из профиля или по тексту вопроса)
+const submitTextQuery = async ({ io, userId, text, conversationId = null, fresh = false, asOfDate = null, language = null }) => {
+  // Создаем запрос в базе данных
+  const created = await transaction(async (client) => {
+    await consumeQuota(client, userId, { queries: 1 });
+
+    const threadId = await resolveConversation(client, userId, conversationId, text);
+
+    const queryInsert = await client.query(`
+      INSERT INTO queries (user_id, conversation_id, text, as_of_date, as_of_date_source, answer_language, answer_language_source, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'processing')
+      RETURNING id
+    `, [userId, threadId, text, asOfDate, asOfDate ? 'user' : null, language, language ? 'user' : null]);
+
+    const queryId = queryInsert.rows[0].id;
+
+    // Логируем действие
+    await client.query(`
+      INSERT INTO activity_logs (user_id, action, details)
+      VALUES ($1, 'create_query', $2)
+    `, [userId, JSON.stringify({ queryId, conversationId: threadId, type: 'text' })]);
+
+    return { queryId, conversationId: threadId };
+  });
+
+  const { queryId } = created;
+
+  // Отправляем уведомление через Socket.IO
+  io.to(userId).emit('query-status', {
+    queryId,
+    conversationId: created.conversationId,
+    status: 'processing',
+    message: 'Анализируем ваш запрос...'
+  });
+
+  // Обрабатываем запрос асинхронно
+  runTextQuery({
+    io,
+    userId,
+    queryId,
+    text,
+    conversationId: created.conversationId,
+    allowCache: isCacheEnabled() && !fresh && !conversationId,
+    asOfDate,
+    language
+  });
+
+  return created;
+};
+
+// Новая генерация вместо ответа, взятого из семантического кэша
+const refreshCachedQuery = async ({ io, userId, queryId }) => {
+  const refreshed = await transaction(async (client) => {
+    const existing = await client.query(`
+      SELECT
+        q.text,
+        q.conversation_id,
+        q.status,
+        CASE WHEN q.as_of_date_source = 'user' THEN to_char(q.as_of_date, 'YYYY-MM-DD') END as as_of_date,
+        CASE WHEN q.answer_language_source = 'user' THEN q.answer_language END as answer_language,
+        r.id as response_id,
+        r.cached_from_response_id
+      FROM queries q
+      LEFT JOIN responses r ON r.query_id = q.id AND r.is_current = true
+      WHERE q.id = $1 AND q.user_id = $2
+      FOR UPDATE OF q
+    `, [queryId, userId]);
+
+    if (existing.rows.length === 0) {
+      const error = new Error('Query not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (existing.rows[0].status === 'processing') {
+      const error = new Error('Query is still being processed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!existing.rows[0].cached_from_response_id) {
+      const error = new Error('Only cached answers can be refreshed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await client.query(`
+      UPDATE queries SET status = 'processing' WHERE id = $1
+    `, [queryId]);
+
+    await client.query(`
+      INSERT INTO activity_logs (user_id, action, details)
+      VALUES ($1, 'refresh_cached_answer', $2)
+    `, [userId, JSON.stringify({ queryId, cachedFrom: existing.rows[0].cached_from_response_id })]);
+
+    return {
+      text: existing.rows[0].text,
+      conversationId: existing.rows[0].conversation_id,
+      asOfDate: existing.rows[0].as_of_date,
+      language: existing.rows[0].answer_language,
+      cachedResponseId: existing.rows[0].response_id
+    };
+  });
+
+  io.to(userId).emit('query-status', {
+    queryId,
+    conversationId: refreshed.conversationId,
+    status: 'processing',
+    message: 'Генерируем новый ответ...'
+  });
+
+  runTextQuery({
+    io,
+    userId,
+    queryId,
+    text: refreshed.text,
+    conversationId: refreshed.conversationId,
+    asOfDate: refreshed.asOfDate,
+    language: refreshed.language,
+    // Удаляется только версия из кэша и только вместе с сохранением новой, остальные версии ответа сохраняются
+    replacesResponseId: refreshed.cachedResponseId
+  });
+
+  return { queryId, conversationId: refreshed.conversationId };
+};
+
+// Повторная генерация ответа на уже заданный вопрос.
+// Новый ответ сохраняется следующей версией и становится текущим, прежние версии остаются доступны.
+// guidance - пожелания пользователя к новой версии (например, «подробнее о сроках»)
+const regenerateResponse = async ({ io, userId, queryId, guidance = null }) => {
+  const existing = await transaction(async (client) => {
+    const result = await client.query(`
+      SELECT
+        q.text,
+        q.audio_path,
+        q.files_path,
+        q.conversation_id,
+        q.status,
+        CASE WHEN q.as_of_date_source = 'user' THEN to_char(q.as_of_date, 'YYYY-MM-DD') END as as_of_date,
+        CASE WHEN q.answer_language_source = 'user' THEN q.answer_language END as answer_language,
+        r.ai_response->>'text' as previous_answer
+      FROM queries q
+      LEFT JOIN responses r ON r.query_id = q.id AND r.is_current = true
+      WHERE q.id = $1 AND q.user_id = $2
+      FOR UPDATE OF q
+    `, [queryId, userId]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Query not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const row = result.rows[0];
+    if (row.status === 'processing') {
+      const error = new Error('Query is still being processed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (!row.text) {
+      const error = new Error('Query has no text to answer');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await consumeQuota(client, userId, { queries: 1 });
+
+    await client.query(`
+      UPDATE queries SET status = 'processing' WHERE id = $1
+    `, [queryId]);
+
+    await client.query(`
+      INSERT INTO activity_logs (user_id, action, details)
+      VALUES ($1, 'regenerate_response', $2)
+    `, [userId, JSON.stringify({ queryId, withGuidance: !!guidance })]);
+
+    return row;
+  });
+
+  const conversationId = existing.conversation_id;
+
+  io.to(userId).emit('query-status', {
+    queryId,
+    conversationId,
+    status: 'processing',
+    message: 'Генерируем новую версию ответа...'
+  });
+
+  processQuery(queryId, existing.text, existing.audio_path, existing.files_path, userId, {
+    ...streamToUser(io, userId, queryId),
+    conversationId,
+    asOfDate: existing.as_of_date,
+    language: existing.answer_language,
+    regeneration: {
+      previousAnswer: existing.previous_answer,
+      guidance
+    }
+  })
+    .then(async (result) => {
+      const saved = await completeQuery(queryId, { ...result, guidance });
+
+      io.to(userId).emit('query-completed', {
+        queryId,
+        conversationId,
+        response: result.aiResponse,
+        version: saved.version
+      });
+    })
+    .catch(async (error) => {
+      logger.error('Error regenerating response:', error);
+
+      // Прежние версии ответа остаются, поэтому запрос не считается проваленным, если ответ уже был
+      await query(`
+        UPDATE queries
+        SET status = CASE WHEN EXISTS (SELECT 1 FROM responses WHERE query_id = $1) THEN 'completed' ELSE 'failed' END
+        WHERE id = $1
+      `, [queryId]);
+
+      io.to(userId).emit('query-error', {
+        queryId,
+        error: 'Ошибка при повторной генерации ответа'
+      });
+    });
+
+  return { queryId, conversationId };
+};
+
+module.exports = {
+  streamToUser,
+  completeQuery,
+  submitTextQuery,
+  refreshCachedQuery,
+  regenerateResponse
+};
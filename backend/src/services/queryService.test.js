@@ -0,0 +1,73 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./aiService', () => ({ processQuery: jest.fn() }));
+
+// Запросы транзакции и вне её пишутся в один журнал, ответы на SELECT задаёт тест
+const mockSql = [];
+const mockClient = {
+  query: jest.fn(async (sql, params) => {
+    mockSql.push({ sql, params });
+    if (sql.includes('FROM queries q')) {
+      return { rows: [{ text: 'Вопрос', conversation_id: 'c1', status: 'completed', response_id: 'r-cached', cached_from_response_id: 'r-source' }] };
+    }
+    if (sql.includes('SELECT redaction_stats')) {
+      return { rows: [{ redaction_stats: { total: 1, byType: { phone: 1 }, modelCalls: 2 } }] };
+    }
+    if (sql.includes('INSERT INTO responses')) {
+      return { rows: [{ id: 'r-new', version: 2 }] };
+    }
+    return { rows: [] };
+  })
+};
+
+jest.mock('../database/connection', () => ({
+  query: (...args) => mockClient.query(...args),
+  transaction: async (callback) => callback(mockClient)
+}));
+
+const { processQuery } = require('./aiService');
+const { completeQuery, refreshCachedQuery } = require('./queryService');
+
+const io = { to: () => ({ emit: jest.fn() }) };
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  mockSql.length = 0;
+});
+
+describe('refreshCachedQuery', () => {
+  it('удаляет версию из кэша только вместе с сохранением нового ответа', async () => {
+    processQuery.mockResolvedValue({ aiResponse: { text: 'Новый ответ' } });
+
+    await refreshCachedQuery({ io, userId: 'u1', queryId: 'q1' });
+    await flush();
+
+    const statements = mockSql.map(item => item.sql);
+    const deleteIndex = statements.findIndex(sql => sql.includes('DELETE FROM responses'));
+
+    expect(deleteIndex).toBeGreaterThan(statements.findIndex(sql => sql.includes('SET is_current = false')));
+    expect(deleteIndex).toBeLessThan(statements.findIndex(sql => sql.includes('INSERT INTO responses')));
+    expect(mockSql[deleteIndex].params).toEqual(['r-cached', 'q1']);
+  });
+
+  it('сохраняет ответ из кэша, если новая генерация не удалась', async () => {
+    processQuery.mockRejectedValue(new Error('LLM недоступна'));
+
+    await refreshCachedQuery({ io, userId: 'u1', queryId: 'q1' });
+    await flush();
+
+    expect(mockSql.some(item => item.sql.includes('DELETE FROM responses'))).toBe(false);
+    expect(mockSql[mockSql.length - 1].sql).toContain("THEN 'completed' ELSE 'failed'");
+  });
+});
+
+describe('completeQuery', () => {
+  it('добавляет статистику обезличивания новой генерации к прежней', async () => {
+    await completeQuery('q1', {
+      aiResponse: { text: 'Ответ' },
+      redactionStats: { total: 2, byType: { phone: 1, name: 1 }, modelCalls: 2 }
+    });
+
+    const update = mockSql.find(item => item.sql.includes('redaction_stats = $2'));
+    expect(update.params[1]).toEqual({ total: 3, byType: { phone: 2, name: 1 }, modelCalls: 4 });
+  });
+});
@@ -0,0 +1,177 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Месячные лимиты тарифа по метрикам (колонки таблицы plans). NULL в плане - без ограничений
+const QUOTA_METRICS = {
+  queries: 'monthly_queries',
+  file_pages: 'monthly_file_pages',
+  audio_minutes: 'monthly_audio_minutes',
+  seo_articles: 'monthly_seo_articles'
+};
+
+const QUOTA_MESSAGES = {
+  queries: 'Monthly query limit reached',
+  file_pages: 'Monthly file page limit reached',
+  audio_minutes: 'Monthly audio minutes limit reached',
+  seo_articles: 'Monthly SEO article limit reached'
+};
+
+// Текущий расчётный период - календарный месяц (UTC)
+const currentPeriod = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { start, end };
+};
+
+// Ошибка превышения квоты: 402 - метрика не входит в тариф, 429 - лимит периода исчерпан
+const quotaError = (metric, plan, limit, used, requested) => {
+  const included = limit > 0;
+  const { end } = currentPeriod();
+
+  const error = new Error(included ? QUOTA_MESSAGES[metric] : `Your plan does not include ${metric.replace('_', ' ')}`);
+  error.statusCode = included ? 429 : 402;
+  error.quota = {
+    metric,
+    plan: plan.code,
+    limit,
+    used,
+    requested,
+    remaining: Math.max(0, limit - used),
+    resetsAt: end.toISOString()
+  };
+  return error;
+};
+
+const getUserPlan = async (userId, db = { query }) => {
+  const result = await db.query(`
+    SELECT p.*
+    FROM users u
+    JOIN plans p ON p.code = u.plan
+    WHERE u.id = $1
+  `, [userId]);
+
+  if (result.rows.length === 0) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return result.rows[0];
+};
+
+const getUsedAmounts = async (userId, db = { query }) => {
+  const { start } = currentPeriod();
+
+  const result = await db.query(`
+    SELECT metric, used
+    FROM usage_counters
+    WHERE user_id = $1 AND period_start = $2
+  `, [userId, start.toISOString().slice(0, 10)]);
+
+  return Object.fromEntries(result.rows.map(row => [row.metric, parseFloat(row.used)]));
+};
+
+// Предварительная проверка остатка квот: amounts - { metric: количество }.
+// Ничего не списывает: вызывается до загрузки файлов и создания запроса
+const checkQuota = async (userId, amounts) => {
+  const plan = await getUserPlan(userId);
+  const used = await getUsedAmounts(userId);
+
+  for (const [metric, amount] of Object.entries(amounts)) {
+    const limit = plan[QUOTA_METRICS[metric]];
+    if (limit === null) continue;
+
+    const spent = used[metric] || 0;
+    if (spent + amount > limit) {
+      throw quotaError(metric, plan, limit, spent, amount);
+    }
+  }
+};
+
+// Списание квоты внутри транзакции создания запроса (client - клиент транзакции).
+// Счётчики увеличиваются атомарно; при превышении лимита бросается ошибка и транзакция откатывается
+const consumeQuota = async (client, userId, amounts) => {
+  const plan = await getUserPlan(userId, client);
+  const { start } = currentPeriod();
+
+  for (const [metric, amount] of Object.entries(amounts)) {
+    if (!amount) continue;
+
+    const update = await client.query(`
+      INSERT INTO usage_counters (user_id, period_start, metric, used)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, period_start, metric)
+      DO UPDATE SET used = usage_counters.used + EXCLUDED.used, updated_at = NOW()
+      RETURNING used
+    `, [userId, start.toISOString().slice(0, 10), metric, amount]);
+
+    const limit = plan[QUOTA_METRICS[metric]];
+    const used = parseFloat(update.rows[0].used);
+
+    if (limit !== null && used > limit) {
+      throw quotaError(metric, plan, limit, used - amount, amount);
+    }
+  }
+};
+
+// Списание квоты без прерывания внешней транзакции: возвращает false, если лимит исчерпан
+const tryConsumeQuota = async (client, userId, amounts) => {
+  await client.query('SAVEPOINT consume_quota');
+
+  try {
+    await consumeQuota(client, userId, amounts);
+    await client.query('RELEASE SAVEPOINT consume_quota');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT consume_quota');
+
+    if (!error.quota) {
+      throw error;
+    }
+
+    logger.info('Quota exhausted:', { userId, ...error.quota });
+    return false;
+  }
+};
+
+// Тариф пользователя, использованные и оставшиеся квоты за текущий период
+const getUsageSummary = async (userId) => {
+  const plan = await getUserPlan(userId);
+  const used = await getUsedAmounts(userId);
+  const { start, end } = currentPeriod();
+
+  const quotas = {};
+  for (const [metric, column] of Object.entries(QUOTA_METRICS)) {
+    const limit = plan[column];
+    const spent = used[metric] || 0;
+
+    quotas[metric] = {
+      limit,
+      used: spent,
+      remaining: limit === null ? null : Math.max(0, limit - spent)
+    };
+  }
+
+  return {
+    plan: {
+      code: plan.code,
+      name: plan.name,
+      priceRub: plan.price_rub
+    },
+    period: {
+      start: start.toISOString(),
+      end: end.toISOString()
+    },
+    quotas
+  };
+};
+
+module.exports = {
+  QUOTA_METRICS,
+  currentPeriod,
+  getUserPlan,
+  checkQuota,
+  consumeQuota,
+  tryConsumeQuota,
+  getUsageSummary
+};
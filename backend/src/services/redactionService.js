@@ -0,0 +1,261 @@
+// Обезличивание персональных данных перед отправкой текста в модель.
+// Найденные данные заменяются метками вида [ИНН_1]: одно и то же значение в пределах запроса
+// всегда получает одну и ту же метку, а в ответе модели метки заменяются обратно на исходные значения
+
+const isRedactionEnabled = () => process.env.PII_REDACTION_ENABLED !== 'false';
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const weightedSum = (digits, weights) =>
+  weights.reduce((sum, weight, index) => sum + weight * Number(digits[index]), 0);
+
+// Контрольное число СНИЛС (для номеров больше 001-001-998)
+const isValidSnils = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length !== 11 || Number(digits.slice(0, 9)) <= 1001998) {
+    return false;
+  }
+
+  const sum = weightedSum(digits, [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  const check = sum < 100 ? sum : (sum % 101) % 100;
+  return check === Number(digits.slice(9));
+};
+
+// Контрольные цифры ИНН организации (10 цифр) и физического лица (12 цифр)
+const isValidInn = (value) => {
+  const digits = digitsOf(value);
+  const checkDigit = (weights) => weightedSum(digits, weights) % 11 % 10;
+
+  if (digits.length === 10) {
+    return checkDigit([2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[9]);
+  }
+  if (digits.length === 12) {
+    return checkDigit([7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[10]) &&
+      checkDigit([3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === Number(digits[11]);
+  }
+  return false;
+};
+
+// Алгоритм Луна для номеров банковских карт
+const isValidCardNumber = (value) => {
+  const digits = digitsOf(value);
+  if (digits.length < 16 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const UPPER = 'А-ЯЁ';
+const LOWER = 'а-яё';
+// Отчества на -ович/-евич/-овна/-евна; краткие на -ич/-ична - только от имён, где они образуются так (Ильич, Фоминична).
+// Просто «-ич» в конце слова - не признак отчества: так заканчиваются и обычные слова в начале предложения
+const PATRONYMIC = `(?:[${UPPER}][${LOWER}]+(?:ович|евич|овн|евн)|(?:Иль|Кузьм|Лук|Фом|Никит|Савв)(?:ин)?ич)[${LOWER}]{0,3}`;
+const WORD = `[${UPPER}][${LOWER}]+(?:-[${UPPER}][${LOWER}]+)?`;
+
+// Основы распространённых имён: ФИО из двух слов (имя и отчество) распознаётся только с известным именем,
+// чтобы не принимать за имя любое слово с заглавной буквы перед отчеством
+const FIRST_NAME_STEMS = [
+  'Александр', 'Алексе', 'Анатоли', 'Андре', 'Антон', 'Аркади', 'Артем', 'Артём', 'Борис', 'Вадим', 'Валенти', 'Валери',
+  'Васили', 'Виктор', 'Витали', 'Владимир', 'Владислав', 'Вячеслав', 'Геннади', 'Георги', 'Григори', 'Денис', 'Дмитри',
+  'Евгени', 'Егор', 'Иван', 'Игор', 'Иль', 'Илья', 'Кирилл', 'Константин', 'Леонид', 'Максим', 'Михаил', 'Никит',
+  'Никола', 'Олег', 'Павел', 'Павл', 'Петр', 'Пётр', 'Роман', 'Руслан', 'Семен', 'Семён', 'Серге', 'Станислав', 'Степан',
+  'Федор', 'Фёдор', 'Юри', 'Ярослав',
+  'Алин', 'Алл', 'Анастаси', 'Анн', 'Антонин', 'Валентин', 'Вер', 'Галин', 'Дарь', 'Евгени', 'Екатерин', 'Елен',
+  'Елизавет', 'Жанн', 'Зо', 'Инн', 'Ирин', 'Ксени', 'Лариса', 'Ларис', 'Любов', 'Людмил', 'Маргарит', 'Мари', 'Марин',
+  'Надежд', 'Натали', 'Наталь', 'Нин', 'Оксан', 'Ольг', 'Полин', 'Светлан', 'Софи', 'Тамар', 'Татьян', 'Юли'
+];
+const FIRST_NAME = `(?<![${UPPER}${LOWER}])(?:${[...new Set(FIRST_NAME_STEMS)].join('|')})[${LOWER}]{0,3}(?![${LOWER}])`;
+
+// Виды персональных данных в порядке поиска: сначала номера с контрольными суммами,
+// затем номера по контексту и шаблонам, в конце адреса и ФИО.
+// group - группа регулярного выражения с самим значением (остальная часть совпадения остаётся в тексте)
+const DETECTORS = [
+  {
+    type: 'email',
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  {
+    type: 'snils',
+    label: 'СНИЛС',
+    pattern: /(?<!\d)\d{3}[- ]?\d{3}[- ]?\d{3}[- ]?\d{2}(?!\d)/g,
+    validate: isValidSnils
+  },
+  {
+    type: 'card',
+    label: 'КАРТА',
+    pattern: /(?<!\d)\d{4}[ -]?\d{4}[ -]?\d{4}[ -]?\d{4}(?:\d{3})?(?!\d)/g,
+    validate: isValidCardNumber
+  },
+  {
+    type: 'inn',
+    label: 'ИНН',
+    pattern: /(?<!\d)(?:\d{12}|\d{10})(?!\d)/g,
+    validate: isValidInn
+  },
+  {
+    type: 'passport',
+    label: 'ПАСПОРТ',
+    pattern: new RegExp(`(паспорт[${LOWER}]*[^\\d]{0,40}|сери[${LOWER}]*\\s*)(\\d{2}\\s?\\d{2}\\s*(?:№|номер|n)?\\s*\\d{6})(?!\\d)`, 'giu'),
+    group: 2
+  },
+  {
+    type: 'phone',
+    label: 'ТЕЛЕФОН',
+    pattern: /(?:\+7|(?<!\d)8)[\s(-]*\d{3}[\s)-]*\d{3}[\s-]*\d{2}[\s-]*\d{2}(?!\d)/g
+  },
+  {
+    type: 'address',
+    label: 'АДРЕС',
+    pattern: new RegExp(
+      `(?:(?:г\\.|город)\\s*${WORD},?\\s*)?` +
+      '(?:ул\\.|улиц[а-яё]*|пр-т|просп\\.|проспект[а-яё]*|пер\\.|переул[а-яё]*|б-р|бульвар[а-яё]*|ш\\.|шоссе|наб\\.|набережн[а-яё]*)' +
+      `\\s*[${UPPER}0-9][^,\\n]{0,40},?\\s*(?:д\\.|дом)\\s*\\d+[${LOWER}]?` +
+      '(?:[,\\s]*(?:корп\\.|к\\.|стр\\.)\\s*\\d+)?' +
+      '(?:[,\\s]*(?:кв\\.|квартир[а-яё]*)\\s*\\d+)?',
+      'giu'
+    )
+  },
+  {
+    type: 'name',
+    label: 'ФИО',
+    pattern: new RegExp(
+      [
+        `${WORD}\\s+${WORD}\\s+${PATRONYMIC}`,
+        `${WORD}\\s+${PATRONYMIC}\\s+${WORD}`,
+        `${WORD}\\s+[${UPPER}]\\.\\s?[${UPPER}]\\.`,
+        `[${UPPER}]\\.\\s?[${UPPER}]\\.\\s?${WORD}`,
+        `${FIRST_NAME}\\s+${PATRONYMIC}`
+      ].join('|'),
+      'gu'
+    )
+  }
+];
+
+// Ключ значения для повторного использования метки: цифры для номеров (у телефона - без кода +7 или 8),
+// нормализованный текст для остального. Метка восстанавливается в первое встреченное написание значения:
+// телефон, записанный в запросе и с +7, и с 8, вернётся в ответ везде в первом виде
+const normalizeValue = (type, value) => {
+  if (['email', 'address', 'name'].includes(type)) {
+    return value.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+  return type === 'phone' ? digitsOf(value).slice(-10) : digitsOf(value);
+};
+
+const PLACEHOLDER_PATTERN = /\[([А-ЯЁA-Z]+)_(\d+)\]/g;
+
+// Обезличиватель одного запроса: хранит соответствие меток исходным значениям
+// и статистику найденных данных по видам
+const createRedactor = () => {
+  const byKey = new Map();
+  const byPlaceholder = new Map();
+  const counters = {};
+  let calls = 0;
+
+  const placeholderFor = (detector, value) => {
+    const key = `${detector.type}:${normalizeValue(detector.type, value)}`;
+    if (!byKey.has(key)) {
+      counters[detector.type] = (counters[detector.type] || 0) + 1;
+      const placeholder = `[${detector.label}_${counters[detector.type]}]`;
+      byKey.set(key, placeholder);
+      byPlaceholder.set(placeholder, value);
+    }
+    return byKey.get(key);
+  };
+
+  const redact = (text) => {
+    if (typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    return DETECTORS.reduce((current, detector) =>
+      current.replace(detector.pattern, (...args) => {
+        const match = args[0];
+        const value = detector.group ? args[detector.group] : match;
+        if (!value || (detector.validate && !detector.validate(value))) {
+          return match;
+        }
+        const placeholder = placeholderFor(detector, value);
+        return detector.group ? match.replace(value, placeholder) : placeholder;
+      }), text);
+  };
+
+  // Обратная подстановка. json - текст является JSON, значения экранируются как строки JSON
+  const restore = (text, { json = false } = {}) => {
+    if (typeof text !== 'string' || byPlaceholder.size === 0) {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder) => {
+      if (!byPlaceholder.has(placeholder)) {
+        return placeholder;
+      }
+      const value = byPlaceholder.get(placeholder);
+      return json ? JSON.stringify(value).slice(1, -1) : value;
+    });
+  };
+
+  // Обезличивание сообщений чата и входов эмбеддингов
+  const redactMessages = (messages = []) => {
+    calls++;
+    return messages.map(message => ({ ...message, content: redact(String(message.content)) }));
+  };
+
+  const redactInput = (input) => {
+    calls++;
+    return Array.isArray(input) ? input.map(redact) : redact(input);
+  };
+
+  // Статистика для журнала соответствия: число уникальных значений по видам (без самих значений)
+  const getStats = () => ({
+    total: Object.values(counters).reduce((sum, count) => sum + count, 0),
+    byType: { ...counters },
+    modelCalls: calls
+  });
+
+  return {
+    redact,
+    restore,
+    redactMessages,
+    redactInput,
+    getStats
+  };
+};
+
+// Сложение статистики обезличивания: у запроса она накапливается за все генерации ответа
+const mergeRedactionStats = (previous, next) => {
+  if (!previous || !next) {
+    return next || previous || null;
+  }
+
+  const byType = { ...previous.byType };
+  for (const [type, count] of Object.entries(next.byType || {})) {
+    byType[type] = (byType[type] || 0) + count;
+  }
+
+  return {
+    total: (previous.total || 0) + (next.total || 0),
+    byType,
+    modelCalls: (previous.modelCalls || 0) + (next.modelCalls || 0)
+  };
+};
+
+module.exports = {
+  DETECTORS,
+  isRedactionEnabled,
+  isValidSnils,
+  isValidInn,
+  isValidCardNumber,
+  createRedactor,
+  mergeRedactionStats
+};
@@ -0,0 +1,102 @@
+const {
+  isValidSnils,
+  isValidInn,
+  isValidCardNumber,
+  createRedactor,
+  mergeRedactionStats
+} = require('./redactionService');
+
+describe('контрольные суммы', () => {
+  it('проверяет СНИЛС', () => {
+    expect(isValidSnils('112-233-445 95')).toBe(true);
+    expect(isValidSnils('112-233-445 96')).toBe(false);
+  });
+
+  it('проверяет ИНН организации и физического лица', () => {
+    expect(isValidInn('7707083893')).toBe(true);
+    expect(isValidInn('500100732259')).toBe(true);
+    expect(isValidInn('7707083894')).toBe(false);
+  });
+
+  it('проверяет номер карты по алгоритму Луна', () => {
+    expect(isValidCardNumber('4111 1111 1111 1111')).toBe(true);
+    expect(isValidCardNumber('4111 1111 1111 1112')).toBe(false);
+  });
+});
+
+describe('createRedactor', () => {
+  it('заменяет персональные данные метками и возвращает их обратно', () => {
+    const redactor = createRedactor();
+    const text = 'Иванов Иван Петрович, паспорт 4510 123456, ИНН 500100732259, тел. +7 (912) 345-67-89, почта ivanov@mail.ru';
+    const redacted = redactor.redact(text);
+
+    expect(redacted).toBe('[ФИО_1], паспорт [ПАСПОРТ_1], ИНН [ИНН_1], тел. [ТЕЛЕФОН_1], почта [EMAIL_1]');
+    expect(redactor.restore(redacted)).toBe(text);
+  });
+
+  it('не заменяет номера с неверной контрольной суммой', () => {
+    expect(createRedactor().redact('ИНН 7707083894, карта 4111 1111 1111 1112')).toBe('ИНН 7707083894, карта 4111 1111 1111 1112');
+  });
+
+  it('даёт одному значению одну метку в пределах запроса', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('Звоните 8 912 345 67 89')).toBe('Звоните [ТЕЛЕФОН_1]');
+    expect(redactor.redact('или +7 912 345-67-89, или 8 900 000 00 00')).toBe('или [ТЕЛЕФОН_1], или [ТЕЛЕФОН_2]');
+    expect(redactor.getStats()).toEqual({ total: 2, byType: { phone: 2 }, modelCalls: 0 });
+  });
+
+  it('восстанавливает первое написание телефона, записанного с +7 и с 8', () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact('Звоните 8 912 345 67 89 или +7 912 345-67-89');
+
+    expect(redacted).toBe('Звоните [ТЕЛЕФОН_1] или [ТЕЛЕФОН_1]');
+    expect(redactor.restore(redacted)).toBe('Звоните 8 912 345 67 89 или 8 912 345 67 89');
+  });
+
+  it('находит адреса', () => {
+    expect(createRedactor().redact('Живу по адресу г. Москва, ул. Ленина, д. 5, кв. 12.')).toBe('Живу по адресу [АДРЕС_1].');
+  });
+
+  it('находит ФИО с отчеством, инициалами и известным именем', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('Договор с Петровой Анной Сергеевной')).toBe('Договор с [ФИО_1]');
+    expect(redactor.redact('Работодатель Сидоров И.П. не платит')).toBe('Работодатель [ФИО_2] не платит');
+    expect(redactor.redact('Марии Ивановне отказали')).toBe('[ФИО_3] отказали');
+    expect(redactor.redact('Анна Ильинична звонила')).toBe('[ФИО_4] звонила');
+  });
+
+  it('не принимает за ФИО слова с заглавной буквы рядом с окончанием -ич', () => {
+    expect(createRedactor().redact('Вчера Кирпич упал на машину. Потом Москвич сломался.'))
+      .toBe('Вчера Кирпич упал на машину. Потом Москвич сломался.');
+    expect(createRedactor().redact('Вчера Петрович пришёл')).toBe('Вчера Петрович пришёл');
+  });
+
+  it('экранирует восстановленные значения внутри JSON', () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact('Ответчик Сидоров И.П.');
+
+    expect(redactor.restore(JSON.stringify({ text: redacted }), { json: true })).toBe('{"text":"Ответчик Сидоров И.П."}');
+    expect(redactor.restore('[ФИО_9] не найден')).toBe('[ФИО_9] не найден');
+  });
+
+  it('считает обезличенные вызовы модели', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redactMessages([{ role: 'user', content: 'Мой email: a@b.ru' }])).toEqual([{ role: 'user', content: 'Мой email: [EMAIL_1]' }]);
+    expect(redactor.redactInput(['a@b.ru', 'текст'])).toEqual(['[EMAIL_1]', 'текст']);
+    expect(redactor.getStats()).toEqual({ total: 1, byType: { email: 1 }, modelCalls: 2 });
+  });
+});
+
+describe('mergeRedactionStats', () => {
+  it('суммирует статистику генераций ответа', () => {
+    const first = { total: 2, byType: { phone: 1, email: 1 }, modelCalls: 3 };
+
+    expect(mergeRedactionStats(first, { total: 1, byType: { phone: 1 }, modelCalls: 2 }))
+      .toEqual({ total: 3, byType: { phone: 2, email: 1 }, modelCalls: 5 });
+    expect(mergeRedactionStats(first, null)).toBe(first);
+    expect(mergeRedactionStats(null, first)).toBe(first);
+  });
+});
@@ -0,0 +1,222 @@
+// Схема структурированного ответа AI и её проверка/нормализация
+
+const DISCLAIMER = 'ВАЖНО: Это не юридическая консультация. Для получения квалифицированной помощи обратитесь к юристу.';
+const DISCLAIMER_MARKER = 'не юридическая консультация';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Строгая проверка ответа. Возвращает список ошибок вида { path, message }
+const validateAIResponse = (response) => {
+  const errors = [];
+
+  if (!isPlainObject(response)) {
+    return [{ path: '$', message: 'Response must be a JSON object' }];
+  }
+
+  if (!isNonEmptyString(response.text)) {
+    errors.push({ path: 'text', message: 'text must be a non-empty string' });
+  } else if (!response.text.toLowerCase().includes(DISCLAIMER_MARKER)) {
+    errors.push({ path: 'text', message: 'text must end with the required disclaimer' });
+  }
+
+  if (!Array.isArray(response.laws)) {
+    errors.push({ path: 'laws', message: 'laws must be an array' });
+  } else {
+    response.laws.forEach((law, index) => {
+      if (!isPlainObject(law) || !isNonEmptyString(law.article)) {
+        errors.push({ path: `laws[${index}].article`, message: 'article must be a non-empty string' });
+      } else if (typeof law.description !== 'string') {
+        errors.push({ path: `laws[${index}].description`, message: 'description must be a string' });
+      }
+    });
+  }
+
+  if (!Array.isArray(response.practice)) {
+    errors.push({ path: 'practice', message: 'practice must be an array' });
+  } else {
+    response.practice.forEach((item, index) => {
+      if (!isPlainObject(item) || !isNonEmptyString(item.case)) {
+        errors.push({ path: `practice[${index}].case`, message: 'case must be a non-empty string' });
+      } else if (typeof item.description !== 'string') {
+        errors.push({ path: `practice[${index}].description`, message: 'description must be a string' });
+      }
+    });
+  }
+
+  if (!Array.isArray(response.recommendations)) {
+    errors.push({ path: 'recommendations', message: 'recommendations must be an array' });
+  } else {
+    response.recommendations.forEach((item, index) => {
+      if (!isNonEmptyString(item)) {
+        errors.push({ path: `recommendations[${index}]`, message: 'recommendation must be a non-empty string' });
+      }
+    });
+  }
+
+  // sources необязательны: модель заполняет их, только если в промте были фрагменты документов
+  if (response.sources !== undefined) {
+    if (!Array.isArray(response.sources)) {
+      errors.push({ path: 'sources', message: 'sources must be an array' });
+    } else {
+      response.sources.forEach((item, index) => {
+        if (!isPlainObject(item) || !isNonEmptyString(item.statement)) {
+          errors.push({ path: `sources[${index}].statement`, message: 'statement must be a non-empty string' });
+        } else if (!isNonEmptyString(item.chunk)) {
+          errors.push({ path: `sources[${index}].chunk`, message: 'chunk must be a non-empty string' });
+        }
+      });
+    }
+  }
+
+  if (typeof response.confidence !== 'number' || Number.isNaN(response.confidence) ||
+      response.confidence < 0 || response.confidence > 1) {
+    errors.push({ path: 'confidence', message: 'confidence must be a number between 0 and 1' });
+  }
+
+  return errors;
+};
+
+// Приведение элемента списка к строке (для объектов берём первое текстовое поле)
+const toText = (value, keys = []) => {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number') return String(value);
+  if (isPlainObject(value)) {
+    for (const key of keys) {
+      if (isNonEmptyString(value[key])) return value[key].trim();
+    }
+  }
+  return '';
+};
+
+const normalizeReferences = (items, titleKey, fixes, path) => {
+  if (items === undefined || items === null) {
+    fixes.push(`${path}: missing, replaced with empty array`);
+    return [];
+  }
+
+  const list = Array.isArray(items) ? items : [items];
+  if (!Array.isArray(items)) {
+    fixes.push(`${path}: wrapped single value into array`);
+  }
+
+  const normalized = [];
+  list.forEach((item, index) => {
+    const title = toText(item, [titleKey, 'title', 'name', 'reference']);
+    if (!title) {
+      fixes.push(`${path}[${index}]: dropped empty item`);
+      return;
+    }
+
+    const description = isPlainObject(item) ? toText(item, ['description', 'text', 'summary']) : '';
+    if (typeof item === 'string' || !isNonEmptyString(item[titleKey])) {
+      fixes.push(`${path}[${index}]: converted to { ${titleKey}, description }`);
+    }
+
+    normalized.push({ [titleKey]: title, description });
+  });
+
+  return normalized;
+};
+
+const normalizeConfidence = (value, fixes) => {
+  let confidence = value;
+
+  if (typeof confidence === 'string') {
+    const isPercent = confidence.includes('%');
+    confidence = parseFloat(confidence.replace(',', '.'));
+    if (isPercent) confidence /= 100;
+    fixes.push('confidence: parsed from string');
+  }
+
+  if (typeof confidence !== 'number' || Number.isNaN(confidence)) {
+    // Неизвестную уверенность не выдумываем: считаем её минимальной
+    fixes.push('confidence: missing or invalid, set to 0');
+    return 0;
+  }
+
+  if (confidence > 1 && confidence <= 100) {
+    fixes.push('confidence: converted from percent scale');
+    confidence /= 100;
+  }
+
+  if (confidence < 0 || confidence > 1) {
+    fixes.push('confidence: clamped to [0, 1]');
+    confidence = Math.min(1, Math.max(0, confidence));
+  }
+
+  return confidence;
+};
+
+// Нормализация ответа: исправляет типы и недостающие поля, возвращает список исправлений
+const normalizeAIResponse = (response, rawText = '') => {
+  const fixes = [];
+  const source = isPlainObject(response) ? response : {};
+
+  if (!isPlainObject(response)) {
+    fixes.push('$: response is not a JSON object, raw text used as answer');
+  }
+
+  let text = toText(source.text, ['content', 'answer']);
+  if (!text) {
+    text = isPlainObject(response) ? '' : String(rawText || '').trim();
+    fixes.push('text: missing or not a string');
+  }
+
+  if (!text.toLowerCase().includes(DISCLAIMER_MARKER)) {
+    text = text ? `${text}\n\n${DISCLAIMER}` : DISCLAIMER;
+    fixes.push('text: disclaimer appended');
+  }
+
+  const laws = normalizeReferences(source.laws, 'article', fixes, 'laws');
+  const practice = normalizeReferences(source.practice, 'case', fixes, 'practice');
+
+  let recommendations = source.recommendations;
+  if (recommendations === undefined || recommendations === null) {
+    fixes.push('recommendations: missing, replaced with empty array');
+    recommendations = [];
+  } else if (!Array.isArray(recommendations)) {
+    fixes.push('recommendations: wrapped single value into array');
+    recommendations = [recommendations];
+  }
+  recommendations = recommendations
+    .map(item => toText(item, ['text', 'recommendation', 'description']))
+    .filter(item => item.length > 0);
+
+  const confidence = normalizeConfidence(source.confidence, fixes);
+
+  const normalizedResponse = { ...source, text, laws, practice, recommendations, confidence };
+
+  if (source.sources !== undefined) {
+    const sources = (Array.isArray(source.sources) ? source.sources : [source.sources])
+      .filter(item => isPlainObject(item) && isNonEmptyString(item.statement) && isNonEmptyString(item.chunk));
+    if (!Array.isArray(source.sources) || sources.length !== source.sources.length) {
+      fixes.push('sources: dropped invalid items');
+    }
+    normalizedResponse.sources = sources;
+  }
+
+  return {
+    response: normalizedResponse,
+    fixes
+  };
+};
+
+// Сообщение для повторного запроса к модели с перечнем ошибок схемы
+const buildRepairMessage = (errors) => {
+  const list = errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+  return `Твой предыдущий ответ не соответствует требуемой JSON-схеме:
+${list}
+
+Исправь ответ и верни только JSON объект со всеми полями:
+{"text": string, "laws": [{"article": string, "description": string}], "practice": [{"case": string, "description": string}], "recommendations": [string], "sources": [{"statement": string, "chunk": string}], "confidence": number от 0 до 1}
+Поле "text" должно заканчиваться фразой: "${DISCLAIMER}"`;
+};
+
+module.exports = {
+  DISCLAIMER,
+  validateAIResponse,
+  normalizeAIResponse,
+  buildRepairMessage
+};
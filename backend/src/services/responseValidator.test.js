@@ -0,0 +1,113 @@
+const {
+  DISCLAIMER,
+  validateAIResponse,
+  normalizeAIResponse,
+  buildRepairMessage
+} = require('./responseValidator');
+
+const validResponse = () => ({
+  text: `Срок исковой давности - три года.\n\n${DISCLAIMER}`,
+  laws: [{ article: 'ст. 196 ГК РФ', description: 'Общий срок исковой давности' }],
+  practice: [{ case: 'Определение ВС РФ № 5-КГ20-1', description: '' }],
+  recommendations: ['Направьте претензию'],
+  confidence: 0.85
+});
+
+describe('validateAIResponse', () => {
+  it('принимает ответ по схеме', () => {
+    expect(validateAIResponse(validResponse())).toEqual([]);
+    expect(validateAIResponse({ ...validResponse(), sources: [{ statement: 'Срок - три года', chunk: 'Д1' }] })).toEqual([]);
+  });
+
+  it('требует JSON-объект', () => {
+    expect(validateAIResponse([])).toEqual([{ path: '$', message: 'Response must be a JSON object' }]);
+    expect(validateAIResponse(null)).toHaveLength(1);
+  });
+
+  it('возвращает пути всех ошибок', () => {
+    const errors = validateAIResponse({
+      text: 'Ответ без предупреждения',
+      laws: [{ description: 'без статьи' }],
+      practice: 'не массив',
+      recommendations: ['', 'Совет'],
+      sources: [{ statement: 'Утверждение' }],
+      confidence: 1.5
+    });
+
+    expect(errors.map(error => error.path)).toEqual([
+      'text',
+      'laws[0].article',
+      'practice',
+      'recommendations[0]',
+      'sources[0].chunk',
+      'confidence'
+    ]);
+  });
+});
+
+describe('normalizeAIResponse', () => {
+  it('не меняет корректный ответ', () => {
+    const { response, fixes } = normalizeAIResponse(validResponse());
+
+    expect(response).toEqual(validResponse());
+    expect(fixes).toEqual([]);
+  });
+
+  it('приводит поля к схеме и перечисляет исправления', () => {
+    const { response, fixes } = normalizeAIResponse({
+      text: 'Ответ',
+      laws: 'ст. 81 ТК РФ',
+      practice: [{ title: 'Дело № 2-100/2024', text: 'Суд восстановил работника' }, {}],
+      recommendations: { text: 'Обратитесь в инспекцию труда' },
+      confidence: '75%'
+    });
+
+    expect(response).toEqual({
+      text: `Ответ\n\n${DISCLAIMER}`,
+      laws: [{ article: 'ст. 81 ТК РФ', description: '' }],
+      practice: [{ case: 'Дело № 2-100/2024', description: 'Суд восстановил работника' }],
+      recommendations: ['Обратитесь в инспекцию труда'],
+      confidence: 0.75
+    });
+    expect(validateAIResponse(response)).toEqual([]);
+    expect(fixes).toEqual(expect.arrayContaining([
+      'text: disclaimer appended',
+      'laws: wrapped single value into array',
+      'practice[1]: dropped empty item',
+      'recommendations: wrapped single value into array',
+      'confidence: parsed from string'
+    ]));
+  });
+
+  it('использует исходный текст, если ответ не объект', () => {
+    const { response, fixes } = normalizeAIResponse(undefined, 'Просто текст');
+
+    expect(response.text).toBe(`Просто текст\n\n${DISCLAIMER}`);
+    expect(response.confidence).toBe(0);
+    expect(fixes).toContain('$: response is not a JSON object, raw text used as answer');
+  });
+
+  it('переводит уверенность из процентов и ограничивает диапазон', () => {
+    expect(normalizeAIResponse({ ...validResponse(), confidence: 90 }).response.confidence).toBe(0.9);
+    expect(normalizeAIResponse({ ...validResponse(), confidence: -2 }).response.confidence).toBe(0);
+  });
+
+  it('отбрасывает неполные ссылки на источники', () => {
+    const { response, fixes } = normalizeAIResponse({
+      ...validResponse(),
+      sources: [{ statement: 'Утверждение', chunk: 'Д2' }, { statement: 'Без фрагмента' }]
+    });
+
+    expect(response.sources).toEqual([{ statement: 'Утверждение', chunk: 'Д2' }]);
+    expect(fixes).toContain('sources: dropped invalid items');
+  });
+});
+
+describe('buildRepairMessage', () => {
+  it('перечисляет ошибки и напоминает о предупреждении', () => {
+    const message = buildRepairMessage([{ path: 'confidence', message: 'confidence must be a number between 0 and 1' }]);
+
+    expect(message).toContain('- confidence: confidence must be a number between 0 and 1');
+    expect(message).toContain(DISCLAIMER);
+  });
+});
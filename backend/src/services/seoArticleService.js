@@ -0,0 +1,519 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const { selectTemplate, renderPrompt } = require('./promptService');
+
+// SEO-статьи по ответам: модель возвращает структуру (заголовок, разделы, FAQ), из которой собирается
+// очищенный HTML, оглавление и разметка schema.org. Статья проходит статусы draft -> review -> published;
+// опубликованной статья становится вместе с ответом, к версии которого она относится
+
+const ARTICLE_STATUSES = ['draft', 'review', 'published'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_META_DESCRIPTION_LENGTH = 300;
+const MAX_SLUG_LENGTH = 80;
+const MAX_KEYWORDS = 10;
+const MAX_FAQ = 10;
+
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l', м: 'm',
+  н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+// Адрес статьи из заголовка: транслитерация, латиница, цифры и дефисы
+const slugify = (text) => {
+  const slug = [...(text || '').toLowerCase()]
+    .map(char => (TRANSLIT[char] !== undefined ? TRANSLIT[char] : char))
+    .join('')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+
+  const cut = slug.slice(0, MAX_SLUG_LENGTH);
+  return cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Текст между тегами: угловые скобки экранируются, готовые сущности (&nbsp;, &#171;) сохраняются
+const escapeText = (text) => text
+  .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z]+);)/gi, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const stripTags = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Разрешённые теги и их замены: заголовок статьи - отдельное поле, поэтому h1 становится h2
+const ALLOWED_TAGS = {
+  p: 'p', h1: 'h2', h2: 'h2', h3: 'h3', h4: 'h3', h5: 'h3', h6: 'h3',
+  ul: 'ul', ol: 'ol', li: 'li', strong: 'strong', b: 'strong', em: 'em', i: 'em',
+  blockquote: 'blockquote', br: 'br', a: 'a', table: 'table', thead: 'thead', tbody: 'tbody', tr: 'tr', th: 'th', td: 'td'
+};
+
+// Теги, которые удаляются вместе с содержимым
+const DROPPED_TAGS = 'script|style|iframe|object|embed|noscript|template|svg|math|head|title|form|textarea|select';
+
+const safeHref = (attributes) => {
+  const match = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  if (!match) {
+    return null;
+  }
+
+  // Браузер убирает из адреса табуляции и переводы строк и читает «\» как «/»:
+  // «/\evil.com» и «/<tab>/evil.com» ведут на другой сайт
+  const href = (match[1] || match[2] || match[3] || '').trim();
+  if (/[\u0000-\u001f]/.test(href)) {
+    return null;
+  }
+  return /^(https?:\/\/|\/(?![/\\])|#)/i.test(href) ? href : null;
+};
+
+// Теги без закрывающей пары
+const VOID_TAGS = ['br'];
+
+// Очистка HTML по белому списку: теги пересобираются без атрибутов (кроме безопасной ссылки в a),
+// всё остальное экранируется как текст. Незакрытые теги закрываются, лишние закрывающие отбрасываются,
+// чтобы текст статьи не ломал разметку страницы вокруг неё
+const sanitizeHtml = (html) => {
+  const source = String(html || '')
+    .replace(/<!--[\s\S]*?(-->|$)/g, '')
+    .replace(new RegExp(`<(${DROPPED_TAGS})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+    .replace(new RegExp(`<\\/?(${DROPPED_TAGS})\\b[^>]*>`, 'gi'), '');
+
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+  const open = [];
+  let result = '';
+  let position = 0;
+  let match;
+
+  const closeUntil = (depth) => {
+    while (open.length > depth) {
+      result += `</${open.pop()}>`;
+    }
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    result += escapeText(source.slice(position, match.index));
+    position = tagPattern.lastIndex;
+
+    const [, closing, name, attributes] = match;
+    const tag = ALLOWED_TAGS[name.toLowerCase()];
+    if (!tag) continue;
+
+    if (VOID_TAGS.includes(tag)) {
+      result += closing ? '' : `<${tag}>`;
+    } else if (closing) {
+      // Закрывающий тег закрывает и все вложенные в него незакрытые теги
+      const depth = open.lastIndexOf(tag);
+      if (depth !== -1) {
+        closeUntil(depth);
+      }
+    } else {
+      if (tag === 'a') {
+        const href = safeHref(attributes);
+        result += href
+          ? `<a href="${escapeHtml(href)}"${/^https?:/i.test(href) ? ' rel="nofollow noopener" target="_blank"' : ''}>`
+          : '<a>';
+      } else {
+        result += `<${tag}>`;
+      }
+      open.push(tag);
+    }
+  }
+
+  result += escapeText(source.slice(position));
+  closeUntil(0);
+
+  return result.trim();
+};
+
+// Якоря подзаголовков и оглавление: [{ level, title, anchor }]
+const addHeadingAnchors = (html) => {
+  const outline = [];
+  const used = new Map();
+
+  const withAnchors = html.replace(/<h([23])>([\s\S]*?)<\/h\1>/g, (heading, level, content) => {
+    const title = stripTags(content);
+    const base = slugify(title) || 'section';
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+
+    const anchor = count > 1 ? `${base}-${count}` : base;
+    outline.push({ level: Number(level), title, anchor });
+
+    return `<h${level} id="${anchor}">${content}</h${level}>`;
+  });
+
+  return { html: withAnchors, outline };
+};
+
+const cleanString = (value, maxLength) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '');
+
+const cleanKeywords = (keywords) => [...new Set((Array.isArray(keywords) ? keywords : [])
+  .map(keyword => cleanString(keyword, 100).toLowerCase())
+  .filter(Boolean))]
+  .slice(0, MAX_KEYWORDS);
+
+const cleanFaq = (faq) => (Array.isArray(faq) ? faq : [])
+  .filter(item => item && typeof item === 'object')
+  .map(item => ({ question: cleanString(item.question, 300), answer: cleanString(item.answer, 2000) }))
+  .filter(item => item.question && item.answer)
+  .slice(0, MAX_FAQ);
+
+// Мета-описание по умолчанию: начало текста статьи, обрезанное по границе слова
+const describe = (html) => {
+  const text = stripTags(html);
+  if (text.length <= 160) {
+    return text;
+  }
+
+  const cut = text.slice(0, 157);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}...`;
+};
+
+// Тело статьи из структуры ответа модели; текст экранируется, поэтому HTML модели в статью не попадает
+const renderArticleBody = ({ intro, sections, conclusion }) => {
+  const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+  const parts = [];
+
+  if (cleanString(intro, 5000)) {
+    parts.push(paragraph(cleanString(intro, 5000)));
+  }
+
+  for (const section of sections) {
+    parts.push(`<h${section.level}>${escapeHtml(section.heading)}</h${section.level}>`);
+    section.paragraphs.forEach(text => parts.push(paragraph(text)));
+    if (section.items.length > 0) {
+      parts.push(`<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    }
+  }
+
+  if (cleanString(conclusion, 5000)) {
+    parts.push(paragraph(cleanString(conclusion, 5000)));
+  }
+
+  return parts.join('\n');
+};
+
+const parseSections = (sections) => (Array.isArray(sections) ? sections : [])
+  .filter(section => section && typeof section === 'object')
+  .map(section => ({
+    heading: cleanString(section.heading, 200),
+    level: Number(section.level) === 3 ? 3 : 2,
+    paragraphs: (Array.isArray(section.paragraphs) ? section.paragraphs : []).map(text => cleanString(text, 5000)).filter(Boolean),
+    items: (Array.isArray(section.items) ? section.items : []).map(text => cleanString(text, 1000)).filter(Boolean)
+  }))
+  .filter(section => section.heading && (section.paragraphs.length > 0 || section.items.length > 0));
+
+const articleUrl = (slug) => (process.env.PUBLIC_SITE_URL
+  ? `${process.env.PUBLIC_SITE_URL.replace(/\/+$/, '')}/articles/${slug}`
+  : null);
+
+// Разметка schema.org: Article и FAQPage (вопросы FAQ выводятся на странице статьи из поля faq)
+const buildJsonLd = ({ title, slug, meta_description, keywords, faq, published_at, updated_at }) => {
+  const url = articleUrl(slug);
+  const article = {
+    '@type': 'Article',
+    headline: title.slice(0, 110),
+    description: meta_description || undefined,
+    keywords: keywords.length > 0 ? keywords.join(', ') : undefined,
+    inLanguage: 'ru-RU',
+    datePublished: published_at ? new Date(published_at).toISOString() : undefined,
+    dateModified: updated_at ? new Date(updated_at).toISOString() : undefined,
+    url: url || undefined,
+    mainEntityOfPage: url || undefined
+  };
+
+  const graph = [JSON.parse(JSON.stringify(article))];
+  if (faq.length > 0) {
+    graph.push({
+      '@type': 'FAQPage',
+      mainEntity: faq.map(item => ({
+        '@type': 'Question',
+        name: item.question,
+        acceptedAnswer: { '@type': 'Answer', text: item.answer }
+      }))
+    });
+  }
+
+  return { '@context': 'https://schema.org', '@graph': graph };
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Свободный адрес: slug, slug-2, slug-3... (excludeId - статья, которой адрес уже принадлежит)
+const uniqueSlug = async (client, base, excludeId = null) => {
+  const result = await client.query(`
+    SELECT slug FROM seo_articles
+    WHERE (slug = $1 OR slug LIKE $1 || '-%') AND ($2::uuid IS NULL OR id <> $2)
+  `, [base, excludeId]);
+
+  const taken = new Set(result.rows.map(row => row.slug));
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+// Пересчёт разметки после изменения статьи: json_ld зависит от адреса, дат и FAQ
+const refreshJsonLd = async (client, id) => {
+  const result = await client.query('SELECT * FROM seo_articles WHERE id = $1', [id]);
+  const article = result.rows[0];
+  if (!article) {
+    return null;
+  }
+
+  const updated = await client.query(`
+    UPDATE seo_articles SET json_ld = $1 WHERE id = $2 RETURNING *
+  `, [JSON.stringify(buildJsonLd(article)), id]);
+
+  return updated.rows[0];
+};
+
+// Генерация статьи по версии ответа responseId. Повторная генерация заменяет содержимое
+// неопубликованной статьи и возвращает её в черновик; адрес статьи при этом не меняется
+const generateArticle = async (responseId, context = {}) => {
+  const source = await query(`
+    SELECT r.id, r.query_id, r.ai_response, q.text as question
+    FROM responses r
+    JOIN queries q ON r.query_id = q.id
+    WHERE r.id = $1
+  `, [responseId]);
+
+  const response = source.rows[0];
+  if (!response) {
+    const error = new Error('Response not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const template = await selectTemplate('seo-article', response.query_id);
+  const rendered = renderPrompt(template, {
+    question: response.question,
+    response: JSON.stringify(response.ai_response)
+  });
+
+  const completion = await llm.chatJSON({
+    feature: 'seo-article',
+    context: { ...context, queryId: response.query_id },
+    // Статья публикуется: персональные данные остаются замененными метками
+    restoreRedacted: false,
+    messages: [
+      { role: 'system', content: rendered.systemMessage },
+      { role: 'user', content: rendered.prompt }
+    ],
+    temperature: 0.7,
+    maxTokens: 4000
+  });
+
+  const parsed = JSON.parse(completion.content) || {};
+  const sections = parseSections(parsed.sections);
+  if (sections.length === 0) {
+    throw new Error('Model returned an article without sections');
+  }
+
+  const { html, outline } = addHeadingAnchors(sanitizeHtml(renderArticleBody({ ...parsed, sections })));
+  const title = cleanString(parsed.title, MAX_TITLE_LENGTH) || cleanString(response.question, MAX_TITLE_LENGTH);
+  const metaDescription = cleanString(parsed.metaDescription, MAX_META_DESCRIPTION_LENGTH) || describe(html);
+
+  const article = await transaction(async (client) => {
+    const slug = await uniqueSlug(client, slugify(title) || 'article');
+
+    const result = await client.query(`
+      INSERT INTO seo_articles (
+        response_id, query_id, title, slug, meta_description, keywords, outline, faq, body_html, prompt_template_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (response_id) DO UPDATE SET
+        title = EXCLUDED.title,
+        meta_description = EXCLUDED.meta_description,
+        keywords = EXCLUDED.keywords,
+        outline = EXCLUDED.outline,
+        faq = EXCLUDED.faq,
+        body_html = EXCLUDED.body_html,
+        prompt_template_id = EXCLUDED.prompt_template_id,
+        status = 'draft',
+        updated_by = NULL
+      WHERE seo_articles.status <> 'published'
+      RETURNING id
+    `, [
+      response.id,
+      response.query_id,
+      title,
+      slug,
+      metaDescription,
+      cleanKeywords(parsed.keywords),
+      JSON.stringify(outline),
+      JSON.stringify(cleanFaq(parsed.faq)),
+      html,
+      template.id
+    ]);
+
+    if (result.rows.length === 0) {
+      throw conflict('Published article cannot be regenerated');
+    }
+
+    return refreshJsonLd(client, result.rows[0].id);
+  });
+
+  logger.info('SEO article generated:', { queryId: response.query_id, articleId: article.id, slug: article.slug });
+  return article;
+};
+
+const getArticle = async (id) => {
+  const result = await query('SELECT * FROM seo_articles WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+// Правка статьи редактором: bodyHtml очищается, оглавление и разметка пересчитываются.
+// Изменённый адрес (slug) должен быть свободен
+const updateArticle = async (id, changes, userId) => {
+  const article = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM seo_articles WHERE id = $1 FOR UPDATE', [id]);
+    const current = existing.rows[0];
+    if (!current) {
+      return null;
+    }
+
+    let slug = current.slug;
+    if (changes.slug !== undefined && slugify(changes.slug) !== current.slug) {
+      slug = slugify(changes.slug);
+      if (!slug || (await uniqueSlug(client, slug, current.id)) !== slug) {
+        throw conflict('Article with this slug already exists');
+      }
+    }
+
+    const body = changes.bodyHtml !== undefined
+      ? addHeadingAnchors(sanitizeHtml(changes.bodyHtml))
+      : { html: current.body_html, outline: current.outline };
+
+    await client.query(`
+      UPDATE seo_articles
+      SET title = $1, slug = $2, meta_description = $3, keywords = $4, faq = $5, body_html = $6, outline = $7, updated_by = $8
+      WHERE id = $9
+    `, [
+      changes.title !== undefined ? cleanString(changes.title, MAX_TITLE_LENGTH) : current.title,
+      slug,
+      changes.metaDescription !== undefined ? cleanString(changes.metaDescription, MAX_META_DESCRIPTION_LENGTH) : current.meta_description,
+      changes.keywords !== undefined ? cleanKeywords(changes.keywords) : current.keywords,
+      JSON.stringify(changes.faq !== undefined ? cleanFaq(changes.faq) : current.faq),
+      body.html,
+      JSON.stringify(body.outline),
+      userId,
+      current.id
+    ]);
+
+    await client.query(`
+      INSERT INTO activity_logs (user_id, action, details)
+      VALUES ($1, 'update_seo_article', $2)
+    `, [userId, JSON.stringify({ articleId: current.id, fields: Object.keys(changes) })]);
+
+    return refreshJsonLd(client, current.id);
+  });
+
+  if (article) {
+    logger.info('SEO article updated:', { articleId: article.id, userId });
+  }
+  return article;
+};
+
+// Перевод статьи между черновиком и проверкой. Публикуется статья только вместе с ответом
+const setArticleStatus = async (id, status, userId) => transaction(async (client) => {
+  const existing = await client.query('SELECT status FROM seo_articles WHERE id = $1 FOR UPDATE', [id]);
+  if (existing.rows.length === 0) {
+    return null;
+  }
+
+  if (existing.rows[0].status === 'published') {
+    throw conflict('Published article is withdrawn by unpublishing its response');
+  }
+
+  const result = await client.query(`
+    UPDATE seo_articles SET status = $1, updated_by = $2 WHERE id = $3 RETURNING *
+  `, [status, userId, id]);
+
+  await client.query(`
+    INSERT INTO activity_logs (user_id, action, details)
+    VALUES ($1, 'set_seo_article_status', $2)
+  `, [userId, JSON.stringify({ articleId: id, status })]);
+
+  return result.rows[0];
+});
+
+// Статья версии ответа responseId для проверки перед публикацией ответа
+const findResponseArticle = async (responseId) => {
+  const result = await query('SELECT id, status FROM seo_articles WHERE response_id = $1', [responseId]);
+  return result.rows[0] || null;
+};
+
+// Публикация в транзакции публикации ответа: статьи других версий возвращаются на проверку,
+// статья публикуемой версии (если есть) становится опубликованной. Возвращает опубликованную статью
+const publishResponseArticle = async (client, { queryId, responseId, isPublished }) => {
+  await client.query(`
+    UPDATE seo_articles SET status = 'review'
+    WHERE query_id = $1 AND status = 'published' AND ($2::uuid IS NULL OR response_id <> $2)
+  `, [queryId, isPublished ? responseId : null]);
+
+  if (!isPublished) {
+    return null;
+  }
+
+  const published = await client.query(`
+    UPDATE seo_articles SET status = 'published', published_at = COALESCE(published_at, NOW())
+    WHERE response_id = $1
+    RETURNING id
+  `, [responseId]);
+
+  return published.rows.length > 0 ? refreshJsonLd(client, published.rows[0].id) : null;
+};
+
+// Опубликованная статья для внешних систем (CMS через n8n)
+const formatPublishedArticle = (article) => ({
+  id: article.id,
+  queryId: article.query_id,
+  title: article.title,
+  slug: article.slug,
+  url: articleUrl(article.slug),
+  metaDescription: article.meta_description,
+  keywords: article.keywords,
+  outline: article.outline,
+  faq: article.faq,
+  html: article.body_html,
+  jsonLd: article.json_ld,
+  publishedAt: article.published_at,
+  updatedAt: article.updated_at
+});
+
+module.exports = {
+  ARTICLE_STATUSES,
+  slugify,
+  sanitizeHtml,
+  generateArticle,
+  getArticle,
+  updateArticle,
+  setArticleStatus,
+  findResponseArticle,
+  publishResponseArticle,
+  formatPublishedArticle
+};
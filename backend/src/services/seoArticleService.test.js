@@ -0,0 +1,61 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../database/connection', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { slugify, sanitizeHtml } = require('./seoArticleService');
+
+describe('slugify', () => {
+  it('транслитерирует заголовок и заменяет остальные символы дефисами', () => {
+    expect(slugify('Как вернуть товар без чека?')).toBe('kak-vernut-tovar-bez-cheka');
+    expect(slugify('Щёлково: налог на ИП (2025)')).toBe('shchelkovo-nalog-na-ip-2025');
+  });
+
+  it('обрезает длинный адрес по границе слова', () => {
+    const slug = slugify('Очень длинный заголовок статьи '.repeat(10));
+
+    expect(slug.length).toBeLessThanOrEqual(80);
+    expect(slug).not.toMatch(/-$/);
+    expect('ochen-dlinnyy-zagolovok-stati-'.repeat(10)).toContain(`${slug}-`);
+  });
+
+  it('возвращает пустую строку для заголовка без букв и цифр', () => {
+    expect(slugify('???')).toBe('');
+    expect(slugify(null)).toBe('');
+  });
+});
+
+describe('sanitizeHtml', () => {
+  it('удаляет атрибуты и недопустимые теги вместе с опасным содержимым', () => {
+    const html = '<p class="x" onclick="alert(1)">Текст<script>alert(1)</script></p><div>блок</div><iframe src="x"></iframe>';
+
+    expect(sanitizeHtml(html)).toBe('<p>Текст</p>блок');
+  });
+
+  it('заменяет h1 на h2, b и i на strong и em', () => {
+    expect(sanitizeHtml('<h1>Заголовок</h1><b>жирный</b> <i>курсив</i>')).toBe('<h2>Заголовок</h2><strong>жирный</strong> <em>курсив</em>');
+  });
+
+  it('экранирует текст, сохраняя готовые сущности', () => {
+    expect(sanitizeHtml('<p>5 < 6 & 7 > 3&nbsp;руб.</p>')).toBe('<p>5 &lt; 6 &amp; 7 &gt; 3&nbsp;руб.</p>');
+  });
+
+  it('оставляет только безопасные ссылки', () => {
+    expect(sanitizeHtml('<a href="/articles/x">a</a>')).toBe('<a href="/articles/x">a</a>');
+    expect(sanitizeHtml('<a href="https://example.com">a</a>'))
+      .toBe('<a href="https://example.com" rel="nofollow noopener" target="_blank">a</a>');
+    expect(sanitizeHtml('<a href="javascript:alert(1)">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<a href="//evil.com">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<a href="/\\evil.com">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<a href="/\t/evil.com">a</a>')).toBe('<a>a</a>');
+  });
+
+  it('закрывает незакрытые теги и отбрасывает лишние закрывающие', () => {
+    expect(sanitizeHtml('<ul><li>пункт')).toBe('<ul><li>пункт</li></ul>');
+    expect(sanitizeHtml('<p><strong>текст</p>хвост')).toBe('<p><strong>текст</strong></p>хвост');
+    expect(sanitizeHtml('</p></div>текст</li>')).toBe('текст');
+    expect(sanitizeHtml('строка<br/>строка</br>')).toBe('строка<br>строка');
+  });
+
+  it('удаляет комментарии', () => {
+    expect(sanitizeHtml('<p>a<!-- <script>x</script> -->b</p><!-- незакрытый')).toBe('<p>ab</p>');
+  });
+});
@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const nspell = require('nspell');
+const logger = require('../utils/logger');
+
+// Локальная проверка орфографии вопросов: словарь русского языка Hunspell (dictionary-ru) с формами слов,
+// частотный список и юридическая лексика. Текст не исправляется автоматически - возвращаются позиции ошибок
+// и варианты замены, пользователь сам решает, какие исправления принять
+
+const HUNSPELL_DIRECTORY = path.dirname(require.resolve('dictionary-ru'));
+
+// Частотный список (чем выше строка, тем чаще слово) и юридическая лексика
+const DEFAULT_DICTIONARY_PATHS = [
+  path.join(__dirname, '../../data/spelling/ru-common.txt'),
+  path.join(__dirname, '../../data/spelling/legal.txt')
+];
+
+// Окончания и суффиксы форм слова для терминов, которых нет в словаре Hunspell:
+// форма считается известной, если её основа есть в дополнительном словаре
+const ENDINGS = [
+  '', 'а', 'я', 'о', 'е', 'и', 'ы', 'у', 'ю', 'ь', 'й',
+  'ой', 'ей', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях', 'ами', 'ями', 'ов', 'ев', 'ью',
+  'ия', 'ие', 'ии', 'ию', 'ием', 'иям', 'иях', 'иями',
+  'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ого', 'его', 'ому', 'ему', 'ым', 'им', 'ых', 'их', 'ую', 'юю', 'ою', 'ею',
+  'ть', 'ти', 'ать', 'ять', 'ить', 'еть', 'уть', 'ал', 'ял', 'ил', 'ел', 'ла', 'ло', 'ли', 'ала', 'яла', 'ила', 'ела', 'али', 'яли', 'или', 'ели',
+  'ет', 'ит', 'ут', 'ют', 'ат', 'ят', 'ешь', 'ишь', 'ете', 'ите', 'йте',
+  'ен', 'ена', 'ено', 'ены', 'ан', 'ана', 'ано', 'аны', 'енный', 'анный', 'ющий', 'ащий', 'ящий', 'вший', 'ший', 'в', 'вши'
+];
+
+const MIN_STEM_LENGTH = 3;
+const MIN_WORD_LENGTH = 3;
+
+// Более длинные слова (склейки, случайный набор букв) не разбираются
+const MAX_WORD_LENGTH = 30;
+
+// Расстояние 2 проверяется только для длинных слов: у коротких слишком много случайных совпадений
+const DISTANCE_2_MIN_LENGTH = 6;
+const MAX_REPLACEMENTS = 3;
+
+// Сколько незнакомых слов одного текста разбирается
+const MAX_CHECKED_WORDS = 30;
+
+// Сколько вариантов замены проверяется по словарю за один запрос. Когда бюджет исчерпан, варианты
+// больше не подбираются, поэтому время проверки ограничено независимо от длины и числа слов
+const MAX_CANDIDATE_CHECKS = 50000;
+
+const ALPHABET = 'абвгдежзийклмнопрстуфхцчшщъыьэюя';
+
+// Типичные ошибки для расстояния 2: безударные гласные, парные согласные, мягкий и твёрдый знак
+const VOWELS = 'аеиоуыэюя';
+const SIMILAR_CONSONANTS = {
+  б: 'п', п: 'б', в: 'ф', ф: 'в', г: 'к', к: 'г', д: 'т', т: 'д',
+  ж: 'ш', ш: 'жщ', щ: 'ш', з: 'с', с: 'зц', ц: 'с', ь: 'ъ', ъ: 'ь'
+};
+
+// Латинская раскладка QWERTY -> ЙЦУКЕН: слово, набранное в неверной раскладке
+const LAYOUT = {
+  q: 'й', w: 'ц', e: 'у', r: 'к', t: 'е', y: 'н', u: 'г', i: 'ш', o: 'щ', p: 'з',
+  a: 'ф', s: 'ы', d: 'в', f: 'а', g: 'п', h: 'р', j: 'о', k: 'л', l: 'д',
+  z: 'я', x: 'ч', c: 'с', v: 'м', b: 'и', n: 'т', m: 'ь'
+};
+
+let dictionary = null;
+let loadScheduled = false;
+
+// Словарь Hunspell пишет «е» вместо «ё»
+const normalize = (word) => word.toLowerCase().replace(/ё/g, 'е');
+
+// Сокращение: больше одной заглавной буквы (ГПК, ОСАГО, КоАП)
+const isAbbreviation = (word) => (word.match(/[А-ЯЁ]/g) || []).length > 1;
+
+// Основа слова без возвратного суффикса (отказываться -> отказывать)
+const withoutReflexive = (key) => (/(ся|сь)$/.test(key) && key.length > MIN_STEM_LENGTH + 2 ? [key, key.slice(0, -2)] : [key]);
+
+const stemsOf = (key) => {
+  const stems = [];
+  for (const base of withoutReflexive(key)) {
+    for (const ending of ENDINGS) {
+      if (base.endsWith(ending) && base.length - ending.length >= MIN_STEM_LENGTH) {
+        stems.push(base.slice(0, base.length - ending.length));
+      }
+    }
+  }
+  return stems;
+};
+
+// Загрузка словарей. Разбор словаря Hunspell занимает несколько секунд и несколько сотен МБ памяти,
+// поэтому маршруты запускают её при первой проверке через scheduleDictionaryLoad.
+// Дополнительные словари: одно слово на строку, после табуляции - необязательная частота
+// (без неё частота задаётся порядком строк), строки с # - комментарии
+const loadDictionaries = () => {
+  if (dictionary) {
+    return dictionary;
+  }
+
+  const started = Date.now();
+  const hunspell = nspell(
+    fs.readFileSync(path.join(HUNSPELL_DIRECTORY, 'index.aff')),
+    fs.readFileSync(path.join(HUNSPELL_DIRECTORY, 'index.dic'))
+  );
+
+  const paths = process.env.SPELL_DICTIONARY_PATHS
+    ? process.env.SPELL_DICTIONARY_PATHS.split(',').map(item => item.trim()).filter(Boolean)
+    : DEFAULT_DICTIONARY_PATHS;
+
+  dictionary = { hunspell, words: new Map(), stems: new Set(), abbreviations: new Map() };
+
+  for (const dictionaryPath of paths) {
+    try {
+      const lines = fs.readFileSync(dictionaryPath, 'utf8').split(/\r?\n/);
+      const legal = path.basename(dictionaryPath).startsWith('legal');
+
+      lines.forEach((line, index) => {
+        const [word, frequency] = line.trim().split(/\s+/);
+        if (!word || word.startsWith('#')) return;
+
+        const key = normalize(word);
+        const existing = dictionary.words.get(key);
+        const entry = {
+          word: existing ? existing.word : word,
+          frequency: Math.max(existing ? existing.frequency : 0, Number(frequency) || lines.length - index),
+          legal: legal || Boolean(existing && existing.legal)
+        };
+        dictionary.words.set(key, entry);
+
+        if (isAbbreviation(word)) {
+          dictionary.abbreviations.set(key, entry);
+        } else if (!hunspell.correct(key)) {
+          stemsOf(key).forEach(stem => dictionary.stems.add(stem));
+        }
+      });
+    } catch (error) {
+      logger.error('Error loading spelling dictionary:', { dictionaryPath, error: error.message });
+    }
+  }
+
+  logger.info('Spelling dictionaries loaded:', { paths, words: dictionary.words.size, durationMs: Date.now() - started });
+
+  return dictionary;
+};
+
+// Словари готовы к проверке. Если нет, загрузка запускается в фоне (один раз), чтобы не задерживать
+// старт сервера и текущий запрос: до её окончания маршрут проверки отвечает 503
+const scheduleDictionaryLoad = () => {
+  if (dictionary) {
+    return true;
+  }
+
+  if (!loadScheduled) {
+    loadScheduled = true;
+    setImmediate(() => {
+      try {
+        loadDictionaries();
+      } catch (error) {
+        logger.error('Error loading Hunspell dictionary:', error);
+      } finally {
+        loadScheduled = false;
+      }
+    });
+  }
+
+  return false;
+};
+
+// Слово есть в словаре Hunspell (с учётом его правил словоизменения) или в дополнительных словарях.
+// Исходное написание проверяется для имён собственных: «Москва» есть в словаре, «москва» - нет
+const isKnown = (word) => {
+  const { hunspell, words, stems } = loadDictionaries();
+  const key = normalize(word);
+  return words.has(key)
+    || hunspell.correct(key)
+    || hunspell.correct(word.replace(/ё/g, 'е').replace(/Ё/g, 'Е'))
+    || stemsOf(key).some(stem => stems.has(stem));
+};
+
+// Вариант замены - словарное слово: формы, собранные из чужих основ и окончаний, не предлагаются
+const isDictionaryWord = (candidate) => {
+  const { hunspell, words, abbreviations } = loadDictionaries();
+  return (words.has(candidate) && !abbreviations.has(candidate)) || hunspell.correct(candidate);
+};
+
+// Все строки на расстоянии Дамерау-Левенштейна 1: удаление, перестановка, замена и вставка буквы
+const edits1 = (word) => {
+  const result = new Set();
+  for (let i = 0; i <= word.length; i++) {
+    const left = word.slice(0, i);
+    const right = word.slice(i);
+
+    if (right) {
+      result.add(left + right.slice(1));
+      if (right.length > 1) {
+        result.add(left + right[1] + right[0] + right.slice(2));
+      }
+    }
+
+    for (const letter of ALPHABET) {
+      if (right) {
+        result.add(left + letter + right.slice(1));
+      }
+      result.add(left + letter + right);
+    }
+  }
+  result.delete(word);
+  return result;
+};
+
+// Типичные опечатки: пропуск и перестановка букв, замена гласной или парной согласной,
+// лишний или пропущенный мягкий знак, удвоенная буква. Их намного меньше, чем всех правок edits1
+const typicalEdits = (word) => {
+  const result = new Set();
+  for (let i = 0; i <= word.length; i++) {
+    const left = word.slice(0, i);
+    const right = word.slice(i);
+
+    if (right) {
+      result.add(left + right.slice(1));
+      if (right.length > 1) {
+        result.add(left + right[1] + right[0] + right.slice(2));
+      }
+
+      const similar = VOWELS.includes(right[0]) ? VOWELS : (SIMILAR_CONSONANTS[right[0]] || '');
+      for (const letter of similar) {
+        result.add(left + letter + right.slice(1));
+      }
+    }
+
+    result.add(left + 'ь' + right);
+    if (left) {
+      result.add(left + left[left.length - 1] + right);
+    }
+  }
+  result.delete(word);
+  return result;
+};
+
+// Написание замены по образцу слова в тексте: Заглавная первая буква или ВСЕ ЗАГЛАВНЫЕ
+const matchCase = (replacement, original) => {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return replacement.toUpperCase();
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return replacement[0].toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+};
+
+// Варианты замены: сначала ближайшие, затем по частоте, при равенстве - юридические термины.
+// budget - { remaining } - общий на запрос бюджет проверок вариантов по словарю
+const findReplacements = (word, budget) => {
+  if (budget.remaining <= 0) {
+    return [];
+  }
+
+  const { words, abbreviations } = loadDictionaries();
+  const key = normalize(word);
+  const candidates = new Map();
+
+  const check = (candidate, distance, isWord) => {
+    budget.remaining--;
+    if (!candidates.has(candidate) && isWord(candidate)) {
+      candidates.set(candidate, distance);
+    }
+  };
+
+  // Опечатки в сокращениях исправляются только на другие сокращения (ОСГО -> ОСАГО)
+  if (isAbbreviation(word)) {
+    for (const candidate of edits1(key)) {
+      check(candidate, 1, item => abbreviations.has(item));
+    }
+  } else {
+    for (const candidate of edits1(key)) {
+      check(candidate, 1, isDictionaryWord);
+    }
+
+    // Расстояние 2 - только сочетания двух типичных опечаток
+    if (candidates.size === 0 && key.length >= DISTANCE_2_MIN_LENGTH) {
+      for (const first of typicalEdits(key)) {
+        if (budget.remaining <= 0) break;
+        for (const candidate of typicalEdits(first)) {
+          check(candidate, 2, isDictionaryWord);
+        }
+      }
+    }
+  }
+
+  const entryOf = (candidate) => words.get(candidate) || { word: candidate, frequency: 0, legal: false };
+
+  return [...candidates.entries()]
+    .map(([candidate, distance]) => ({ distance, entry: entryOf(candidate) }))
+    .sort((a, b) => a.distance - b.distance
+      || b.entry.frequency - a.entry.frequency
+      || Number(b.entry.legal) - Number(a.entry.legal))
+    .slice(0, MAX_REPLACEMENTS)
+    .map(({ entry }) => (isAbbreviation(entry.word) ? entry.word : matchCase(entry.word, word)));
+};
+
+// Слово, набранное латиницей в неверной раскладке (ckjdj -> слово)
+const fromWrongLayout = (word) => {
+  const converted = [...word.toLowerCase()].map(letter => LAYOUT[letter]).join('');
+  return converted.length === word.length && isKnown(converted) ? matchCase(converted, word) : null;
+};
+
+const isSentenceStart = (text, offset) => /(^|[.!?\n])[\s«"(]*$/.test(text.slice(0, offset));
+
+// Проверка текста. Позиции (offset, length) - в символах строки JavaScript, как у textarea в браузере.
+// kind: spelling - опечатка, layout - слово набрано в латинской раскладке
+const checkText = (text) => {
+  const source = text || '';
+  const suggestions = [];
+  const cyrillic = (source.match(/[а-яё]/gi) || []).length;
+  const latin = (source.match(/[a-z]/gi) || []).length;
+  const tokenPattern = /[A-Za-zА-Яа-яЁё]+/g;
+  const budget = { remaining: MAX_CANDIDATE_CHECKS };
+  let checked = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(source)) !== null && checked < MAX_CHECKED_WORDS) {
+    const word = match[0];
+    const offset = match.index;
+    const before = source[offset - 1] || '';
+    const after = source[offset + word.length] || '';
+
+    // Номера, адреса, почта и ссылки не проверяются (81-ФЗ, 3ч, name@mail.ru)
+    if (/[\d@_/\\]/.test(before + after) || (after === '.' && /[A-Za-z]/.test(source[offset + word.length + 1] || ''))) {
+      continue;
+    }
+
+    if (/^[A-Za-z]+$/.test(word)) {
+      // Латиница в русском тексте: только исправление раскладки
+      if (cyrillic > latin && word.length >= MIN_WORD_LENGTH) {
+        checked++;
+        const replacement = fromWrongLayout(word);
+        if (replacement) {
+          suggestions.push({ offset, length: word.length, word, replacements: [replacement], kind: 'layout' });
+        }
+      }
+      continue;
+    }
+
+    // Смешанные латиница и кириллица, короткие и слишком длинные слова пропускаются
+    if (/[A-Za-z]/.test(word) || word.length < MIN_WORD_LENGTH || word.length > MAX_WORD_LENGTH || isKnown(word)) {
+      continue;
+    }
+
+    // Слово с заглавной буквы не в начале предложения - вероятно, имя или название
+    if (!isAbbreviation(word) && word[0] !== word[0].toLowerCase() && !isSentenceStart(source, offset)) {
+      continue;
+    }
+
+    checked++;
+    const replacements = findReplacements(word, budget);
+    if (replacements.length > 0) {
+      suggestions.push({ offset, length: word.length, word, replacements, kind: 'spelling' });
+    }
+  }
+
+  return { text: source, suggestions };
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Применение принятых исправлений по позициям: { offset, length, replacement, word? }.
+// word - исходное слово; если текст в этом месте другой, исправление не применяется
+const applyCorrections = (text, corrections = []) => {
+  const sorted = [...corrections].sort((a, b) => b.offset - a.offset);
+  let result = text;
+  let boundary = text.length;
+
+  for (const { offset, length, replacement, word } of sorted) {
+    if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0 || offset + length > boundary) {
+      throw invalid('Corrections must be within the text and must not overlap');
+    }
+    if (word !== undefined && text.slice(offset, offset + length) !== word) {
+      throw invalid(`Text at offset ${offset} does not match "${word}"`);
+    }
+
+    result = result.slice(0, offset) + replacement + result.slice(offset + length);
+    boundary = offset;
+  }
+
+  return result;
+};
+
+module.exports = {
+  loadDictionaries,
+  scheduleDictionaryLoad,
+  checkText,
+  applyCorrections
+};
@@ -0,0 +1,74 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { loadDictionaries, checkText, applyCorrections } = require('./spellService');
+
+// Разбор словаря Hunspell занимает несколько секунд
+beforeAll(() => {
+  loadDictionaries();
+}, 60000);
+
+const suggestionFor = (text, word) => checkText(text).suggestions.find(item => item.word === word);
+
+describe('checkText', () => {
+  it('не помечает правильные слова в разных формах', () => {
+    expect(checkText('Работодатель не выплатил мою зарплату за март, хочу испортить ему характеристику.').suggestions).toEqual([]);
+    expect(checkText('Купил машину в кредит, банк требует неустойку по договору займа.').suggestions).toEqual([]);
+  });
+
+  it('предлагает исправления опечаток с позицией слова', () => {
+    const text = 'Меня уволели с работы';
+    const suggestion = suggestionFor(text, 'уволели');
+
+    expect(suggestion).toMatchObject({ offset: 5, length: 7, kind: 'spelling' });
+    expect(suggestion.replacements).toContain('уволили');
+    expect(suggestionFor('Как жаловатся на соседей', 'жаловатся').replacements).toContain('жаловаться');
+    expect(suggestionFor('Написал претензею продавцу', 'претензею').replacements).toContain('претензию');
+    expect(suggestionFor('Подал исковае заявление', 'исковае').replacements).toContain('исковое');
+  });
+
+  it('сохраняет заглавную букву слова в вариантах замены', () => {
+    expect(suggestionFor('Работадатель не платит', 'Работадатель').replacements).toContain('Работодатель');
+  });
+
+  it('исправляет аббревиатуры только на аббревиатуры', () => {
+    expect(suggestionFor('Не платят по ОСГО', 'ОСГО').replacements).toContain('ОСАГО');
+  });
+
+  it('исправляет текст, набранный в латинской раскладке', () => {
+    expect(suggestionFor('ghbdtn, у меня вопрос', 'ghbdtn')).toMatchObject({ kind: 'layout', replacements: ['привет'] });
+  });
+
+  it('пропускает имена, номера и адреса почты', () => {
+    expect(checkText('Вчера Свиридов подал иск по 81-ФЗ, пишите на ivanov@mail.ru').suggestions).toEqual([]);
+  });
+
+  it('ограничивает работу на длинном тексте с ошибками', () => {
+    const text = 'рабатадатель незаканно уволел сатрудника '.repeat(30);
+    const started = Date.now();
+
+    checkText(text);
+
+    expect(Date.now() - started).toBeLessThan(3000);
+  });
+});
+
+describe('applyCorrections', () => {
+  it('применяет исправления по позициям с конца текста', () => {
+    const text = 'Меня уволели, как жаловатся?';
+
+    expect(applyCorrections(text, [
+      { offset: 5, length: 7, word: 'уволели', replacement: 'уволили' },
+      { offset: 18, length: 9, word: 'жаловатся', replacement: 'жаловаться' }
+    ])).toBe('Меня уволили, как жаловаться?');
+  });
+
+  it('отклоняет пересекающиеся и не совпадающие с текстом исправления', () => {
+    expect(() => applyCorrections('абв где', [
+      { offset: 0, length: 5, replacement: 'x' },
+      { offset: 2, length: 3, replacement: 'y' }
+    ])).toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    expect(() => applyCorrections('абв где', [{ offset: 4, length: 3, word: 'жзи', replacement: 'x' }]))
+      .toThrow('does not match');
+  });
+});
@@ -0,0 +1,331 @@
+const { query, transaction } = require('../database/connection');
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const { getEmbedding, getEmbeddings, toSqlVector } = require('./embeddingService');
+
+// Автоматическая разметка запросов тегами. Тег присваивается по косинусному сходству эмбеддинга
+// вопроса с ответом и центроида тега - нормированного среднего эмбеддингов названия с описанием и примеров вопросов.
+// Ключевые слова тега только повышают сходство и сами тег не присваивают
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+const DEFAULT_MAX_TAGS = 3;
+
+// Прибавка к сходству, если в тексте есть слово, начинающееся с ключевого слова тега
+const KEYWORD_BOOST = 0.05;
+
+// Модели на подтверждение передаются и теги чуть ниже порога
+const CONFIRMATION_MARGIN = 0.1;
+
+const RETAG_BATCH_SIZE = 50;
+
+// Задание без обновлений дольше этого времени считается прерванным (например, перезапуском сервера)
+const STALE_JOB_MINUTES = 15;
+
+const getTaggingSettings = () => ({
+  threshold: parseFloat(process.env.TAG_SIMILARITY_THRESHOLD) || DEFAULT_SIMILARITY_THRESHOLD,
+  maxTags: parseInt(process.env.TAG_MAX_PER_QUERY) || DEFAULT_MAX_TAGS,
+  confirmWithModel: process.env.TAG_LLM_CONFIRMATION === 'true'
+});
+
+const normalize = (text) => (text || '').toLowerCase().replace(/ё/g, 'е');
+
+// Ключевые слова хранятся в нижнем регистре без повторов
+const normalizeKeywords = (keywords = []) => [...new Set(keywords.map(keyword => normalize(keyword).trim()).filter(Boolean))];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Совпадение с началом слова: «увольн» находит «увольнение», но «суд» не находит «сосуд»
+const matchesKeyword = (text, keyword) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}`, 'u').test(text);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Центроид тега по названию с описанием и примерам вопросов
+const computeCentroid = async ({ name, description, examples = [] }) => {
+  const embeddings = await getEmbeddings([[name, description].filter(Boolean).join('. '), ...examples]);
+
+  const sum = new Array(embeddings[0].length).fill(0);
+  for (const embedding of embeddings) {
+    embedding.forEach((value, index) => {
+      sum[index] += value;
+    });
+  }
+
+  const magnitude = Math.sqrt(sum.reduce((total, value) => total + value * value, 0)) || 1;
+  return sum.map(value => value / magnitude);
+};
+
+// Пересчёт центроида после изменения названия, описания или примеров тега
+const updateTagCentroid = async (tag) => {
+  const centroid = await computeCentroid(tag);
+
+  await query(`
+    UPDATE tags SET centroid = $1, centroid_updated_at = NOW() WHERE id = $2
+  `, [toSqlVector(centroid), tag.id]);
+
+  logger.info('Tag centroid updated:', { tagId: tag.id, name: tag.name, examples: (tag.examples || []).length });
+};
+
+// Центроиды тегов из init.sql и тегов, для которых расчёт не удался, считаются перед разметкой
+const ensureCentroids = async () => {
+  const missing = await query(`
+    SELECT id, name, description, examples FROM tags WHERE is_active = true AND centroid IS NULL
+  `);
+
+  for (const tag of missing.rows) {
+    try {
+      await updateTagCentroid(tag);
+    } catch (error) {
+      logger.error('Error computing tag centroid:', { tagId: tag.id, error: error.message });
+    }
+  }
+};
+
+// Сходство текста с активными тегами с учётом ключевых слов, по убыванию.
+// vector - эмбеддинг в формате pgvector
+const scoreTags = async (vector, text) => {
+  const result = await query(`
+    SELECT id, name, description, keywords, 1 - (centroid <=> $1) as similarity
+    FROM tags
+    WHERE is_active = true AND centroid IS NOT NULL
+  `, [vector]);
+
+  const normalized = normalize(text);
+
+  return result.rows
+    .map(tag => {
+      const similarity = parseFloat(tag.similarity);
+      const keywordMatched = tag.keywords.some(keyword => matchesKeyword(normalized, keyword));
+      return {
+        tag,
+        similarity,
+        keywordMatched,
+        score: Math.min(1, similarity + (keywordMatched ? KEYWORD_BOOST : 0))
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Подтверждение кандидатов моделью: остаются только теги, которые модель сочла подходящими, с её уверенностью
+const confirmWithModel = async ({ text, answer }, candidates, maxTags, context) => {
+  const list = candidates
+    .map(({ tag, score }) => `- ${tag.name}: ${tag.description || 'без описания'} (сходство ${score.toFixed(2)})`)
+    .join('\n');
+
+  const completion = await llm.chatJSON({
+    feature: 'tag-confirmation',
+    context,
+    messages: [
+      {
+        role: 'system',
+        content: 'Ты классификатор юридических вопросов. Отвечай только JSON.'
+      },
+      {
+        role: 'user',
+        content: `Выбери теги, которые действительно подходят к вопросу (не больше ${maxTags}). Кандидаты:\n${list}\n\n` +
+          'Верни JSON: {"tags": [{"name": "название тега из списка", "confidence": число от 0 до 1}]}\n\n' +
+          `Вопрос: ${text.slice(0, 2000)}\n\nОтвет: ${(answer || '').slice(0, 1000)}`
+      }
+    ],
+    temperature: 0,
+    maxTokens: 200
+  });
+
+  const parsed = JSON.parse(completion.content);
+  const byName = new Map(candidates.map(candidate => [candidate.tag.name, candidate]));
+
+  return (Array.isArray(parsed.tags) ? parsed.tags : [])
+    .filter(item => item && byName.has(item.name))
+    .map(item => ({
+      tagId: byName.get(item.name).tag.id,
+      name: item.name,
+      confidence: round(Math.min(1, Math.max(0, Number(item.confidence) || 0))),
+      source: 'model'
+    }))
+    .filter(item => item.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, maxTags);
+};
+
+// Теги для вопроса и ответа: [{ tagId, name, confidence, source }].
+// embedding - готовый эмбеддинг вопроса с ответом (массив или строка pgvector), иначе он будет получен
+const classifyQuery = async ({ text, answer = '', embedding = null }, context = {}) => {
+  const { threshold, maxTags, confirmWithModel: confirm } = getTaggingSettings();
+  const source = [text, answer].filter(Boolean).join(' ');
+
+  await ensureCentroids();
+
+  const vector = embedding || await getEmbedding(source, context);
+  const scored = await scoreTags(typeof vector === 'string' ? vector : toSqlVector(vector), source);
+
+  if (confirm) {
+    const candidates = scored.filter(item => item.score >= threshold - CONFIRMATION_MARGIN).slice(0, maxTags * 2);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    try {
+      return await confirmWithModel({ text, answer }, candidates, maxTags, context);
+    } catch (error) {
+      logger.error('Error confirming tags with model, using similarity only:', error);
+    }
+  }
+
+  return scored
+    .filter(item => item.score >= threshold)
+    .slice(0, maxTags)
+    .map(item => ({
+      tagId: item.tag.id,
+      name: item.tag.name,
+      confidence: round(item.score),
+      source: 'embedding'
+    }));
+};
+
+// Замена тегов запроса результатом классификации
+const assignTags = async (queryId, assignments) => {
+  await transaction(async (client) => {
+    await client.query('DELETE FROM query_tags WHERE query_id = $1', [queryId]);
+
+    for (const { tagId, confidence, source } of assignments) {
+      await client.query(`
+        INSERT INTO query_tags (query_id, tag_id, confidence, source)
+        VALUES ($1, $2, $3, $4)
+      `, [queryId, tagId, confidence, source]);
+    }
+  });
+};
+
+// Разметка запроса после генерации ответа. Ошибки разметки не мешают сохранению ответа
+const tagQuery = async (queryId, { text, answer, embedding = null }, context = {}) => {
+  try {
+    const assignments = await classifyQuery({ text, answer, embedding }, context);
+    await assignTags(queryId, assignments);
+
+    logger.info('Auto-tagged query:', {
+      queryId,
+      tags: assignments.map(({ name, confidence, source }) => ({ name, confidence, source }))
+    });
+    return assignments;
+  } catch (error) {
+    logger.error('Error auto-tagging query:', error);
+    return [];
+  }
+};
+
+// Запросы, попадающие в задание повторной разметки: завершённые ответы на вопросы
+const RETAG_FILTER = `
+  q.status = 'completed'
+  AND q.mode = 'qa'
+  AND ($1::timestamptz IS NULL OR q.created_at >= $1)
+  AND ($2::timestamptz IS NULL OR q.created_at < $2)
+  AND (NOT $3 OR NOT EXISTS (SELECT 1 FROM query_tags qt WHERE qt.query_id = q.id))
+`;
+
+const retagParams = ({ since = null, until = null, onlyUntagged = false }) => [since, until, onlyUntagged];
+
+// Повторная разметка пачками по дате создания запроса. Сохранённый эмбеддинг ответа используется повторно,
+// а расход на недостающие эмбеддинги и подтверждение моделью записывается на запрос, без пользователя
+const runRetagJob = async (job) => {
+  let cursor = null;
+  const progress = { processed: 0, tagged: 0, failed: 0 };
+
+  try {
+    for (;;) {
+      const batch = await query(`
+        SELECT q.id, q.text, q.created_at, r.ai_response->>'text' as answer, r.embedding::text as embedding
+        FROM queries q
+        JOIN responses r ON r.query_id = q.id AND r.is_current = true
+        WHERE ${RETAG_FILTER}
+          AND ($4::timestamptz IS NULL OR (q.created_at, q.id) > ($4, $5::uuid))
+        ORDER BY q.created_at, q.id
+        LIMIT ${RETAG_BATCH_SIZE}
+      `, [...retagParams(job.options), cursor && cursor.createdAt, cursor && cursor.id]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const row of batch.rows) {
+        try {
+          const assignments = await classifyQuery({ text: row.text, answer: row.answer, embedding: row.embedding }, { queryId: row.id });
+          await assignTags(row.id, assignments);
+          if (assignments.length > 0) {
+            progress.tagged++;
+          }
+        } catch (error) {
+          progress.failed++;
+          logger.error('Error re-tagging query:', { jobId: job.id, queryId: row.id, error: error.message });
+        }
+        progress.processed++;
+      }
+
+      const last = batch.rows[batch.rows.length - 1];
+      cursor = { createdAt: last.created_at, id: last.id };
+
+      await query(`
+        UPDATE tag_jobs SET processed = $1, tagged = $2, failed = $3 WHERE id = $4
+      `, [progress.processed, progress.tagged, progress.failed, job.id]);
+    }
+
+    await query(`
+      UPDATE tag_jobs SET status = 'completed', finished_at = NOW() WHERE id = $1
+    `, [job.id]);
+
+    logger.info('Re-tag job completed:', { jobId: job.id, ...progress });
+  } catch (error) {
+    logger.error('Re-tag job failed:', { jobId: job.id, error: error.message });
+
+    await query(`
+      UPDATE tag_jobs SET status = 'failed', error = $1, finished_at = NOW() WHERE id = $2
+    `, [error.message, job.id]).catch(updateError => logger.error('Error saving re-tag job status:', updateError));
+  }
+};
+
+// Запуск повторной разметки сохранённых запросов в фоне. Одновременно выполняется только одно задание
+const startRetagJob = async ({ userId, since = null, until = null, onlyUntagged = false }) => {
+  const options = { since, until, onlyUntagged };
+
+  await query(`
+    UPDATE tag_jobs
+    SET status = 'failed', error = 'Interrupted', finished_at = NOW()
+    WHERE status = 'running' AND updated_at < NOW() - make_interval(mins => $1)
+  `, [STALE_JOB_MINUTES]);
+
+  const count = await query(`
+    SELECT COUNT(*) as total
+    FROM queries q
+    JOIN responses r ON r.query_id = q.id AND r.is_current = true
+    WHERE ${RETAG_FILTER}
+  `, retagParams(options));
+
+  let job;
+  try {
+    const inserted = await query(`
+      INSERT INTO tag_jobs (options, total, created_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [options, parseInt(count.rows[0].total), userId]);
+    job = inserted.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      const conflict = new Error('A re-tag job is already running');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  logger.info('Re-tag job started:', { jobId: job.id, total: job.total, options });
+
+  runRetagJob(job);
+
+  return job;
+};
+
+module.exports = {
+  normalizeKeywords,
+  updateTagCentroid,
+  classifyQuery,
+  tagQuery,
+  startRetagJob
+};
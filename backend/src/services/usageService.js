@@ -0,0 +1,198 @@
+const { query } = require('../database/connection');
+const logger = require('../utils/logger');
+const { calculateCost } = require('./llm/pricing');
+
+// Разрезы отчёта по расходам: выражение группировки для каждого
+const REPORT_GROUPS = {
+  day: "to_char(date_trunc('day', u.created_at), 'YYYY-MM-DD')",
+  user: 'u.user_id',
+  modality: "COALESCE(u.modality, 'none')",
+  feature: "COALESCE(u.feature, 'unknown')",
+  model: 'u.model'
+};
+
+// Запись одного вызова модели. Пользователь и модальность, если не переданы явно,
+// берутся из запроса, к которому относится вызов. Ошибки учёта не прерывают обработку
+const recordUsage = async ({ provider, operation, feature, model, usage = {}, context = {} }) => {
+  try {
+    const { queryId = null, userId = null } = context;
+
+    await query(`
+      INSERT INTO llm_usage (
+        user_id, query_id, provider, operation, feature, model, modality,
+        prompt_tokens, completion_tokens, audio_seconds, cost_usd
+      )
+      SELECT
+        COALESCE($1::uuid, q.user_id),
+        $2::uuid,
+        $3, $4, $5, $6,
+        CASE
+          WHEN q.id IS NULL THEN NULL
+          WHEN q.audio_path IS NOT NULL THEN 'voice'
+          WHEN q.files_path IS NOT NULL THEN 'files'
+          ELSE 'text'
+        END,
+        $7, $8, $9, $10
+      FROM (SELECT 1) as one
+      LEFT JOIN queries q ON q.id = $2::uuid
+    `, [
+      userId,
+      queryId,
+      provider,
+      operation,
+      feature || null,
+      model,
+      usage.promptTokens || 0,
+      usage.completionTokens || 0,
+      usage.audioSeconds || null,
+      calculateCost(model, usage)
+    ]);
+  } catch (error) {
+    logger.error('Error recording LLM usage:', { operation, feature, error: error.message });
+  }
+};
+
+// Сводный отчёт по расходам в разрезе groupBy за период
+const getUsageReport = async ({ groupBy = 'day', from, to, userId, feature } = {}) => {
+  const groupExpression = REPORT_GROUPS[groupBy];
+  if (!groupExpression) {
+    throw new Error(`Unknown usage report grouping: ${groupBy}`);
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    params.push(from);
+    conditions.push(`u.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`u.created_at < $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`u.user_id = $${params.length}`);
+  }
+  if (feature) {
+    params.push(feature);
+    conditions.push(`u.feature = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await query(`
+    SELECT
+      ${groupExpression} as key,
+      ${groupBy === 'user' ? 'MAX(usr.email) as email,' : ''}
+      COUNT(*) as calls,
+      COUNT(DISTINCT u.query_id) as queries,
+      SUM(u.prompt_tokens) as prompt_tokens,
+      SUM(u.completion_tokens) as completion_tokens,
+      COALESCE(SUM(u.audio_seconds), 0) as audio_seconds,
+      COALESCE(SUM(u.cost_usd), 0) as cost_usd,
+      COUNT(*) FILTER (WHERE u.cost_usd IS NULL) as unpriced_calls
+    FROM llm_usage u
+    ${groupBy === 'user' ? 'LEFT JOIN users usr ON usr.id = u.user_id' : ''}
+    ${whereClause}
+    GROUP BY 1
+    ORDER BY ${groupBy === 'day' ? '1 DESC' : 'cost_usd DESC'}
+  `, params);
+
+  const totals = await query(`
+    SELECT
+      COUNT(*) as calls,
+      SUM(u.prompt_tokens) as prompt_tokens,
+      SUM(u.completion_tokens) as completion_tokens,
+      COALESCE(SUM(u.audio_seconds), 0) as audio_seconds,
+      COALESCE(SUM(u.cost_usd), 0) as cost_usd
+    FROM llm_usage u
+    ${whereClause}
+  `, params);
+
+  return {
+    groupBy,
+    rows: result.rows,
+    totals: totals.rows[0]
+  };
+};
+
+// Все вызовы моделей по одному запросу и их суммарная стоимость
+const getQueryUsage = async (queryId) => {
+  const result = await query(`
+    SELECT
+      id,
+      operation,
+      feature,
+      provider,
+      model,
+      prompt_tokens,
+      completion_tokens,
+      audio_seconds,
+      cost_usd,
+      created_at
+    FROM llm_usage
+    WHERE query_id = $1
+    ORDER BY created_at ASC
+  `, [queryId]);
+
+  const totalCost = result.rows.reduce((sum, row) => sum + parseFloat(row.cost_usd || 0), 0);
+
+  return {
+    queryId,
+    calls: result.rows,
+    totalCostUsd: Math.round(totalCost * 1e6) / 1e6
+  };
+};
+
+// Отчёт об обезличивании для контроля соответствия: сколько персональных данных каждого вида
+// заменено метками перед отправкой в модель и в скольких запросах они встречались
+const getRedactionReport = async ({ from, to } = {}) => {
+  const conditions = ['q.redaction_stats IS NOT NULL'];
+  const params = [];
+
+  if (from) {
+    params.push(from);
+    conditions.push(`q.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`q.created_at < $${params.length}`);
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const byType = await query(`
+    SELECT
+      stats.key as type,
+      SUM(stats.value::int) as redacted,
+      COUNT(DISTINCT q.id) as queries
+    FROM queries q
+    CROSS JOIN LATERAL jsonb_each_text(q.redaction_stats->'byType') as stats
+    ${whereClause}
+    GROUP BY stats.key
+    ORDER BY redacted DESC
+  `, params);
+
+  const totals = await query(`
+    SELECT
+      COUNT(*) as queries,
+      COUNT(*) FILTER (WHERE (q.redaction_stats->>'total')::int > 0) as queries_with_pii,
+      COALESCE(SUM((q.redaction_stats->>'total')::int), 0) as redacted
+    FROM queries q
+    ${whereClause}
+  `, params);
+
+  return {
+    byType: byType.rows,
+    totals: totals.rows[0]
+  };
+};
+
+module.exports = {
+  REPORT_GROUPS,
+  recordUsage,
+  getUsageReport,
+  getQueryUsage,
+  getRedactionReport
+};
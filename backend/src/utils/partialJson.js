@@ -0,0 +1,78 @@
+// Разбор незавершённого JSON, который приходит из модели по частям при стриминге.
+// Возвращает объект из уже полученных полей или null, если разобрать пока нечего.
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+const closeStructures = (text, stack) =>
+  text + stack.slice().reverse().map(open => CLOSERS[open]).join('');
+
+const tryParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const parsePartialJSON = (input) => {
+  if (!input) {
+    return null;
+  }
+
+  const complete = tryParse(input);
+  if (complete !== undefined) {
+    return complete;
+  }
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  // Последняя позиция, до которой JSON гарантированно можно закрыть
+  let safe = { index: 0, stack: [] };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+      safe = { index: i + 1, stack: [...stack] };
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      safe = { index: i + 1, stack: [...stack] };
+    } else if (ch === ',') {
+      safe = { index: i, stack: [...stack] };
+    }
+  }
+
+  // Сначала пробуем дописать открытую строку и скобки как есть
+  let candidate = input;
+  if (inString) {
+    candidate = (escaped ? input.slice(0, -1) : input) + '"';
+  }
+
+  const closed = tryParse(closeStructures(candidate, stack));
+  if (closed !== undefined) {
+    return closed;
+  }
+
+  // Иначе откатываемся до последнего завершённого значения
+  const truncated = tryParse(closeStructures(input.slice(0, safe.index), safe.stack));
+  return truncated !== undefined ? truncated : null;
+};
+
+module.exports = {
+  parsePartialJSON
+};
@@ -0,0 +1,29 @@
+const { parsePartialJSON } = require('./partialJson');
+
+describe('parsePartialJSON', () => {
+  it('возвращает null для пустого ввода и разбирает завершённый JSON', () => {
+    expect(parsePartialJSON('')).toBeNull();
+    expect(parsePartialJSON(null)).toBeNull();
+    expect(parsePartialJSON('{"text": "Ответ", "confidence": 0.8}')).toEqual({ text: 'Ответ', confidence: 0.8 });
+  });
+
+  it('дописывает открытую строку и скобки', () => {
+    expect(parsePartialJSON('{"text": "Срок исковой дав')).toEqual({ text: 'Срок исковой дав' });
+    expect(parsePartialJSON('{"laws": [{"article": "ст. 196 ГК РФ"')).toEqual({ laws: [{ article: 'ст. 196 ГК РФ' }] });
+  });
+
+  it('отбрасывает незавершённое экранирование в конце строки', () => {
+    expect(parsePartialJSON('{"text": "Строка\\')).toEqual({ text: 'Строка' });
+    expect(parsePartialJSON('{"text": "Цитата \\"кодекса\\" и')).toEqual({ text: 'Цитата "кодекса" и' });
+  });
+
+  it('откатывается к последнему завершённому значению', () => {
+    expect(parsePartialJSON('{"text": "Ответ", "confidence": ')).toEqual({ text: 'Ответ' });
+    expect(parsePartialJSON('{"text": "Ответ", "laws": [{"article": "ст. 1"}, {"arti')).toEqual({ text: 'Ответ', laws: [{ article: 'ст. 1' }, {}] });
+  });
+
+  it('возвращает пустой объект до первого поля и null для текста не в JSON', () => {
+    expect(parsePartialJSON('{"te')).toEqual({});
+    expect(parsePartialJSON('не JSON')).toBeNull();
+  });
+});
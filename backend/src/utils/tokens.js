@@ -0,0 +1,6 @@
+// Грубая оценка количества токенов (~4 символа на токен для смешанного русского/английского текста)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+module.exports = {
+  estimateTokens
+};
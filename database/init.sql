@@ -1,6 +1,22 @@
 -- Включение расширения pgvector для семантического поиска
 CREATE EXTENSION IF NOT EXISTS vector;
 
+-- Тарифы с месячными лимитами (NULL - без ограничений)
+CREATE TABLE plans (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    price_rub INTEGER NOT NULL DEFAULT 0,
+    monthly_queries INTEGER,
+    monthly_file_pages INTEGER,
+    monthly_audio_minutes INTEGER,
+    monthly_seo_articles INTEGER
+);
+
+INSERT INTO plans (code, name, price_rub, monthly_queries, monthly_file_pages, monthly_audio_minutes, monthly_seo_articles) VALUES
+('free', 'Бесплатный', 0, 10, 20, 10, 0),
+('pro', 'Профессиональный', 1490, 200, 500, 120, 20),
+('business', 'Бизнес', 9900, 2000, 5000, 1200, 200);
+
 -- Таблица пользователей
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -9,52 +25,170 @@ CREATE TABLE users (
     first_name TEXT,
     last_name TEXT,
     role TEXT DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+    plan TEXT NOT NULL DEFAULT 'free' REFERENCES plans(code),
+    preferred_language VARCHAR(5) NOT NULL DEFAULT 'auto' CHECK (preferred_language IN ('auto', 'ru', 'en', 'uz', 'tg', 'kk')), -- язык ответов, auto - язык вопроса
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Таблица диалогов (цепочек запросов с уточняющими вопросами)
+CREATE TABLE conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Таблица запросов
 CREATE TABLE queries (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
     text TEXT NOT NULL,
     audio_path TEXT, -- S3 путь к аудио файлу
     files_path TEXT[], -- S3 пути к загруженным файлам
+    mode TEXT NOT NULL DEFAULT 'qa' CHECK (mode IN ('qa', 'contract-review')), -- contract-review - проверка договора вместо ответа на вопрос
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    embedding vector(1536), -- эмбеддинг вопроса для семантического кэша ответов
+    legal_domain VARCHAR(30), -- отрасль права (family, labour, criminal...), определяется перед генерацией ответа
+    as_of_date DATE, -- дата событий, на которую применяется закон (NULL - действующая редакция)
+    as_of_date_source VARCHAR(10), -- user - указана пользователем, inferred - определена по тексту вопроса
+    answer_language VARCHAR(5), -- язык ответа (ru, en, uz, tg, kk); ссылки на законы остаются на русском
+    answer_language_source VARCHAR(10), -- user - указан в запросе, profile - из профиля, detected - определён по тексту вопроса
+    redaction_stats JSONB, -- сколько персональных данных каждого вида обезличено перед отправкой в модель (за все генерации ответа)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Версии шаблонов промтов. Трафик делится между версиями с traffic_weight > 0
+CREATE TABLE prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL, -- назначение шаблона: legal-answer, seo-article
+    version INTEGER NOT NULL,
+    system_message TEXT NOT NULL,
+    content TEXT NOT NULL,
+    variables TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT,
+    traffic_weight INTEGER NOT NULL DEFAULT 0 CHECK (traffic_weight BETWEEN 0 AND 100),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(name, version)
+);
+
 -- Таблица ответов
 CREATE TABLE responses (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     query_id UUID REFERENCES queries(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL DEFAULT 1, -- номер версии ответа на запрос (каждая повторная генерация - новая версия)
+    is_current BOOLEAN NOT NULL DEFAULT TRUE, -- версия, выбранная пользователем (одна на запрос)
+    regeneration_guidance TEXT, -- пожелания пользователя к повторной генерации
     ai_response JSONB NOT NULL, -- {text, laws, recommendations, confidence}
+    validation_errors JSONB, -- ошибки схемы и исправления ответа (NULL, если ответ корректен)
+    citation_check JSONB, -- сводка проверки ссылок на статьи по корпусу законодательства
+    prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL, -- версия шаблона (NULL - встроенный)
+    prompt_template_name TEXT, -- шаблон, по которому сгенерирован ответ (legal-answer или отраслевой)
+    cached_from_response_id UUID REFERENCES responses(id) ON DELETE SET NULL, -- ответ взят из семантического кэша
+    injection_check JSONB, -- фрагменты документов с признаками prompt injection, переданные модели
+    injection_suspected BOOLEAN DEFAULT FALSE,
+    injection_review JSONB, -- решение модератора: {verdict, note, reviewedBy, reviewedAt}
     is_published BOOLEAN DEFAULT FALSE,
-    seo_article TEXT, -- сгенерированный HTML для SEO
     rating INT CHECK (rating BETWEEN 1 AND 5),
     embedding vector(1536), -- векторное представление для семантического поиска
     created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(query_id, version)
+);
+
+-- Задачи на проверку ответа юристом: ответы с низкой уверенностью модели и запросы консультации.
+-- Для запроса открыта не больше одной задачи
+CREATE TABLE lawyer_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    query_id UUID NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+    response_id UUID REFERENCES responses(id) ON DELETE SET NULL, -- версия ответа, которую нужно проверить
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('low-confidence', 'consultation')),
+    confidence NUMERIC(4, 3), -- уверенность модели в ответе
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in-progress', 'resolved')),
+    consultation_requested_at TIMESTAMPTZ, -- пользователь запросил консультацию
+    consultation_message TEXT,
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT, -- заключение юриста
+    due_at TIMESTAMPTZ NOT NULL, -- срок по SLA
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
--- Таблица тегов для категоризации
+-- Учёт расхода моделей: каждый вызов LLM, эмбеддингов и транскрибации
+CREATE TABLE llm_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    query_id UUID REFERENCES queries(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL,
+    operation TEXT NOT NULL CHECK (operation IN ('chat', 'embedding', 'transcription')),
+    feature TEXT, -- legal-answer, legal-answer-repair, legal-domain, contract-review, document-draft, seo-article, embedding, transcription
+    model TEXT,
+    modality TEXT CHECK (modality IN ('text', 'voice', 'files')), -- тип исходного запроса
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    audio_seconds NUMERIC(10, 2),
+    cost_usd NUMERIC(12, 6), -- NULL, если цена модели неизвестна
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Использование квот тарифа по месяцам
+CREATE TABLE usage_counters (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL, -- первый день месяца
+    metric TEXT NOT NULL CHECK (metric IN ('queries', 'file_pages', 'audio_minutes', 'seo_articles')),
+    used NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, period_start, metric)
+);
+
+-- Таблица тегов для категоризации. Запрос получает тег по сходству его эмбеддинга с центроидом тега
 CREATE TABLE tags (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     name TEXT UNIQUE NOT NULL,
     description TEXT,
     color TEXT DEFAULT '#3B82F6',
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    keywords TEXT[] NOT NULL DEFAULT '{}', -- начала слов, совпадение с которыми повышает сходство
+    examples TEXT[] NOT NULL DEFAULT '{}', -- примеры вопросов с этим тегом
+    centroid vector(1536), -- среднее эмбеддингов названия с описанием и примеров (NULL - ещё не рассчитан)
+    centroid_updated_at TIMESTAMPTZ,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE, -- неактивные теги не присваиваются
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Связь запросов с тегами (many-to-many)
 CREATE TABLE query_tags (
     query_id UUID REFERENCES queries(id) ON DELETE CASCADE,
     tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
+    confidence REAL, -- уверенность классификатора от 0 до 1
+    source VARCHAR(10), -- embedding - по сходству с центроидом, model - подтверждён моделью
+    created_at TIMESTAMPTZ DEFAULT NOW(),
     PRIMARY KEY (query_id, tag_id)
 );
 
+-- Задания повторной разметки тегами сохранённых запросов
+CREATE TABLE tag_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    options JSONB NOT NULL DEFAULT '{}', -- since, until, onlyUntagged
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    tagged INTEGER NOT NULL DEFAULT 0, -- сколько запросов получили хотя бы один тег
+    failed INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
 -- Таблица для хранения обработанных файлов
 CREATE TABLE processed_files (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -63,10 +197,112 @@ CREATE TABLE processed_files (
     s3_path TEXT NOT NULL,
     file_type TEXT NOT NULL,
     extracted_text TEXT,
+    page_count INTEGER NOT NULL DEFAULT 1, -- списывается с квоты страниц тарифа
     processing_status TEXT DEFAULT 'pending' CHECK (processing_status IN ('pending', 'processing', 'completed', 'failed')),
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Отчёты проверки договоров: пункты, их типы и риски, отсутствующие условия (по файлу запроса)
+CREATE TABLE contract_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    query_id UUID NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+    file_id UUID REFERENCES processed_files(id) ON DELETE CASCADE,
+    report JSONB NOT NULL, -- {fileId, filename, summary, clauses, missing, riskCounts, analyzedBy}
+    risk_counts JSONB, -- {high, medium, low}
+    prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL, -- версия шаблона (NULL - встроенный)
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Документы, составленные по шаблонам (претензии, иски, жалобы): значения полей и готовый DOCX в S3
+CREATE TABLE document_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    query_id UUID NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    template TEXT NOT NULL, -- claim-letter, lawsuit, consumer-complaint, employer-notice
+    fields JSONB NOT NULL DEFAULT '{}',
+    prefilled_fields TEXT[] NOT NULL DEFAULT '{}', -- поля, заполненные моделью
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'rendered')),
+    s3_key TEXT, -- последний собранный DOCX
+    filename TEXT,
+    rendered_at TIMESTAMPTZ,
+    prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL, -- версия шаблона предзаполнения (NULL - встроенный)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- SEO-статьи по версиям ответов: draft - черновик, review - готова к публикации, published - опубликована вместе с ответом
+CREATE TABLE seo_articles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    response_id UUID NOT NULL UNIQUE REFERENCES responses(id) ON DELETE CASCADE,
+    query_id UUID NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    slug VARCHAR(100) NOT NULL UNIQUE, -- адрес статьи: транслитерация заголовка
+    meta_description VARCHAR(300),
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    outline JSONB NOT NULL DEFAULT '[]', -- подзаголовки: [{level: 2|3, title, anchor}]
+    faq JSONB NOT NULL DEFAULT '[]', -- [{question, answer}]
+    body_html TEXT NOT NULL, -- очищенный HTML статьи
+    json_ld JSONB, -- разметка schema.org Article и FAQPage
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'review', 'published')),
+    prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE SET NULL, -- версия шаблона генерации (NULL - встроенный)
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL, -- редактор последней правки
+    published_at TIMESTAMPTZ,
+    -- полнотекстовый поиск базы знаний: заголовок важнее описания, описание важнее текста статьи
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('russian', title), 'A') ||
+        setweight(to_tsvector('russian', COALESCE(meta_description, '')), 'B') ||
+        setweight(to_tsvector('russian', regexp_replace(body_html, '<[^>]*>', ' ', 'g')), 'C')
+    ) STORED,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Фрагменты загруженных документов для поиска релевантного контекста
+CREATE TABLE document_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_id UUID REFERENCES processed_files(id) ON DELETE CASCADE,
+    query_id UUID REFERENCES queries(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    page INTEGER, -- номер страницы (только для PDF)
+    paragraph_start INTEGER NOT NULL,
+    paragraph_end INTEGER NOT NULL,
+    token_count INTEGER NOT NULL,
+    embedding vector(1536),
+    injection_flags JSONB, -- места, похожие на инструкции для модели (NULL, если не найдены)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(file_id, chunk_index)
+);
+
+-- Корпус законодательства для проверки ссылок на статьи
+CREATE TABLE legislation_codes (
+    code TEXT PRIMARY KEY, -- сокращение: ГК, ТК, КоАП...
+    name TEXT NOT NULL,
+    is_complete BOOLEAN DEFAULT FALSE, -- загружены ли все статьи кодекса
+    loaded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE legislation_articles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT REFERENCES legislation_codes(code) ON DELETE CASCADE,
+    article TEXT NOT NULL, -- номер статьи: 196, 12.8, 333.19
+    title TEXT,
+    UNIQUE (code, article)
+);
+
+-- Редакции статей: с какой даты действует изменение и каким законом внесено.
+-- Наличие записей означает, что история изменений статьи отслеживается
+CREATE TABLE legislation_article_editions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code TEXT NOT NULL,
+    article TEXT NOT NULL,
+    valid_from DATE NOT NULL,
+    amended_by TEXT,
+    summary TEXT,
+    FOREIGN KEY (code, article) REFERENCES legislation_articles(code, article) ON DELETE CASCADE,
+    UNIQUE (code, article, valid_from)
+);
+
 -- Таблица для логов действий
 CREATE TABLE activity_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -82,25 +318,66 @@ CREATE TABLE activity_logs (
 CREATE INDEX idx_queries_user_id ON queries(user_id);
 CREATE INDEX idx_queries_status ON queries(status);
 CREATE INDEX idx_queries_created_at ON queries(created_at);
+CREATE INDEX idx_queries_conversation_id ON queries(conversation_id, created_at);
+CREATE INDEX idx_queries_legal_domain ON queries(legal_domain);
+CREATE INDEX idx_conversations_user_id ON conversations(user_id, updated_at);
 CREATE INDEX idx_responses_query_id ON responses(query_id);
 CREATE INDEX idx_responses_published ON responses(is_published);
+CREATE UNIQUE INDEX idx_responses_current ON responses(query_id) WHERE is_current = true;
+CREATE UNIQUE INDEX idx_responses_published_version ON responses(query_id) WHERE is_published = true;
 CREATE INDEX idx_responses_rating ON responses(rating);
+CREATE INDEX idx_responses_prompt_template_id ON responses(prompt_template_id);
 CREATE INDEX idx_ai_response ON responses USING GIN (ai_response);
+CREATE INDEX idx_responses_validation_errors ON responses(created_at) WHERE validation_errors IS NOT NULL;
+CREATE INDEX idx_responses_injection_suspected ON responses(created_at) WHERE injection_suspected = true;
+CREATE INDEX idx_contract_reviews_query_id ON contract_reviews(query_id);
+CREATE INDEX idx_document_drafts_query_id ON document_drafts(query_id);
+CREATE INDEX idx_document_drafts_user_id ON document_drafts(user_id, created_at);
+CREATE INDEX idx_seo_articles_status ON seo_articles(status, updated_at);
+CREATE INDEX idx_seo_articles_query_id ON seo_articles(query_id);
+CREATE INDEX idx_seo_articles_published ON seo_articles(published_at) WHERE status = 'published';
+CREATE INDEX idx_seo_articles_search ON seo_articles USING GIN (search_vector);
+CREATE UNIQUE INDEX idx_lawyer_reviews_active ON lawyer_reviews(query_id) WHERE status <> 'resolved';
+CREATE INDEX idx_lawyer_reviews_due_at ON lawyer_reviews(due_at) WHERE status <> 'resolved';
 CREATE INDEX idx_responses_embedding ON responses USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX idx_queries_embedding ON queries USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
 CREATE INDEX idx_processed_files_query_id ON processed_files(query_id);
+CREATE INDEX idx_query_tags_tag_id ON query_tags(tag_id);
+CREATE UNIQUE INDEX idx_tag_jobs_running ON tag_jobs((true)) WHERE status = 'running';
+CREATE INDEX idx_document_chunks_query_id ON document_chunks(query_id);
+CREATE INDEX idx_document_chunks_embedding ON document_chunks USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at);
+CREATE INDEX idx_llm_usage_user_id ON llm_usage(user_id, created_at);
+CREATE INDEX idx_llm_usage_query_id ON llm_usage(query_id);
 CREATE INDEX idx_activity_logs_user_id ON activity_logs(user_id);
 CREATE INDEX idx_activity_logs_created_at ON activity_logs(created_at);
 
--- Вставка базовых тегов
-INSERT INTO tags (name, description, color) VALUES
-('Наследство', 'Вопросы наследования имущества', '#EF4444'),
-('ДТП', 'Дорожно-транспортные происшествия', '#F59E0B'),
-('Трудовые споры', 'Споры с работодателем', '#10B981'),
-('Недвижимость', 'Вопросы недвижимости', '#8B5CF6'),
-('Семейное право', 'Брак, развод, алименты', '#EC4899'),
-('Уголовное право', 'Уголовные дела', '#6B7280'),
-('Гражданское право', 'Гражданские споры', '#3B82F6'),
-('Административное право', 'Споры с госорганами', '#84CC16');
+-- Вставка базовых тегов (центроиды рассчитываются при первой разметке)
+INSERT INTO tags (name, description, color, keywords, examples) VALUES
+('Наследство', 'Вопросы наследования имущества', '#EF4444',
+    ARRAY['наследств', 'наследник', 'завещан'],
+    ARRAY['Как вступить в наследство после смерти отца, если прошло больше шести месяцев?', 'Можно ли оспорить завещание, если бабушка была недееспособна?']),
+('ДТП', 'Дорожно-транспортные происшествия', '#F59E0B',
+    ARRAY['дтп', 'авари', 'осаго', 'каско', 'гибдд'],
+    ARRAY['Страховая по ОСАГО занизила выплату после аварии, что делать?', 'Виновник ДТП скрылся с места аварии, как получить компенсацию?']),
+('Трудовые споры', 'Споры с работодателем', '#10B981',
+    ARRAY['трудов', 'увольн', 'уволи', 'зарплат', 'работодател', 'отпуск'],
+    ARRAY['Работодатель не выплатил зарплату за два месяца, куда жаловаться?', 'Меня уволили во время больничного, законно ли это?']),
+('Недвижимость', 'Вопросы недвижимости', '#8B5CF6',
+    ARRAY['недвижим', 'квартир', 'земельн', 'ипотек', 'росреестр'],
+    ARRAY['Застройщик задерживает передачу квартиры по ДДУ, какую неустойку можно взыскать?', 'Как зарегистрировать право собственности на земельный участок?']),
+('Семейное право', 'Брак, развод, алименты', '#EC4899',
+    ARRAY['развод', 'алимент', 'супруг', 'брачн', 'опек'],
+    ARRAY['Как развестись, если муж не согласен и есть общий ребёнок?', 'Как взыскать алименты с бывшего мужа, если он официально не работает?']),
+('Уголовное право', 'Уголовные дела', '#6B7280',
+    ARRAY['уголовн', 'преступлен', 'приговор', 'следовател', 'ук рф'],
+    ARRAY['Меня вызывают к следователю свидетелем по уголовному делу, обязан ли я идти?', 'Какое наказание грозит за мошенничество в крупном размере?']),
+('Гражданское право', 'Гражданские споры', '#3B82F6',
+    ARRAY['договор', 'обязательств', 'неустойк', 'расписк', 'займ'],
+    ARRAY['Контрагент не исполнил договор поставки, как взыскать неустойку?', 'Знакомый не возвращает долг по расписке, как подать иск?']),
+('Административное право', 'Споры с госорганами', '#84CC16',
+    ARRAY['административн', 'штраф', 'коап', 'госорган'],
+    ARRAY['Как обжаловать штраф ГИБДД с камеры, если за рулём был другой человек?', 'Управа отказала в выдаче разрешения, как обжаловать решение госоргана?']);
 
 -- Функция для автоматического обновления updated_at
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -113,8 +390,14 @@ $$ language 'plpgsql';
 
 -- Триггеры для автоматического обновления updated_at
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_queries_updated_at BEFORE UPDATE ON queries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_responses_updated_at BEFORE UPDATE ON responses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_lawyer_reviews_updated_at BEFORE UPDATE ON lawyer_reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_document_drafts_updated_at BEFORE UPDATE ON document_drafts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tags_updated_at BEFORE UPDATE ON tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tag_jobs_updated_at BEFORE UPDATE ON tag_jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_seo_articles_updated_at BEFORE UPDATE ON seo_articles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- Функция для поиска похожих запросов
 CREATE OR REPLACE FUNCTION find_similar_queries(query_embedding vector(1536), similarity_threshold float DEFAULT 0.8)
@@ -131,7 +414,8 @@ BEGIN
         1 - (r.embedding <=> query_embedding) as similarity
     FROM responses r
     JOIN queries q ON r.query_id = q.id
-    WHERE 1 - (r.embedding <=> query_embedding) > similarity_threshold
+    WHERE r.is_current = true
+      AND 1 - (r.embedding <=> query_embedding) > similarity_threshold
     ORDER BY r.embedding <=> query_embedding;
 END;
 $$ LANGUAGE plpgsql;
@@ -6,6 +6,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
 import PrivateRoute from './components/PrivateRoute';
 import Layout from './components/Layout';
+import PublicLayout from './components/PublicLayout';
 import HomePage from './pages/HomePage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
@@ -13,6 +14,8 @@ import DashboardPage from './pages/DashboardPage';
 import ChatPage from './pages/ChatPage';
 import ProfilePage from './pages/ProfilePage';
 import AdminPage from './pages/AdminPage';
+import KnowledgeBasePage from './pages/KnowledgeBasePage';
+import ArticlePage from './pages/ArticlePage';
 import './index.css';
 
 const queryClient = new QueryClient({
@@ -36,6 +39,16 @@ function App() {
                 <Route path="/" element={<HomePage />} />
                 <Route path="/login" element={<LoginPage />} />
                 <Route path="/register" element={<RegisterPage />} />
+                <Route path="/articles" element={
+                  <PublicLayout>
+                    <KnowledgeBasePage />
+                  </PublicLayout>
+                } />
+                <Route path="/articles/:slug" element={
+                  <PublicLayout>
+                    <ArticlePage />
+                  </PublicLayout>
+                } />
                 
                 {/* Защищенные маршруты */}
                 <Route path="/dashboard" element={
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { DocumentTextIcon, ArrowDownTrayIcon, SparklesIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { documentsApi } from '../services/api';
+import { DocumentDraft, DocumentField, DocumentTemplate } from '../types/document';
+
+interface DocumentDraftPanelProps {
+  queryId: string;
+  disabled?: boolean;
+}
+
+const INPUT_TYPES: Record<string, string> = {
+  date: 'date',
+  money: 'number',
+  number: 'number',
+  email: 'email',
+  phone: 'tel',
+};
+
+const toFormValues = (draft: DocumentDraft) => Object.fromEntries(
+  Object.entries(draft.fields).map(([key, value]) => [key, value === null ? '' : String(value)])
+);
+
+const saveBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Составление документа по ответу: выбор шаблона, проверка предзаполненных полей и скачивание DOCX
+const DocumentDraftPanel: React.FC<DocumentDraftPanelProps> = ({ queryId, disabled = false }) => {
+  const [templates, setTemplates] = useState<DocumentTemplate[] | null>(null);
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState<DocumentDraft | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(false);
+
+  const template = draft && templates ? templates.find((item) => item.id === draft.template) : undefined;
+
+  const togglePanel = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    setOpen(true);
+    if (templates) return;
+
+    try {
+      const result = await documentsApi.getTemplates();
+      setTemplates(result.templates);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось загрузить шаблоны документов');
+      setOpen(false);
+    }
+  };
+
+  const handleSelectTemplate = async (templateId: string) => {
+    try {
+      setLoading(true);
+      const created: DocumentDraft = await documentsApi.createDocument(queryId, templateId);
+      setDraft(created);
+      setValues(toFormValues(created));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось подготовить документ');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRender = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+
+    try {
+      setLoading(true);
+      const fields = Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, value.trim() === '' ? null : value])
+      );
+      await documentsApi.updateFields(draft.id, fields);
+      const rendered: DocumentDraft = await documentsApi.renderDocument(draft.id);
+      setDraft(rendered);
+
+      const blob = await documentsApi.downloadDocument(rendered.id);
+      saveBlob(blob, rendered.filename || `${rendered.template}.docx`);
+    } catch (error: any) {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.msg || data?.error || 'Не удалось сформировать документ');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderInput = (field: DocumentField) => {
+    const className = `w-full px-2 py-1 text-sm border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 ${
+      field.required && !values[field.key]?.trim() ? 'border-warning-400' : 'border-gray-300'
+    }`;
+    const onChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) =>
+      setValues((prev) => ({ ...prev, [field.key]: e.target.value }));
+
+    return field.type === 'multiline' ? (
+      <textarea id={`doc-${field.key}`} rows={3} value={values[field.key] || ''} onChange={onChange} className={className} />
+    ) : (
+      <input
+        id={`doc-${field.key}`}
+        type={INPUT_TYPES[field.type] || 'text'}
+        step={field.type === 'money' ? '0.01' : undefined}
+        value={values[field.key] || ''}
+        onChange={onChange}
+        className={className}
+      />
+    );
+  };
+
+  return (
+    <div className="pt-3 mt-3 border-t border-gray-100 space-y-3">
+      <button
+        type="button"
+        onClick={togglePanel}
+        disabled={disabled}
+        className="flex items-center text-xs text-primary-700 hover:text-primary-900 disabled:opacity-50"
+      >
+        <DocumentTextIcon className="w-4 h-4 mr-1" />
+        Составить документ
+      </button>
+
+      {open && !draft && templates && (
+        <div className="grid gap-2 sm:grid-cols-2">
+          {templates.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => handleSelectTemplate(item.id)}
+              disabled={loading}
+              className="p-3 text-left border border-gray-200 rounded-md hover:border-primary-300 hover:bg-primary-50 disabled:opacity-50"
+            >
+              <div className="text-sm font-medium text-gray-900">{item.title}</div>
+              <div className="text-xs text-gray-500">{item.description}</div>
+            </button>
+          ))}
+          {loading && <p className="text-xs text-gray-500">Заполняем поля по вашему вопросу...</p>}
+        </div>
+      )}
+
+      {open && draft && template && (
+        <form onSubmit={handleRender} className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">{template.title}</h3>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="p-1 text-gray-400 rounded hover:bg-gray-100"
+              aria-label="Выбрать другой шаблон"
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+
+          {template.fields.map((field) => (
+            <div key={field.key} className="space-y-1">
+              <label htmlFor={`doc-${field.key}`} className="flex items-center text-xs text-gray-700">
+                {field.label}
+                {field.required && <span className="ml-0.5 text-error-600">*</span>}
+                {draft.prefilled_fields.includes(field.key) && (
+                  <span className="flex items-center ml-2 text-primary-600" title="Заполнено по вопросу и ответу">
+                    <SparklesIcon className="w-3 h-3 mr-0.5" />
+                    заполнено автоматически
+                  </span>
+                )}
+              </label>
+              {renderInput(field)}
+              {field.hint && <p className="text-xs text-gray-400">{field.hint}</p>}
+            </div>
+          ))}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex items-center px-3 py-1.5 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+            {loading ? 'Формируем...' : 'Скачать DOCX'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DocumentDraftPanel;
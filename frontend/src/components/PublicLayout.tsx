@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ChatBubbleLeftRightIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+
+interface PublicLayoutProps {
+  children: React.ReactNode;
+}
+
+// Оформление публичных страниц базы знаний: доступны без входа в систему
+const PublicLayout: React.FC<PublicLayoutProps> = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200">
+        <nav className="max-w-4xl mx-auto px-4 sm:px-6 py-4 flex justify-between items-center">
+          <Link to="/" className="flex items-center space-x-2">
+            <div className="w-8 h-8 bg-primary-600 rounded-lg flex items-center justify-center">
+              <ChatBubbleLeftRightIcon className="w-5 h-5 text-white" />
+            </div>
+            <span className="text-xl font-bold text-gray-900">LegalAI</span>
+          </Link>
+
+          <div className="flex items-center space-x-4">
+            <Link to="/articles" className="text-gray-600 hover:text-gray-900">
+              База знаний
+            </Link>
+            {isAuthenticated ? (
+              <Link to="/chat" className="btn-primary">
+                Задать вопрос
+              </Link>
+            ) : (
+              <Link to="/register" className="btn-primary">
+                Регистрация
+              </Link>
+            )}
+          </div>
+        </nav>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 sm:px-6 py-8">
+        {children}
+      </main>
+
+      <footer className="max-w-4xl mx-auto px-4 sm:px-6 py-8 text-sm text-gray-500">
+        Материалы базы знаний носят справочный характер и не заменяют консультацию юриста.
+      </footer>
+    </div>
+  );
+};
+
+export default PublicLayout;
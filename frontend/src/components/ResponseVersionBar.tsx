@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { ChevronLeftIcon, ChevronRightIcon, ArrowPathIcon, StarIcon } from '@heroicons/react/24/outline';
+
+interface ResponseVersionBarProps {
+  version: number;
+  versionCount: number;
+  rating?: number | null;
+  disabled?: boolean;
+  onSelect: (version: number) => void;
+  // Повторная генерация доступна только для последнего вопроса диалога
+  onRegenerate?: (guidance?: string) => void;
+  onRate: (rating: number) => void;
+}
+
+// Переключение версий ответа, оценка текущей версии и повторная генерация с пожеланиями
+const ResponseVersionBar: React.FC<ResponseVersionBarProps> = ({
+  version,
+  versionCount,
+  rating,
+  disabled = false,
+  onSelect,
+  onRegenerate,
+  onRate,
+}) => {
+  const [showGuidance, setShowGuidance] = useState(false);
+  const [guidance, setGuidance] = useState('');
+
+  const submitRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    onRegenerate?.(guidance.trim() || undefined);
+    setGuidance('');
+    setShowGuidance(false);
+  };
+
+  return (
+    <div className="pt-3 mt-3 border-t border-gray-100 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-600">
+        <div className="flex items-center space-x-1">
+          {versionCount > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={() => onSelect(version - 1)}
+                disabled={disabled || version <= 1}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                aria-label="Предыдущая версия"
+              >
+                <ChevronLeftIcon className="w-4 h-4" />
+              </button>
+              <span>Версия {version} из {versionCount}</span>
+              <button
+                type="button"
+                onClick={() => onSelect(version + 1)}
+                disabled={disabled || version >= versionCount}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                aria-label="Следующая версия"
+              >
+                <ChevronRightIcon className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <div className="flex items-center" aria-label="Оценка версии">
+            {[1, 2, 3, 4, 5].map((value) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => onRate(value)}
+                disabled={disabled}
+                className="p-0.5 disabled:opacity-40"
+                aria-label={`Оценить на ${value}`}
+              >
+                <StarIcon
+                  className={`w-4 h-4 ${rating && value <= rating ? 'text-warning-500 fill-current' : 'text-gray-300'}`}
+                />
+              </button>
+            ))}
+          </div>
+          {onRegenerate && (
+            <button
+              type="button"
+              onClick={() => setShowGuidance((prev) => !prev)}
+              disabled={disabled}
+              className="flex items-center text-primary-700 hover:text-primary-900 disabled:opacity-50"
+            >
+              <ArrowPathIcon className="w-4 h-4 mr-1" />
+              Другой вариант
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showGuidance && onRegenerate && (
+        <form onSubmit={submitRegenerate} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={guidance}
+            maxLength={1000}
+            onChange={(e) => setGuidance(e.target.value)}
+            placeholder="Что изменить? Например: подробнее о сроках"
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={disabled}
+            className="px-3 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            Сгенерировать
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ResponseVersionBar;
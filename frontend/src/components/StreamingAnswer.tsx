@@ -0,0 +1,297 @@
+import React from 'react';
+import {
+  ScaleIcon,
+  DocumentTextIcon,
+  CheckCircleIcon,
+  PaperClipIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  CalendarDaysIcon,
+  BanknotesIcon,
+} from '@heroicons/react/24/outline';
+import { CitationStatus, PartialAIResponse, QueryStreamStatus } from '../types/query';
+
+const CITATION_BADGES: Record<CitationStatus, { label: string; className: string }> = {
+  verified: { label: 'проверено', className: 'bg-success-100 text-success-700' },
+  unknown: { label: 'не удалось проверить', className: 'bg-gray-100 text-gray-600' },
+  'not-found': { label: 'статья не найдена', className: 'bg-error-100 text-error-700' },
+};
+
+interface StreamingAnswerProps {
+  answer: PartialAIResponse | null;
+  status: QueryStreamStatus;
+  message?: string | null;
+  error?: string | null;
+  className?: string;
+  onRefresh?: () => void;
+  onRequestConsultation?: () => void;
+}
+
+const formatDate = (date: string) => date.split('-').reverse().join('.');
+const formatRubles = (value: number) => `${value.toLocaleString('ru-RU')} ₽`;
+
+const StreamingAnswer: React.FC<StreamingAnswerProps> = ({
+  answer,
+  status,
+  message,
+  error,
+  className = '',
+  onRefresh,
+  onRequestConsultation,
+}) => {
+  const isStreaming = status === 'processing' || status === 'streaming';
+
+  if (status === 'failed') {
+    return (
+      <div className={`p-4 bg-error-50 border border-error-200 rounded-lg text-sm text-error-700 ${className}`}>
+        {error || 'Ошибка при обработке запроса'}
+      </div>
+    );
+  }
+
+  if (!answer?.text) {
+    return isStreaming ? (
+      <div className={`flex items-center space-x-2 text-sm text-gray-500 ${className}`}>
+        <div className="w-4 h-4 border-2 border-primary-600 border-t-transparent rounded-full animate-spin" />
+        <span>{message || 'Анализируем ваш запрос...'}</span>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {/* Ответ из семантического кэша */}
+      {answer.cachedFrom && (
+        <div className="flex items-center justify-between p-2 bg-primary-50 border border-primary-200 rounded-md text-xs text-primary-800">
+          <span>
+            Ответ на похожий вопрос (сходство {Math.round(answer.cachedFrom.similarity * 100)}%)
+          </span>
+          {onRefresh && !isStreaming && (
+            <button
+              type="button"
+              onClick={onRefresh}
+              className="flex items-center ml-2 text-primary-700 hover:text-primary-900"
+            >
+              <ArrowPathIcon className="w-4 h-4 mr-1" />
+              Сгенерировать заново
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Обязательные предупреждения отрасли права */}
+      {answer.notices && answer.notices.length > 0 && (
+        <div className="space-y-2">
+          {answer.notices.map((notice, index) => (
+            <div
+              key={index}
+              className="flex items-start p-3 bg-error-50 border border-error-200 rounded-md text-sm font-medium text-error-800"
+            >
+              <ExclamationTriangleIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span>{notice}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Низкая уверенность модели: ответ передан на проверку юристу */}
+      {answer.lawyerReview && (
+        <div className="p-3 bg-warning-50 border border-warning-200 rounded-md text-sm text-warning-800 space-y-2">
+          <div className="flex items-start">
+            <ExclamationTriangleIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+            <span>
+              <span className="font-semibold">Требуется проверка юриста.</span> Уверенность ответа —{' '}
+              {Math.round(answer.lawyerReview.confidence * 100)}%. Ответ передан юристу, проверка займёт до{' '}
+              {answer.lawyerReview.slaHours} ч.
+            </span>
+          </div>
+          {onRequestConsultation && !isStreaming && (
+            <button
+              type="button"
+              onClick={onRequestConsultation}
+              className="px-3 py-1 text-sm text-white bg-warning-600 rounded-md hover:bg-warning-700"
+            >
+              Запросить консультацию юриста
+            </button>
+          )}
+        </div>
+      )}
+
+      {answer.legalDomain && (
+        <div className="text-xs text-gray-500">Отрасль права: {answer.legalDomain.name}</div>
+      )}
+
+      {/* Редакция закона на дату событий */}
+      {answer.lawVersion && (
+        <div className="space-y-2">
+          <div className="text-xs text-gray-500">
+            Закон применяется в редакции на {formatDate(answer.lawVersion.asOfDate)}
+            {answer.lawVersion.source === 'inferred' && ' (дата определена по тексту вопроса)'}
+          </div>
+          {answer.lawVersion.warning && (
+            <div className="flex items-start p-3 bg-warning-50 border border-warning-200 rounded-md text-sm text-warning-800">
+              <ExclamationTriangleIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span>{answer.lawVersion.warning}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Основной текст ответа */}
+      <div className="text-sm text-gray-800 whitespace-pre-wrap" lang={answer.language}>
+        {answer.text}
+        {isStreaming && <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-primary-500 animate-pulse" />}
+      </div>
+
+      {/* Сроки, рассчитанные по производственному календарю */}
+      {answer.deadlines && answer.deadlines.length > 0 && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <CalendarDaysIcon className="w-4 h-4 mr-1" />
+            Расчёт сроков
+          </h3>
+          <ul className="space-y-2">
+            {answer.deadlines.map((deadline, index) => (
+              <li key={index} className="p-3 border border-gray-200 rounded-md text-sm">
+                <div className="font-medium text-gray-900">
+                  {deadline.title} <span className="font-normal text-gray-500">({deadline.law})</span>
+                </div>
+                <div className="text-gray-600">
+                  {deadline.period.description} с события: {deadline.event}
+                </div>
+                {deadline.endDate ? (
+                  <div className="mt-1">
+                    Последний день: <span className="font-semibold">{formatDate(deadline.endDate)}</span>
+                    {deadline.shifted && deadline.nominalEndDate && (
+                      <span className="text-gray-500"> (перенесён с нерабочего {formatDate(deadline.nominalEndDate)})</span>
+                    )}
+                    <span
+                      className={`ml-2 px-1.5 py-0.5 rounded text-xs ${
+                        deadline.expired ? 'bg-error-100 text-error-700' : 'bg-success-100 text-success-700'
+                      }`}
+                    >
+                      {deadline.expired ? 'срок истёк' : `осталось дней: ${deadline.daysLeft}`}
+                    </span>
+                    {deadline.approximate && (
+                      <div className="text-xs text-warning-700">Календарь на этот год не загружен — переносы выходных не учтены</div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="mt-1 text-xs text-gray-500">Укажите дату события, чтобы рассчитать последний день срока</div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Госпошлина по цене иска из вопроса */}
+      {answer.courtFee && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <BanknotesIcon className="w-4 h-4 mr-1" />
+            Госпошлина
+          </h3>
+          <div className="p-3 border border-gray-200 rounded-md text-sm">
+            <div className="font-medium text-gray-900">
+              {formatRubles(answer.courtFee.fee)} <span className="font-normal text-gray-500">({answer.courtFee.law})</span>
+            </div>
+            <div className="text-gray-600">{answer.courtFee.calculation}</div>
+            {answer.courtFee.exemption && (
+              <div className="mt-1 text-xs text-warning-700">
+                Учтена льгота: {answer.courtFee.exemption.title} ({answer.courtFee.exemption.law}). Без льготы — {formatRubles(answer.courtFee.baseFee)}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Ссылки на законы */}
+      {answer.laws && answer.laws.length > 0 && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <ScaleIcon className="w-4 h-4 mr-1" />
+            Законодательство
+          </h3>
+          <ul className="space-y-1">
+            {answer.laws.filter((law) => law && law.article).map((law, index) => (
+              <li key={index} className="text-sm">
+                <span className="font-medium">{law.article}</span>
+                {law.verification && (
+                  <span
+                    className={`ml-2 px-1.5 py-0.5 rounded text-xs ${CITATION_BADGES[law.verification.status].className}`}
+                  >
+                    {CITATION_BADGES[law.verification.status].label}
+                  </span>
+                )}
+                {law.verification?.articles.some((article) => article.amendedSince && article.amendedSince.length > 0) && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-warning-100 text-warning-700">
+                    изменялась после даты событий
+                  </span>
+                )}
+                {law.description && <span className="text-gray-600"> — {law.description}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Судебная практика */}
+      {answer.practice && answer.practice.length > 0 && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <DocumentTextIcon className="w-4 h-4 mr-1" />
+            Судебная практика
+          </h3>
+          <ul className="space-y-1">
+            {answer.practice.filter((item) => item && item.case).map((item, index) => (
+              <li key={index} className="text-sm">
+                <span className="font-medium">{item.case}</span>
+                {item.description && <span className="text-gray-600"> — {item.description}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Источники в загруженных документах */}
+      {answer.sources && answer.sources.length > 0 && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <PaperClipIcon className="w-4 h-4 mr-1" />
+            Источники в документах
+          </h3>
+          <ul className="space-y-1">
+            {answer.sources.filter((source) => source && source.statement).map((source, index) => (
+              <li key={index} className="text-sm">
+                <span className="text-gray-700">{source.statement}</span>
+                {(source.location || source.chunk) && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-primary-50 text-primary-700">
+                    {source.location || source.chunk}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Рекомендации */}
+      {answer.recommendations && answer.recommendations.length > 0 && (
+        <div>
+          <h3 className="flex items-center text-sm font-semibold text-gray-900 mb-2">
+            <CheckCircleIcon className="w-4 h-4 mr-1" />
+            Рекомендации
+          </h3>
+          <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+            {answer.recommendations.filter(Boolean).map((recommendation, index) => (
+              <li key={index}>{recommendation}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StreamingAnswer;
@@ -1,6 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { MicrophoneIcon, StopIcon, PaperAirplaneIcon } from '@heroicons/react/24/outline';
+import { MicrophoneIcon, StopIcon, PaperAirplaneIcon, CheckBadgeIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { toolsApi } from '../services/api';
+import { SpellingSuggestion } from '../types/query';
 
 interface TextInputWithSpeechProps {
   onSubmit: (text: string) => void;
@@ -22,6 +25,9 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
   const [isListening, setIsListening] = useState(false);
   const [recognition, setRecognition] = useState<SpeechRecognition | null>(null);
   const [transcript, setTranscript] = useState('');
+  // Найденные опечатки: позиции относятся к текущему тексту, поэтому сбрасываются при его изменении
+  const [suggestions, setSuggestions] = useState<SpellingSuggestion[]>([]);
+  const [checking, setChecking] = useState(false);
   const textareaRef = useRef<HTMLTextAreaElement>(null);
 
   useEffect(() => {
@@ -79,6 +85,7 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
       onSubmit(text.trim());
       setText('');
       setTranscript('');
+      setSuggestions([]);
     }
   };
 
@@ -95,6 +102,43 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
     }
   };
 
+  const handleTextChange = (value: string) => {
+    setText(value);
+    setSuggestions([]);
+  };
+
+  const checkSpelling = async () => {
+    try {
+      setChecking(true);
+      const result = await toolsApi.spellcheck(text);
+      setSuggestions(result.suggestions);
+      if (result.suggestions.length === 0) {
+        toast.success('Опечаток не найдено');
+      }
+    } catch (error: any) {
+      if (error.response?.status === 503) {
+        toast.error('Словарь ещё загружается, повторите проверку через несколько секунд');
+        return;
+      }
+      toast.error(error.response?.data?.error || 'Не удалось проверить орфографию');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Замена по позиции: остальные найденные слова сдвигаются на разницу длины
+  const acceptSuggestion = (suggestion: SpellingSuggestion, replacement: string) => {
+    const shift = replacement.length - suggestion.length;
+    setText(text.slice(0, suggestion.offset) + replacement + text.slice(suggestion.offset + suggestion.length));
+    setSuggestions((prev) => prev
+      .filter((item) => item !== suggestion)
+      .map((item) => (item.offset > suggestion.offset ? { ...item, offset: item.offset + shift } : item)));
+  };
+
+  const dismissSuggestion = (suggestion: SpellingSuggestion) => {
+    setSuggestions((prev) => prev.filter((item) => item !== suggestion));
+  };
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -122,11 +166,11 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
           <textarea
             ref={textareaRef}
             value={text}
-            onChange={(e) => setText(e.target.value)}
+            onChange={(e) => handleTextChange(e.target.value)}
             onKeyPress={handleKeyPress}
             placeholder={placeholder}
             disabled={disabled || loading}
-            className="w-full px-4 py-3 pr-24 text-sm border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-50 disabled:cursor-not-allowed"
+            className="w-full px-4 py-3 pr-32 text-sm border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-50 disabled:cursor-not-allowed"
             rows={1}
             maxLength={5000}
           />
@@ -138,7 +182,7 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
                 initial={{ opacity: 0, scale: 0.8 }}
                 animate={{ opacity: 1, scale: 1 }}
                 exit={{ opacity: 0, scale: 0.8 }}
-                className="absolute top-3 right-16 flex items-center space-x-1"
+                className="absolute top-3 right-24 flex items-center space-x-1"
               >
                 <div className="w-2 h-2 bg-error-500 rounded-full animate-pulse" />
                 <span className="text-xs text-error-600 font-medium">Запись...</span>
@@ -148,6 +192,17 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
 
           {/* Кнопки действий */}
           <div className="absolute top-2 right-2 flex items-center space-x-1">
+            {/* Кнопка проверки орфографии */}
+            <button
+              type="button"
+              onClick={checkSpelling}
+              disabled={!text.trim() || checking || disabled || loading}
+              className="p-2 bg-gray-100 text-gray-600 rounded-md hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+              title="Проверить орфографию"
+            >
+              <CheckBadgeIcon className="w-4 h-4" />
+            </button>
+
             {/* Кнопка голосового ввода */}
             {isWebSpeechSupported && (
               <button
@@ -197,6 +252,40 @@ const TextInputWithSpeech: React.FC<TextInputWithSpeechProps> = ({
         </div>
       </form>
 
+      {/* Найденные опечатки: исправление применяется только после выбора пользователя */}
+      {suggestions.length > 0 && (
+        <div className="mt-2 p-3 bg-warning-50 border border-warning-200 rounded-lg space-y-2">
+          <div className="text-xs text-warning-700 font-medium">Возможные опечатки:</div>
+          {suggestions.map((suggestion) => (
+            <div key={`${suggestion.offset}-${suggestion.word}`} className="flex flex-wrap items-center gap-1 text-sm">
+              <span className="text-gray-500 line-through">{suggestion.word}</span>
+              <span className="text-gray-400">→</span>
+              {suggestion.replacements.map((replacement) => (
+                <button
+                  key={replacement}
+                  type="button"
+                  onClick={() => acceptSuggestion(suggestion, replacement)}
+                  className="px-2 py-0.5 text-primary-700 bg-white border border-primary-200 rounded-md hover:bg-primary-50"
+                >
+                  {replacement}
+                </button>
+              ))}
+              {suggestion.kind === 'layout' && (
+                <span className="text-xs text-gray-500">другая раскладка</span>
+              )}
+              <button
+                type="button"
+                onClick={() => dismissSuggestion(suggestion)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+                title="Оставить как есть"
+              >
+                <XMarkIcon className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Предварительный просмотр транскрипции */}
       <AnimatePresence>
         {isListening && transcript && (
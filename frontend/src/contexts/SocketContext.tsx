@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import { io, Socket } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 
@@ -66,17 +66,18 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
     }
   }, [isAuthenticated, token]);
 
-  const joinRoom = (roomId: string) => {
+  // Стабильные ссылки, чтобы функции можно было указывать в зависимостях эффектов
+  const joinRoom = useCallback((roomId: string) => {
     if (socket && isConnected) {
       socket.emit('join-room', roomId);
     }
-  };
+  }, [socket, isConnected]);
 
-  const leaveRoom = (roomId: string) => {
+  const leaveRoom = useCallback((roomId: string) => {
     if (socket && isConnected) {
       socket.emit('leave-room', roomId);
     }
-  };
+  }, [socket, isConnected]);
 
   const value: SocketContextType = {
     socket,
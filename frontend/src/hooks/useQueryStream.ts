@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { AIResponse, PartialAIResponse, QueryStreamStatus } from '../types/query';
+
+interface QueryStreamState {
+  status: QueryStreamStatus;
+  message: string | null;
+  partial: PartialAIResponse | null;
+  response: AIResponse | null;
+  // Номер сохранённой версии ответа
+  version: number | null;
+  error: string | null;
+}
+
+const initialState: QueryStreamState = {
+  status: 'idle',
+  message: null,
+  partial: null,
+  response: null,
+  version: null,
+  error: null,
+};
+
+// Подписка на события обработки запроса: статус, потоковые фрагменты ответа и итог
+export const useQueryStream = (queryId: string | null) => {
+  const { socket, isConnected, joinRoom } = useSocket();
+  const { user } = useAuth();
+  const [state, setState] = useState<QueryStreamState>(initialState);
+
+  // Сервер отправляет события в комнату с идентификатором пользователя
+  useEffect(() => {
+    if (user && isConnected) {
+      joinRoom(user.id);
+    }
+  }, [user, isConnected, joinRoom]);
+
+  useEffect(() => {
+    setState(queryId ? { ...initialState, status: 'processing' } : initialState);
+
+    if (!socket || !queryId) {
+      return;
+    }
+
+    const onStatus = (data: { queryId: string; message: string }) => {
+      if (data.queryId !== queryId) return;
+      setState((prev) => ({ ...prev, message: data.message }));
+    };
+
+    const onDelta = (data: { queryId: string; partial: PartialAIResponse | null }) => {
+      if (data.queryId !== queryId || !data.partial) return;
+      setState((prev) => ({ ...prev, status: 'streaming', partial: data.partial }));
+    };
+
+    const onCompleted = (data: { queryId: string; response: AIResponse; version?: number }) => {
+      if (data.queryId !== queryId) return;
+      setState((prev) => ({
+        ...prev,
+        status: 'completed',
+        partial: data.response,
+        response: data.response,
+        version: data.version ?? null,
+      }));
+    };
+
+    const onError = (data: { queryId: string; error: string }) => {
+      if (data.queryId !== queryId) return;
+      setState((prev) => ({ ...prev, status: 'failed', error: data.error }));
+    };
+
+    socket.on('query-status', onStatus);
+    socket.on('query-delta', onDelta);
+    socket.on('query-completed', onCompleted);
+    socket.on('query-error', onError);
+
+    return () => {
+      socket.off('query-status', onStatus);
+      socket.off('query-delta', onDelta);
+      socket.off('query-completed', onCompleted);
+      socket.off('query-error', onError);
+    };
+  }, [socket, queryId]);
+
+  return state;
+};
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { publicApi } from '../services/api';
+import { PublicArticle } from '../types/article';
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('ru-RU', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+// Мета-теги и JSON-LD статьи в <head>; при уходе со страницы удаляются.
+// При прямом переходе страницу статьи отрисовывает сервер (nginx: /articles/:slug), здесь - переходы внутри приложения
+const useArticleHead = (article: PublicArticle | null) => {
+  useEffect(() => {
+    if (!article) return;
+
+    const previousTitle = document.title;
+    document.title = `${article.title} - LegalAI`;
+
+    const added: HTMLElement[] = [];
+    const append = (element: HTMLElement) => {
+      document.head.appendChild(element);
+      added.push(element);
+    };
+
+    if (article.meta_description) {
+      const description = document.createElement('meta');
+      description.name = 'description';
+      description.content = article.meta_description;
+      append(description);
+    }
+
+    const canonical = document.createElement('link');
+    canonical.rel = 'canonical';
+    canonical.href = `${window.location.origin}/articles/${article.slug}`;
+    append(canonical);
+
+    if (article.json_ld) {
+      const jsonLd = document.createElement('script');
+      jsonLd.type = 'application/ld+json';
+      jsonLd.text = JSON.stringify(article.json_ld);
+      append(jsonLd);
+    }
+
+    return () => {
+      document.title = previousTitle;
+      added.forEach((element) => element.remove());
+    };
+  }, [article]);
+};
+
+const ArticlePage: React.FC = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const [article, setArticle] = useState<PublicArticle | null>(null);
+  const [status, setStatus] = useState<'loading' | 'ready' | 'not-found' | 'failed'>('loading');
+
+  useArticleHead(article);
+
+  useEffect(() => {
+    if (!slug) return;
+
+    setStatus('loading');
+    publicApi.getArticle(slug)
+      .then((result) => {
+        setArticle(result);
+        setStatus('ready');
+        window.scrollTo(0, 0);
+      })
+      .catch((error) => {
+        setArticle(null);
+        setStatus([400, 404].includes(error.response?.status) ? 'not-found' : 'failed');
+      });
+  }, [slug]);
+
+  if (status === 'loading') {
+    return <p className="text-gray-500">Загрузка...</p>;
+  }
+
+  if (!article) {
+    return (
+      <div className="space-y-4">
+        <h1 className="text-2xl font-bold text-gray-900">
+          {status === 'not-found' ? 'Статья не найдена' : 'Не удалось загрузить статью'}
+        </h1>
+        <p className="text-gray-600">
+          {status === 'not-found' ? 'Статья снята с публикации или её адрес изменился.' : 'Попробуйте обновить страницу.'}
+        </p>
+        <Link to="/articles" className="btn-secondary inline-flex">Все статьи</Link>
+      </div>
+    );
+  }
+
+  const updated = formatDate(article.updated_at);
+  const published = formatDate(article.published_at);
+
+  return (
+    <article className="space-y-6">
+      <Link to="/articles" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeftIcon className="w-4 h-4 mr-1" />
+        База знаний
+      </Link>
+
+      <header className="space-y-3">
+        <h1 className="text-3xl font-bold text-gray-900">{article.title}</h1>
+        <p className="text-sm text-gray-500">
+          Опубликовано {published}
+          {updated !== published && ` · обновлено ${updated}`}
+        </p>
+        {article.tags.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {article.tags.map((tag) => (
+              <Link key={tag.name} to={`/articles?tag=${encodeURIComponent(tag.name)}`} className="badge-primary">
+                {tag.name}
+              </Link>
+            ))}
+          </div>
+        )}
+      </header>
+
+      {article.outline.length > 1 && (
+        <nav className="card">
+          <div className="card-body">
+            <p className="font-semibold text-gray-900 mb-2">Содержание</p>
+            <ul className="space-y-1 text-sm">
+              {article.outline.map((heading) => (
+                <li key={heading.anchor} className={heading.level === 3 ? 'ml-4' : ''}>
+                  <a href={`#${heading.anchor}`} className="text-primary-700 hover:text-primary-800">{heading.title}</a>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </nav>
+      )}
+
+      {/* body_html очищен на сервере при сохранении статьи */}
+      <div className="prose max-w-none" dangerouslySetInnerHTML={{ __html: article.body_html }} />
+
+      {article.faq.length > 0 && (
+        <section className="space-y-4">
+          <h2 id="faq" className="text-2xl font-semibold text-gray-900">Частые вопросы</h2>
+          {article.faq.map((item) => (
+            <div key={item.question}>
+              <h3 className="font-semibold text-gray-900">{item.question}</h3>
+              <p className="mt-1 text-gray-700">{item.answer}</p>
+            </div>
+          ))}
+        </section>
+      )}
+
+      <div className="card">
+        <div className="card-body flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-gray-700">Не нашли ответ на свой вопрос?</p>
+          <Link to="/chat" className="btn-primary">Задать вопрос AI-юристу</Link>
+        </div>
+      </div>
+    </article>
+  );
+};
+
+export default ArticlePage;
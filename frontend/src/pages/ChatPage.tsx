@@ -1,14 +1,250 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import TextInputWithSpeech from '../components/TextInputWithSpeech';
+import StreamingAnswer from '../components/StreamingAnswer';
+import ResponseVersionBar from '../components/ResponseVersionBar';
+import DocumentDraftPanel from '../components/DocumentDraftPanel';
+import { useQueryStream } from '../hooks/useQueryStream';
+import { conversationsApi, queriesApi, responsesApi, usersApi } from '../services/api';
+import { AIResponse, AnswerLanguageOption, ResponseVersion } from '../types/query';
+
+interface ChatTurn {
+  queryId: string;
+  question: string;
+  response?: AIResponse;
+  failed?: boolean;
+  // Показанная версия ответа и общее число версий
+  version?: number;
+  versionCount?: number;
+  rating?: number | null;
+}
 
 const ChatPage: React.FC = () => {
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  const [turns, setTurns] = useState<ChatTurn[]>([]);
+  const [submitting, setSubmitting] = useState(false);
+  // Дата событий, на которую применяется закон (пусто - определяется по тексту вопроса)
+  const [asOfDate, setAsOfDate] = useState('');
+  // Язык ответа (пусто - из профиля или по языку вопроса)
+  const [language, setLanguage] = useState('');
+  const [languages, setLanguages] = useState<AnswerLanguageOption[]>([]);
+
+  const activeTurn = turns.length > 0 ? turns[turns.length - 1] : null;
+  const activeQueryId = activeTurn && !activeTurn.response && !activeTurn.failed ? activeTurn.queryId : null;
+  const stream = useQueryStream(activeQueryId);
+
+  // Сохраняем итоговый ответ в ход диалога, чтобы поток можно было переключить на следующий вопрос
+  useEffect(() => {
+    if (!activeQueryId) return;
+
+    if (stream.status === 'completed' && stream.response) {
+      const response = stream.response;
+      const version = stream.version ?? 1;
+      setTurns((prev) => prev.map((turn) => (
+        turn.queryId === activeQueryId
+          ? { ...turn, response, version, versionCount: Math.max(turn.versionCount ?? 0, version), rating: null }
+          : turn
+      )));
+    }
+
+    if (stream.status === 'failed') {
+      setTurns((prev) => prev.map((turn) => (turn.queryId === activeQueryId ? { ...turn, failed: true } : turn)));
+    }
+  }, [stream.status, stream.response, stream.version, activeQueryId]);
+
+  useEffect(() => {
+    usersApi.getLanguages()
+      .then((result) => setLanguages(result.languages))
+      .catch(() => setLanguages([]));
+  }, []);
+
+  const handleSubmit = async (text: string) => {
+    try {
+      setSubmitting(true);
+      const result = conversationId
+        ? await conversationsApi.sendMessage(conversationId, text, asOfDate || undefined, language || undefined)
+        : await queriesApi.createTextQuery(text, undefined, undefined, asOfDate || undefined, language || undefined);
+
+      setConversationId(result.conversationId);
+      setTurns((prev) => [...prev, { queryId: result.queryId, question: text }]);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось отправить запрос');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Новая генерация вместо ответа из кэша: ход снова становится активным и получает поток
+  const handleRefresh = async (queryId: string) => {
+    const previous = turns.find((turn) => turn.queryId === queryId);
+    setTurns((prev) => prev.map((turn) => (turn.queryId === queryId ? { ...turn, response: undefined } : turn)));
+
+    try {
+      await queriesApi.refreshQuery(queryId);
+    } catch (error: any) {
+      setTurns((prev) => prev.map((turn) => (turn.queryId === queryId ? { ...turn, response: previous?.response } : turn)));
+      toast.error(error.response?.data?.error || 'Не удалось сгенерировать ответ заново');
+    }
+  };
+
+  const updateTurn = (queryId: string, changes: Partial<ChatTurn>) => {
+    setTurns((prev) => prev.map((turn) => (turn.queryId === queryId ? { ...turn, ...changes } : turn)));
+  };
+
+  // Новая версия ответа на последний вопрос: прежние версии сохраняются на сервере, ход снова получает поток
+  const handleRegenerate = async (queryId: string, guidance?: string) => {
+    const previous = turns.find((turn) => turn.queryId === queryId);
+    updateTurn(queryId, { response: undefined, failed: false });
+
+    try {
+      await responsesApi.regenerateResponse(queryId, guidance);
+    } catch (error: any) {
+      updateTurn(queryId, { response: previous?.response });
+      toast.error(error.response?.data?.error || 'Не удалось сгенерировать новую версию ответа');
+    }
+  };
+
+  const handleSelectVersion = async (queryId: string, version: number) => {
+    try {
+      const { versions } = await responsesApi.getVersions(queryId);
+      const selected = versions.find((item: ResponseVersion) => item.version === version);
+      if (!selected) return;
+
+      await responsesApi.selectVersion(queryId, version);
+      updateTurn(queryId, {
+        response: selected.ai_response,
+        version,
+        versionCount: versions.length,
+        rating: selected.rating,
+      });
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось переключить версию ответа');
+    }
+  };
+
+  const handleRate = async (queryId: string, version: number | undefined, rating: number) => {
+    try {
+      await responsesApi.rateResponse(queryId, rating, version);
+      updateTurn(queryId, { rating });
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось сохранить оценку');
+    }
+  };
+
+  // Ответ с низкой уверенностью: пользователю сразу предлагается консультация юриста
+  const handleRequestConsultation = async (queryId: string) => {
+    try {
+      const result = await responsesApi.requestConsultation(queryId);
+      toast.success(`Запрос отправлен юристу, ответ до ${new Date(result.sla.dueAt).toLocaleString('ru-RU')}`);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось запросить консультацию');
+    }
+  };
+
+  const startNewConversation = () => {
+    setConversationId(null);
+    setTurns([]);
+  };
+
+  const isBusy = submitting || !!activeQueryId;
+
   return (
     <div className="space-y-4">
-      <h1 className="text-2xl font-bold">AI-чат</h1>
-      <p className="text-gray-600">Интерфейс чата будет здесь.</p>
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold">AI-чат</h1>
+        {turns.length > 0 && (
+          <button
+            type="button"
+            onClick={startNewConversation}
+            disabled={isBusy}
+            className="flex items-center px-3 py-1.5 text-sm text-primary-700 border border-primary-200 rounded-md hover:bg-primary-50 disabled:opacity-50"
+          >
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Новый диалог
+          </button>
+        )}
+      </div>
+
+      {turns.map((turn) => (
+        <div key={turn.queryId} className="space-y-2">
+          <div className="p-4 bg-primary-50 border border-primary-200 rounded-lg text-sm text-primary-900">
+            {turn.question}
+          </div>
+
+          <div className="p-4 bg-white border border-gray-200 rounded-lg">
+            {turn.queryId === activeQueryId ? (
+              <StreamingAnswer
+                answer={stream.partial}
+                status={stream.status}
+                message={stream.message}
+                error={stream.error}
+              />
+            ) : (
+              <>
+                <StreamingAnswer
+                  answer={turn.response || null}
+                  status={turn.failed ? 'failed' : 'completed'}
+                  onRefresh={turn === activeTurn && !isBusy ? () => handleRefresh(turn.queryId) : undefined}
+                  onRequestConsultation={() => handleRequestConsultation(turn.queryId)}
+                />
+                {turn.response && (
+                  <ResponseVersionBar
+                    version={turn.version ?? 1}
+                    versionCount={turn.versionCount ?? 1}
+                    rating={turn.rating}
+                    disabled={isBusy}
+                    onSelect={(version) => handleSelectVersion(turn.queryId, version)}
+                    onRegenerate={turn === activeTurn ? (guidance) => handleRegenerate(turn.queryId, guidance) : undefined}
+                    onRate={(rating) => handleRate(turn.queryId, turn.version, rating)}
+                  />
+                )}
+                {turn.response && <DocumentDraftPanel queryId={turn.queryId} disabled={isBusy} />}
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center space-x-2 text-sm text-gray-600">
+        <label htmlFor="as-of-date">Дата событий:</label>
+        <input
+          id="as-of-date"
+          type="date"
+          value={asOfDate}
+          max={new Date().toISOString().slice(0, 10)}
+          onChange={(e) => setAsOfDate(e.target.value)}
+          disabled={isBusy}
+          className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        {!asOfDate && <span className="text-xs text-gray-400">не указана — определим по тексту вопроса</span>}
+      </div>
+
+      {languages.length > 0 && (
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          <label htmlFor="answer-language">Язык ответа:</label>
+          <select
+            id="answer-language"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            disabled={isBusy}
+            className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">как в профиле</option>
+            {languages.map((item) => (
+              <option key={item.code} value={item.code}>{item.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <TextInputWithSpeech
+        onSubmit={handleSubmit}
+        loading={isBusy}
+        placeholder={conversationId ? 'Задайте уточняющий вопрос...' : undefined}
+      />
     </div>
   );
 };
 
 export default ChatPage;
-
-
@@ -95,6 +95,9 @@ const HomePage: React.FC = () => {
             </div>
             
             <div className="flex items-center space-x-4">
+              <Link to="/articles" className="text-gray-600 hover:text-gray-900">
+                База знаний
+              </Link>
               {isAuthenticated ? (
                 <Link to="/dashboard" className="btn-primary">
                   Личный кабинет
@@ -323,6 +326,7 @@ const HomePage: React.FC = () => {
               <h3 className="font-semibold mb-4">Продукт</h3>
               <ul className="space-y-2 text-gray-400">
                 <li><Link to="/chat" className="hover:text-white">AI-чат</Link></li>
+                <li><Link to="/articles" className="hover:text-white">База знаний</Link></li>
                 <li><Link to="/dashboard" className="hover:text-white">Личный кабинет</Link></li>
                 <li><Link to="/profile" className="hover:text-white">Профиль</Link></li>
               </ul>
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { publicApi } from '../services/api';
+import { PublicArticleSummary } from '../types/article';
+
+interface PublicTagCount {
+  name: string;
+  color: string;
+  article_count: number;
+}
+
+interface Pagination {
+  page: number;
+  pages: number;
+}
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString('ru-RU', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+});
+
+// Список опубликованных статей с фильтром по тегу (?tag=) и поиском по словам или по смыслу
+const KnowledgeBasePage: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tag = searchParams.get('tag') || '';
+  const page = Number(searchParams.get('page')) || 1;
+
+  const [tags, setTags] = useState<PublicTagCount[]>([]);
+  const [articles, setArticles] = useState<PublicArticleSummary[]>([]);
+  const [pagination, setPagination] = useState<Pagination>({ page: 1, pages: 1 });
+  const [loading, setLoading] = useState(true);
+
+  const [searchText, setSearchText] = useState('');
+  const [searchMode, setSearchMode] = useState<'text' | 'semantic'>('text');
+  // null - поиск не выполнялся, показывается список статей
+  const [searchResults, setSearchResults] = useState<PublicArticleSummary[] | null>(null);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    document.title = 'База знаний - LegalAI';
+    publicApi.getTags()
+      .then((result) => setTags(result.tags))
+      .catch(() => setTags([]));
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    publicApi.getArticles({ tag: tag || undefined, page })
+      .then((result) => {
+        setArticles(result.articles);
+        setPagination(result.pagination);
+      })
+      .catch(() => toast.error('Не удалось загрузить статьи'))
+      .finally(() => setLoading(false));
+  }, [tag, page]);
+
+  const selectTag = (name: string) => {
+    setSearchResults(null);
+    setSearchParams(name && name !== tag ? { tag: name } : {});
+  };
+
+  const goToPage = (nextPage: number) => {
+    setSearchParams({ ...(tag ? { tag } : {}), page: String(nextPage) });
+  };
+
+  const handleSearch = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (searchText.trim().length < 2) return;
+
+    try {
+      setSearching(true);
+      const result = await publicApi.searchArticles(searchText.trim(), searchMode);
+      setSearchResults(result.articles);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Не удалось выполнить поиск');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const clearSearch = () => {
+    setSearchText('');
+    setSearchResults(null);
+  };
+
+  const shown = searchResults ?? articles;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">База знаний</h1>
+        <p className="mt-2 text-gray-600">Ответы на юридические вопросы, проверенные модераторами.</p>
+      </div>
+
+      <form onSubmit={handleSearch} className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={searchText}
+            onChange={(event) => setSearchText(event.target.value)}
+            placeholder="Например: как вернуть товар без чека"
+            maxLength={200}
+            className="input pl-10"
+          />
+        </div>
+        <select
+          value={searchMode}
+          onChange={(event) => setSearchMode(event.target.value as 'text' | 'semantic')}
+          className="input sm:w-44"
+          title="Способ поиска"
+        >
+          <option value="text">По словам</option>
+          <option value="semantic">По смыслу</option>
+        </select>
+        <button type="submit" disabled={searching || searchText.trim().length < 2} className="btn-primary">
+          {searching ? 'Поиск...' : 'Найти'}
+        </button>
+      </form>
+
+      {tags.length > 0 && searchResults === null && (
+        <div className="flex flex-wrap gap-2">
+          {tags.map((item) => (
+            <button
+              key={item.name}
+              type="button"
+              onClick={() => selectTag(item.name)}
+              className={`inline-flex items-center px-3 py-1 rounded-full text-sm border transition-colors duration-200 ${
+                item.name === tag
+                  ? 'bg-primary-600 border-primary-600 text-white'
+                  : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+              }`}
+            >
+              {item.name}
+              <span className="ml-2 opacity-70">{item.article_count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {searchResults !== null && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>Найдено статей: {searchResults.length}</span>
+          <button type="button" onClick={clearSearch} className="inline-flex items-center hover:text-gray-900">
+            <XMarkIcon className="w-4 h-4 mr-1" />
+            Сбросить поиск
+          </button>
+        </div>
+      )}
+
+      {loading && searchResults === null ? (
+        <p className="text-gray-500">Загрузка...</p>
+      ) : shown.length === 0 ? (
+        <p className="text-gray-500">
+          {searchResults !== null ? 'По вашему запросу ничего не найдено.' : 'Статей пока нет.'}
+        </p>
+      ) : (
+        <ul className="space-y-4">
+          {shown.map((article) => (
+            <li key={article.slug} className="card">
+              <div className="card-body">
+                <Link to={`/articles/${article.slug}`} className="text-lg font-semibold text-primary-700 hover:text-primary-800">
+                  {article.title}
+                </Link>
+                {article.meta_description && (
+                  <p className="mt-2 text-gray-600">{article.meta_description}</p>
+                )}
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-sm text-gray-500">
+                  <span>{formatDate(article.published_at)}</span>
+                  {article.tags.map((item) => (
+                    <span key={item.name} className="badge-primary">{item.name}</span>
+                  ))}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {searchResults === null && pagination.pages > 1 && (
+        <div className="flex items-center justify-center gap-4">
+          <button type="button" onClick={() => goToPage(page - 1)} disabled={page <= 1} className="btn-secondary btn-sm">
+            Назад
+          </button>
+          <span className="text-sm text-gray-600">
+            {pagination.page} из {pagination.pages}
+          </span>
+          <button type="button" onClick={() => goToPage(page + 1)} disabled={page >= pagination.pages} className="btn-secondary btn-sm">
+            Вперёд
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KnowledgeBasePage;
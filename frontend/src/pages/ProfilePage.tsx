@@ -1,14 +1,71 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { usersApi } from '../services/api';
+import { AnswerLanguageOption } from '../types/query';
 
 const ProfilePage: React.FC = () => {
+  const [languages, setLanguages] = useState<AnswerLanguageOption[]>([]);
+  // Язык ответов по умолчанию: auto - язык, на котором задан вопрос
+  const [preferredLanguage, setPreferredLanguage] = useState('auto');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    Promise.all([usersApi.getProfile(), usersApi.getLanguages()])
+      .then(([profile, result]) => {
+        setPreferredLanguage(profile.preferred_language || 'auto');
+        setLanguages(result.languages);
+      })
+      .catch(() => toast.error('Не удалось загрузить профиль'));
+  }, []);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await usersApi.updateProfile(undefined, undefined, preferredLanguage);
+      toast.success('Профиль обновлен');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Ошибка обновления профиля');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   return (
     <div className="space-y-4">
       <h1 className="text-2xl font-bold">Профиль</h1>
       <p className="text-gray-600">Управление профилем пользователя.</p>
+
+      <form onSubmit={handleSave} className="p-4 space-y-3 bg-white border border-gray-200 rounded-lg">
+        <div className="space-y-1">
+          <label htmlFor="preferred-language" className="block text-sm font-medium text-gray-900">Язык ответов</label>
+          <select
+            id="preferred-language"
+            value={preferredLanguage}
+            onChange={(e) => setPreferredLanguage(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="auto">на языке вопроса</option>
+            {languages.map((item) => (
+              <option key={item.code} value={item.code}>{item.name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500">
+            Ссылки на законы и судебную практику приводятся на русском в оригинальных названиях.
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saving ? 'Сохраняем...' : 'Сохранить'}
+        </button>
+      </form>
     </div>
   );
 };
 
 export default ProfilePage;
-
-
@@ -79,36 +79,101 @@ export const queriesApi = {
     return response.data;
   },
 
-  createTextQuery: async (text: string) => {
-    const response = await api.post('/queries/text', { text });
+  createTextQuery: async (text: string, conversationId?: string, fresh?: boolean, asOfDate?: string, language?: string) => {
+    const response = await api.post('/queries/text', { text, conversationId, fresh, asOfDate, language });
     return response.data;
   },
 
-  createVoiceQuery: async (audioFile: File) => {
+  refreshQuery: async (queryId: string) => {
+    const response = await api.post(`/queries/${queryId}/refresh`);
+    return response.data;
+  },
+
+  createVoiceQuery: async (audioFile: File, conversationId?: string, asOfDate?: string, language?: string) => {
     const formData = new FormData();
     formData.append('audio', audioFile);
+    if (conversationId) formData.append('conversationId', conversationId);
+    if (asOfDate) formData.append('asOfDate', asOfDate);
+    if (language) formData.append('language', language);
     const response = await api.post('/queries/voice', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     });
     return response.data;
   },
 
-  createFilesQuery: async (files: File[], text?: string) => {
+  createFilesQuery: async (
+    files: File[],
+    text?: string,
+    conversationId?: string,
+    asOfDate?: string,
+    mode?: 'qa' | 'contract-review',
+    language?: string
+  ) => {
     const formData = new FormData();
     files.forEach((file) => formData.append('files', file));
     if (text) formData.append('text', text);
+    if (conversationId) formData.append('conversationId', conversationId);
+    if (asOfDate) formData.append('asOfDate', asOfDate);
+    if (mode) formData.append('mode', mode);
+    if (language) formData.append('language', language);
     const response = await api.post('/queries/files', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     });
     return response.data;
   },
 
+  getContractReview: async (id: string) => {
+    const response = await api.get(`/queries/${id}/contract-review`);
+    return response.data;
+  },
+
+  exportContractReview: async (id: string, format: 'json' | 'md' = 'md') => {
+    const response = await api.get(`/queries/${id}/contract-review/export`, {
+      params: { format },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
   deleteQuery: async (id: string) => {
     const response = await api.delete(`/queries/${id}`);
     return response.data;
   },
 };
 
+// API для диалогов
+export const conversationsApi = {
+  getConversations: async (params?: { page?: number; limit?: number }) => {
+    const response = await api.get('/conversations', { params });
+    return response.data;
+  },
+
+  getConversation: async (id: string) => {
+    const response = await api.get(`/conversations/${id}`);
+    return response.data;
+  },
+
+  createConversation: async (title?: string) => {
+    const response = await api.post('/conversations', { title });
+    return response.data;
+  },
+
+  sendMessage: async (id: string, text: string, asOfDate?: string, language?: string) => {
+    const response = await api.post(`/conversations/${id}/messages`, { text, asOfDate, language });
+    return response.data;
+  },
+
+  renameConversation: async (id: string, title: string) => {
+    const response = await api.put(`/conversations/${id}`, { title });
+    return response.data;
+  },
+
+  deleteConversation: async (id: string) => {
+    const response = await api.delete(`/conversations/${id}`);
+    return response.data;
+  },
+};
+
 // API для ответов
 export const responsesApi = {
   getResponse: async (queryId: string) => {
@@ -116,13 +181,47 @@ export const responsesApi = {
     return response.data;
   },
 
-  rateResponse: async (queryId: string, rating: number) => {
-    const response = await api.post(`/responses/${queryId}/rate`, { rating });
+  // Без version оценивается и публикуется текущая версия ответа
+  rateResponse: async (queryId: string, rating: number, version?: number) => {
+    const response = await api.post(`/responses/${queryId}/rate`, { rating, version });
+    return response.data;
+  },
+
+  publishResponse: async (queryId: string, isPublished: boolean, version?: number) => {
+    const response = await api.post(`/responses/${queryId}/publish`, { isPublished, version });
+    return response.data;
+  },
+
+  // Версии ответа: повторная генерация, список и выбор текущей
+  regenerateResponse: async (queryId: string, guidance?: string) => {
+    const response = await api.post(`/responses/${queryId}/regenerate`, { guidance });
+    return response.data;
+  },
+
+  getVersions: async (queryId: string) => {
+    const response = await api.get(`/responses/${queryId}/versions`);
     return response.data;
   },
 
-  publishResponse: async (queryId: string, isPublished: boolean) => {
-    const response = await api.post(`/responses/${queryId}/publish`, { isPublished });
+  selectVersion: async (queryId: string, version: number) => {
+    const response = await api.put(`/responses/${queryId}/versions/${version}/current`);
+    return response.data;
+  },
+
+  // Модерация: ответы, исправленные после проверки схемы
+  getRepairedResponses: async (params?: { page?: number; limit?: number; invalidOnly?: boolean }) => {
+    const response = await api.get('/responses/moderation/repaired', { params });
+    return response.data;
+  },
+
+  // Модерация: ответы по документам с признаками prompt injection
+  getInjectionResponses: async (params?: { page?: number; limit?: number; status?: 'pending' | 'reviewed' | 'all' }) => {
+    const response = await api.get('/responses/moderation/injections', { params });
+    return response.data;
+  },
+
+  reviewInjection: async (queryId: string, verdict: 'confirmed' | 'false-positive', note?: string) => {
+    const response = await api.post(`/responses/${queryId}/injection-review`, { verdict, note });
     return response.data;
   },
 
@@ -179,8 +278,13 @@ export const usersApi = {
     return response.data;
   },
 
-  updateProfile: async (firstName?: string, lastName?: string) => {
-    const response = await api.put('/users/profile', { firstName, lastName });
+  updateProfile: async (firstName?: string, lastName?: string, preferredLanguage?: string) => {
+    const response = await api.put('/users/profile', { firstName, lastName, preferredLanguage });
+    return response.data;
+  },
+
+  getLanguages: async () => {
+    const response = await api.get('/users/languages');
     return response.data;
   },
 
@@ -194,6 +298,16 @@ export const usersApi = {
     return response.data;
   },
 
+  getUsage: async () => {
+    const response = await api.get('/users/usage');
+    return response.data;
+  },
+
+  getPlans: async () => {
+    const response = await api.get('/users/plans');
+    return response.data;
+  },
+
   // Админские функции
   getAllUsers: async (params?: { page?: number; limit?: number; role?: string; isActive?: boolean }) => {
     const response = await api.get('/users', { params });
@@ -216,6 +330,296 @@ export const usersApi = {
   },
 };
 
+// API для шаблонов промтов (только для админов)
+export const promptsApi = {
+  getTemplates: async () => {
+    const response = await api.get('/prompts');
+    return response.data;
+  },
+
+  getTemplate: async (name: string) => {
+    const response = await api.get(`/prompts/${name}`);
+    return response.data;
+  },
+
+  createVersion: async (name: string, data: { content: string; systemMessage: string; description?: string; activate?: boolean }) => {
+    const response = await api.post(`/prompts/${name}`, data);
+    return response.data;
+  },
+
+  previewTemplate: async (name: string, data: { version?: number; content?: string; systemMessage?: string; variables?: Record<string, string> }) => {
+    const response = await api.post(`/prompts/${name}/preview`, data);
+    return response.data;
+  },
+
+  rollback: async (name: string, version: number) => {
+    const response = await api.post(`/prompts/${name}/rollback`, { version });
+    return response.data;
+  },
+
+  splitTraffic: async (name: string, split: { version: number; weight: number }[]) => {
+    const response = await api.put(`/prompts/${name}/traffic`, { split });
+    return response.data;
+  },
+
+  getStats: async (name: string) => {
+    const response = await api.get(`/prompts/${name}/stats`);
+    return response.data;
+  },
+
+  updateVersion: async (name: string, version: number, description: string) => {
+    const response = await api.put(`/prompts/${name}/versions/${version}`, { description });
+    return response.data;
+  },
+
+  deleteVersion: async (name: string, version: number) => {
+    const response = await api.delete(`/prompts/${name}/versions/${version}`);
+    return response.data;
+  },
+};
+
+// API для отчётов по расходам на модели (только для админов)
+export const usageApi = {
+  getReport: async (params?: {
+    groupBy?: 'day' | 'user' | 'modality' | 'feature' | 'model';
+    from?: string;
+    to?: string;
+    userId?: string;
+    feature?: string;
+  }) => {
+    const response = await api.get('/usage/report', { params });
+    return response.data;
+  },
+
+  getQueryUsage: async (queryId: string) => {
+    const response = await api.get(`/usage/queries/${queryId}`);
+    return response.data;
+  },
+
+  getRedactionReport: async (params?: { from?: string; to?: string }) => {
+    const response = await api.get('/usage/redactions', { params });
+    return response.data;
+  },
+};
+
+// API очереди проверки ответов юристом (модераторы и админы)
+export const lawyerReviewsApi = {
+  getReviews: async (params?: {
+    page?: number;
+    limit?: number;
+    status?: 'active' | 'open' | 'in-progress' | 'resolved' | 'all';
+    overdue?: boolean;
+  }) => {
+    const response = await api.get('/lawyer-reviews', { params });
+    return response.data;
+  },
+
+  assignReview: async (reviewId: string) => {
+    const response = await api.post(`/lawyer-reviews/${reviewId}/assign`);
+    return response.data;
+  },
+
+  resolveReview: async (reviewId: string, resolution: string) => {
+    const response = await api.post(`/lawyer-reviews/${reviewId}/resolve`, { resolution });
+    return response.data;
+  },
+};
+
+// API SEO-статей (модераторы и админы)
+export const articlesApi = {
+  getArticles: async (params: { status?: 'draft' | 'review' | 'published'; page?: number; limit?: number } = {}) => {
+    const response = await api.get('/articles', { params });
+    return response.data;
+  },
+
+  getArticle: async (articleId: string) => {
+    const response = await api.get(`/articles/${articleId}`);
+    return response.data;
+  },
+
+  generateArticle: async (queryId: string, version?: number) => {
+    const response = await api.post('/articles', { queryId, version });
+    return response.data;
+  },
+
+  updateArticle: async (articleId: string, data: {
+    title?: string;
+    slug?: string;
+    metaDescription?: string;
+    keywords?: string[];
+    bodyHtml?: string;
+    faq?: { question: string; answer: string }[];
+  }) => {
+    const response = await api.put(`/articles/${articleId}`, data);
+    return response.data;
+  },
+
+  setArticleStatus: async (articleId: string, status: 'draft' | 'review') => {
+    const response = await api.post(`/articles/${articleId}/status`, { status });
+    return response.data;
+  },
+};
+
+// API тегов (изменение и повторная разметка - только для админов)
+export const tagsApi = {
+  getTags: async () => {
+    const response = await api.get('/tags');
+    return response.data;
+  },
+
+  createTag: async (data: {
+    name: string;
+    description?: string | null;
+    color?: string;
+    keywords?: string[];
+    examples?: string[];
+    isActive?: boolean;
+  }) => {
+    const response = await api.post('/tags', data);
+    return response.data;
+  },
+
+  updateTag: async (tagId: string, data: {
+    name?: string;
+    description?: string | null;
+    color?: string;
+    keywords?: string[];
+    examples?: string[];
+    isActive?: boolean;
+  }) => {
+    const response = await api.put(`/tags/${tagId}`, data);
+    return response.data;
+  },
+
+  deleteTag: async (tagId: string) => {
+    const response = await api.delete(`/tags/${tagId}`);
+    return response.data;
+  },
+
+  startRetag: async (options: { since?: string; until?: string; onlyUntagged?: boolean } = {}) => {
+    const response = await api.post('/tags/retag', options);
+    return response.data;
+  },
+
+  getRetagJobs: async () => {
+    const response = await api.get('/tags/retag/jobs');
+    return response.data;
+  },
+
+  getRetagJob: async (jobId: string) => {
+    const response = await api.get(`/tags/retag/jobs/${jobId}`);
+    return response.data;
+  },
+};
+
+// Публичная база знаний (без авторизации)
+export const publicApi = {
+  getTags: async () => {
+    const response = await api.get('/public/tags');
+    return response.data;
+  },
+
+  getArticles: async (params: { tag?: string; page?: number; limit?: number } = {}) => {
+    const response = await api.get('/public/articles', { params });
+    return response.data;
+  },
+
+  searchArticles: async (q: string, mode: 'text' | 'semantic' = 'text') => {
+    const response = await api.get('/public/articles/search', { params: { q, mode } });
+    return response.data;
+  },
+
+  getArticle: async (slug: string) => {
+    const response = await api.get(`/public/articles/${slug}`);
+    return response.data;
+  },
+};
+
+// API для составления документов
+export const documentsApi = {
+  getTemplates: async () => {
+    const response = await api.get('/documents/templates');
+    return response.data;
+  },
+
+  getDocuments: async (params?: { page?: number; limit?: number; queryId?: string }) => {
+    const response = await api.get('/documents', { params });
+    return response.data;
+  },
+
+  createDocument: async (queryId: string, template: string) => {
+    const response = await api.post('/documents', { queryId, template });
+    return response.data;
+  },
+
+  updateFields: async (documentId: string, fields: Record<string, string | number | null>) => {
+    const response = await api.put(`/documents/${documentId}`, { fields });
+    return response.data;
+  },
+
+  renderDocument: async (documentId: string) => {
+    const response = await api.post(`/documents/${documentId}/render`);
+    return response.data;
+  },
+
+  downloadDocument: async (documentId: string) => {
+    const response = await api.get(`/documents/${documentId}/download`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  deleteDocument: async (documentId: string) => {
+    const response = await api.delete(`/documents/${documentId}`);
+    return response.data;
+  },
+};
+
+// API калькуляторов
+export const toolsApi = {
+  getDeadlineRules: async () => {
+    const response = await api.get('/tools/deadlines/rules');
+    return response.data;
+  },
+
+  calculateDeadline: async (data: {
+    eventDate: string;
+    rule?: string;
+    amount?: number;
+    unit?: 'days' | 'months' | 'years';
+    counting?: 'calendar' | 'business';
+  }) => {
+    const response = await api.post('/tools/deadlines', data);
+    return response.data;
+  },
+
+  getCalendar: async (year: number) => {
+    const response = await api.get(`/tools/calendar/${year}`);
+    return response.data;
+  },
+
+  getCourtFeeOptions: async () => {
+    const response = await api.get('/tools/court-fee/options');
+    return response.data;
+  },
+
+  calculateCourtFee: async (data: {
+    court?: 'general' | 'arbitration';
+    claimType?: 'property' | 'non-property' | 'court-order' | 'divorce' | 'appeal' | 'cassation';
+    amount?: number;
+    applicant?: 'individual' | 'organization';
+    exemption?: string | null;
+  }) => {
+    const response = await api.post('/tools/court-fee', data);
+    return response.data;
+  },
+
+  spellcheck: async (text: string) => {
+    const response = await api.post('/tools/spellcheck', { text });
+    return response.data;
+  },
+};
+
 // API для webhooks
 export const webhooksApi = {
   triggerNewQuery: async (data: { queryId: string; userId: string; type: string }) => {
@@ -233,7 +637,7 @@ export const webhooksApi = {
     return response.data;
   },
 
-  triggerPublishArticle: async (data: { queryId: string; seoArticle: string }) => {
+  triggerPublishArticle: async (data: { articleId: string }) => {
     const response = await api.post('/webhooks/publish-article', data);
     return response.data;
   },
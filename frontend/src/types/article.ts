@@ -0,0 +1,57 @@
+// SEO-статья по версии ответа: публикуется вместе с ответом после проверки редактором
+export type ArticleStatus = 'draft' | 'review' | 'published';
+
+export interface ArticleHeading {
+  level: 2 | 3;
+  title: string;
+  anchor: string;
+}
+
+export interface ArticleFaqItem {
+  question: string;
+  answer: string;
+}
+
+export interface SeoArticle {
+  id: string;
+  response_id: string;
+  query_id: string;
+  title: string;
+  slug: string;
+  meta_description: string | null;
+  keywords: string[];
+  outline: ArticleHeading[];
+  faq: ArticleFaqItem[];
+  body_html: string;
+  json_ld: Record<string, unknown> | null;
+  status: ArticleStatus;
+  prompt_template_id: string | null;
+  updated_by: string | null;
+  published_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Статья публичной базы знаний (без служебных полей редакции)
+export interface PublicTag {
+  name: string;
+  color: string;
+}
+
+export interface PublicArticleSummary {
+  slug: string;
+  title: string;
+  meta_description: string | null;
+  keywords: string[];
+  tags: PublicTag[];
+  published_at: string;
+  updated_at: string;
+  score?: number; // ранг в результатах поиска
+}
+
+export interface PublicArticle extends PublicArticleSummary {
+  outline: ArticleHeading[];
+  faq: ArticleFaqItem[];
+  body_html: string;
+  json_ld: Record<string, unknown> | null;
+}
@@ -0,0 +1,35 @@
+// Составление документов по шаблонам (претензии, иски, жалобы, заявления работодателю)
+export type DocumentFieldType = 'text' | 'multiline' | 'date' | 'money' | 'number' | 'email' | 'phone';
+
+export interface DocumentField {
+  key: string;
+  label: string;
+  type: DocumentFieldType;
+  required: boolean;
+  hint: string | null;
+  defaultValue?: string | number;
+}
+
+export interface DocumentTemplate {
+  id: string;
+  title: string;
+  description: string;
+  fields: DocumentField[];
+}
+
+export type DocumentFieldValue = string | number | null;
+
+export interface DocumentDraft {
+  id: string;
+  query_id: string;
+  template: string;
+  title: string;
+  fields: Record<string, DocumentFieldValue>;
+  // Поля, заполненные моделью по вопросу и ответу
+  prefilled_fields: string[];
+  missingFields: string[];
+  status: 'draft' | 'rendered';
+  filename: string | null;
+  rendered_at: string | null;
+  created_at: string;
+}
@@ -0,0 +1,205 @@
+// Результат сверки ссылки на статью с корпусом законодательства
+export type CitationStatus = 'verified' | 'unknown' | 'not-found';
+
+// Изменение статьи закона: с какой даты действует и каким законом внесено
+export interface LawEdition {
+  validFrom: string;
+  amendedBy: string;
+  summary?: string;
+}
+
+export interface CitationVerification {
+  status: CitationStatus;
+  code: string | null;
+  articles: {
+    article: string;
+    status: CitationStatus;
+    title?: string;
+    editionsTracked?: boolean;
+    edition?: LawEdition | null;
+    amendedSince?: LawEdition[];
+  }[];
+}
+
+// Структура ответа AI, которую возвращает backend (responses.ai_response)
+export interface LawReference {
+  article: string;
+  description: string;
+  verification?: CitationVerification;
+}
+
+export interface PracticeReference {
+  case: string;
+  description: string;
+}
+
+// Ссылка утверждения ответа на фрагмент загруженного документа
+export interface DocumentSource {
+  statement: string;
+  chunk: string;
+  fileId?: string;
+  filename?: string;
+  page?: number | null;
+  paragraphStart?: number;
+  paragraphEnd?: number;
+  location?: string;
+}
+
+// Ссылка на исходный ответ, если ответ взят из семантического кэша
+export interface CachedFrom {
+  queryId: string;
+  responseId: string;
+  similarity: number;
+  createdAt: string;
+}
+
+// Отрасль права, определённая для вопроса
+export interface LegalDomain {
+  code: string;
+  name: string;
+}
+
+// Дата событий, на которую применяется закон, и изменения закона после неё
+export interface LawVersion {
+  asOfDate: string;
+  source: 'user' | 'inferred';
+  amendments: (LawEdition & { citation: string })[];
+  warning: string | null;
+}
+
+// Отметка ответа с низкой уверенностью модели: ответ передан на проверку юристу
+export interface LawyerReviewFlag {
+  status: 'needs-lawyer-review';
+  confidence: number;
+  threshold: number;
+  slaHours: number;
+}
+
+// Срок, рассчитанный по правилам и производственному календарю (endDate: null - дата события не указана)
+export interface Deadline {
+  rule: string | null;
+  title: string | null;
+  law: string | null;
+  event: string | null;
+  period: {
+    amount: number;
+    unit: 'days' | 'months' | 'years';
+    counting: 'calendar' | 'business';
+    description: string;
+  };
+  eventDate: string | null;
+  startDate?: string;
+  endDate: string | null;
+  nominalEndDate?: string;
+  shifted?: boolean;
+  approximate?: boolean;
+  daysLeft?: number;
+  expired?: boolean;
+}
+
+export type CourtType = 'general' | 'arbitration';
+
+export type CourtClaimType = 'property' | 'non-property' | 'court-order' | 'divorce' | 'appeal' | 'cassation';
+
+// Госпошлина по НК РФ (fee - к уплате с учётом льготы, baseFee - без льготы)
+export interface CourtFee {
+  court: CourtType;
+  claimType: CourtClaimType;
+  applicant: 'individual' | 'organization';
+  amount: number | null;
+  fee: number;
+  baseFee: number;
+  law: string;
+  exemption: { id: string; title: string; law: string } | null;
+  calculation: string;
+  validFrom: string;
+}
+
+// Язык ответа; ссылки на законы и практику остаются на русском
+export type AnswerLanguage = 'ru' | 'en' | 'uz' | 'tg' | 'kk';
+
+export interface AnswerLanguageOption {
+  code: AnswerLanguage;
+  name: string;
+}
+
+// Ошибка в тексте вопроса: позиция в строке и варианты замены (layout - слово набрано в латинской раскладке)
+export interface SpellingSuggestion {
+  offset: number;
+  length: number;
+  word: string;
+  replacements: string[];
+  kind: 'spelling' | 'layout';
+}
+
+export interface AIResponse {
+  text: string;
+  laws: LawReference[];
+  practice: PracticeReference[];
+  recommendations: string[];
+  sources?: DocumentSource[];
+  confidence: number;
+  cachedFrom?: CachedFrom;
+  legalDomain?: LegalDomain;
+  notices?: string[];
+  lawVersion?: LawVersion;
+  lawyerReview?: LawyerReviewFlag;
+  deadlines?: Deadline[];
+  courtFee?: CourtFee;
+  language?: AnswerLanguage;
+}
+
+// Версия ответа на запрос: каждая повторная генерация сохраняется отдельной версией
+export interface ResponseVersion {
+  id: string;
+  version: number;
+  is_current: boolean;
+  is_published: boolean;
+  rating: number | null;
+  regeneration_guidance: string | null;
+  ai_response: AIResponse;
+  created_at: string;
+}
+
+// Проверка договора: пункты с рисками и отсутствующие существенные условия
+export type RiskSeverity = 'high' | 'medium' | 'low';
+
+export interface ContractRisk {
+  severity: RiskSeverity;
+  issue: string;
+  suggestion: string | null;
+}
+
+export interface ContractClause {
+  id: string;
+  number: string | null;
+  title: string;
+  text: string;
+  page: number | null;
+  type: string;
+  typeName: string;
+  typeSource: 'keywords' | 'model';
+  risks: ContractRisk[];
+}
+
+export interface MissingClause extends ContractRisk {
+  type: string;
+  typeName: string;
+  source: 'rules' | 'model';
+}
+
+export interface ContractReviewReport {
+  fileId: string;
+  filename: string;
+  summary: string | null;
+  clauses: ContractClause[];
+  missing: MissingClause[];
+  riskCounts: Record<RiskSeverity, number>;
+  analyzedBy: 'model' | 'rules';
+  createdAt?: string;
+}
+
+// Частично сгенерированный ответ, приходящий в событиях query-delta
+export type PartialAIResponse = Partial<AIResponse>;
+
+export type QueryStreamStatus = 'idle' | 'processing' | 'streaming' | 'completed' | 'failed';
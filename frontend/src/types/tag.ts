@@ -0,0 +1,39 @@
+// Теги запросов: присваиваются по сходству с центроидом тега, ключевые слова только повышают сходство
+export interface Tag {
+  id: string;
+  name: string;
+  description: string | null;
+  color: string;
+  keywords: string[];
+  examples: string[];
+  is_active: boolean;
+  has_centroid: boolean;
+  centroid_updated_at: string | null;
+  query_count?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+// Тег запроса с уверенностью классификатора
+export interface TagAssignment {
+  name: string;
+  color: string;
+  confidence: number | null;
+  source: 'embedding' | 'model' | null;
+}
+
+export type TagJobStatus = 'running' | 'completed' | 'failed';
+
+// Задание повторной разметки сохранённых запросов
+export interface TagJob {
+  id: string;
+  status: TagJobStatus;
+  options: { since: string | null; until: string | null; onlyUntagged: boolean };
+  total: number;
+  processed: number;
+  tagged: number;
+  failed: number;
+  error: string | null;
+  created_at: string;
+  finished_at: string | null;
+}